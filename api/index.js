@@ -336,7 +336,20 @@ app.post('/api/query/:cluster/:database/:collection', async (req, res) => {
 app.get('/api/backups', async (req, res) => {
   try {
     const mgr = await initializeManager();
-    const backups = await mgr.getBackupManager().listBackups();
+    const { cluster, database, type, tags, retentionClass, since, until, location, sort, order, limit } = req.query;
+    const backups = await mgr.getBackupManager().listBackups({
+      cluster,
+      database,
+      type,
+      tags,
+      retentionClass,
+      since,
+      until,
+      location,
+      sort,
+      order,
+      limit: limit ? parseInt(limit, 10) : undefined
+    });
     res.json(backups);
   } catch (error) {
     console.error('Error listing backups:', error);
@@ -0,0 +1,220 @@
+const SmartDefaults = require('./smart-defaults');
+
+const COMPARATORS = {
+  '>': (value, threshold) => value > threshold,
+  '>=': (value, threshold) => value >= threshold,
+  '<': (value, threshold) => value < threshold,
+  '<=': (value, threshold) => value <= threshold,
+  '==': (value, threshold) => value === threshold,
+  '!=': (value, threshold) => value !== threshold
+};
+const SEVERITIES = ['info', 'warning', 'error', 'critical'];
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+// Rules are evaluated over the samples MonitoringService keeps in memory per
+// cluster, collected every DEFAULT_INTERVAL_MS unless started otherwise
+const MAX_METRIC_HISTORY = 100;
+const DEFAULT_INTERVAL_MS = 30000;
+
+// Metrics computed from a sample rather than read from it, addressed as
+// derived.<name>
+const DERIVED_METRICS = {
+  // Share of the connection limit in use, as in MonitoringService.getLoad
+  connectionUsage: sample => {
+    const { current, available } = sample.server.connections;
+    return current / (current + available);
+  }
+};
+
+// Durations are seconds or a number with an s, m or h suffix
+function parseDuration(duration) {
+  if (duration === undefined || duration === null || duration === '') {
+    return 0;
+  }
+  if (typeof duration === 'number' && duration >= 0) {
+    return duration * 1000;
+  }
+  const match = /^(\d+)([smh])$/.exec(String(duration));
+  if (!match) {
+    throw new Error(`Invalid alert rule duration: ${duration} (use seconds or e.g. 30s, 5m, 1h)`);
+  }
+  return Number(match[1]) * DURATION_UNITS[match[2]];
+}
+
+function resolveMetric(sample, metric) {
+  let value;
+  try {
+    if (metric.startsWith('derived.')) {
+      value = DERIVED_METRICS[metric.slice('derived.'.length)](sample);
+    } else {
+      value = metric.split('.').reduce((node, key) => node === null || node === undefined ? undefined : node[key], sample);
+    }
+  } catch (error) {
+    // Samples missing the inputs of a derived metric have no value
+    return undefined;
+  }
+  return typeof value === 'number' && Number.isFinite(value) ? value : undefined;
+}
+
+// A threshold on one metric of the samples MonitoringService collects. The
+// rule fires once the condition has held in every sample of the last `for`
+// window, or in the latest sample when there is no window.
+class AlertRule {
+  constructor(name, definition) {
+    AlertRule.validate(definition);
+    this.name = name;
+    this.description = definition.description;
+    this.metric = definition.metric;
+    this.comparator = definition.comparator || '>';
+    this.threshold = definition.threshold;
+    this.for = definition.for || null;
+    this.forMs = parseDuration(definition.for);
+    this.severity = definition.severity || 'warning';
+    this.scope = {
+      clusters: [].concat((definition.scope && definition.scope.clusters) || []),
+      environments: [].concat((definition.scope && definition.scope.environments) || [])
+    };
+    this.enabled = definition.enabled !== false;
+    this.builtIn = Boolean(definition.builtIn);
+  }
+
+  // With options.intervalMs, also rejects `for` windows longer than the
+  // samples kept span, since such rules could never fire
+  static validate(definition, options = {}) {
+    if (!definition || typeof definition.metric !== 'string' || !definition.metric) {
+      throw new Error('Alert rules need a metric path, e.g. server.memory.resident');
+    }
+    if (definition.metric.startsWith('derived.') && !DERIVED_METRICS[definition.metric.slice('derived.'.length)]) {
+      throw new Error(`Unknown derived metric: ${definition.metric}; use one of ${Object.keys(DERIVED_METRICS).map(name => `derived.${name}`).join(', ')}`);
+    }
+    if (definition.comparator !== undefined && !COMPARATORS[definition.comparator]) {
+      throw new Error(`Unknown alert rule comparator: ${definition.comparator}; use one of ${Object.keys(COMPARATORS).join(' ')}`);
+    }
+    if (typeof definition.threshold !== 'number' || !Number.isFinite(definition.threshold)) {
+      throw new Error('Alert rules need a numeric threshold');
+    }
+    if (definition.severity !== undefined && !SEVERITIES.includes(definition.severity)) {
+      throw new Error(`Unknown alert severity: ${definition.severity}; use one of ${SEVERITIES.join(', ')}`);
+    }
+    const forMs = parseDuration(definition.for);
+    if (options.intervalMs) {
+      const spanMs = (MAX_METRIC_HISTORY - 1) * options.intervalMs;
+      if (forMs > spanMs) {
+        throw new Error(`The for window of ${definition.for} is longer than the ${spanMs / 1000}s of samples kept ` +
+          `(${MAX_METRIC_HISTORY} samples ${options.intervalMs / 1000}s apart), so it could never fire`);
+      }
+    }
+    return true;
+  }
+
+  // Built-in rules with the SmartDefaults thresholds of an environment.
+  // Clusters without a known environment get the production ones.
+  static defaults(environment) {
+    const recommendations = SmartDefaults.getMonitoringRecommendations(environment) ||
+      SmartDefaults.getMonitoringRecommendations('production');
+    const thresholds = recommendations.alertThresholds;
+
+    return [
+      new AlertRule('HIGH_CONNECTION_USAGE', {
+        description: 'High connection usage',
+        metric: 'derived.connectionUsage',
+        comparator: '>',
+        threshold: thresholds.connectionUsage,
+        severity: 'warning',
+        builtIn: true
+      }),
+      new AlertRule('HIGH_MEMORY_USAGE', {
+        description: 'High memory usage',
+        metric: 'server.memory.resident',
+        comparator: '>',
+        threshold: thresholds.memoryUsage,
+        severity: 'warning',
+        builtIn: true
+      }),
+      // Replica set rules only have values on replica sets
+      new AlertRule('REPLICATION_LAG', {
+        description: 'Replication lag',
+        metric: 'replication.maxLagSeconds',
+        comparator: '>',
+        threshold: thresholds.replicationLag,
+        severity: 'error',
+        builtIn: true
+      }),
+      new AlertRule('MEMBER_DOWN', {
+        description: 'Replica set member down',
+        metric: 'replication.membersDown',
+        comparator: '>',
+        threshold: 0,
+        severity: 'critical',
+        builtIn: true
+      })
+    ];
+  }
+
+  appliesTo(cluster) {
+    return (this.scope.clusters.length === 0 || this.scope.clusters.includes(cluster.name)) &&
+      (this.scope.environments.length === 0 || this.scope.environments.includes(cluster.environment));
+  }
+
+  matches(value) {
+    return value !== undefined && COMPARATORS[this.comparator](value, this.threshold);
+  }
+
+  // Evaluates the rule over a cluster's samples, oldest first. Returns null
+  // when the latest sample has no value for the metric. `pending` means the
+  // condition holds but not yet for the whole window.
+  evaluate(history) {
+    const latest = history[history.length - 1];
+    const value = latest ? resolveMetric(latest, this.metric) : undefined;
+    if (value === undefined) {
+      return null;
+    }
+
+    let since = null;
+    for (let i = history.length - 1; i >= 0 && this.matches(resolveMetric(history[i], this.metric)); i--) {
+      since = history[i].timestamp;
+    }
+
+    const firing = since !== null && new Date(latest.timestamp) - new Date(since) >= this.forMs;
+    return {
+      value,
+      firing,
+      pending: since !== null && !firing,
+      since
+    };
+  }
+
+  describeCondition() {
+    return `${this.metric} ${this.comparator} ${this.threshold}${this.for ? ` for ${this.for}` : ''}`;
+  }
+
+  formatMessage(value) {
+    const rounded = Number.isInteger(value) ? value : Number(value.toFixed(3));
+    return `${this.description || this.name}: ${this.metric} is ${rounded} (${this.comparator} ${this.threshold}${this.for ? ` for ${this.for}` : ''})`;
+  }
+
+  toJSON() {
+    return {
+      name: this.name,
+      description: this.description,
+      metric: this.metric,
+      comparator: this.comparator,
+      threshold: this.threshold,
+      for: this.for,
+      severity: this.severity,
+      scope: this.scope,
+      enabled: this.enabled,
+      builtIn: this.builtIn
+    };
+  }
+}
+
+module.exports = {
+  AlertRule,
+  COMPARATORS,
+  DEFAULT_INTERVAL_MS,
+  MAX_METRIC_HISTORY,
+  SEVERITIES,
+  DERIVED_METRICS,
+  parseDuration,
+  resolveMetric
+};
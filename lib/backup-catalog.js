@@ -0,0 +1,281 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const CATALOG_VERSION = 1;
+const SORT_FIELDS = ['created', 'size', 'name', 'cluster', 'database', 'totalDocuments'];
+// Marks a built MongoDB catalog, so an empty one is told apart from none
+const MARKER_ID = '$catalog';
+
+// Digest of a backup's per-file checksums, identifying its contents without
+// reading them. Backups written without checksums have none.
+function manifestChecksum(backupInfo) {
+  const files = Object.entries(backupInfo.files || {})
+    .filter(([, checksum]) => checksum && checksum.sha256)
+    .sort(([a], [b]) => a.localeCompare(b));
+  if (files.length === 0) return undefined;
+
+  const hash = crypto.createHash('sha256');
+  for (const [file, checksum] of files) {
+    hash.update(`${file}:${checksum.sha256}\n`);
+  }
+  return hash.digest('hex');
+}
+
+const toList = value => [].concat(value || [])
+  .flatMap(item => String(item).split(','))
+  .map(item => item.trim())
+  .filter(Boolean);
+
+function normalizeFilter(filter = {}) {
+  const sort = filter.sort || 'created';
+  if (!SORT_FIELDS.includes(sort)) {
+    throw new Error(`Cannot sort backups by ${sort}; use one of ${SORT_FIELDS.join(', ')}`);
+  }
+  if (filter.location && !['local', 'remote'].includes(filter.location)) {
+    throw new Error(`Unknown backup location: ${filter.location}`);
+  }
+
+  return {
+    ...filter,
+    tags: toList(filter.tags),
+    since: filter.since ? new Date(filter.since) : null,
+    until: filter.until ? new Date(filter.until) : null,
+    sort,
+    order: filter.order === 'asc' ? 1 : -1,
+    limit: filter.limit ? Number(filter.limit) : 0
+  };
+}
+
+// Filters and sorts catalog entries in memory. Filters: cluster, database,
+// type, retentionClass, tags (all of them), since/until (creation time),
+// location (local or remote) and encrypted; sort by one of SORT_FIELDS,
+// newest or largest first unless order is 'asc'.
+function filterBackups(entries, filter = {}) {
+  const query = normalizeFilter(filter);
+  const compare = (a, b) => {
+    const [x, y] = query.sort === 'created' ?
+      [new Date(a.created).getTime() || 0, new Date(b.created).getTime() || 0] :
+      [a[query.sort], b[query.sort]];
+    if (x === y) return 0;
+    if (x === undefined || x === null) return 1;
+    if (y === undefined || y === null) return -1;
+    return (x < y ? -1 : 1) * query.order;
+  };
+
+  const matches = entries.filter(entry => {
+    const created = new Date(entry.created);
+    return ['cluster', 'database', 'type', 'retentionClass'].every(field => !query[field] || entry[field] === query[field]) &&
+      query.tags.every(tag => (entry.tags || []).includes(tag)) &&
+      (!query.since || created >= query.since) &&
+      (!query.until || created <= query.until) &&
+      (query.location !== 'local' || entry.local !== false) &&
+      (query.location !== 'remote' || Boolean(entry.location)) &&
+      (query.encrypted === undefined || Boolean(entry.encrypted) === Boolean(query.encrypted));
+  }).sort(compare);
+
+  return query.limit ? matches.slice(0, query.limit) : matches;
+}
+
+// Catalog kept as one JSON file, by default catalog.json in the backup
+// directory. Writes are serialized within the process.
+class FileBackupCatalog {
+  constructor(options = {}) {
+    if (!options.path) {
+      throw new Error('File backup catalogs require a path');
+    }
+    this.type = 'file';
+    this.filePath = options.path;
+    this.pending = Promise.resolve();
+  }
+
+  describe() {
+    return this.filePath;
+  }
+
+  // null until the catalog has been built
+  async read() {
+    let content;
+    try {
+      content = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    try {
+      const catalog = JSON.parse(content);
+      return catalog && catalog.version === CATALOG_VERSION && catalog.backups ? catalog : null;
+    } catch (error) {
+      // A catalog cut off mid-write is rebuilt
+      return null;
+    }
+  }
+
+  async write(catalog) {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.writeFile(this.filePath, JSON.stringify(catalog, null, 2));
+  }
+
+  // Changes to a catalog that was never built are dropped; building it
+  // picks them up from storage
+  update(change) {
+    const write = this.pending.then(async () => {
+      const catalog = await this.read();
+      if (!catalog) return;
+      change(catalog.backups);
+      await this.write(catalog);
+    });
+    this.pending = write.catch(() => {});
+    return write;
+  }
+
+  async list(filter = {}) {
+    const catalog = await this.read();
+    return catalog ? filterBackups(Object.values(catalog.backups), filter) : null;
+  }
+
+  async upsert(entry) {
+    await this.update(backups => {
+      backups[entry.name] = entry;
+    });
+  }
+
+  async remove(name) {
+    await this.update(backups => {
+      delete backups[name];
+    });
+  }
+
+  async replace(entries) {
+    const write = this.pending.then(() => this.write({
+      version: CATALOG_VERSION,
+      rebuiltAt: new Date(),
+      backups: Object.fromEntries(entries.map(entry => [entry.name, entry]))
+    }));
+    this.pending = write.catch(() => {});
+    await write;
+  }
+}
+
+// Catalog kept as one document per backup in a MongoDB collection, so every
+// instance sees the same backups and filters run as queries
+class MongoBackupCatalog {
+  constructor(clusterManager, options = {}) {
+    if (!options.cluster) {
+      throw new Error('MongoDB backup catalogs require a cluster');
+    }
+    this.type = 'mongodb';
+    this.clusterManager = clusterManager;
+    this.cluster = options.cluster;
+    this.database = options.database || 'mongodb_manager';
+    this.collectionName = options.collection || 'backup_catalog';
+    this.indexed = false;
+  }
+
+  describe() {
+    return `${this.cluster}/${this.database}.${this.collectionName}`;
+  }
+
+  async getCollection() {
+    const collection = this.clusterManager.getDatabase(this.cluster, this.database).collection(this.collectionName);
+    if (!this.indexed) {
+      await collection.createIndex({ cluster: 1, database: 1, created: -1 }).catch(() => {});
+      this.indexed = true;
+    }
+    return collection;
+  }
+
+  toDocument(entry) {
+    const document = { _id: entry.name };
+    for (const [key, value] of Object.entries(entry)) {
+      if (value !== undefined) {
+        document[key] = value;
+      }
+    }
+    if (entry.created) {
+      document.created = new Date(entry.created);
+    }
+    return document;
+  }
+
+  async list(filter = {}) {
+    const collection = await this.getCollection();
+    if (!await collection.findOne({ _id: MARKER_ID })) {
+      return null;
+    }
+
+    const query = normalizeFilter(filter);
+    const mongoQuery = { _id: { $ne: MARKER_ID } };
+    for (const field of ['cluster', 'database', 'type', 'retentionClass']) {
+      if (query[field]) {
+        mongoQuery[field] = query[field];
+      }
+    }
+    if (query.tags.length > 0) {
+      mongoQuery.tags = { $all: query.tags };
+    }
+    if (query.since || query.until) {
+      mongoQuery.created = {};
+      if (query.since) mongoQuery.created.$gte = query.since;
+      if (query.until) mongoQuery.created.$lte = query.until;
+    }
+    if (query.location === 'local') {
+      mongoQuery.local = { $ne: false };
+    } else if (query.location === 'remote') {
+      mongoQuery.location = { $type: 'string' };
+    }
+    if (query.encrypted !== undefined) {
+      mongoQuery.encrypted = Boolean(query.encrypted);
+    }
+
+    let cursor = collection
+      .find(mongoQuery, { projection: { _id: 0 } })
+      .sort({ [query.sort]: query.order, name: 1 });
+    if (query.limit) {
+      cursor = cursor.limit(query.limit);
+    }
+    return cursor.toArray();
+  }
+
+  async upsert(entry) {
+    const collection = await this.getCollection();
+    if (!await collection.findOne({ _id: MARKER_ID })) return;
+    await collection.replaceOne({ _id: entry.name }, this.toDocument(entry), { upsert: true });
+  }
+
+  async remove(name) {
+    const collection = await this.getCollection();
+    await collection.deleteOne({ _id: name });
+  }
+
+  // The marker goes last, so an interrupted rebuild is started over
+  async replace(entries) {
+    const collection = await this.getCollection();
+    await collection.deleteMany({});
+    if (entries.length > 0) {
+      await collection.insertMany(entries.map(entry => this.toDocument(entry)), { ordered: false });
+    }
+    await collection.insertOne({ _id: MARKER_ID, rebuiltAt: new Date() });
+  }
+}
+
+function createBackupCatalog(settings, clusterManager, backupDir) {
+  if (!settings || !settings.type || settings.type === 'file') {
+    return new FileBackupCatalog({
+      path: (settings && settings.path) || path.join(backupDir, 'catalog.json')
+    });
+  }
+  if (settings.type === 'mongodb') {
+    return new MongoBackupCatalog(clusterManager, settings);
+  }
+  throw new Error(`Unknown backup catalog type: ${settings.type}`);
+}
+
+module.exports = {
+  FileBackupCatalog,
+  MongoBackupCatalog,
+  createBackupCatalog,
+  filterBackups,
+  manifestChecksum
+};
@@ -0,0 +1,177 @@
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const KDF = 'scrypt';
+const KEY_CHECK = 'mongodb-manager-backup';
+
+// Resolves backup passphrases by key ID. Keys live in the backupEncryption
+// setting, encrypted with the ConfigManager key, or come from the
+// MM_BACKUP_PASSPHRASE / MM_BACKUP_KEY_ID environment variables.
+class BackupKeyProvider {
+  constructor(config) {
+    this.config = config;
+  }
+
+  getSettings() {
+    return this.config.getSetting('backupEncryption') || {};
+  }
+
+  getDefaultKeyId() {
+    if (process.env.MM_BACKUP_PASSPHRASE) {
+      return process.env.MM_BACKUP_KEY_ID || 'default';
+    }
+    return this.getSettings().defaultKeyId || null;
+  }
+
+  getPassphrase(keyId) {
+    if (process.env.MM_BACKUP_PASSPHRASE && (process.env.MM_BACKUP_KEY_ID || 'default') === keyId) {
+      return process.env.MM_BACKUP_PASSPHRASE;
+    }
+
+    const stored = (this.getSettings().keys || {})[keyId];
+    return stored ? this.config.decrypt(stored) : null;
+  }
+
+  hasKey(keyId) {
+    try {
+      return this.getPassphrase(keyId) !== null;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Without MM_ENCRYPTION_KEY the ConfigManager key is generated per
+  // process, so a stored passphrase could never be decrypted again
+  async addKey(keyId, passphrase, makeDefault = false) {
+    if (!process.env.MM_ENCRYPTION_KEY) {
+      throw new Error(`MM_ENCRYPTION_KEY is not set, so backup key ${keyId} could not be read back after this process exits; set MM_ENCRYPTION_KEY or pass the passphrase in MM_BACKUP_PASSPHRASE instead`);
+    }
+
+    const settings = this.getSettings();
+    const keys = { ...(settings.keys || {}), [keyId]: this.config.encrypt(passphrase) };
+
+    this.config.setSetting('backupEncryption', {
+      ...settings,
+      keys,
+      defaultKeyId: makeDefault || !settings.defaultKeyId ? keyId : settings.defaultKeyId
+    });
+    await this.config.save();
+  }
+
+  listKeys() {
+    const settings = this.getSettings();
+    const ids = new Set(Object.keys(settings.keys || {}));
+    if (process.env.MM_BACKUP_PASSPHRASE) {
+      ids.add(process.env.MM_BACKUP_KEY_ID || 'default');
+    }
+    return Array.from(ids).map(id => ({ id, default: id === this.getDefaultKeyId() }));
+  }
+}
+
+// AES-256-GCM with a scrypt key derived per backup from the passphrase and a
+// random salt. Every file gets its own IV; IVs and auth tags are recorded in
+// the backup metadata.
+class BackupCipher {
+  constructor(key, header, files = {}) {
+    this.key = key;
+    this.header = header;
+    this.files = files;
+  }
+
+  static create(keyId, passphrase) {
+    const salt = crypto.randomBytes(16);
+    const cipher = new BackupCipher(crypto.scryptSync(passphrase, salt, 32), {
+      algorithm: ALGORITHM,
+      kdf: KDF,
+      keyId,
+      salt: salt.toString('hex')
+    });
+    cipher.header.check = cipher.encryptBuffer(null, Buffer.from(KEY_CHECK)).toString('hex');
+    return cipher;
+  }
+
+  static fromMetadata(encryption, passphrase) {
+    if (encryption.algorithm !== ALGORITHM || encryption.kdf !== KDF) {
+      throw new Error(`Unsupported backup encryption: ${encryption.algorithm}/${encryption.kdf}`);
+    }
+
+    const { files, ...header } = encryption;
+    const cipher = new BackupCipher(
+      crypto.scryptSync(passphrase, Buffer.from(encryption.salt, 'hex'), 32),
+      header,
+      files || {}
+    );
+
+    try {
+      cipher.decryptBuffer(null, Buffer.from(header.check, 'hex'));
+    } catch (error) {
+      throw new Error(`Wrong passphrase for backup key ${encryption.keyId}`);
+    }
+
+    return cipher;
+  }
+
+  seal(relativePath, iv, authTag) {
+    const entry = { iv: iv.toString('hex'), authTag: authTag.toString('hex') };
+    if (relativePath) {
+      this.files[relativePath] = entry;
+    } else {
+      this.header.checkIv = entry.iv;
+      this.header.checkTag = entry.authTag;
+    }
+  }
+
+  entryFor(relativePath) {
+    return relativePath ?
+      this.files[relativePath] :
+      { iv: this.header.checkIv, authTag: this.header.checkTag };
+  }
+
+  createEncryptStream(relativePath) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, this.key, iv);
+    cipher.on('end', () => this.seal(relativePath, iv, cipher.getAuthTag()));
+    return cipher;
+  }
+
+  encryptBuffer(relativePath, buffer) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, this.key, iv);
+    const encrypted = Buffer.concat([cipher.update(buffer), cipher.final()]);
+    this.seal(relativePath, iv, cipher.getAuthTag());
+    return encrypted;
+  }
+
+  isEncrypted(relativePath) {
+    return Boolean(this.files[relativePath]);
+  }
+
+  createDecipher(relativePath) {
+    const entry = this.entryFor(relativePath);
+    if (!entry || !entry.iv) {
+      throw new Error(`No encryption metadata for ${relativePath}`);
+    }
+
+    const decipher = crypto.createDecipheriv(ALGORITHM, this.key, Buffer.from(entry.iv, 'hex'));
+    decipher.setAuthTag(Buffer.from(entry.authTag, 'hex'));
+    return decipher;
+  }
+
+  createDecryptStream(relativePath) {
+    return this.createDecipher(relativePath);
+  }
+
+  decryptBuffer(relativePath, buffer) {
+    const decipher = this.createDecipher(relativePath);
+    return Buffer.concat([decipher.update(buffer), decipher.final()]);
+  }
+
+  toMetadata() {
+    return { ...this.header, files: this.files };
+  }
+}
+
+module.exports = {
+  BackupKeyProvider,
+  BackupCipher
+};
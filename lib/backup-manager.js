@@ -2,14 +2,172 @@ const fs = require('fs').promises;
 const path = require('path');
 const archiver = require('archiver');
 const cron = require('node-cron');
+const EventEmitter = require('events');
+const { BSON } = require('mongodb');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { pipeline } = require('stream');
+const {
+  DocumentWriter,
+  ChecksumStream,
+  checksumFile,
+  readDocumentBatches,
+  readBsonBatches
+} = require('./utils/document-stream');
+const oplog = require('./utils/oplog');
+const { BackupKeyProvider, BackupCipher } = require('./backup-encryption');
+const { createStorageAdapter } = require('./backup-storage');
+const RetentionPolicy = require('./retention-policy');
+const CollectionSelection = require('./utils/collection-selection');
+const JobHistory = require('./job-history');
+const { Notifier } = require('./notifications');
+const { createJobLock } = require('./job-lock');
+const { createBackupCatalog, filterBackups, manifestChecksum } = require('./backup-catalog');
+const { Throttle, LoadBackoff } = require('./utils/throttle');
+const { countDuplicateKeyErrors } = require('./utils/mongo-errors');
+const { MaskingProfile } = require('./masking');
 
-class BackupManager {
+const BACKUP_MODES = ['full', 'incremental', 'differential'];
+
+// 'snapshot' reads every collection at one cluster time and falls back to
+// 'oplog', which captures the writes made during the dump so a restore can
+// replay them up to the end of the backup.
+const CONSISTENCY_LEVELS = ['none', 'oplog', 'snapshot'];
+// SnapshotTooOld and SnapshotUnavailable: the snapshot of a long backup
+// fell out of the server's minSnapshotHistoryWindowInSeconds
+const SNAPSHOT_LOST_CODES = [239, 246];
+
+// 'ejson' and 'bson' keep every BSON type; 'ndjson' (plain JSON) is only
+// read, for backups taken before type-preserving formats existed.
+const BACKUP_FORMATS = {
+  ejson: {
+    extension: 'ndjson',
+    serialize: document => BSON.EJSON.stringify(document, { relaxed: false }),
+    parse: line => BSON.EJSON.parse(line, { relaxed: false })
+  },
+  bson: {
+    extension: 'bson',
+    binary: true,
+    serialize: document => BSON.serialize(document)
+  },
+  ndjson: {
+    extension: 'ndjson',
+    readOnly: true,
+    parse: JSON.parse
+  }
+};
+
+// How a restore treats documents whose _id already exists in the target
+const CONFLICT_STRATEGIES = ['fail', 'skip', 'overwrite'];
+
+// Collections smaller than this are never split into parallel range reads
+const DEFAULT_SPLIT_MIN_DOCUMENTS = 1000000;
+
+// Server load at which throttled backups back off, unless configured
+const DEFAULT_BACKOFF = { maxConnectionUsage: 0.9 };
+
+// Runs worker over items with at most limit running at once, keeping the
+// results in item order
+// After a failure no more items are started, and the ones in progress are
+// waited for, so nothing is left running once this rejects
+async function runConcurrently(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  let failed = false;
+  const run = async () => {
+    while (next < items.length && !failed) {
+      const index = next++;
+      try {
+        results[index] = await worker(items[index], index);
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+    }
+  };
+  const outcomes = await Promise.allSettled(Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, run));
+  const rejected = outcomes.find(outcome => outcome.status === 'rejected');
+  if (rejected) {
+    throw rejected.reason;
+  }
+  return results;
+}
+
+// Comparable one-line form of an index definition
+function describeIndex(index) {
+  const options = ['unique', 'sparse', 'expireAfterSeconds', 'partialFilterExpression']
+    .filter(option => index[option] !== undefined)
+    .map(option => `${option}=${JSON.stringify(index[option])}`);
+  return [index.name, JSON.stringify(index.key), ...options].join(' ');
+}
+
+class BackupManager extends EventEmitter {
   constructor(clusterManager, config, logger) {
+    super();
     this.clusterManager = clusterManager;
     this.config = config;
     this.logger = logger;
     this.scheduledJobs = new Map();
     this.backupDir = path.join(process.cwd(), 'backups');
+    this.keyProvider = new BackupKeyProvider(config);
+    this.storage = undefined;
+    this.history = undefined;
+    this.notifier = undefined;
+    this.jobLock = undefined;
+    this.catalog = undefined;
+    this.monitoring = null;
+  }
+
+  // Lets throttled backups back off when MonitoringService reports the
+  // cluster as loaded
+  setMonitoringService(monitoring) {
+    this.monitoring = monitoring;
+  }
+
+  // Remote target from the backupStorage setting, or null when backups only
+  // live in the local backup directory
+  getStorage() {
+    if (this.storage === undefined) {
+      this.storage = createStorageAdapter(this.config.getSetting('backupStorage'));
+    }
+    return this.storage;
+  }
+
+  // Ledger of scheduled backup runs, kept next to the backups
+  getJobHistory() {
+    if (this.history === undefined) {
+      const limit = this.config.getSetting('backupHistoryLimit');
+      this.history = new JobHistory(path.join(this.backupDir, 'job-history.ndjson'), {
+        maxEntries: Number.isInteger(limit) ? limit : undefined
+      });
+    }
+    return this.history;
+  }
+
+  // Channels from the notifications setting
+  getNotifier() {
+    if (this.notifier === undefined) {
+      this.notifier = Notifier.fromSettings(this.config.getSetting('notifications'), this.logger);
+    }
+    return this.notifier;
+  }
+
+  // Lease store from the backupLocks setting, or null when every instance
+  // runs its scheduled jobs unconditionally
+  getJobLock() {
+    if (this.jobLock === undefined) {
+      this.jobLock = createJobLock(this.config.getSetting('backupLocks'), this.clusterManager);
+    }
+    return this.jobLock;
+  }
+
+  // Index of backup metadata from the backupCatalog setting, by default
+  // catalog.json in the backup directory
+  getCatalog() {
+    if (this.catalog === undefined) {
+      this.catalog = createBackupCatalog(this.config.getSetting('backupCatalog'), this.clusterManager, this.backupDir);
+    }
+    return this.catalog;
   }
 
   async initialize() {
@@ -22,206 +180,1641 @@ class BackupManager {
     }
   }
 
-  async createBackup(clusterName, dbName, options = {}) {
-    try {
-      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-      const backupName = `${clusterName}-${dbName}-${timestamp}`;
-      const backupPath = path.join(this.backupDir, backupName);
-      
-      await fs.mkdir(backupPath, { recursive: true });
+  // Every backup reports how it went in a backupFinished event, with a
+  // status of success, partial or failed
+  async createBackup(clusterName, dbName, options = {}) {
+    const finished = { cluster: clusterName, database: dbName, type: options.mode || 'full' };
+    try {
+      const result = await this.runBackup(clusterName, dbName, options);
+      this.emit('backupFinished', {
+        ...finished,
+        type: (result.info && result.info.type) || finished.type,
+        status: result.info && result.info.status === 'partial' ? 'partial' : 'success',
+        backup: result.name
+      });
+      return result;
+    } catch (error) {
+      this.emit('backupFinished', { ...finished, status: 'failed', error: error.message });
+      throw error;
+    }
+  }
+
+  async runBackup(clusterName, dbName, options = {}) {
+    const mode = options.mode || 'full';
+    if (!BACKUP_MODES.includes(mode)) {
+      throw new Error(`Unknown backup mode: ${mode}`);
+    }
+    const format = BACKUP_FORMATS[options.format || 'ejson'];
+    if (!format || format.readOnly) {
+      throw new Error(`Unsupported backup format: ${options.format}`);
+    }
+    // Oplog entries carry whole documents and update diffs that a profile
+    // cannot reliably mask, so masked backups never contain any
+    if (options.masking && (mode !== 'full' || options.consistency === 'oplog')) {
+      throw new Error('Masked backups must be full backups without oplog capture');
+    }
+    if (mode !== 'full') {
+      return this.createIncrementalBackup(clusterName, dbName, options);
+    }
+    const consistency = options.consistency || 'none';
+    if (!CONSISTENCY_LEVELS.includes(consistency)) {
+      throw new Error(`Unknown backup consistency: ${consistency}`);
+    }
+    const masking = options.masking ? MaskingProfile.fromConfig(this.config, options.masking) : null;
+
+    try {
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+      const backupName = `${clusterName}-${dbName}-${timestamp}`;
+      const backupPath = path.join(this.backupDir, backupName);
+      
+      const cipher = this.createBackupCipher(options);
+      const selection = new CollectionSelection(options);
+
+      const db = this.clusterManager.getDatabase(clusterName, dbName);
+      const client = this.clusterManager.getConnection(clusterName);
+      const collections = await db.listCollections().toArray();
+
+      // The oplog position before the dump lets the next incremental backup
+      // replay every write that happened while collections were being read
+      const oplogBefore = await oplog.getOplogWindow(client);
+      if (consistency !== 'none' && !oplogBefore) {
+        throw new Error(`Cluster ${clusterName} has no oplog; consistent backups require a replica set`);
+      }
+
+      await fs.mkdir(backupPath, { recursive: true });
+      
+      const backupInfo = {
+        cluster: clusterName,
+        database: dbName,
+        timestamp: new Date(),
+        type: 'full',
+        format: options.format || 'ejson',
+        consistency: { requested: consistency, level: consistency },
+        selection: selection.toJSON(),
+        collections: [],
+        excludedCollections: [],
+        files: {},
+        totalDocuments: 0,
+        totalSize: 0
+      };
+      if (masking) {
+        backupInfo.masking = { profile: masking.name };
+      }
+
+      this.logger.info(`Starting backup for ${clusterName}/${dbName}`);
+
+      const batchSize = options.batchSize || 1000;
+
+      // BSON backups use the mongodump layout (<db>/<collection>.bson) so
+      // they can be handed to mongorestore directly
+      const dataDir = backupInfo.format === 'bson' ? dbName : '';
+      if (dataDir) {
+        await fs.mkdir(path.join(backupPath, dataDir), { recursive: true });
+      }
+
+      let session = null;
+      if (consistency === 'snapshot') {
+        const first = collections.find(collectionInfo => selection.includes(collectionInfo.name));
+        try {
+          session = await this.openSnapshotSession(client, db, first ? first.name : 'system.views');
+          backupInfo.consistency.clusterTime = oplog.toOptime(session.snapshotTime);
+        } catch (error) {
+          if (masking) {
+            throw new Error(`Snapshot reads are not available on ${clusterName} and masked backups cannot capture the oplog: ${error.message}`);
+          }
+          this.logger.warn(`Snapshot reads are not available on ${clusterName}, capturing the oplog instead:`, error.message);
+          backupInfo.consistency.level = 'oplog';
+          backupInfo.consistency.fallbackReason = error.message;
+        }
+      }
+
+      const selected = [];
+      for (const collectionInfo of collections) {
+        if (selection.includes(collectionInfo.name)) {
+          selected.push(collectionInfo);
+        } else {
+          backupInfo.excludedCollections.push(collectionInfo.name);
+        }
+      }
+
+      // Collections read after the snapshot was lost, and the one that lost
+      // it, are read without it while the oplog keeps the backup consistent
+      const snapshotLost = (error) => {
+        const advice = `raise minSnapshotHistoryWindowInSeconds on ${clusterName} above the backup's duration`;
+        if (masking) {
+          throw new Error(`The snapshot of ${clusterName} expired during the backup and masked backups cannot capture the oplog instead; ${advice}: ${error.message}`);
+        }
+        if (backupInfo.consistency.level === 'snapshot') {
+          this.logger.warn(`The snapshot of ${clusterName} expired during the backup, capturing the oplog instead (${advice} to keep snapshot consistency):`, error.message);
+          backupInfo.consistency.level = 'oplog';
+          backupInfo.consistency.fallbackReason = error.message;
+          delete backupInfo.consistency.clusterTime;
+        }
+      };
+
+      const throttling = this.startThrottle(clusterName, options);
+      try {
+        const entries = await runConcurrently(selected, options.parallel || 1, collectionInfo =>
+          this.backupCollection(db, collectionInfo, backupPath, backupInfo, {
+            backupName,
+            dataDir,
+            format,
+            selection,
+            session: backupInfo.consistency.level === 'snapshot' ? session : null,
+            snapshotLost,
+            batchSize,
+            cipher,
+            masking,
+            throttle: throttling && throttling.throttle,
+            split: dataDir ? null : options.split
+          })
+        );
+        backupInfo.collections.push(...entries);
+      } finally {
+        if (session) {
+          await session.endSession().catch(() => {});
+        }
+        if (throttling) {
+          throttling.stop();
+        }
+      }
+      if (throttling) {
+        const { configured, backoffs } = throttling.throttle;
+        backupInfo.throttle = {
+          documentsPerSecond: configured.documents || null,
+          bytesPerSecond: configured.bytes || null,
+          backoffs
+        };
+      }
+
+      const oplogAfter = await oplog.getOplogWindow(client);
+      backupInfo.oplog = oplogBefore && oplogAfter ?
+        { start: oplogBefore.end, end: oplogAfter.end } :
+        null;
+
+      if (backupInfo.consistency.level === 'oplog') {
+        const captured = await this.writeOplogSegment(client, backupPath, {
+          backup: backupName,
+          cluster: clusterName,
+          database: dbName,
+          since: backupInfo.oplog.start,
+          until: backupInfo.oplog.end,
+          batchSize,
+          cipher
+        });
+        backupInfo.oplogFile = captured.file;
+        backupInfo.oplogEntries = captured.documents;
+        backupInfo.files[captured.file] = captured.checksum;
+        backupInfo.totalSize += captured.bytes;
+        backupInfo.consistency.consistentAt = backupInfo.oplog.end;
+      }
+
+      if (cipher) {
+        backupInfo.encryption = cipher.toMetadata();
+      }
+      backupInfo.status = backupInfo.collections.some(collection => collection.error) ? 'partial' : 'complete';
+
+      return await this.finalizeBackup(backupName, backupPath, backupInfo, options);
+    } catch (error) {
+      this.logger.error(`Backup failed for ${clusterName}/${dbName}:`, error);
+      throw error;
+    }
+  }
+
+  // Opens a snapshot session and pins its cluster time with a first read,
+  // so every later read in the session sees the same point in time. Fails on
+  // servers without snapshot reads (standalone servers, MongoDB before 5.0).
+  async openSnapshotSession(client, db, collectionName) {
+    const session = client.startSession({ snapshot: true });
+    try {
+      await db.collection(collectionName).find({}, { session }).limit(1).toArray();
+      if (!session.snapshotTime) {
+        throw new Error('Server did not report a snapshot time');
+      }
+      return session;
+    } catch (error) {
+      await session.endSession().catch(() => {});
+      throw error;
+    }
+  }
+
+  // Dumps one collection and its metadata and returns its entry for
+  // backupInfo, adding file checksums and totals. Failures are recorded on
+  // the entry so the rest of the backup continues.
+  async backupCollection(db, collectionInfo, backupPath, backupInfo, options) {
+    const { backupName, dataDir, format, selection, session, batchSize, cipher, masking, throttle } = options;
+    const collectionName = collectionInfo.name;
+    const clusterName = backupInfo.cluster;
+    const dbName = backupInfo.database;
+
+    try {
+      const collection = db.collection(collectionName);
+      const metadataFile = path.posix.join(dataDir, `${collectionName}.metadata.json`);
+
+      const projection = selection.projectionFor(collectionName);
+      // Unpromoted values keep Int64 and whole-number doubles from coming
+      // back as plain numbers that serialize as int32 or lose precision
+      const findOptions = { promoteValues: false };
+      if (projection) {
+        findOptions.projection = projection;
+      }
+      if (session) {
+        findOptions.session = session;
+      }
+
+      const query = selection.queryFor(collectionName);
+      const ranges = await this.planCollectionRanges(collection, collectionInfo, options.split);
+      const parts = (ranges || [null]).map((range, index) => ({
+        file: path.posix.join(dataDir, ranges ?
+          `${collectionName}.part-${index}.${format.extension}` :
+          `${collectionName}.${format.extension}`),
+        filter: !range ? query : Object.keys(query).length > 0 ? { $and: [query, range] } : range
+      }));
+
+      const results = await runConcurrently(parts, parts.length, part => {
+        const cursor = collection.find(part.filter, findOptions).batchSize(batchSize);
+        return this.writeCursor(cursor, path.join(backupPath, part.file), {
+          backup: backupName,
+          cluster: clusterName,
+          database: dbName,
+          collection: collectionName,
+          batchSize,
+          serialize: format.serialize,
+          binary: format.binary,
+          cipher,
+          throttle,
+          mask: masking && masking.appliesTo(collectionName) ?
+            document => masking.mask(collectionName, document) :
+            null,
+          file: part.file
+        });
+      });
+      const written = {
+        documents: results.reduce((sum, result) => sum + result.documents, 0),
+        bytes: results.reduce((sum, result) => sum + result.bytes, 0)
+      };
+
+      const indexes = await collection.listIndexes().toArray();
+      const collectionMetadata = backupInfo.format === 'bson' ?
+        this.buildDumpMetadata(collectionInfo, indexes) :
+        {
+          collection: collectionName,
+          database: dbName,
+          cluster: clusterName,
+          options: collectionInfo.options || {},
+          indexes,
+          stats: await collection.stats().catch(() => ({}))
+        };
+
+      parts.forEach((part, index) => {
+        backupInfo.files[part.file] = results[index].checksum;
+      });
+      backupInfo.files[metadataFile] = await this.writeBackupFile(
+        backupPath,
+        metadataFile,
+        BSON.EJSON.stringify(collectionMetadata, null, 2, { relaxed: false }),
+        cipher
+      );
+
+      const entry = {
+        name: collectionName,
+        ...(ranges ? { parts: parts.map(part => part.file) } : { file: parts[0].file }),
+        metadataFile,
+        documentCount: written.documents,
+        size: written.bytes,
+        indexes: indexes.length
+      };
+      if (selection.isFiltered(collectionName)) {
+        entry.filtered = true;
+      }
+
+      backupInfo.totalDocuments += written.documents;
+      backupInfo.totalSize += written.bytes;
+
+      this.logger.info(`Backed up collection: ${collectionName} (${written.documents} documents${ranges ? ` in ${ranges.length} ranges` : ''})`);
+      return entry;
+    } catch (error) {
+      if (session && SNAPSHOT_LOST_CODES.includes(error.code)) {
+        // Throws when the backup cannot go on without the snapshot
+        options.snapshotLost(error);
+        return this.backupCollection(db, collectionInfo, backupPath, backupInfo, { ...options, session: null });
+      }
+      this.logger.error(`Failed to backup collection ${collectionName}:`, error);
+      return {
+        name: collectionName,
+        error: error.message
+      };
+    }
+  }
+
+  // Splits a large collection into _id ranges read in parallel, with
+  // boundaries taken from a random sample. Range queries only match _ids of
+  // the boundaries' BSON type, so the first range also takes every other
+  // type. Returns null when the collection is not worth splitting.
+  async planCollectionRanges(collection, collectionInfo, split) {
+    if (!split || !(split.parts > 1) || (collectionInfo.type && collectionInfo.type !== 'collection')) {
+      return null;
+    }
+
+    const documents = await collection.estimatedDocumentCount();
+    if (documents < (split.minDocuments || DEFAULT_SPLIT_MIN_DOCUMENTS)) {
+      return null;
+    }
+
+    const sample = await collection.aggregate([
+      { $sample: { size: split.parts * 20 } },
+      { $project: { _id: 1, type: { $type: '$_id' } } },
+      { $sort: { _id: 1 } }
+    ]).toArray();
+    if (new Set(sample.map(document => document.type)).size !== 1) {
+      return null;
+    }
+
+    // $sample may return a document twice
+    const ids = [];
+    for (const document of sample) {
+      const key = BSON.EJSON.stringify(document._id);
+      if (ids.length === 0 || ids[ids.length - 1].key !== key) {
+        ids.push({ key, value: document._id });
+      }
+    }
+    if (ids.length < split.parts) {
+      return null;
+    }
+
+    const step = ids.length / split.parts;
+    const bounds = Array.from({ length: split.parts - 1 }, (value, index) => ids[Math.floor((index + 1) * step)].value);
+
+    return [
+      { _id: { $not: { $gte: bounds[0] } } },
+      ...bounds.slice(1).map((bound, index) => ({ _id: { $gte: bounds[index], $lt: bound } })),
+      { _id: { $gte: bounds[bounds.length - 1] } }
+    ];
+  }
+
+  // Throughput limits from options.throttle over the backupThrottle
+  // setting. With monitoring available, reads also back off while the
+  // cluster is loaded. Returns null when nothing would be throttled.
+  startThrottle(clusterName, options = {}) {
+    if (options.throttle === false) {
+      return null;
+    }
+
+    const settings = { ...this.config.getSetting('backupThrottle'), ...options.throttle };
+    const watchLoad = Boolean(this.monitoring) && settings.backoff !== false;
+    if (!settings.documentsPerSecond && !settings.bytesPerSecond && !watchLoad) {
+      return null;
+    }
+
+    const throttle = new Throttle(settings);
+    const backoff = watchLoad ? new LoadBackoff(throttle, () => this.monitoring.getLoad(clusterName), {
+      ...DEFAULT_BACKOFF,
+      ...settings.backoff,
+      onChange: ({ reason, factor }) => {
+        if (reason) {
+          this.logger.warn(`Backing off backup reads on ${clusterName}: ${reason} (rate ${Math.round(factor * 100)}%)`);
+        } else {
+          this.logger.info(`Load on ${clusterName} is back to normal, resuming backup reads`);
+        }
+      }
+    }).start() : null;
+
+    return {
+      throttle,
+      stop: () => {
+        if (backoff) backoff.stop();
+      }
+    };
+  }
+
+  async createIncrementalBackup(clusterName, dbName, options = {}) {
+    const mode = options.mode;
+
+    try {
+      const parent = await this.findParentBackup(clusterName, dbName, mode);
+      if (!parent) {
+        this.logger.info(`No base backup with an oplog position for ${clusterName}/${dbName}, taking a full backup`);
+        return await this.runBackup(clusterName, dbName, { ...options, mode: 'full' });
+      }
+
+      const client = this.clusterManager.getConnection(clusterName);
+      const window = await oplog.getOplogWindow(client);
+      if (!window) {
+        throw new Error(`Cluster ${clusterName} has no oplog; ${mode} backups require a replica set`);
+      }
+
+      // A full parent is replayed from the start of its dump so writes made
+      // while it was running are captured
+      const since = parent.type === 'full' ? parent.oplog.start : parent.oplog.end;
+      if (oplog.compareOptimes(window.start, since) > 0) {
+        throw new Error(`Oplog no longer covers the last backup ${parent.name}; take a full backup`);
+      }
+
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+      const backupName = `${clusterName}-${dbName}-${timestamp}`;
+      const backupPath = path.join(this.backupDir, backupName);
+      const batchSize = options.batchSize || 1000;
+      const cipher = this.createBackupCipher(options);
+
+      await fs.mkdir(backupPath, { recursive: true });
+
+      this.logger.info(`Starting ${mode} backup for ${clusterName}/${dbName} on top of ${parent.name}`);
+
+      const written = await this.writeOplogSegment(client, backupPath, {
+        backup: backupName,
+        cluster: clusterName,
+        database: dbName,
+        since,
+        until: window.end,
+        batchSize,
+        cipher
+      });
+
+      const backupInfo = {
+        cluster: clusterName,
+        database: dbName,
+        timestamp: new Date(),
+        type: mode,
+        parent: parent.name,
+        base: parent.type === 'full' ? parent.name : parent.base,
+        format: 'ndjson',
+        oplog: { start: since, end: window.end },
+        oplogFile: written.file,
+        oplogEntries: written.documents,
+        collections: [],
+        files: { [written.file]: written.checksum },
+        totalDocuments: 0,
+        totalSize: written.bytes,
+        status: 'complete'
+      };
+      if (cipher) {
+        backupInfo.encryption = cipher.toMetadata();
+      }
+
+      return await this.finalizeBackup(backupName, backupPath, backupInfo, options);
+    } catch (error) {
+      this.logger.error(`Backup failed for ${clusterName}/${dbName}:`, error);
+      throw error;
+    }
+  }
+
+  // Writes the database's oplog entries after options.since, up to
+  // options.until, to oplog.ndjson in the backup directory
+  async writeOplogSegment(client, backupPath, options) {
+    const file = 'oplog.ndjson';
+    const cursor = oplog.openOplogCursor(client, options.database, options.since, options.until)
+      .batchSize(options.batchSize);
+    const written = await this.writeCursor(cursor, path.join(backupPath, file), {
+      backup: options.backup,
+      cluster: options.cluster,
+      database: options.database,
+      collection: 'oplog',
+      batchSize: options.batchSize,
+      serialize: entry => BSON.EJSON.stringify(entry, { relaxed: false }),
+      cipher: options.cipher,
+      file
+    });
+    return { ...written, file };
+  }
+
+  async findParentBackup(clusterName, dbName, mode) {
+    const backups = await this.listBackups();
+    return backups.find(backup =>
+      backup.cluster === clusterName &&
+      backup.database === dbName &&
+      backup.oplog &&
+      !backup.masking &&
+      (mode !== 'differential' || backup.type === 'full')
+    ) || null;
+  }
+
+  async finalizeBackup(backupName, backupPath, backupInfo, options) {
+    if (options.tags && options.tags.length > 0) {
+      backupInfo.tags = [].concat(options.tags);
+    }
+    if (options.retentionClass) {
+      backupInfo.retentionClass = options.retentionClass;
+    }
+
+    // Save backup metadata
+    const metadataFile = path.join(backupPath, 'backup-info.json');
+    await fs.writeFile(metadataFile, JSON.stringify(backupInfo, null, 2));
+
+    // Compress if requested
+    if (options.compress) {
+      const archivePath = `${backupPath}.zip`;
+      await this.compressBackup(backupPath, archivePath);
+      
+      // Remove uncompressed directory
+      await fs.rmdir(backupPath, { recursive: true });
+      
+      backupInfo.compressed = true;
+      backupInfo.archivePath = archivePath;
+
+      // Keep the metadata readable next to the archive so backup chains
+      // can be resolved without extracting it
+      await fs.writeFile(`${backupPath}.info.json`, JSON.stringify(backupInfo, null, 2));
+    }
+
+    let location = options.compress ? `${backupPath}.zip` : backupPath;
+    let size;
+    const storage = this.getStorage();
+    if (storage) {
+      ({ location, size } = await this.uploadBackup(storage, backupName, backupPath, backupInfo));
+    }
+
+    await this.addToCatalog(backupName, backupPath, backupInfo, size);
+
+    this.logger.info(`Backup completed: ${backupName}`);
+    
+    return {
+      name: backupName,
+      path: location,
+      info: backupInfo,
+      size: backupInfo.totalSize,
+      collections: backupInfo.collections.length
+    };
+  }
+
+  // Remote storage receives the zip archive and its metadata sidecar. The
+  // sidecar goes last so a listed backup is always complete.
+  async uploadBackup(storage, backupName, backupPath, backupInfo) {
+    const settings = this.config.getSetting('backupStorage') || {};
+    const compressed = Boolean(backupInfo.compressed);
+    const archivePath = `${backupPath}.zip`;
+    const sidecarPath = `${backupPath}.info.json`;
+
+    if (!compressed) {
+      await this.compressBackup(backupPath, archivePath);
+    }
+
+    const { size } = await fs.stat(archivePath);
+    backupInfo.storage = { type: storage.type, location: storage.describe(`${backupName}.zip`) };
+    await fs.writeFile(sidecarPath, JSON.stringify({ ...backupInfo, compressed: true }, null, 2));
+
+    try {
+      this.logger.info(`Uploading backup to ${backupInfo.storage.location}`);
+      await storage.upload(archivePath, `${backupName}.zip`);
+      await storage.upload(sidecarPath, `${backupName}.info.json`);
+    } catch (error) {
+      this.logger.error(`Upload of ${backupName} failed; the backup was kept in ${this.backupDir}`);
+      throw error;
+    }
+
+    if (!settings.keepLocalCopy) {
+      await fs.unlink(archivePath);
+      await fs.unlink(sidecarPath);
+      if (!compressed) {
+        await fs.rmdir(backupPath, { recursive: true });
+      }
+    } else if (!compressed) {
+      // Keep the local copy in the form it was taken in
+      await fs.unlink(archivePath);
+      await fs.unlink(sidecarPath);
+      await fs.writeFile(path.join(backupPath, 'backup-info.json'), JSON.stringify(backupInfo, null, 2));
+    } else {
+      await fs.writeFile(sidecarPath, JSON.stringify(backupInfo, null, 2));
+    }
+
+    return { location: backupInfo.storage.location, size };
+  }
+
+  // Records a finished backup the way scanBackups would find it. A backup
+  // missing from the catalog is picked up again by rebuildCatalog, so
+  // failures here only warn.
+  async addToCatalog(backupName, backupPath, backupInfo, remoteSize) {
+    try {
+      const compressed = Boolean(backupInfo.compressed);
+      const entry = {
+        name: backupName,
+        path: compressed ? `${backupPath}.zip` : backupPath,
+        ...this.describeBackup(backupInfo),
+        compressed
+      };
+
+      if (backupInfo.storage) {
+        const settings = this.config.getSetting('backupStorage') || {};
+        if (!settings.keepLocalCopy) {
+          Object.assign(entry, { path: `${backupPath}.zip`, compressed: true, local: false, size: remoteSize });
+        }
+        entry.storage = backupInfo.storage.type;
+        entry.location = backupInfo.storage.location;
+      }
+      if (entry.size === undefined) {
+        entry.size = entry.compressed ? (await fs.stat(entry.path)).size : backupInfo.totalSize;
+      }
+
+      await this.getCatalog().upsert(entry);
+    } catch (error) {
+      this.logger.warn(`Failed to add ${backupName} to the backup catalog:`, error.message);
+    }
+  }
+
+  async writeCursor(cursor, filePath, context) {
+    const writer = this.createDocumentWriter(filePath, {
+      batchSize: context.batchSize,
+      serialize: context.serialize,
+      binary: context.binary,
+      cipher: context.cipher,
+      file: context.file
+    });
+
+    const reportProgress = (done) => {
+      this.emit('backupProgress', {
+        backup: context.backup,
+        cluster: context.cluster,
+        database: context.database,
+        collection: context.collection,
+        documentsWritten: writer.documentsWritten,
+        bytesWritten: writer.bytesWritten,
+        done
+      });
+    };
+
+    // Throttled reads pause between batches, which also holds back getMore
+    let throttled = { documents: 0, bytes: 0 };
+    const throttle = async () => {
+      if (!context.throttle) return;
+      const { documentsWritten: documents, bytesWritten: bytes } = writer;
+      await context.throttle.consume(documents - throttled.documents, bytes - throttled.bytes);
+      throttled = { documents, bytes };
+    };
+
+    try {
+      for await (const document of cursor) {
+        await writer.write(context.mask ? context.mask(document) : document);
+        if (writer.documentsWritten % context.batchSize === 0) {
+          reportProgress(false);
+          await throttle();
+        }
+      }
+      await writer.close();
+      await throttle();
+    } catch (error) {
+      writer.stream.destroy();
+      throw error;
+    } finally {
+      await cursor.close().catch(() => {});
+    }
+
+    reportProgress(true);
+
+    return {
+      documents: writer.documentsWritten,
+      bytes: writer.bytesWritten,
+      checksum: writer.checksum ?
+        { size: writer.checksum.bytes, sha256: writer.checksum.digest } :
+        undefined
+    };
+  }
+
+  // Collection metadata in the shape mongodump writes to <name>.metadata.json
+  buildDumpMetadata(collectionInfo, indexes) {
+    const uuid = collectionInfo.info && collectionInfo.info.uuid;
+    return {
+      indexes,
+      uuid: uuid ? uuid.toString('hex') : undefined,
+      collectionName: collectionInfo.name,
+      type: collectionInfo.type || 'collection',
+      options: collectionInfo.options || {}
+    };
+  }
+
+  // Checksums are taken after encryption so backups can be verified
+  // without the key.
+  createDocumentWriter(filePath, options = {}) {
+    const output = require('fs').createWriteStream(filePath);
+    const checksum = new ChecksumStream();
+    const streams = [checksum, output];
+    if (options.cipher) {
+      streams.unshift(options.cipher.createEncryptStream(options.file));
+    }
+
+    pipeline(...streams, () => {});
+    return new DocumentWriter(streams[0], { ...options, checksum, destination: output });
+  }
+
+  async writeBackupFile(backupPath, file, content, cipher = null) {
+    const data = cipher ? cipher.encryptBuffer(file, Buffer.from(content)) : Buffer.from(content);
+    await fs.writeFile(path.join(backupPath, file), data);
+    return { size: data.length, sha256: crypto.createHash('sha256').update(data).digest('hex') };
+  }
+
+  // Returns null unless encryption was requested with options.encrypt, which
+  // may name a key ({ keyId }) or carry its own passphrase.
+  createBackupCipher(options = {}) {
+    if (!options.encrypt) return null;
+
+    const requested = typeof options.encrypt === 'object' ? options.encrypt : {};
+    const keyId = requested.keyId || this.keyProvider.getDefaultKeyId() || 'default';
+    const passphrase = requested.passphrase || this.keyProvider.getPassphrase(keyId);
+    if (!passphrase) {
+      throw new Error(`No passphrase available for backup key ${keyId}`);
+    }
+
+    return BackupCipher.create(keyId, passphrase);
+  }
+
+  openBackupCipher(encryption, options = {}) {
+    if (!encryption) return null;
+
+    const passphrase = options.passphrase || this.keyProvider.getPassphrase(encryption.keyId);
+    if (!passphrase) {
+      throw new Error(`Backup is encrypted with key ${encryption.keyId}, which is not configured`);
+    }
+
+    return BackupCipher.fromMetadata(encryption, passphrase);
+  }
+
+  // Opens a file inside a backup, decrypting and decompressing it as needed
+  openBackupFile(backup, file) {
+    const streams = [require('fs').createReadStream(path.join(backup.dir, file))];
+    if (backup.cipher && backup.cipher.isEncrypted(file)) {
+      streams.push(backup.cipher.createDecryptStream(file));
+    }
+    if (file.endsWith('.gz')) {
+      streams.push(zlib.createGunzip());
+    }
+    return streams.length > 1 ? pipeline(...streams, () => {}) : streams[0];
+  }
+
+  async compressBackup(sourcePath, targetPath) {
+    return new Promise((resolve, reject) => {
+      const output = require('fs').createWriteStream(targetPath);
+      const archive = archiver('zip', { zlib: { level: 9 } });
+
+      output.on('close', () => {
+        this.logger.info(`Backup compressed: ${archive.pointer()} bytes`);
+        resolve();
+      });
+
+      archive.on('error', reject);
+      archive.pipe(output);
+      archive.directory(sourcePath, false);
+      archive.finalize();
+    });
+  }
+
+  async restoreBackup(backupPath, targetCluster, targetDatabase, options = {}) {
+    if (options.toTime) {
+      const { toTime, ...restoreOptions } = options;
+      const info = await this.readBackupInfo(path.basename(backupPath, '.zip'));
+      return this.restoreToPointInTime(info.cluster, info.database, toTime, targetCluster, targetDatabase, restoreOptions);
+    }
+
+    try {
+      const backup = await this.openBackup(backupPath, options);
+      const backupInfo = backup.info;
+      let result;
+
+      try {
+        const replaysOplog = Boolean(backupInfo.oplogFile) || Boolean(backupInfo.type && backupInfo.type !== 'full');
+        if (options.masking && !options.dryRun && replaysOplog) {
+          throw new Error('Masking cannot be applied while replaying the oplog; restore a full backup taken without oplog capture');
+        }
+
+        if (options.dryRun) {
+          result = await this.planRestore(backup, targetCluster, targetDatabase, options);
+        } else if (backupInfo.type && backupInfo.type !== 'full') {
+          result = await this.restoreBackupChain(backup, targetCluster, targetDatabase, options);
+        } else {
+          this.logger.info(`Starting restore to ${targetCluster}/${targetDatabase}`);
+          result = await this.restoreCollections(backup, targetCluster, targetDatabase, options);
+          if (backupInfo.oplogFile) {
+            result = await this.replayDumpOplog(backup, result, targetCluster, targetDatabase, options);
+          }
+        }
+      } finally {
+        await backup.cleanup();
+      }
+
+      this.logger.info(options.dryRun ? 'Restore dry run completed' : 'Restore completed');
+      
+      return {
+        ...result,
+        sourceBackup: backupInfo,
+        target: { cluster: targetCluster, database: targetDatabase }
+      };
+    } catch (error) {
+      this.logger.error('Restore failed:', error);
+      throw error;
+    }
+  }
+
+  // Restores the nearest full backup taken before the given time and
+  // replays captured oplog up to it.
+  async restoreToPointInTime(sourceCluster, sourceDatabase, toTime, targetCluster, targetDatabase, options = {}) {
+    try {
+      const target = oplog.toOptimeBound(toTime);
+      const backups = (await this.listBackups()).filter(backup =>
+        backup.cluster === sourceCluster && backup.database === sourceDatabase && backup.oplog
+      );
+
+      // listBackups is sorted newest first, so the first match is the nearest
+      const base = backups.find(backup =>
+        backup.type === 'full' && oplog.compareOptimes(backup.oplog.end, target) <= 0
+      );
+      if (!base) {
+        throw new Error(`No full backup of ${sourceCluster}/${sourceDatabase} was completed before ${oplog.optimeToDate(target).toISOString()}`);
+      }
+
+      const segments = backups
+        .filter(backup => backup.base === base.name)
+        .sort((a, b) => oplog.compareOptimes(a.oplog.end, b.oplog.end));
+      const covering = segments.find(backup => oplog.compareOptimes(backup.oplog.end, target) >= 0);
+
+      if (!covering && oplog.compareOptimes(base.oplog.end, target) < 0) {
+        const reach = segments.length > 0 ? segments[segments.length - 1].oplog.end : base.oplog.end;
+        throw new Error(`Captured oplog for ${sourceCluster}/${sourceDatabase} only reaches ${oplog.optimeToDate(reach).toISOString()}; take an incremental backup first`);
+      }
+
+      const restorePoint = covering || base;
+      this.logger.info(`Point-in-time restore of ${sourceCluster}/${sourceDatabase} to ${oplog.optimeToDate(target).toISOString()} using ${restorePoint.name}`);
+
+      const result = await this.restoreBackup(restorePoint.path, targetCluster, targetDatabase, {
+        ...options,
+        until: target
+      });
+
+      return {
+        ...result,
+        pointInTime: {
+          requested: oplog.optimeToDate(target),
+          base: base.name,
+          restorePoint: restorePoint.name
+        }
+      };
+    } catch (error) {
+      this.logger.error('Point-in-time restore failed:', error);
+      throw error;
+    }
+  }
+
+  // Checks recorded checksums and, when the data is readable, document
+  // counts. Checksums cover the stored bytes, so encrypted backups can be
+  // checked without their key; counting documents needs it.
+  async verifyBackup(backupPath, options = {}) {
+    try {
+      const backup = await this.openBackup(backupPath, { decrypt: false });
+      const backupInfo = backup.info;
+      const report = {
+        name: backup.name,
+        status: backupInfo.status || 'unknown',
+        files: [],
+        collections: [],
+        errors: [],
+        warnings: []
+      };
+
+      try {
+        if (backupInfo.encryption && (options.passphrase || this.keyProvider.hasKey(backupInfo.encryption.keyId))) {
+          backup.cipher = this.openBackupCipher(backupInfo.encryption, options);
+        }
+        const readable = !backupInfo.encryption || Boolean(backup.cipher);
+        if (!readable) {
+          report.warnings.push(`Key ${backupInfo.encryption.keyId} is not configured; document counts were not checked`);
+        }
+
+        if (!backupInfo.files) {
+          report.warnings.push('Backup has no recorded checksums');
+        }
+        for (const [file, expected] of Object.entries(backupInfo.files || {})) {
+          const actual = await checksumFile(path.join(backup.dir, file)).catch(() => null);
+          const ok = Boolean(actual) && actual.sha256 === expected.sha256 && actual.size === expected.size;
+          report.files.push({ file, ok, expected: expected.sha256, actual: actual ? actual.sha256 : null });
+          if (!ok) {
+            report.errors.push(actual ? `Checksum mismatch for ${file}` : `Missing file ${file}`);
+          }
+        }
+
+        for (const collectionInfo of backupInfo.collections || []) {
+          report.collections.push(await this.verifyCollection(backup, collectionInfo, readable, report.errors));
+        }
+
+        if (backupInfo.oplogFile && readable) {
+          let entries = 0;
+          try {
+            for await (const batch of readDocumentBatches(backupInfo.oplogFile, {
+              input: this.openBackupFile(backup, backupInfo.oplogFile)
+            })) {
+              entries += batch.length;
+            }
+            if (entries !== backupInfo.oplogEntries) {
+              report.errors.push(`Oplog has ${entries} entries, expected ${backupInfo.oplogEntries}`);
+            }
+          } catch (error) {
+            report.errors.push(`Oplog is unreadable: ${error.message}`);
+          }
+        }
+      } finally {
+        await backup.cleanup();
+      }
+
+      if (options.testRestore) {
+        report.testRestore = await this.testRestore(backupPath, backupInfo, report.collections, options);
+        report.errors.push(...report.testRestore.errors);
+      }
+
+      report.valid = report.errors.length === 0;
+      this.logger.info(`Verified backup ${report.name}: ${report.valid ? 'valid' : `${report.errors.length} problem(s)`}`);
+
+      return report;
+    } catch (error) {
+      this.logger.error('Backup verification failed:', error);
+      throw error;
+    }
+  }
+
+  async verifyCollection(backup, collectionInfo, readable, errors) {
+    const result = { name: collectionInfo.name, expected: collectionInfo.documentCount, actual: null };
+
+    if (collectionInfo.error) {
+      errors.push(`Collection ${collectionInfo.name} failed during backup: ${collectionInfo.error}`);
+      return { ...result, ok: false, error: collectionInfo.error };
+    }
+    if (!readable) {
+      return { ...result, ok: null };
+    }
+
+    try {
+      const source = await this.openCollectionBackup(backup, collectionInfo);
+      let documents = 0;
+      for await (const batch of source.batches) {
+        documents += batch.length;
+      }
+
+      result.actual = documents;
+      result.indexes = (source.metadata.indexes || []).map(describeIndex);
+      result.ok = result.expected === undefined || documents === result.expected;
+      if (!result.ok) {
+        errors.push(`Collection ${collectionInfo.name} has ${documents} documents, expected ${result.expected}`);
+      }
+    } catch (error) {
+      result.ok = false;
+      result.error = error.message;
+      errors.push(`Collection ${collectionInfo.name} is unreadable: ${error.message}`);
+    }
+
+    return result;
+  }
+
+  // Restores into a throwaway database and compares what arrived with the
+  // counts and index definitions recorded in the backup.
+  async testRestore(backupPath, backupInfo, expectedCollections, options) {
+    const targetCluster = options.testRestore;
+    const targetDatabase = `mm_verify_${Date.now()}`;
+    const db = this.clusterManager.getDatabase(targetCluster, targetDatabase);
+    const report = { cluster: targetCluster, database: targetDatabase, collections: [], errors: [] };
+
+    try {
+      const restored = await this.restoreBackup(backupPath, targetCluster, targetDatabase, {
+        passphrase: options.passphrase
+      });
+      report.errors.push(...restored.failedCollections.map(collection =>
+        `Test restore of ${collection.name} failed: ${collection.error}`
+      ));
+
+      // Chains and oplog-consistent backups are compared by restored content
+      // only; their counts change with replayed oplog
+      const compareCounts = (!backupInfo.type || backupInfo.type === 'full') && !backupInfo.oplogFile;
+
+      for (const expected of expectedCollections) {
+        if (expected.ok === false) continue;
+
+        const collection = db.collection(expected.name);
+        const documents = await collection.countDocuments();
+        const indexes = (await collection.listIndexes().toArray()).map(describeIndex);
+        const missingIndexes = (expected.indexes || []).filter(index => !indexes.includes(index));
+
+        const result = { name: expected.name, documents, expected: expected.expected, missingIndexes };
+        if (compareCounts && expected.expected !== undefined && documents !== expected.expected) {
+          report.errors.push(`Test restore of ${expected.name} has ${documents} documents, expected ${expected.expected}`);
+        }
+        if (missingIndexes.length > 0) {
+          report.errors.push(`Test restore of ${expected.name} is missing indexes: ${missingIndexes.join(', ')}`);
+        }
+        report.collections.push(result);
+      }
+    } catch (error) {
+      report.errors.push(`Test restore failed: ${error.message}`);
+    } finally {
+      await db.dropDatabase().catch(error => {
+        this.logger.warn(`Failed to drop test restore database ${targetDatabase}:`, error.message);
+      });
+    }
+
+    return report;
+  }
+
+  async openBackup(backupPath, options = {}) {
+    let backupDir = backupPath;
+    const compressed = backupPath.endsWith('.zip');
+    const downloaded = compressed && await this.fetchRemoteBackup(backupPath);
+
+    const cleanup = async () => {
+      if (compressed) {
+        await fs.rmdir(backupDir, { recursive: true }).catch(() => {});
+      }
+      if (downloaded) {
+        await fs.unlink(backupPath).catch(() => {});
+      }
+    };
+
+    try {
+      // Extract if compressed
+      if (compressed) {
+        const extract = require('extract-zip');
+        backupDir = path.join(this.backupDir, `temp-restore-${path.basename(backupPath, '.zip')}`);
+        await extract(backupPath, { dir: backupDir });
+      }
+
+      // Read backup info, falling back to a plain mongodump layout
+      const metadataFile = path.join(backupDir, 'backup-info.json');
+      let info;
+      try {
+        info = JSON.parse(await fs.readFile(metadataFile, 'utf8'));
+      } catch (error) {
+        info = error.code === 'ENOENT' ? await this.detectDumpLayout(backupDir) : null;
+        if (!info) throw error;
+      }
+      return {
+        name: path.basename(backupPath, '.zip'),
+        dir: backupDir,
+        info,
+        cipher: options.decrypt === false ? null : this.openBackupCipher(info.encryption, options),
+        cleanup
+      };
+    } catch (error) {
+      await cleanup();
+      throw error;
+    }
+  }
+
+  // Downloads an archive that is missing locally from remote storage into
+  // the path it was asked for. Returns whether a download happened.
+  async fetchRemoteBackup(backupPath) {
+    const storage = this.getStorage();
+    if (!storage) return false;
+
+    try {
+      await fs.stat(backupPath);
+      return false;
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const key = path.basename(backupPath);
+    this.logger.info(`Downloading backup from ${storage.describe(key)}`);
+    await fs.mkdir(path.dirname(backupPath), { recursive: true });
+    await storage.download(key, backupPath);
+    return true;
+  }
+
+  // Resolves which collections of a backup to restore (options.collections),
+  // the collection each one is restored to (options.rename) and how
+  // documents that already exist there are handled (options.conflict, one
+  // strategy or a map keyed by collection name or pattern).
+  resolveRestoreTargets(backupInfo, options = {}) {
+    const collections = backupInfo.collections || [];
+    const rename = options.rename || {};
+    const selection = options.collections ? new CollectionSelection({ include: options.collections }) : null;
+
+    if (selection) {
+      const missing = selection.include.filter(pattern =>
+        !/[*?]/.test(pattern) && !collections.some(collection => collection.name === pattern)
+      );
+      if (missing.length > 0) {
+        throw new Error(`Not in this backup: ${missing.join(', ')}`);
+      }
+    }
+
+    const targets = [];
+    const restoredTo = new Map();
+    for (const collectionInfo of collections) {
+      const name = collectionInfo.name;
+      if (selection && !selection.includes(name)) continue;
+
+      const strategy = (typeof options.conflict === 'object' ?
+        CollectionSelection.lookup(options.conflict, name) :
+        options.conflict) || 'fail';
+      if (!CONFLICT_STRATEGIES.includes(strategy)) {
+        throw new Error(`Unknown conflict strategy for ${name}: ${strategy}`);
+      }
+
+      const target = rename[name] || name;
+      if (restoredTo.has(target)) {
+        throw new Error(`Collections ${restoredTo.get(target)} and ${name} would both be restored to ${target}`);
+      }
+      restoredTo.set(target, name);
+
+      targets.push({ collectionInfo, target, strategy });
+    }
+
+    return targets;
+  }
+
+  // Reports what a restore would change without writing anything. Chains
+  // are planned against their full base; their oplog is only listed.
+  async planRestore(backup, targetCluster, targetDatabase, options = {}) {
+    if (backup.info.type && backup.info.type !== 'full') {
+      const [baseName, ...incrementalNames] = await this.resolveBackupChain(backup.info);
+      const base = await this.openBackup(await this.resolveBackupPath(baseName), options);
+      try {
+        const plan = await this.planRestore(base, targetCluster, targetDatabase, options);
+        return { ...plan, oplogSegments: [...incrementalNames, backup.name] };
+      } finally {
+        await base.cleanup();
+      }
+    }
+
+    const db = this.clusterManager.getDatabase(targetCluster, targetDatabase);
+    const collections = [];
+    const skippedCollections = [];
+
+    for (const { collectionInfo, target, strategy } of this.resolveRestoreTargets(backup.info, options)) {
+      if (collectionInfo.error) {
+        skippedCollections.push({ name: collectionInfo.name, reason: collectionInfo.error });
+        continue;
+      }
+
+      const collection = db.collection(target);
+      const existingDocuments = await collection.countDocuments();
+      const checkConflicts = existingDocuments > 0 && !options.dropExisting;
+      let documents = collectionInfo.documentCount;
+      let conflicts = 0;
+
+      if (checkConflicts || documents === undefined) {
+        documents = 0;
+        const source = await this.openCollectionBackup(backup, collectionInfo, options.batchSize);
+        for await (const batch of source.batches) {
+          documents += batch.length;
+          if (checkConflicts) {
+            conflicts += await collection.countDocuments({ _id: { $in: batch.map(document => document._id) } });
+          }
+        }
+      }
+
+      const plan = {
+        name: collectionInfo.name,
+        target,
+        strategy,
+        documents,
+        existingDocuments,
+        conflicts,
+        changes: {
+          drop: options.dropExisting ? existingDocuments : 0,
+          insert: documents - conflicts,
+          overwrite: strategy === 'overwrite' ? conflicts : 0,
+          skip: strategy === 'skip' ? conflicts : 0
+        }
+      };
+      if (strategy === 'fail' && conflicts > 0) {
+        plan.error = `${conflicts} document(s) conflict with existing _id values`;
+      }
+      collections.push(plan);
+    }
+
+    const result = { dryRun: true, collections, skippedCollections };
+    if (backup.info.oplogFile) {
+      result.oplogSegments = [backup.name];
+    }
+    return result;
+  }
+
+  // Restores the chosen collections of a full backup. Collections that
+  // failed during the backup are reported as skipped, restore errors as
+  // failed; with options.strict either one fails the restore.
+  async restoreCollections(backup, targetCluster, targetDatabase, options = {}) {
+    const db = this.clusterManager.getDatabase(targetCluster, targetDatabase);
+    const masking = options.masking ? MaskingProfile.fromConfig(this.config, options.masking) : null;
+    const restoredCollections = [];
+    const skippedCollections = [];
+    const failedCollections = [];
+
+    for (const { collectionInfo, target, strategy } of this.resolveRestoreTargets(backup.info, options)) {
+      if (collectionInfo.error) {
+        this.logger.warn(`Skipping collection ${collectionInfo.name}, which failed during backup: ${collectionInfo.error}`);
+        skippedCollections.push({ name: collectionInfo.name, reason: collectionInfo.error });
+        continue;
+      }
+
+      try {
+        const source = await this.openCollectionBackup(backup, collectionInfo, options.batchSize);
+        const collection = db.collection(target);
+
+        // Drop existing collection if specified
+        if (options.dropExisting) {
+          try {
+            await collection.drop();
+          } catch (error) {
+            // Collection might not exist
+          }
+        }
+
+        // Recreate capped, clustered or validated collections with their options
+        const collectionOptions = source.metadata.options || {};
+        if (Object.keys(collectionOptions).length > 0) {
+          await db.createCollection(target, collectionOptions).catch(() => {});
+        }
+
+        // Restore documents batch by batch
+        let documentsRestored = 0;
+        let conflicts = 0;
+        const mask = masking && masking.appliesTo(collectionInfo.name) ?
+          document => masking.mask(collectionInfo.name, document) :
+          null;
+        for await (const batch of source.batches) {
+          conflicts += await this.writeRestoreBatch(collection, mask ? batch.map(mask) : batch, strategy);
+          documentsRestored += batch.length;
+          this.emit('restoreProgress', {
+            cluster: targetCluster,
+            database: targetDatabase,
+            collection: collectionInfo.name,
+            documentsRestored
+          });
+        }
+
+        // Restore indexes (except _id_ which is automatic)
+        const indexes = source.metadata.indexes || [];
+        for (const index of indexes) {
+          if (index.name !== '_id_') {
+            try {
+              const { key, v, ns, ...indexOptions } = index;
+              await collection.createIndex(key, {
+                ...indexOptions,
+                background: true
+              });
+            } catch (error) {
+              this.logger.warn(`Failed to restore index ${index.name}:`, error.message);
+            }
+          }
+        }
+
+        if (collectionInfo.documentCount !== undefined && documentsRestored !== collectionInfo.documentCount) {
+          throw new Error(`Restored ${documentsRestored} of ${collectionInfo.documentCount} documents`);
+        }
+
+        const restored = {
+          name: collectionInfo.name,
+          documents: documentsRestored,
+          indexes: indexes.filter(index => index.name !== '_id_').length
+        };
+        if (target !== collectionInfo.name) {
+          restored.target = target;
+        }
+        if (conflicts > 0) {
+          restored.conflicts = conflicts;
+          restored.conflictStrategy = strategy;
+        }
+        if (mask) {
+          restored.masked = true;
+        }
+        if (collectionInfo.filtered) {
+          restored.partial = true;
+          this.logger.warn(`Collection ${collectionInfo.name} was backed up with a query filter or projection; its data is partial`);
+        }
+        restoredCollections.push(restored);
+
+        this.logger.info(`Restored collection: ${collectionInfo.name}${target !== collectionInfo.name ? ` as ${target}` : ''}`);
+      } catch (error) {
+        this.logger.error(`Failed to restore collection ${collectionInfo.name}:`, error);
+        failedCollections.push({ name: collectionInfo.name, error: error.message });
+      }
+    }
+
+    if (options.strict && (skippedCollections.length > 0 || failedCollections.length > 0)) {
+      const names = [...skippedCollections, ...failedCollections].map(collection => collection.name);
+      throw new Error(`Restore to ${targetCluster}/${targetDatabase} is incomplete: ${names.join(', ')}`);
+    }
+
+    return { restoredCollections, skippedCollections, failedCollections };
+  }
+
+  // Writes one batch of restored documents and returns how many of them
+  // already existed in the target collection.
+  async writeRestoreBatch(collection, batch, strategy) {
+    if (strategy === 'overwrite') {
+      const result = await collection.bulkWrite(batch.map(document => ({
+        replaceOne: { filter: { _id: document._id }, replacement: document, upsert: true }
+      })), { ordered: false });
+      return result.matchedCount;
+    }
+
+    try {
+      await collection.insertMany(batch, { ordered: false });
+      return 0;
+    } catch (error) {
+      const duplicates = countDuplicateKeyErrors(error);
+      if (duplicates === 0) throw error;
+      if (strategy === 'skip') return duplicates;
+      throw new Error(`${duplicates} document(s) conflict with existing _id values; use the skip or overwrite conflict strategy`);
+    }
+  }
+
+  // Replays the writes an oplog-consistent full backup captured during its
+  // dump, bringing the restored collections to the end of the backup
+  async replayDumpOplog(backup, restored, targetCluster, targetDatabase, options = {}) {
+    const replayed = await this.replayOplog(backup, targetCluster, targetDatabase, {
+      ...options,
+      until: oplog.toOptimeBound(options.until),
+      selection: CollectionSelection.fromJSON(backup.info.selection)
+    });
+
+    return {
+      ...restored,
+      oplogReplay: [replayed],
+      restoredTo: replayed.reachedUntil ? replayed.lastOptime : backup.info.oplog.end
+    };
+  }
+
+  async restoreBackupChain(backup, targetCluster, targetDatabase, options = {}) {
+    const until = oplog.toOptimeBound(options.until);
+    const chain = await this.resolveBackupChain(backup.info);
+    const [baseName, ...incrementalNames] = chain;
 
-      const db = this.clusterManager.getDatabase(clusterName, dbName);
-      const collections = await db.listCollections().toArray();
-      
-      const backupInfo = {
-        cluster: clusterName,
-        database: dbName,
-        timestamp: new Date(),
-        collections: [],
-        totalDocuments: 0,
-        totalSize: 0
-      };
+    this.logger.info(`Restoring ${baseName} to ${targetCluster}/${targetDatabase} and replaying ${incrementalNames.length + 1} oplog segment(s)`);
 
-      this.logger.info(`Starting backup for ${clusterName}/${dbName}`);
+    const base = await this.openBackup(await this.resolveBackupPath(baseName), options);
+    let restored;
+    let selection;
+    try {
+      restored = await this.restoreCollections(base, targetCluster, targetDatabase, options);
+      selection = CollectionSelection.fromJSON(base.info.selection);
+    } finally {
+      await base.cleanup();
+    }
 
-      for (const collectionInfo of collections) {
-        const collectionName = collectionInfo.name;
-        
-        try {
-          const collection = db.collection(collectionName);
-          const documents = await collection.find({}).toArray();
-          
-          const collectionFile = path.join(backupPath, `${collectionName}.json`);
-          const collectionData = {
-            collection: collectionName,
-            database: dbName,
-            cluster: clusterName,
-            documents: documents,
-            indexes: await collection.listIndexes().toArray(),
-            stats: await collection.stats().catch(() => ({}))
-          };
-
-          await fs.writeFile(collectionFile, JSON.stringify(collectionData, null, 2));
-
-          backupInfo.collections.push({
-            name: collectionName,
-            documentCount: documents.length,
-            size: JSON.stringify(collectionData).length,
-            indexes: collectionData.indexes.length
-          });
+    const oplogReplay = [];
+    const links = [...incrementalNames.map(name => ({ name })), backup];
 
-          backupInfo.totalDocuments += documents.length;
-          backupInfo.totalSize += JSON.stringify(collectionData).length;
+    for (const link of links) {
+      const opened = link.info ? link : await this.openBackup(await this.resolveBackupPath(link.name), options);
+      try {
+        if (until && oplog.compareOptimes(opened.info.oplog.start, until) >= 0) {
+          break;
+        }
 
-          this.logger.info(`Backed up collection: ${collectionName} (${documents.length} documents)`);
-        } catch (error) {
-          this.logger.error(`Failed to backup collection ${collectionName}:`, error);
-          backupInfo.collections.push({
-            name: collectionName,
-            error: error.message
-          });
+        const replayed = await this.replayOplog(opened, targetCluster, targetDatabase, { ...options, until, selection });
+        oplogReplay.push(replayed);
+
+        if (replayed.reachedUntil) {
+          break;
+        }
+      } finally {
+        if (opened !== backup) {
+          await opened.cleanup();
         }
       }
+    }
 
-      // Save backup metadata
-      const metadataFile = path.join(backupPath, 'backup-info.json');
-      await fs.writeFile(metadataFile, JSON.stringify(backupInfo, null, 2));
+    const lastReplayed = oplogReplay.filter(segment => segment.lastOptime).pop();
 
-      // Compress if requested
-      if (options.compress) {
-        const archivePath = `${backupPath}.zip`;
-        await this.compressBackup(backupPath, archivePath);
-        
-        // Remove uncompressed directory
-        await fs.rmdir(backupPath, { recursive: true });
-        
-        backupInfo.compressed = true;
-        backupInfo.archivePath = archivePath;
+    return {
+      ...restored,
+      oplogReplay,
+      restoredTo: lastReplayed ? lastReplayed.lastOptime : null
+    };
+  }
+
+  // Walks parent links back to the full backup; returns names oldest first,
+  // excluding the backup the chain was resolved for.
+  async resolveBackupChain(backupInfo) {
+    const chain = [];
+    let parentName = backupInfo.parent;
+
+    while (parentName) {
+      if (chain.includes(parentName)) {
+        throw new Error(`Backup chain contains a cycle at ${parentName}`);
       }
+      chain.unshift(parentName);
 
-      this.logger.info(`Backup completed: ${backupName}`);
-      
-      return {
-        name: backupName,
-        path: options.compress ? `${backupPath}.zip` : backupPath,
-        info: backupInfo,
-        size: backupInfo.totalSize,
-        collections: backupInfo.collections.length
-      };
+      const parentInfo = await this.readBackupInfo(parentName);
+      if (!parentInfo.type || parentInfo.type === 'full') {
+        return chain;
+      }
+      parentName = parentInfo.parent;
+    }
+
+    throw new Error(`Backup chain for ${backupInfo.cluster}/${backupInfo.database} has no full base backup`);
+  }
+
+  async resolveBackupPath(name) {
+    const directory = path.join(this.backupDir, name);
+    try {
+      const stats = await fs.stat(directory);
+      if (stats.isDirectory()) {
+        return directory;
+      }
     } catch (error) {
-      this.logger.error(`Backup failed for ${clusterName}/${dbName}:`, error);
-      throw error;
+      // Fall through to the compressed archive
     }
+    return `${directory}.zip`;
   }
 
-  async compressBackup(sourcePath, targetPath) {
-    return new Promise((resolve, reject) => {
-      const output = require('fs').createWriteStream(targetPath);
-      const archive = archiver('zip', { zlib: { level: 9 } });
+  async readBackupInfo(name) {
+    const candidates = [
+      path.join(this.backupDir, name, 'backup-info.json'),
+      path.join(this.backupDir, `${name}.info.json`)
+    ];
 
-      output.on('close', () => {
-        this.logger.info(`Backup compressed: ${archive.pointer()} bytes`);
-        resolve();
-      });
+    for (const candidate of candidates) {
+      try {
+        return JSON.parse(await fs.readFile(candidate, 'utf8'));
+      } catch (error) {
+        // Try the next location
+      }
+    }
 
-      archive.on('error', reject);
-      archive.pipe(output);
-      archive.directory(sourcePath, false);
-      archive.finalize();
-    });
+    const storage = this.getStorage();
+    if (storage) {
+      try {
+        return JSON.parse((await storage.readFile(`${name}.info.json`)).toString('utf8'));
+      } catch (error) {
+        // Not stored remotely either
+      }
+    }
+
+    throw new Error(`Backup ${name} not found`);
   }
 
-  async restoreBackup(backupPath, targetCluster, targetDatabase, options = {}) {
-    try {
-      let backupDir = backupPath;
-      
-      // Extract if compressed
-      if (backupPath.endsWith('.zip')) {
-        const extract = require('extract-zip');
-        const tempDir = path.join(this.backupDir, 'temp-restore');
-        await extract(backupPath, { dir: tempDir });
-        backupDir = tempDir;
-      }
+  async replayOplog(backup, targetCluster, targetDatabase, options = {}) {
+    const admin = this.clusterManager.getConnection(targetCluster).db('admin');
+    const oplogFile = backup.info.oplogFile || 'oplog.ndjson';
+    const batches = readDocumentBatches(oplogFile, {
+      input: this.openBackupFile(backup, oplogFile),
+      batchSize: options.batchSize,
+      parse: line => BSON.EJSON.parse(line, { relaxed: false })
+    });
 
-      // Read backup info
-      const metadataFile = path.join(backupDir, 'backup-info.json');
-      const backupInfo = JSON.parse(await fs.readFile(metadataFile, 'utf8'));
+    // Writes to collections left out of a selective base, or of this
+    // restore, are not replayed
+    const restoreSelection = options.collections ? new CollectionSelection({ include: options.collections }) : null;
+    const include = name => (!options.selection || options.selection.includes(name)) &&
+      (!restoreSelection || restoreSelection.includes(name));
 
-      const db = this.clusterManager.getDatabase(targetCluster, targetDatabase);
-      const restoredCollections = [];
+    let entriesApplied = 0;
+    let lastOptime = null;
+    let reachedUntil = false;
 
-      this.logger.info(`Starting restore to ${targetCluster}/${targetDatabase}`);
+    for await (const batch of batches) {
+      const entries = options.until ?
+        batch.filter(entry => oplog.compareOptimes(oplog.toOptime(entry.ts), options.until) <= 0) :
+        batch;
 
-      for (const collectionInfo of backupInfo.collections) {
-        if (collectionInfo.error) continue;
+      const operations = oplog.prepareOplogEntries(entries, backup.info.database, targetDatabase, {
+        collections: options.rename,
+        include
+      });
+      if (operations.length > 0) {
+        await admin.command({ applyOps: operations });
+      }
 
-        const collectionFile = path.join(backupDir, `${collectionInfo.name}.json`);
-        
-        try {
-          const collectionData = JSON.parse(await fs.readFile(collectionFile, 'utf8'));
-          const collection = db.collection(collectionInfo.name);
+      entriesApplied += operations.length;
+      if (entries.length > 0) {
+        lastOptime = oplog.toOptime(entries[entries.length - 1].ts);
+      }
 
-          // Drop existing collection if specified
-          if (options.dropExisting) {
-            try {
-              await collection.drop();
-            } catch (error) {
-              // Collection might not exist
-            }
-          }
+      if (entries.length < batch.length) {
+        reachedUntil = true;
+        break;
+      }
+    }
 
-          // Restore documents
-          if (collectionData.documents.length > 0) {
-            await collection.insertMany(collectionData.documents, { ordered: false });
-          }
+    this.logger.info(`Replayed ${entriesApplied} oplog entries from ${backup.name}`);
+
+    return { backup: backup.name, entriesApplied, lastOptime, reachedUntil };
+  }
+
+  async openCollectionBackup(backup, collectionInfo, batchSize = 1000) {
+    // Streamed backups keep documents and metadata in separate files, with
+    // documents of collections read in ranges split over several parts
+    if (collectionInfo.file || collectionInfo.parts) {
+      const formatName = backup.info.format || 'ndjson';
+      const format = BACKUP_FORMATS[formatName];
+      if (!format) {
+        throw new Error(`Unsupported backup format: ${formatName}`);
+      }
+
+      const metadataFile = collectionInfo.metadataFile || `${collectionInfo.name}.metadata.json`;
+      const metadata = await this.readCollectionMetadata(backup, metadataFile);
+      const readBatches = (dataFile) => {
+        const input = this.openBackupFile(backup, dataFile);
+        return format.binary ?
+          readBsonBatches(dataFile, { batchSize, input }) :
+          readDocumentBatches(dataFile, { batchSize, parse: format.parse, input });
+      };
 
-          // Restore indexes (except _id_ which is automatic)
-          for (const index of collectionData.indexes) {
-            if (index.name !== '_id_') {
-              try {
-                await collection.createIndex(index.key, {
-                  name: index.name,
-                  unique: index.unique,
-                  sparse: index.sparse,
-                  background: true
-                });
-              } catch (error) {
-                this.logger.warn(`Failed to restore index ${index.name}:`, error.message);
-              }
+      return {
+        metadata,
+        batches: collectionInfo.file ?
+          readBatches(collectionInfo.file) :
+          (async function* () {
+            for (const dataFile of collectionInfo.parts) {
+              yield* readBatches(dataFile);
             }
-          }
+          })()
+      };
+    }
 
-          restoredCollections.push({
-            name: collectionInfo.name,
-            documents: collectionData.documents.length,
-            indexes: collectionData.indexes.length - 1 // Exclude _id_
-          });
+    // Legacy backups hold everything in a single JSON file
+    const collectionFile = path.join(backup.dir, `${collectionInfo.name}.json`);
+    const collectionData = JSON.parse(await fs.readFile(collectionFile, 'utf8'));
+    const documents = collectionData.documents || [];
 
-          this.logger.info(`Restored collection: ${collectionInfo.name}`);
-        } catch (error) {
-          this.logger.error(`Failed to restore collection ${collectionInfo.name}:`, error);
+    return {
+      metadata: collectionData,
+      batches: (async function* () {
+        for (let i = 0; i < documents.length; i += batchSize) {
+          yield documents.slice(i, i + batchSize);
         }
+      })()
+    };
+  }
+
+  async readCollectionMetadata(backup, metadataFile) {
+    try {
+      let raw = await fs.readFile(path.join(backup.dir, metadataFile));
+      if (backup.cipher && backup.cipher.isEncrypted(metadataFile)) {
+        raw = backup.cipher.decryptBuffer(metadataFile, raw);
       }
+      const text = metadataFile.endsWith('.gz') ? zlib.gunzipSync(raw).toString('utf8') : raw.toString();
+      return BSON.EJSON.parse(text, { relaxed: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { indexes: [] };
+      }
+      throw error;
+    }
+  }
+
+  // Describes a plain mongodump output directory (<db>/<collection>.bson)
+  // so it can be restored like a backup taken by this tool.
+  async detectDumpLayout(backupDir) {
+    const databases = [];
 
-      // Cleanup temp directory if used
-      if (backupPath.endsWith('.zip')) {
-        await fs.rmdir(backupDir, { recursive: true });
+    for (const entry of await fs.readdir(backupDir)) {
+      if (['admin', 'config', 'local'].includes(entry)) continue;
+
+      const files = await fs.readdir(path.join(backupDir, entry)).catch(() => []);
+      const dataFiles = files.filter(file => /\.bson(\.gz)?$/.test(file));
+      if (dataFiles.length > 0) {
+        databases.push({ name: entry, files: dataFiles });
       }
+    }
 
-      this.logger.info('Restore completed');
-      
-      return {
-        restoredCollections,
-        sourceBackup: backupInfo,
-        target: { cluster: targetCluster, database: targetDatabase }
-      };
+    if (databases.length === 0) return null;
+    if (databases.length > 1) {
+      throw new Error(`Dump at ${backupDir} contains several databases: ${databases.map(db => db.name).join(', ')}`);
+    }
+
+    const [database] = databases;
+    return {
+      database: database.name,
+      type: 'full',
+      format: 'bson',
+      source: 'mongodump',
+      collections: database.files.map(file => {
+        const gzip = file.endsWith('.gz') ? '.gz' : '';
+        const name = file.replace(/\.bson(\.gz)?$/, '');
+        return {
+          name,
+          file: path.posix.join(database.name, file),
+          metadataFile: path.posix.join(database.name, `${name}.metadata.json${gzip}`)
+        };
+      })
+    };
+  }
+
+  // Backups from the catalog, filtered and sorted as described for
+  // filterBackups. The catalog is built from storage the first time.
+  async listBackups(filter = {}) {
+    try {
+      const backups = await this.getCatalog().list(filter);
+      if (backups) {
+        return backups;
+      }
+      return filterBackups(await this.rebuildCatalog(), filter);
     } catch (error) {
-      this.logger.error('Restore failed:', error);
+      this.logger.error('Failed to list backups:', error);
+      throw error;
+    }
+  }
+
+  // Replaces the catalog with what is actually in the backup directory and
+  // remote storage
+  async rebuildCatalog() {
+    try {
+      const backups = await this.scanBackups();
+      await this.getCatalog().replace(backups);
+      this.logger.info(`Backup catalog rebuilt with ${backups.length} backups`);
+      return backups;
+    } catch (error) {
+      this.logger.error('Failed to rebuild backup catalog:', error);
       throw error;
     }
   }
 
-  async listBackups() {
+  async scanBackups() {
     try {
       const files = await fs.readdir(this.backupDir);
       const backups = [];
@@ -238,54 +1831,116 @@ class BackupManager {
             backups.push({
               name: file,
               path: filePath,
-              created: backupInfo.timestamp,
-              cluster: backupInfo.cluster,
-              database: backupInfo.database,
-              collections: backupInfo.collections.length,
-              totalDocuments: backupInfo.totalDocuments,
-              size: stats.size,
+              ...this.describeBackup(backupInfo),
+              size: backupInfo.totalSize,
               compressed: false
             });
           } catch (error) {
             // Skip invalid backup directories
           }
         } else if (file.endsWith('.zip')) {
-          // Compressed backup
+          // Compressed backup, described by its metadata sidecar when present
+          const name = file.replace('.zip', '');
+          let description = { created: stats.mtime };
+          try {
+            const sidecar = path.join(this.backupDir, `${name}.info.json`);
+            description = this.describeBackup(JSON.parse(await fs.readFile(sidecar, 'utf8')));
+          } catch (error) {
+            // Archives created before sidecars existed only have file stats
+          }
+
           backups.push({
-            name: file.replace('.zip', ''),
+            name,
             path: filePath,
-            created: stats.mtime,
+            ...description,
             size: stats.size,
             compressed: true
           });
         }
       }
 
+      const storage = this.getStorage();
+      if (storage) {
+        await this.addRemoteBackups(storage, backups);
+      }
+
       return backups.sort((a, b) => new Date(b.created) - new Date(a.created));
     } catch (error) {
-      this.logger.error('Failed to list backups:', error);
+      this.logger.error('Failed to scan backups:', error);
       throw error;
     }
   }
 
+  // Merges archives held by the storage adapter into a local listing.
+  // Remote-only entries are marked local: false; their path is where
+  // restore downloads them to.
+  async addRemoteBackups(storage, backups) {
+    const objects = await storage.list();
+    const keys = new Set(objects.map(object => object.key));
+
+    for (const object of objects) {
+      if (!object.key.endsWith('.zip')) continue;
+
+      const name = object.key.replace(/\.zip$/, '');
+      let description = { created: object.modified };
+      if (keys.has(`${name}.info.json`)) {
+        try {
+          description = this.describeBackup(JSON.parse((await storage.readFile(`${name}.info.json`)).toString('utf8')));
+        } catch (error) {
+          this.logger.warn(`Failed to read metadata for remote backup ${name}:`, error.message);
+        }
+      }
+
+      const location = { storage: storage.type, location: storage.describe(object.key) };
+      const existing = backups.find(backup => backup.name === name);
+      if (existing) {
+        Object.assign(existing, location);
+        continue;
+      }
+
+      backups.push({
+        name,
+        path: path.join(this.backupDir, object.key),
+        ...description,
+        size: object.size,
+        compressed: true,
+        local: false,
+        ...location
+      });
+    }
+  }
+
+  describeBackup(backupInfo) {
+    return {
+      created: backupInfo.timestamp,
+      cluster: backupInfo.cluster,
+      database: backupInfo.database,
+      type: backupInfo.type || 'full',
+      parent: backupInfo.parent,
+      base: backupInfo.base,
+      oplog: backupInfo.oplog,
+      consistency: backupInfo.consistency ? backupInfo.consistency.level : undefined,
+      collections: (backupInfo.collections || []).length,
+      totalDocuments: backupInfo.totalDocuments,
+      encrypted: Boolean(backupInfo.encryption),
+      keyId: backupInfo.encryption ? backupInfo.encryption.keyId : undefined,
+      masking: backupInfo.masking ? backupInfo.masking.profile : undefined,
+      tags: backupInfo.tags || [],
+      retentionClass: backupInfo.retentionClass,
+      checksum: manifestChecksum(backupInfo)
+    };
+  }
+
   async scheduleBackup(clusterName, dbName, cronPattern, options = {}) {
     try {
       const jobId = `${clusterName}-${dbName}`;
       
       // Stop existing job if any
       if (this.scheduledJobs.has(jobId)) {
-        this.scheduledJobs.get(jobId).stop();
+        this.scheduledJobs.get(jobId).job.stop();
       }
 
-      const job = cron.schedule(cronPattern, async () => {
-        try {
-          this.logger.info(`Starting scheduled backup: ${jobId}`);
-          await this.createBackup(clusterName, dbName, options);
-          this.logger.info(`Scheduled backup completed: ${jobId}`);
-        } catch (error) {
-          this.logger.error(`Scheduled backup failed: ${jobId}`, error);
-        }
-      }, {
+      const job = cron.schedule(cronPattern, () => this.runScheduledBackup(jobId, clusterName, dbName, options), {
         scheduled: false
       });
 
@@ -317,10 +1972,160 @@ class BackupManager {
     }
   }
 
+  // Runs one scheduled backup, records it in the job history and notifies
+  // when it failed or was partial. With backupLocks configured, only the
+  // instance holding the job's lease runs it; others return null. Never
+  // throws: nothing awaits cron jobs.
+  async runScheduledBackup(jobId, clusterName, dbName, options = {}) {
+    let lock = null;
+    let lease = null;
+    let renewal = null;
+    const run = {
+      jobId,
+      cluster: clusterName,
+      database: dbName,
+      startedAt: new Date().toISOString(),
+      status: null,
+      backup: null,
+      size: null,
+      error: null
+    };
+
+    try {
+      lock = this.getJobLock();
+      if (lock) {
+        lease = await lock.acquire(jobId);
+        await this.trackJobLease(jobId, lock, lease);
+        if (!lease) {
+          const holder = this.scheduledJobs.has(jobId) && this.scheduledJobs.get(jobId).lock;
+          this.logger.info(`Skipping scheduled backup ${jobId}: lease held by ${holder ? holder.owner : 'another instance'}`);
+          return null;
+        }
+
+        renewal = setInterval(() => {
+          lock.renew(jobId).catch(error => this.logger.warn(`Failed to renew lease for ${jobId}:`, error.message));
+        }, lock.ttlMs / 3);
+        renewal.unref();
+      }
+
+      this.logger.info(`Starting scheduled backup: ${jobId}`);
+      const result = await this.createBackup(clusterName, dbName, options);
+      run.status = result.info && result.info.status === 'partial' ? 'partial' : 'success';
+      run.backup = result.name || null;
+      run.size = result.size === undefined ? null : result.size;
+      this.logger.info(`Scheduled backup completed: ${jobId}`);
+    } catch (error) {
+      this.logger.error(`Scheduled backup failed: ${jobId}`, error);
+      run.status = 'failed';
+      run.error = error.message;
+    } finally {
+      clearInterval(renewal);
+      run.finishedAt = new Date().toISOString();
+    }
+
+    // The lease is kept for one more TTL rather than released, so instances
+    // whose cron fires a little later skip this run instead of repeating it
+    if (lease) {
+      await lock.renew(jobId).catch(error => this.logger.warn(`Failed to renew lease for ${jobId}:`, error.message));
+    }
+
+    let entry = run;
+    try {
+      entry = await this.getJobHistory().record(run);
+    } catch (error) {
+      this.logger.error(`Failed to record scheduled backup run: ${jobId}`, error);
+    }
+
+    const scheduled = this.scheduledJobs.get(jobId);
+    if (scheduled) {
+      scheduled.lastRun = entry;
+    }
+
+    if (entry.status !== 'success') {
+      await this.notifyJobRun(entry);
+    }
+
+    if (entry.status !== 'failed') {
+      try {
+        if (this.getRetentionPolicy(clusterName, dbName)) {
+          await this.pruneBackups({ cluster: clusterName, database: dbName });
+        }
+      } catch (error) {
+        this.logger.error(`Retention pruning failed after scheduled backup: ${jobId}`, error);
+      }
+    }
+
+    return entry;
+  }
+
+  // Remembers who holds a job's lease for listScheduledBackups
+  async trackJobLease(jobId, lock, lease = null) {
+    const scheduled = this.scheduledJobs.get(jobId);
+    if (!scheduled) return;
+
+    const holder = lease || await lock.holder(jobId);
+    scheduled.lock = holder ? { ...holder, held: holder.owner === lock.owner } : null;
+  }
+
+  // Re-reads lease holders of all scheduled jobs
+  async refreshScheduleLocks() {
+    try {
+      const lock = this.getJobLock();
+      if (!lock) return;
+
+      for (const jobId of this.scheduledJobs.keys()) {
+        await this.trackJobLease(jobId, lock);
+      }
+    } catch (error) {
+      this.logger.warn('Failed to read scheduled backup leases:', error.message);
+    }
+  }
+
+  async releaseJobLease(jobId) {
+    try {
+      const lock = this.getJobLock();
+      if (lock) {
+        await lock.release(jobId);
+      }
+    } catch (error) {
+      this.logger.warn(`Failed to release lease for ${jobId}:`, error.message);
+    }
+  }
+
+  async notifyJobRun(run) {
+    try {
+      const failed = run.status === 'failed';
+      await this.getNotifier().notify({
+        event: `backup.${run.status}`,
+        severity: failed ? 'critical' : 'warning',
+        title: failed ?
+          `Scheduled backup ${run.jobId} failed` :
+          `Scheduled backup ${run.jobId} completed with failed collections`,
+        message: run.error || `Backup ${run.backup} is partial`,
+        cluster: run.cluster,
+        database: run.database,
+        details: {
+          job: run.jobId,
+          backup: run.backup,
+          startedAt: run.startedAt,
+          finishedAt: run.finishedAt,
+          durationMs: run.durationMs
+        }
+      });
+    } catch (error) {
+      this.logger.error(`Failed to send notifications for ${run.jobId}:`, error);
+    }
+  }
+
+  async listJobRuns(filter = {}) {
+    return this.getJobHistory().list(filter);
+  }
+
   async unscheduleBackup(jobId) {
     if (this.scheduledJobs.has(jobId)) {
       this.scheduledJobs.get(jobId).job.stop();
       this.scheduledJobs.delete(jobId);
+      await this.releaseJobLease(jobId);
       await this.removeScheduleFromConfig(jobId);
       this.logger.info(`Unscheduled backup: ${jobId}`);
       return true;
@@ -343,6 +2148,29 @@ class BackupManager {
         this.logger.error(`Failed to load scheduled backup ${jobId}:`, error);
       }
     }
+
+    try {
+      const latest = await this.getJobHistory().latestRuns();
+      for (const [jobId, scheduled] of this.scheduledJobs) {
+        scheduled.lastRun = latest[jobId] || null;
+      }
+    } catch (error) {
+      this.logger.warn('Failed to read backup job history:', error.message);
+    }
+
+    await this.refreshScheduleLocks();
+  }
+
+  // Stops this instance's cron jobs and hands their leases to other
+  // instances; the schedules stay configured.
+  async shutdown() {
+    for (const [jobId, scheduled] of this.scheduledJobs) {
+      scheduled.job.stop();
+      if (scheduled.lock && scheduled.lock.held) {
+        await this.releaseJobLease(jobId);
+      }
+    }
+    this.scheduledJobs.clear();
   }
 
   async saveScheduleToConfig(jobId, schedule) {
@@ -367,10 +2195,99 @@ class BackupManager {
       pattern: job.pattern,
       options: job.options,
       createdAt: job.createdAt,
-      nextRun: job.job.nextDate()
+      nextRun: job.job.nextDate(),
+      lastRun: job.lastRun || null,
+      lock: job.lock || null
     }));
   }
 
+  // Removes a listed backup locally and from remote storage
+  async deleteBackup(backup) {
+    if (backup.local !== false) {
+      if (backup.compressed) {
+        await fs.unlink(backup.path);
+        await fs.unlink(backup.path.replace(/\.zip$/, '.info.json')).catch(() => {});
+      } else {
+        await fs.rmdir(backup.path, { recursive: true });
+      }
+    }
+
+    if (backup.location) {
+      const storage = this.getStorage();
+      await storage.delete(`${backup.name}.zip`);
+      await storage.delete(`${backup.name}.info.json`).catch(() => {});
+    }
+
+    try {
+      await this.getCatalog().remove(backup.name);
+    } catch (error) {
+      this.logger.warn(`Failed to remove ${backup.name} from the backup catalog; run a catalog rebuild:`, error.message);
+    }
+  }
+
+  getRetentionPolicy(clusterName, dbName) {
+    return RetentionPolicy.resolve(this.config.getSetting('backupRetentionPolicies'), clusterName, dbName);
+  }
+
+  // Applies the configured retention policies to every cluster/database that
+  // has one, or only to options.cluster / options.database. With
+  // options.dryRun nothing is deleted.
+  async pruneBackups(options = {}) {
+    try {
+      const groups = new Map();
+      for (const backup of await this.listBackups()) {
+        if (!backup.cluster || !backup.database) continue;
+        if (options.cluster && backup.cluster !== options.cluster) continue;
+        if (options.database && backup.database !== options.database) continue;
+
+        const key = `${backup.cluster}/${backup.database}`;
+        if (!groups.has(key)) {
+          groups.set(key, []);
+        }
+        groups.get(key).push(backup);
+      }
+
+      const results = [];
+      let deleted = 0;
+
+      for (const backups of groups.values()) {
+        const { cluster, database } = backups[0];
+        const policy = this.getRetentionPolicy(cluster, database);
+        if (!policy) continue;
+
+        const { keep, prune } = policy.apply(backups);
+        const result = {
+          cluster,
+          database,
+          policy: policy.toJSON(),
+          keep: keep.map(({ backup, reasons }) => ({ name: backup.name, created: backup.created, reasons })),
+          prune: prune.map(backup => ({ name: backup.name, created: backup.created })),
+          errors: []
+        };
+
+        if (!options.dryRun) {
+          for (const backup of prune) {
+            try {
+              await this.deleteBackup(backup);
+              deleted++;
+              this.logger.info(`Pruned backup: ${backup.name}`);
+            } catch (error) {
+              this.logger.error(`Failed to prune backup ${backup.name}:`, error);
+              result.errors.push({ name: backup.name, error: error.message });
+            }
+          }
+        }
+
+        results.push(result);
+      }
+
+      return { dryRun: Boolean(options.dryRun), groups: results, deleted };
+    } catch (error) {
+      this.logger.error('Backup pruning failed:', error);
+      throw error;
+    }
+  }
+
   async cleanupOldBackups(retentionDays = null) {
     const retention = retentionDays || this.config.getSetting('backupRetention') || 30;
     const cutoffDate = new Date();
@@ -384,11 +2301,7 @@ class BackupManager {
 
       for (const backup of oldBackups) {
         try {
-          if (backup.compressed) {
-            await fs.unlink(backup.path);
-          } else {
-            await fs.rmdir(backup.path, { recursive: true });
-          }
+          await this.deleteBackup(backup);
           this.logger.info(`Cleaned up old backup: ${backup.name}`);
         } catch (error) {
           this.logger.error(`Failed to cleanup backup ${backup.name}:`, error);
@@ -0,0 +1,266 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+// Storage adapters hold finished backup archives (<name>.zip) and their
+// metadata sidecars (<name>.info.json) under flat keys. Every adapter
+// implements upload, download, list, readFile and delete.
+
+function requireOptional(moduleName, storageType) {
+  try {
+    return require(moduleName);
+  } catch (error) {
+    if (error.code === 'MODULE_NOT_FOUND') {
+      throw new Error(`${storageType} backup storage requires ${moduleName}; install it with npm install ${moduleName}`);
+    }
+    throw error;
+  }
+}
+
+class FilesystemStorageAdapter {
+  constructor(options = {}) {
+    if (!options.path) {
+      throw new Error('Filesystem backup storage requires a path');
+    }
+    this.type = 'filesystem';
+    this.root = path.resolve(options.path);
+  }
+
+  describe(key) {
+    return path.join(this.root, key);
+  }
+
+  async upload(localFile, key) {
+    await fs.mkdir(this.root, { recursive: true });
+    await fs.copyFile(localFile, path.join(this.root, key));
+  }
+
+  async download(key, localFile) {
+    await fs.copyFile(path.join(this.root, key), localFile);
+  }
+
+  async list() {
+    const entries = await fs.readdir(this.root).catch(error => {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    });
+
+    const objects = [];
+    for (const key of entries) {
+      const stats = await fs.stat(path.join(this.root, key));
+      if (!stats.isDirectory()) {
+        objects.push({ key, size: stats.size, modified: stats.mtime });
+      }
+    }
+    return objects;
+  }
+
+  async readFile(key) {
+    return fs.readFile(path.join(this.root, key));
+  }
+
+  async delete(key) {
+    await fs.unlink(path.join(this.root, key));
+  }
+}
+
+// Works with AWS S3 and S3-compatible servers such as MinIO (set endpoint and
+// forcePathStyle). Credentials fall back to the AWS SDK provider chain.
+class S3StorageAdapter {
+  constructor(options = {}) {
+    if (!options.bucket) {
+      throw new Error('S3 backup storage requires a bucket');
+    }
+    this.type = 's3';
+    this.bucket = options.bucket;
+    this.prefix = options.prefix ? options.prefix.replace(/\/?$/, '/') : '';
+    this.options = options;
+    this.client = null;
+  }
+
+  get sdk() {
+    return requireOptional('@aws-sdk/client-s3', 'S3');
+  }
+
+  getClient() {
+    if (!this.client) {
+      const { S3Client } = this.sdk;
+      const { region, endpoint, forcePathStyle, accessKeyId, secretAccessKey } = this.options;
+      this.client = new S3Client({
+        region: region || 'us-east-1',
+        endpoint,
+        forcePathStyle: Boolean(forcePathStyle),
+        credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+      });
+    }
+    return this.client;
+  }
+
+  describe(key) {
+    return `s3://${this.bucket}/${this.prefix}${key}`;
+  }
+
+  async upload(localFile, key) {
+    const body = require('fs').createReadStream(localFile);
+    const params = { Bucket: this.bucket, Key: this.prefix + key, Body: body };
+
+    // Multipart uploads lift the 5 GB single-request limit when lib-storage is installed
+    let Upload;
+    try {
+      ({ Upload } = require('@aws-sdk/lib-storage'));
+    } catch (error) {
+      Upload = null;
+    }
+
+    if (Upload) {
+      await new Upload({ client: this.getClient(), params }).done();
+    } else {
+      const { size } = await fs.stat(localFile);
+      await this.getClient().send(new this.sdk.PutObjectCommand({ ...params, ContentLength: size }));
+    }
+  }
+
+  async download(key, localFile) {
+    const response = await this.getClient().send(new this.sdk.GetObjectCommand({
+      Bucket: this.bucket,
+      Key: this.prefix + key
+    }));
+    await pipeline(response.Body, require('fs').createWriteStream(localFile));
+  }
+
+  async list() {
+    const { ListObjectsV2Command } = this.sdk;
+    const objects = [];
+    let token;
+
+    do {
+      const response = await this.getClient().send(new ListObjectsV2Command({
+        Bucket: this.bucket,
+        Prefix: this.prefix,
+        ContinuationToken: token
+      }));
+
+      for (const object of response.Contents || []) {
+        const key = object.Key.slice(this.prefix.length);
+        if (key && !key.includes('/')) {
+          objects.push({ key, size: object.Size, modified: object.LastModified });
+        }
+      }
+      token = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (token);
+
+    return objects;
+  }
+
+  async readFile(key) {
+    const response = await this.getClient().send(new this.sdk.GetObjectCommand({
+      Bucket: this.bucket,
+      Key: this.prefix + key
+    }));
+    return Buffer.from(await response.Body.transformToByteArray());
+  }
+
+  async delete(key) {
+    await this.getClient().send(new this.sdk.DeleteObjectCommand({
+      Bucket: this.bucket,
+      Key: this.prefix + key
+    }));
+  }
+}
+
+// Opens a connection per operation; backup transfers are rare enough that
+// keeping an idle SSH session around is not worth it.
+class SftpStorageAdapter {
+  constructor(options = {}) {
+    if (!options.host) {
+      throw new Error('SFTP backup storage requires a host');
+    }
+    this.type = 'sftp';
+    this.options = options;
+    this.root = (options.path || '.').replace(/\/$/, '');
+  }
+
+  describe(key) {
+    return `sftp://${this.options.host}/${this.root.replace(/^\//, '')}/${key}`;
+  }
+
+  remotePath(key) {
+    return path.posix.join(this.root, key);
+  }
+
+  async withClient(operation) {
+    const SftpClient = requireOptional('ssh2-sftp-client', 'SFTP');
+    const client = new SftpClient();
+    const { host, port, username, password, privateKey } = this.options;
+
+    await client.connect({
+      host,
+      port: port || 22,
+      username,
+      password,
+      privateKey: this.options.privateKeyPath ?
+        await fs.readFile(this.options.privateKeyPath) :
+        privateKey
+    });
+
+    try {
+      return await operation(client);
+    } finally {
+      await client.end().catch(() => {});
+    }
+  }
+
+  async upload(localFile, key) {
+    await this.withClient(async (client) => {
+      await client.mkdir(this.root, true).catch(() => {});
+      await client.fastPut(localFile, this.remotePath(key));
+    });
+  }
+
+  async download(key, localFile) {
+    await this.withClient(client => client.fastGet(this.remotePath(key), localFile));
+  }
+
+  async list() {
+    return this.withClient(async (client) => {
+      const entries = await client.list(this.root);
+      return entries
+        .filter(entry => entry.type === '-')
+        .map(entry => ({ key: entry.name, size: entry.size, modified: new Date(entry.modifyTime) }));
+    });
+  }
+
+  async readFile(key) {
+    return this.withClient(client => client.get(this.remotePath(key)));
+  }
+
+  async delete(key) {
+    await this.withClient(client => client.delete(this.remotePath(key)));
+  }
+}
+
+const STORAGE_ADAPTERS = {
+  filesystem: FilesystemStorageAdapter,
+  s3: S3StorageAdapter,
+  sftp: SftpStorageAdapter
+};
+
+// Returns null when backups stay in the local backup directory only.
+function createStorageAdapter(settings) {
+  if (!settings || !settings.type || settings.type === 'local') {
+    return null;
+  }
+
+  const Adapter = STORAGE_ADAPTERS[settings.type];
+  if (!Adapter) {
+    throw new Error(`Unknown backup storage type: ${settings.type}`);
+  }
+  return new Adapter(settings);
+}
+
+module.exports = {
+  createStorageAdapter,
+  FilesystemStorageAdapter,
+  S3StorageAdapter,
+  SftpStorageAdapter
+};
@@ -0,0 +1,164 @@
+const chalk = require('chalk');
+const Table = require('cli-table3');
+const { collect } = require('./parse-options');
+
+const severityColors = { info: chalk.gray, warning: chalk.yellow, error: chalk.red, critical: chalk.bgRed.white };
+
+function describeScope(rule) {
+  const parts = [];
+  if (rule.scope.clusters.length > 0) {
+    parts.push(`clusters: ${rule.scope.clusters.join(', ')}`);
+  }
+  if (rule.scope.environments.length > 0) {
+    parts.push(`environments: ${rule.scope.environments.join(', ')}`);
+  }
+  return parts.join('; ') || (rule.builtIn ? 'all (per-environment thresholds)' : 'all');
+}
+
+module.exports = function(program, initializeManager) {
+  const alerts = program.command('alerts');
+  alerts.description('Alert rules and notifications');
+
+  const rules = alerts.command('rules');
+  rules.description('Manage alert rules evaluated by the monitoring service');
+
+  rules
+    .command('list')
+    .description('List alert rules, including the built-in ones')
+    .action(async () => {
+      const manager = await initializeManager(program.opts());
+      try {
+        const table = new Table({ head: ['Rule', 'Condition', 'Severity', 'Scope', 'Status'] });
+        manager.getMonitoring().loadAlertRules().forEach(rule => {
+          const color = severityColors[rule.severity] || chalk.white;
+          table.push([
+            rule.name + (rule.builtIn ? chalk.gray(' (built-in)') : ''),
+            rule.describeCondition(),
+            color(rule.severity),
+            describeScope(rule),
+            rule.enabled ? chalk.green('enabled') : chalk.gray('disabled')
+          ]);
+        });
+        console.log(table.toString());
+      } catch (error) {
+        console.error(chalk.red('Failed to list alert rules:'), error.message);
+        process.exit(1);
+      } finally {
+        await manager.shutdown();
+      }
+    });
+
+  rules
+    .command('add <name>')
+    .description('Create or replace an alert rule (use a built-in name to override it)')
+    .requiredOption('--metric <path>', 'Metric path, e.g. server.memory.resident or derived.connectionUsage')
+    .option('--comparator <op>', 'Comparison with the threshold (>, >=, <, <=, ==, !=)', '>')
+    .requiredOption('--threshold <number>', 'Threshold value')
+    .option('--for <duration>', 'Only fire once the condition has held this long (e.g. 30s, 5m, 1h)')
+    .option('--severity <severity>', 'Alert severity (info, warning, error, critical)', 'warning')
+    .option('--cluster <name>', 'Only evaluate on this cluster (repeatable)', collect, [])
+    .option('--environment <name>', 'Only evaluate on clusters of this environment (repeatable)', collect, [])
+    .option('--description <text>', 'Shown at the start of alert messages')
+    .option('--disabled', 'Save the rule without evaluating it')
+    .action(async (name, options) => {
+      const manager = await initializeManager(program.opts());
+      try {
+        const config = manager.getConfigManager();
+        const existed = Boolean(config.getAlertRules()[name]);
+        config.setAlertRule(name, {
+          description: options.description,
+          metric: options.metric,
+          comparator: options.comparator,
+          threshold: Number(options.threshold),
+          for: options.for,
+          severity: options.severity,
+          scope: { clusters: options.cluster, environments: options.environment },
+          enabled: !options.disabled
+        }, { intervalMs: manager.getMonitoring().intervalMs });
+        await config.save();
+        console.log(chalk.green(`Alert rule ${name} ${existed ? 'updated' : 'created'}`));
+      } catch (error) {
+        console.error(chalk.red('Failed to save alert rule:'), error.message);
+        process.exit(1);
+      } finally {
+        await manager.shutdown();
+      }
+    });
+
+  rules
+    .command('test <name> [cluster]')
+    .description('Evaluate a rule against current metrics without raising alerts')
+    .action(async (name, cluster) => {
+      const manager = await initializeManager(program.opts());
+      try {
+        const results = await manager.getMonitoring().testAlertRule(name, cluster);
+        if (results.length === 0) {
+          console.log(chalk.yellow('No clusters to evaluate.'));
+          return;
+        }
+
+        results.forEach(result => {
+          let status;
+          if (!result.applies) {
+            status = chalk.gray('out of scope');
+          } else if (result.error) {
+            status = chalk.red(`no metrics: ${result.error}`);
+          } else if (result.value === null) {
+            status = chalk.gray(`no value for ${result.rule.metric}`);
+          } else if (result.firing) {
+            status = chalk.red(`firing - ${result.message}`);
+          } else {
+            const state = result.pending ? chalk.yellow(`pending since ${new Date(result.since).toLocaleString()}`) : chalk.green('ok');
+            status = `${state} (${result.rule.metric} = ${result.value})`;
+          }
+          console.log(`${chalk.bold(result.cluster)}: ${status}`);
+        });
+      } catch (error) {
+        console.error(chalk.red('Failed to test alert rule:'), error.message);
+        process.exit(1);
+      } finally {
+        await manager.shutdown();
+      }
+    });
+
+  rules
+    .command('remove <name>')
+    .description('Remove a configured alert rule (a removed override restores the built-in rule)')
+    .action(async (name) => {
+      const manager = await initializeManager(program.opts());
+      try {
+        const config = manager.getConfigManager();
+        if (!config.removeAlertRule(name)) {
+          throw new Error(`Unknown alert rule: ${name}`);
+        }
+        await config.save();
+        console.log(chalk.green(`Alert rule ${name} removed`));
+      } catch (error) {
+        console.error(chalk.red(error.message));
+        process.exit(1);
+      } finally {
+        await manager.shutdown();
+      }
+    });
+
+  alerts
+    .command('test-channel <name>')
+    .description('Send a test notification through a configured notification channel')
+    .action(async (name) => {
+      const manager = await initializeManager(program.opts());
+      try {
+        const result = await manager.getMonitoring().getNotifier().test(name);
+        if (!result.ok) {
+          console.error(chalk.red(`Test notification via ${name} failed:`), result.error);
+          process.exitCode = 1;
+          return;
+        }
+        console.log(chalk.green(`Test notification sent via ${name}`));
+      } catch (error) {
+        console.error(chalk.red(error.message));
+        process.exit(1);
+      } finally {
+        await manager.shutdown();
+      }
+    });
+};
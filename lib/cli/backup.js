@@ -1,5 +1,52 @@
 const chalk = require('chalk');
 const ora = require('ora');
+const path = require('path');
+const inquirer = require('inquirer');
+const Table = require('cli-table3');
+const CLIEnhancer = require('./enhanced-ux');
+const { collect, parseCollectionMap } = require('./parse-options');
+
+// Turns repeated "<collection>=<new name>" options into a rename map
+function parseRenames(entries) {
+  const rename = {};
+  for (const entry of entries) {
+    const [from, to, ...rest] = entry.split('=');
+    if (!from || !to || rest.length > 0) {
+      throw new Error(`--rename expects <collection>=<new name>, got: ${entry}`);
+    }
+    rename[from] = to;
+  }
+  return rename;
+}
+
+// Turns repeated "[<collection>=]<strategy>" options into a conflict map; a
+// bare strategy applies to every collection not named otherwise
+function parseConflictStrategies(entries) {
+  const strategies = {};
+  for (const entry of entries) {
+    const separator = entry.indexOf('=');
+    if (separator < 0) {
+      strategies['*'] = entry;
+    } else {
+      strategies[entry.slice(0, separator)] = entry.slice(separator + 1);
+    }
+  }
+
+  const { '*': fallback, ...named } = strategies;
+  return fallback ? { ...named, '*': fallback } : named;
+}
+
+// Only sets what was given, so the backupThrottle setting fills in the rest
+function parseThrottle(options) {
+  const throttle = {};
+  if (options.maxDocsPerSec) {
+    throttle.documentsPerSecond = parseInt(options.maxDocsPerSec);
+  }
+  if (options.maxBytesPerSec) {
+    throttle.bytesPerSecond = parseInt(options.maxBytesPerSec);
+  }
+  return throttle;
+}
 
 module.exports = function(program, initializeManager) {
   const backup = program.command('backup');
@@ -10,17 +57,74 @@ module.exports = function(program, initializeManager) {
     .description('Create a backup of a database')
     .option('-o, --output <path>', 'Output directory')
     .option('--compress', 'Compress backup files')
+    .option('--batch-size <number>', 'Documents written per batch', '1000')
+    .option('--mode <mode>', 'Backup mode (full, incremental, differential)', 'full')
+    .option('--format <format>', 'Data format (ejson, bson)', 'ejson')
+    .option('--consistency <level>', 'Point-in-time consistency (none, oplog, snapshot)', 'none')
+    .option('--parallel <number>', 'Collections backed up at once', '1')
+    .option('--split <parts>', 'Read large collections in this many parallel _id ranges')
+    .option('--split-min-docs <number>', 'Only split collections with at least this many documents')
+    .option('--max-docs-per-sec <number>', 'Limit backup throughput in documents per second')
+    .option('--max-bytes-per-sec <number>', 'Limit backup throughput in bytes written per second')
+    .option('--encrypt', 'Encrypt backup files with AES-256-GCM')
+    .option('--key-id <id>', 'Backup key to encrypt with (defaults to the configured default key)')
+    .option('--mask <profile>', 'Mask documents with a masking profile (full backups only)')
+    .option('--tag <tag>', 'Tag the backup in the catalog (repeatable)', collect, [])
+    .option('--retention-class <class>', 'Retention class recorded in the catalog')
+    .option('--include <patterns>', 'Only back up matching collections (comma-separated globs)')
+    .option('--exclude <patterns>', 'Skip matching collections (comma-separated globs)')
+    .option('--query <collection=json>', 'Only back up documents matching a filter (repeatable)', collect, [])
+    .option('--projection <collection=json>', 'Only back up the projected fields (repeatable)', collect, [])
     .action(async (cluster, database, options) => {
       const manager = await initializeManager(program.opts());
       const spinner = ora('Creating backup...').start();
       
       try {
-        const result = await manager.getBackupManager().createBackup(cluster, database, options);
+        const backupManager = manager.getBackupManager();
+        backupManager.on('backupProgress', (progress) => {
+          spinner.text = `Backing up ${progress.collection}: ${progress.documentsWritten} documents written`;
+        });
+
+        const result = await backupManager.createBackup(cluster, database, {
+          ...options,
+          batchSize: parseInt(options.batchSize),
+          encrypt: options.encrypt && (options.keyId ? { keyId: options.keyId } : true),
+          query: parseCollectionMap(options.query, 'query'),
+          projection: parseCollectionMap(options.projection, 'projection'),
+          parallel: parseInt(options.parallel),
+          split: options.split ? {
+            parts: parseInt(options.split),
+            minDocuments: options.splitMinDocs ? parseInt(options.splitMinDocs) : undefined
+          } : undefined,
+          throttle: parseThrottle(options),
+          masking: options.mask,
+          tags: options.tag
+        });
         
         spinner.succeed('Backup completed successfully');
         console.log(`Backup location: ${result.path}`);
+        if (result.info.type !== 'full') {
+          console.log(`Type: ${result.info.type} (parent: ${result.info.parent})`);
+          console.log(`Oplog entries: ${result.info.oplogEntries}`);
+        }
+        const consistency = result.info.consistency;
+        if (consistency && consistency.level !== 'none') {
+          const fallback = consistency.level !== consistency.requested ?
+            chalk.yellow(` (${consistency.requested} unavailable: ${consistency.fallbackReason})`) :
+            '';
+          console.log(`Consistency: ${consistency.level}${fallback}`);
+        }
         console.log(`Size: ${(result.size / 1024 / 1024).toFixed(2)} MB`);
         console.log(`Collections: ${result.collections}`);
+        if (result.info.excludedCollections && result.info.excludedCollections.length > 0) {
+          console.log(`Excluded: ${result.info.excludedCollections.join(', ')}`);
+        }
+        if (result.info.encryption) {
+          console.log(`Encrypted with key: ${result.info.encryption.keyId}`);
+        }
+        if (result.info.masking) {
+          console.log(`Masked with profile: ${result.info.masking.profile}`);
+        }
       } catch (error) {
         spinner.fail('Backup failed');
         console.error(chalk.red(error.message));
@@ -30,13 +134,284 @@ module.exports = function(program, initializeManager) {
       }
     });
 
+  backup
+    .command('restore <source> <cluster> <database>')
+    .description('Restore a backup (path or name) into a database')
+    .option('--drop-existing', 'Drop collections before restoring them')
+    .option('--to-time <time>', 'Restore to a point in time (ISO 8601); source may be a backup or <cluster>/<database>')
+    .option('--strict', 'Fail if any collection is skipped or fails to restore')
+    .option('--collections <patterns>', 'Only restore matching collections (comma-separated globs)')
+    .option('--rename <collection=name>', 'Restore a collection under another name (repeatable)', collect, [])
+    .option('--on-conflict <[collection=]strategy>', 'Handle existing _ids with fail, skip or overwrite (repeatable)', collect, [])
+    .option('--dry-run', 'Show what the restore would change without writing')
+    .option('--mask <profile>', 'Mask documents with a masking profile as they are restored')
+    .action(async (source, cluster, database, options) => {
+      const manager = await initializeManager(program.opts());
+      const spinner = ora(options.dryRun ? 'Planning restore...' : 'Restoring backup...').start();
+
+      try {
+        const backupManager = manager.getBackupManager();
+        backupManager.on('restoreProgress', (progress) => {
+          spinner.text = `Restoring ${progress.collection}: ${progress.documentsRestored} documents`;
+        });
+
+        const restoreOptions = {
+          dropExisting: options.dropExisting,
+          strict: options.strict,
+          collections: options.collections,
+          rename: parseRenames(options.rename),
+          conflict: parseConflictStrategies(options.onConflict),
+          dryRun: options.dryRun,
+          masking: options.mask
+        };
+        let result;
+
+        const [sourceCluster, sourceDatabase] = source.split('/');
+        if (options.toTime && sourceDatabase && manager.config.getCluster(sourceCluster)) {
+          result = await backupManager.restoreToPointInTime(
+            sourceCluster,
+            sourceDatabase,
+            options.toTime,
+            cluster,
+            database,
+            restoreOptions
+          );
+        } else {
+          const backupPath = source.includes(path.sep) ? source : await backupManager.resolveBackupPath(source);
+          result = await backupManager.restoreBackup(backupPath, cluster, database, {
+            ...restoreOptions,
+            toTime: options.toTime
+          });
+        }
+
+        if (result.dryRun) {
+          spinner.succeed(`Dry run: nothing was written to ${cluster}/${database}`);
+          result.collections.forEach(collection => {
+            const target = collection.target !== collection.name ? ` -> ${collection.target}` : '';
+            const { drop, insert, overwrite, skip } = collection.changes;
+            console.log(`  ${collection.name}${target}: ${collection.documents} documents, ${collection.existingDocuments} existing, ${collection.conflicts} conflicting (${collection.strategy})`);
+            console.log(chalk.gray(`    drop ${drop}, insert ${insert}, overwrite ${overwrite}, skip ${skip}`));
+            if (collection.error) {
+              console.log(chalk.red(`    would fail: ${collection.error}`));
+            }
+          });
+          result.skippedCollections.forEach(collection => {
+            console.log(chalk.yellow(`  ${collection.name}: would be skipped (failed during backup: ${collection.reason})`));
+          });
+          if (result.oplogSegments) {
+            console.log(`Oplog segments to replay: ${result.oplogSegments.join(', ')}`);
+          }
+          return;
+        }
+
+        const incomplete = result.skippedCollections.length + result.failedCollections.length > 0;
+        if (incomplete) {
+          spinner.warn('Restore completed with problems');
+        } else {
+          spinner.succeed('Restore completed successfully');
+        }
+        result.restoredCollections.forEach(collection => {
+          const target = collection.target ? ` -> ${collection.target}` : '';
+          const conflicts = collection.conflicts ? `, ${collection.conflicts} conflicts (${collection.conflictStrategy})` : '';
+          const partial = collection.partial ? chalk.yellow(' (filtered backup, partial data)') : '';
+          console.log(`  ${collection.name}${target}: ${collection.documents} documents, ${collection.indexes} indexes${conflicts}${partial}`);
+        });
+        const excluded = result.sourceBackup.excludedCollections || [];
+        if (excluded.length > 0) {
+          console.log(chalk.yellow(`Not in this backup: ${excluded.join(', ')}`));
+        }
+        result.skippedCollections.forEach(collection => {
+          console.log(chalk.yellow(`  ${collection.name}: skipped (failed during backup: ${collection.reason})`));
+        });
+        result.failedCollections.forEach(collection => {
+          console.log(chalk.red(`  ${collection.name}: failed (${collection.error})`));
+        });
+        if (result.pointInTime) {
+          console.log(`Restored to: ${result.pointInTime.requested.toISOString()} (base: ${result.pointInTime.base})`);
+        }
+        if (result.oplogReplay) {
+          const entries = result.oplogReplay.reduce((sum, segment) => sum + segment.entriesApplied, 0);
+          console.log(`Oplog entries replayed: ${entries}`);
+        }
+      } catch (error) {
+        spinner.fail('Restore failed');
+        console.error(chalk.red(error.message));
+        process.exit(1);
+      } finally {
+        await manager.shutdown();
+      }
+    });
+
+  backup
+    .command('verify <backup>')
+    .description('Check a backup\'s checksums and document counts')
+    .option('--test-restore <cluster>', 'Also restore into a scratch database on this cluster and compare')
+    .action(async (source, options) => {
+      const manager = await initializeManager(program.opts());
+      const spinner = ora('Verifying backup...').start();
+
+      try {
+        const backupManager = manager.getBackupManager();
+        const backupPath = source.includes(path.sep) ? source : await backupManager.resolveBackupPath(source);
+        const report = await backupManager.verifyBackup(backupPath, { testRestore: options.testRestore });
+
+        if (report.valid) {
+          spinner.succeed(`Backup ${report.name} is valid`);
+        } else {
+          spinner.fail(`Backup ${report.name} has ${report.errors.length} problem(s)`);
+        }
+
+        console.log(`Files checked: ${report.files.filter(file => file.ok).length}/${report.files.length}`);
+        report.collections.forEach(collection => {
+          const count = collection.actual === null ? 'not counted' : `${collection.actual}/${collection.expected} documents`;
+          const mark = collection.ok === false ? chalk.red('✗') : chalk.green('✓');
+          console.log(`  ${mark} ${collection.name}: ${count}`);
+        });
+        if (report.testRestore) {
+          console.log(`Test restore into ${report.testRestore.cluster}/${report.testRestore.database}: ${report.testRestore.collections.length} collections compared`);
+        }
+        report.warnings.forEach(warning => console.log(chalk.yellow(warning)));
+        report.errors.forEach(error => console.log(chalk.red(error)));
+
+        if (!report.valid) {
+          process.exitCode = 1;
+        }
+      } catch (error) {
+        spinner.fail('Verification failed');
+        console.error(chalk.red(error.message));
+        process.exit(1);
+      } finally {
+        await manager.shutdown();
+      }
+    });
+
+  backup
+    .command('history')
+    .description('Show past scheduled backup runs')
+    .option('--job <jobId>', 'Only show runs of this job')
+    .option('--cluster <cluster>', 'Only show runs for this cluster')
+    .option('--database <database>', 'Only show runs for this database')
+    .option('--status <status>', 'Only show runs with this status (success, partial, failed)')
+    .option('--limit <count>', 'Number of runs to show', '20')
+    .action(async (options) => {
+      const manager = await initializeManager(program.opts());
+      try {
+        const runs = await manager.getBackupManager().listJobRuns({
+          jobId: options.job,
+          cluster: options.cluster,
+          database: options.database,
+          status: options.status,
+          limit: parseInt(options.limit, 10)
+        });
+
+        if (runs.length === 0) {
+          console.log(chalk.yellow('No scheduled backup runs recorded.'));
+          return;
+        }
+
+        const statusColors = { success: chalk.green, partial: chalk.yellow, failed: chalk.red };
+        const table = new Table({
+          head: ['Started', 'Job', 'Status', 'Duration', 'Backup', 'Size'],
+          colWidths: [22, 25, 10, 10, 45, 12]
+        });
+
+        runs.forEach(run => {
+          const color = statusColors[run.status] || chalk.gray;
+          table.push([
+            new Date(run.startedAt).toLocaleString(),
+            run.jobId,
+            color(run.status),
+            run.durationMs === null || run.durationMs === undefined ? 'N/A' : CLIEnhancer.formatDuration(run.durationMs),
+            run.backup || chalk.red(run.error || 'N/A'),
+            typeof run.size === 'number' ? CLIEnhancer.formatBytes(run.size) : 'N/A'
+          ]);
+        });
+
+        console.log(table.toString());
+      } catch (error) {
+        console.error(chalk.red('Failed to read backup history:'), error.message);
+        process.exit(1);
+      } finally {
+        await manager.shutdown();
+      }
+    });
+
+  backup
+    .command('prune')
+    .description('Delete backups outside the configured retention policies')
+    .option('--dry-run', 'Only list what would be deleted')
+    .option('--cluster <cluster>', 'Only prune backups of this cluster')
+    .option('--database <database>', 'Only prune backups of this database')
+    .action(async (options) => {
+      const manager = await initializeManager(program.opts());
+      try {
+        const result = await manager.getBackupManager().pruneBackups({
+          dryRun: options.dryRun,
+          cluster: options.cluster,
+          database: options.database
+        });
+
+        if (result.groups.length === 0) {
+          console.log(chalk.yellow('No backups are covered by a retention policy (settings.backupRetentionPolicies).'));
+          return;
+        }
+
+        result.groups.forEach(group => {
+          const policy = Object.entries(group.policy).map(([period, count]) => `${count} ${period}`).join(', ');
+          console.log(chalk.bold(`${group.cluster}/${group.database}`) + chalk.gray(` (${policy})`));
+          group.keep.forEach(backup => {
+            console.log(`  ${chalk.green('keep')}   ${backup.name} ${chalk.gray(`[${backup.reasons.join(', ')}]`)}`);
+          });
+          group.prune.forEach(backup => {
+            const label = result.dryRun ? 'would delete' : 'delete';
+            console.log(`  ${chalk.red(label)} ${backup.name}`);
+          });
+          group.errors.forEach(failure => {
+            console.log(chalk.red(`  failed to delete ${failure.name}: ${failure.error}`));
+          });
+        });
+
+        if (!result.dryRun) {
+          console.log(`Deleted ${result.deleted} backup(s)`);
+        }
+      } catch (error) {
+        console.error(chalk.red('Failed to prune backups:'), error.message);
+        process.exit(1);
+      } finally {
+        await manager.shutdown();
+      }
+    });
+
   backup
     .command('list')
     .description('List available backups')
-    .action(async () => {
+    .option('--cluster <cluster>', 'Only list backups of this cluster')
+    .option('--database <database>', 'Only list backups of this database')
+    .option('--type <type>', 'Only list backups of this type (full, incremental, differential)')
+    .option('--tag <tag>', 'Only list backups with this tag (repeatable)', collect, [])
+    .option('--retention-class <class>', 'Only list backups in this retention class')
+    .option('--since <date>', 'Only list backups created at or after this time')
+    .option('--until <date>', 'Only list backups created at or before this time')
+    .option('--location <location>', 'Only list local or remote backups')
+    .option('--sort <field>', 'Sort by created, size, name, cluster, database or totalDocuments', 'created')
+    .option('--order <order>', 'Sort order (asc, desc)', 'desc')
+    .option('--limit <count>', 'Number of backups to show')
+    .action(async (options) => {
       const manager = await initializeManager(program.opts());
       try {
-        const backups = await manager.getBackupManager().listBackups();
+        const backups = await manager.getBackupManager().listBackups({
+          cluster: options.cluster,
+          database: options.database,
+          type: options.type,
+          tags: options.tag,
+          retentionClass: options.retentionClass,
+          since: options.since,
+          until: options.until,
+          location: options.location,
+          sort: options.sort,
+          order: options.order,
+          limit: options.limit ? parseInt(options.limit, 10) : undefined
+        });
         
         if (backups.length === 0) {
           console.log(chalk.yellow('No backups found.'));
@@ -45,7 +420,13 @@ module.exports = function(program, initializeManager) {
 
         console.log(chalk.bold('Available Backups:'));
         backups.forEach(backup => {
-          console.log(`${backup.name} - ${backup.created} (${backup.size})`);
+          const encrypted = backup.encrypted ? chalk.gray(` [encrypted: ${backup.keyId}]`) : '';
+          const masked = backup.masking ? chalk.gray(` [masked: ${backup.masking}]`) : '';
+          const tags = backup.tags && backup.tags.length > 0 ? chalk.cyan(` #${backup.tags.join(' #')}`) : '';
+          const retention = backup.retentionClass ? chalk.gray(` [retention: ${backup.retentionClass}]`) : '';
+          const remote = backup.location ? chalk.gray(` [${backup.location}]`) : '';
+          const size = typeof backup.size === 'number' ? CLIEnhancer.formatBytes(backup.size) : 'unknown size';
+          console.log(`${backup.name} - ${new Date(backup.created).toLocaleString()} (${size})${tags}${retention}${encrypted}${masked}${remote}`);
         });
       } catch (error) {
         console.error(chalk.red('Failed to list backups:'), error.message);
@@ -54,4 +435,76 @@ module.exports = function(program, initializeManager) {
         await manager.shutdown();
       }
     });
+
+  const catalog = backup.command('catalog');
+  catalog.description('Manage the backup catalog');
+
+  catalog
+    .command('rebuild')
+    .description('Rebuild the catalog by scanning the backup directory and remote storage')
+    .action(async () => {
+      const manager = await initializeManager(program.opts());
+      const spinner = ora('Scanning backups...').start();
+      try {
+        const backupManager = manager.getBackupManager();
+        const backups = await backupManager.rebuildCatalog();
+        spinner.succeed(`Catalog rebuilt with ${backups.length} backup(s) in ${backupManager.getCatalog().describe()}`);
+      } catch (error) {
+        spinner.fail('Failed to rebuild the backup catalog');
+        console.error(chalk.red(error.message));
+        process.exit(1);
+      } finally {
+        await manager.shutdown();
+      }
+    });
+
+  const keys = backup.command('keys');
+  keys.description('Manage backup encryption keys');
+
+  keys
+    .command('add <keyId>')
+    .description('Store a backup passphrase under a key ID')
+    .option('--default', 'Use this key when no key ID is given')
+    .action(async (keyId, options) => {
+      const manager = await initializeManager(program.opts());
+      try {
+        const answers = await inquirer.prompt([
+          { type: 'password', name: 'passphrase', message: 'Passphrase:', mask: '*' },
+          { type: 'password', name: 'confirm', message: 'Confirm passphrase:', mask: '*' }
+        ]);
+
+        if (!answers.passphrase || answers.passphrase !== answers.confirm) {
+          throw new Error('Passphrases are empty or do not match');
+        }
+
+        await manager.getBackupManager().keyProvider.addKey(keyId, answers.passphrase, options.default);
+        console.log(chalk.green(`Backup key ${keyId} saved`));
+        console.log(chalk.yellow('Keep a copy of the passphrase elsewhere; encrypted backups cannot be restored without it.'));
+      } catch (error) {
+        console.error(chalk.red('Failed to save backup key:'), error.message);
+        process.exit(1);
+      } finally {
+        await manager.shutdown();
+      }
+    });
+
+  keys
+    .command('list')
+    .description('List configured backup keys')
+    .action(async () => {
+      const manager = await initializeManager(program.opts());
+      try {
+        const configured = manager.getBackupManager().keyProvider.listKeys();
+        if (configured.length === 0) {
+          console.log(chalk.yellow('No backup keys configured.'));
+          return;
+        }
+
+        configured.forEach(key => {
+          console.log(`${key.id}${key.default ? chalk.gray(' (default)') : ''}`);
+        });
+      } finally {
+        await manager.shutdown();
+      }
+    });
 };
\ No newline at end of file
@@ -192,11 +192,28 @@ module.exports = function(program, initializeManager) {
           console.log(`  Network: ${info.serverStatus.network?.bytesIn || 0} bytes in, ${info.serverStatus.network?.bytesOut || 0} bytes out`);
         }
         
-        if (info.replicaSet) {
+        if (info.replication) {
+          const replication = info.replication;
           console.log(`\nReplica Set:`);
-          console.log(`  Name: ${info.replicaSet.set}`);
-          console.log(`  Primary: ${info.replicaSet.primary}`);
-          console.log(`  Members: ${info.replicaSet.members?.length || 0}`);
+          console.log(`  Name: ${replication.setName}`);
+          console.log(`  Primary: ${replication.primary || chalk.red('none')}`);
+          console.log(`  Term: ${replication.term ?? 'Unknown'}`);
+          if (replication.electionDate) {
+            console.log(`  Last Election: ${replication.electionDate.toISOString()}`);
+          }
+          console.log(`  Oplog Window: ${replication.oplogWindowHours === null ? 'Unknown' : `${replication.oplogWindowHours.toFixed(1)} hours`}`);
+
+          const table = new Table({ head: ['Member', 'State', 'Health', 'Lag', 'Ping'] });
+          replication.members.forEach(member => {
+            table.push([
+              member.name + (member.self ? chalk.gray(' (this)') : ''),
+              member.state,
+              member.health === 1 ? chalk.green('up') : chalk.red('down'),
+              member.lagSeconds === null ? '-' : `${member.lagSeconds}s`,
+              member.pingMs === null ? '-' : `${member.pingMs}ms`
+            ]);
+          });
+          console.log(table.toString());
         }
         
         console.log(`\nConnection Info:`);
@@ -210,6 +227,82 @@ module.exports = function(program, initializeManager) {
       }
     });
 
+  // Show the shards, routers and chunk distribution of a sharded cluster
+  clusters
+    .command('topology <name>')
+    .description('Show shards, config servers, mongos routers, balancer and chunk distribution')
+    .action(async (name) => {
+      const manager = await initializeManager(program.opts());
+      try {
+        const topology = await manager.getClusterManager().getTopology(name);
+        if (topology.type !== 'sharded') {
+          console.log(chalk.yellow(`Cluster ${name} is not sharded (${topology.type})`));
+          return;
+        }
+
+        const shardMetrics = await manager.getMonitoring().getShardMetrics(name) || {};
+
+        console.log(chalk.bold(`\nCluster: ${name} (sharded)`));
+        console.log('─'.repeat(50));
+
+        const shardTable = new Table({ head: ['Shard', 'Hosts', 'State', 'Chunks', 'Connections', 'Memory'] });
+        topology.shards.forEach(shard => {
+          const metrics = shardMetrics[shard.name] || {};
+          const server = metrics.server;
+          shardTable.push([
+            shard.name + (shard.draining ? chalk.yellow(' (draining)') : ''),
+            `${shard.replicaSet ? `${shard.replicaSet}/` : ''}${shard.hosts.join(',')}`,
+            shard.state === 1 ? chalk.green('active') : chalk.yellow(String(shard.state ?? 'unknown')),
+            shard.chunks,
+            server ? server.connections.current : chalk.red(metrics.error || '-'),
+            server ? `${server.memory.resident} MB` : '-'
+          ]);
+        });
+        console.log(chalk.bold('\nShards:'));
+        console.log(shardTable.toString());
+
+        if (topology.configServers) {
+          console.log(`\nConfig Servers: ${topology.configServers.replicaSet}/${topology.configServers.hosts.join(',')}`);
+        }
+
+        console.log(chalk.bold('\nRouters:'));
+        topology.mongos.forEach(router => {
+          const state = router.active ? chalk.green('active') : chalk.gray(`last seen ${router.lastPing ? new Date(router.lastPing).toISOString() : 'never'}`);
+          console.log(`  ${router.host} ${router.version || ''} ${state}`);
+        });
+
+        const balancer = topology.balancer;
+        console.log(`\nBalancer: ${balancer.enabled ? chalk.green(balancer.mode) : chalk.yellow('off')}${balancer.inRound ? ' (balancing now)' : ''}`);
+
+        if (topology.collections.length > 0) {
+          const collectionTable = new Table({ head: ['Collection', 'Shard Key', 'Chunks', 'Distribution', 'Imbalance'] });
+          topology.collections.forEach(collection => {
+            collectionTable.push([
+              collection.namespace + (collection.balancing ? '' : chalk.gray(' (not balanced)')),
+              JSON.stringify(collection.key),
+              collection.chunks,
+              collection.shards.map(shard => `${shard.shard}: ${shard.chunks} (${shard.percent.toFixed(0)}%)`).join('\n'),
+              collection.imbalance
+            ]);
+          });
+          console.log(chalk.bold('\nSharded Collections:'));
+          console.log(collectionTable.toString());
+        }
+
+        if (topology.jumboChunks.length > 0) {
+          console.log(chalk.red(`\nJumbo Chunks (${topology.jumboChunks.length}):`));
+          topology.jumboChunks.forEach(chunk => {
+            console.log(`  ${chunk.namespace} on ${chunk.shard}: ${JSON.stringify(chunk.min)} -> ${JSON.stringify(chunk.max)}`);
+          });
+        }
+      } catch (error) {
+        console.error(chalk.red('Failed to get cluster topology:'), error.message);
+        process.exit(1);
+      } finally {
+        await manager.shutdown();
+      }
+    });
+
   // Interactive cluster setup
   clusters
     .command('setup')
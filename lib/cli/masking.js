@@ -0,0 +1,155 @@
+const chalk = require('chalk');
+const fs = require('fs').promises;
+const { BSON } = require('mongodb');
+const Table = require('cli-table3');
+const { MaskingProfile } = require('../masking');
+const { collect } = require('./parse-options');
+
+// Turns repeated "<collection>.<field>=<strategy>[:<type>]" options into rules
+function parseFieldRules(entries) {
+  const fields = {};
+  for (const entry of entries) {
+    const separator = entry.lastIndexOf('=');
+    if (separator <= 0) {
+      throw new Error(`--field expects <collection>.<field>=<strategy>, got: ${entry}`);
+    }
+    fields[entry.slice(0, separator)] = entry.slice(separator + 1);
+  }
+  return fields;
+}
+
+const describeRule = spec => typeof spec === 'string' ? spec : JSON.stringify(spec);
+
+module.exports = function(program, initializeManager) {
+  const masking = program.command('masking');
+  masking.description('Manage data masking profiles for non-production copies');
+
+  masking
+    .command('list')
+    .description('List masking profiles')
+    .action(async () => {
+      const manager = await initializeManager(program.opts());
+      try {
+        const profiles = Object.entries(manager.getConfigManager().getMaskingProfiles());
+        if (profiles.length === 0) {
+          console.log(chalk.yellow('No masking profiles configured.'));
+          return;
+        }
+
+        const table = new Table({ head: ['Profile', 'Fields', 'Description', 'Updated'] });
+        profiles.forEach(([name, profile]) => {
+          table.push([
+            name,
+            Object.keys(profile.fields).length,
+            profile.description || '',
+            profile.updatedAt ? new Date(profile.updatedAt).toLocaleString() : 'N/A'
+          ]);
+        });
+        console.log(table.toString());
+      } finally {
+        await manager.shutdown();
+      }
+    });
+
+  masking
+    .command('show <name>')
+    .description('Show the field rules of a masking profile')
+    .action(async (name) => {
+      const manager = await initializeManager(program.opts());
+      try {
+        const profile = manager.getConfigManager().getMaskingProfiles()[name];
+        if (!profile) {
+          throw new Error(`Unknown masking profile: ${name}`);
+        }
+
+        if (profile.description) {
+          console.log(profile.description);
+        }
+        Object.entries(profile.fields).forEach(([field, spec]) => {
+          console.log(`  ${field}: ${describeRule(spec)}`);
+        });
+      } catch (error) {
+        console.error(chalk.red(error.message));
+        process.exit(1);
+      } finally {
+        await manager.shutdown();
+      }
+    });
+
+  masking
+    .command('set <name>')
+    .description('Create or replace a masking profile')
+    .option('--field <collection.field=strategy>', 'Mask a field with hash, fake[:type], redact, format or null (repeatable)', collect, [])
+    .option('--file <path>', 'Read the profile from a JSON file ({ "description", "fields" })')
+    .option('--description <text>', 'Describe what the profile is for')
+    .action(async (name, options) => {
+      const manager = await initializeManager(program.opts());
+      try {
+        const profile = options.file ? JSON.parse(await fs.readFile(options.file, 'utf8')) : { fields: {} };
+        profile.fields = { ...profile.fields, ...parseFieldRules(options.field) };
+        if (options.description) {
+          profile.description = options.description;
+        }
+
+        const config = manager.getConfigManager();
+        const existed = Boolean(config.getMaskingProfiles()[name]);
+        config.setMaskingProfile(name, profile);
+        await config.save();
+        console.log(chalk.green(`Masking profile ${name} ${existed ? 'updated' : 'created'}`));
+      } catch (error) {
+        console.error(chalk.red('Failed to save masking profile:'), error.message);
+        process.exit(1);
+      } finally {
+        await manager.shutdown();
+      }
+    });
+
+  masking
+    .command('remove <name>')
+    .description('Remove a masking profile')
+    .action(async (name) => {
+      const manager = await initializeManager(program.opts());
+      try {
+        const config = manager.getConfigManager();
+        if (!config.removeMaskingProfile(name)) {
+          throw new Error(`Unknown masking profile: ${name}`);
+        }
+        await config.save();
+        console.log(chalk.green(`Masking profile ${name} removed`));
+      } catch (error) {
+        console.error(chalk.red(error.message));
+        process.exit(1);
+      } finally {
+        await manager.shutdown();
+      }
+    });
+
+  masking
+    .command('preview <name> <cluster> <database> <collection>')
+    .description('Show documents as the profile would mask them')
+    .option('-l, --limit <number>', 'Documents to show', '3')
+    .action(async (name, cluster, database, collection, options) => {
+      const manager = await initializeManager(program.opts());
+      try {
+        const profile = MaskingProfile.fromConfig(manager.getConfigManager(), name);
+        if (!profile.appliesTo(collection)) {
+          console.log(chalk.yellow(`Profile ${name} has no rules for ${collection}; documents are copied unchanged.`));
+        }
+
+        const documents = await manager.getClusterManager()
+          .getDatabase(cluster, database)
+          .collection(collection)
+          .find({})
+          .limit(parseInt(options.limit))
+          .toArray();
+        documents.forEach(document => {
+          console.log(BSON.EJSON.stringify(profile.mask(collection, document), null, 2, { relaxed: true }));
+        });
+      } catch (error) {
+        console.error(chalk.red(error.message));
+        process.exit(1);
+      } finally {
+        await manager.shutdown();
+      }
+    });
+};
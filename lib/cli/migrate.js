@@ -0,0 +1,114 @@
+const chalk = require('chalk');
+const ora = require('ora');
+const path = require('path');
+const Table = require('cli-table3');
+const { collect, parseCollectionMap } = require('./parse-options');
+
+function parseLocation(value) {
+  const [cluster, database, ...rest] = value.split('/');
+  if (!cluster || !database || rest.length > 0) {
+    throw new Error(`Expected <cluster>/<database>, got: ${value}`);
+  }
+  return { cluster, database };
+}
+
+// The module exports the transform function itself or as "transform"
+function loadTransform(file) {
+  const exported = require(path.resolve(process.cwd(), file));
+  const transform = typeof exported === 'function' ? exported : exported.transform;
+  if (typeof transform !== 'function') {
+    throw new Error(`${file} does not export a transform function`);
+  }
+  return transform;
+}
+
+module.exports = function(program, initializeManager) {
+  program
+    .command('migrate <source> <target>')
+    .description('Copy a database between clusters (<cluster>/<database>)')
+    .option('--include <patterns>', 'Only copy matching collections (comma-separated globs)')
+    .option('--exclude <patterns>', 'Skip matching collections (comma-separated globs)')
+    .option('--query <collection=json>', 'Only copy documents matching a filter (repeatable)', collect, [])
+    .option('--projection <collection=json>', 'Only copy the projected fields (repeatable)', collect, [])
+    .option('--transform <module>', 'JavaScript module transforming each document before it is written')
+    .option('--mask <profile>', 'Mask documents with a masking profile')
+    .option('--drop-existing', 'Drop target collections before copying into them')
+    .option('--resume', 'Continue the last interrupted migration between these databases')
+    .option('--batch-size <number>', 'Documents copied per batch', '1000')
+    .option('--no-verify', 'Skip comparing counts and checksums afterwards')
+    .action(async (source, target, options) => {
+      const manager = await initializeManager(program.opts());
+      const spinner = ora('Migrating...').start();
+
+      try {
+        const migrationManager = manager.getMigrationManager();
+        migrationManager.on('migrationProgress', (progress) => {
+          spinner.text = `Migrating ${progress.collection}: ${progress.copied} documents copied`;
+        });
+
+        const result = await migrationManager.migrate(parseLocation(source), parseLocation(target), {
+          include: options.include,
+          exclude: options.exclude,
+          query: parseCollectionMap(options.query, 'query'),
+          projection: parseCollectionMap(options.projection, 'projection'),
+          transform: options.transform ? loadTransform(options.transform) : undefined,
+          masking: options.mask,
+          dropExisting: options.dropExisting,
+          resume: options.resume,
+          batchSize: parseInt(options.batchSize),
+          verify: options.verify
+        });
+
+        if (result.failedCollections.length > 0) {
+          spinner.warn(`Migration finished with ${result.failedCollections.length} failed collection(s); rerun with --resume`);
+        } else {
+          spinner.succeed(`Migrated ${source} to ${target}${result.resumed ? ' (resumed)' : ''}`);
+        }
+        if (result.masking) {
+          console.log(`Masked with profile: ${result.masking}`);
+        }
+
+        const table = new Table({
+          head: ['Collection', 'Copied', 'Skipped', 'Indexes', 'Source', 'Target', 'Checksum']
+        });
+        result.collections.forEach(collection => {
+          const verification = collection.verification;
+          if (!verification) {
+            table.push([collection.name, collection.copied, collection.skipped, collection.indexes || 0, '-', '-', collection.type === 'view' ? 'view' : '-']);
+            return;
+          }
+          const { documents } = verification;
+          table.push([
+            collection.name,
+            collection.copied,
+            collection.skipped,
+            collection.indexes || 0,
+            verification.sourceChanged ? chalk.yellow(documents.source) : documents.source,
+            documents.target === documents.copied ? documents.target : chalk.red(documents.target),
+            verification.checksum.actual === verification.checksum.expected ? chalk.green('match') : chalk.red('mismatch')
+          ]);
+        });
+        console.log(table.toString());
+
+        result.failedCollections.forEach(collection => {
+          console.log(chalk.red(`  ${collection.name}: ${collection.error}`));
+        });
+        if (result.excludedCollections.length > 0) {
+          console.log(`Excluded: ${result.excludedCollections.join(', ')}`);
+        }
+        if (result.collections.some(collection => collection.verification && collection.verification.sourceChanged)) {
+          console.log(chalk.yellow('Source counts changed while copying (highlighted); the target reflects the data read'));
+        }
+
+        if (result.failedCollections.length > 0 || (options.verify && !result.verified)) {
+          process.exitCode = 1;
+        }
+      } catch (error) {
+        spinner.fail('Migration failed');
+        console.error(chalk.red(error.message));
+        process.exit(1);
+      } finally {
+        await manager.shutdown();
+      }
+    });
+};
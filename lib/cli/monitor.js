@@ -15,10 +15,18 @@ module.exports = function(program, initializeManager) {
   monitor
     .command('metrics <cluster>')
     .description('Show cluster metrics')
-    .action(async (cluster) => {
+    .option('--range <span>', 'How far back to show, e.g. 30m, 24h, 7d', '1h')
+    .option('--from <time>', 'Start of the range (ISO date), instead of --range')
+    .option('--to <time>', 'End of the range (ISO date)')
+    .option('--resolution <resolution>', 'raw, 1m or 1h (default: picked from the range)')
+    .action(async (cluster, options) => {
       const manager = await initializeManager(program.opts());
       try {
-        const metrics = await manager.getMonitoring().getMetrics(cluster);
+        const metrics = await manager.getMonitoring().getMetrics(cluster, options.range, {
+          from: options.from,
+          to: options.to,
+          resolution: options.resolution
+        });
         console.log(chalk.bold(`Metrics for cluster: ${cluster}`));
         console.log(JSON.stringify(metrics, null, 2));
       } catch (error) {
@@ -28,4 +36,36 @@ module.exports = function(program, initializeManager) {
         await manager.shutdown();
       }
     });
-};
\ No newline at end of file
+
+  monitor
+    .command('exporter')
+    .description('Serve cluster metrics to Prometheus at /metrics until stopped')
+    .option('--port <port>', 'Port to listen on', '9216')
+    .option('--host <host>', 'Address to listen on', '0.0.0.0')
+    .option('--interval <seconds>', 'Seconds between metric collections', '30')
+    .action(async (options) => {
+      const manager = await initializeManager(program.opts());
+      const monitoring = manager.getMonitoring();
+      const exporter = manager.getMetricsExporter();
+      try {
+        await monitoring.startMonitoring(Number(options.interval) * 1000);
+        await exporter.listen(Number(options.port), options.host);
+        console.log(chalk.green(`Serving metrics at http://${options.host}:${options.port}/metrics`));
+      } catch (error) {
+        console.error(chalk.red('Failed to start the metrics exporter:'), error.message);
+        monitoring.stopMonitoring();
+        await manager.shutdown();
+        process.exit(1);
+      }
+
+      const stop = async () => {
+        console.log('Stopping the metrics exporter...');
+        monitoring.stopMonitoring();
+        await exporter.close();
+        await manager.shutdown();
+        process.exit(0);
+      };
+      process.once('SIGINT', stop);
+      process.once('SIGTERM', stop);
+    });
+};
@@ -0,0 +1,18 @@
+const { BSON } = require('mongodb');
+
+const collect = (value, previous) => previous.concat(value);
+
+// Turns repeated "<collection>=<Extended JSON>" options into a map
+function parseCollectionMap(entries, optionName) {
+  const map = {};
+  for (const entry of entries) {
+    const separator = entry.indexOf('=');
+    if (separator <= 0) {
+      throw new Error(`--${optionName} expects <collection>=<json>, got: ${entry}`);
+    }
+    map[entry.slice(0, separator)] = BSON.EJSON.parse(entry.slice(separator + 1), { relaxed: true });
+  }
+  return map;
+}
+
+module.exports = { collect, parseCollectionMap };
@@ -1,5 +1,8 @@
 const { MongoClient } = require('mongodb');
 const EventEmitter = require('events');
+const { getOplogWindow } = require('./utils/oplog');
+const { summarizeReplicaSet } = require('./utils/replica-set');
+const sharding = require('./utils/sharding');
 
 class ClusterManager extends EventEmitter {
   constructor(config, logger) {
@@ -7,6 +10,8 @@ class ClusterManager extends EventEmitter {
     this.config = config;
     this.logger = logger;
     this.connections = new Map();
+    // "cluster/shard" -> client connected straight to a shard of a sharded cluster
+    this.shardConnections = new Map();
     this.healthStatus = new Map();
     this.connectionOptions = {
       maxPoolSize: 10,
@@ -100,6 +105,7 @@ class ClusterManager extends EventEmitter {
     const connection = this.connections.get(name);
     if (connection) {
       try {
+        await this.closeShardConnections(name);
         await connection.client.close();
         this.connections.delete(name);
         this.healthStatus.delete(name);
@@ -136,12 +142,18 @@ class ClusterManager extends EventEmitter {
         admin.command({ replSetGetStatus: 1 }).catch(() => null)
       ]);
 
+      const replicaSet = replSetStatus.status === 'fulfilled' ? replSetStatus.value : null;
+      const replication = replicaSet && Array.isArray(replicaSet.members) ?
+        summarizeReplicaSet(replicaSet, await getOplogWindow(client)) :
+        null;
+
       return {
         name,
         connected: true,
         serverStatus: serverStatus.status === 'fulfilled' ? serverStatus.value : null,
         buildInfo: buildInfo.status === 'fulfilled' ? buildInfo.value : null,
-        replicaSet: replSetStatus.status === 'fulfilled' ? replSetStatus.value : null,
+        replicaSet,
+        replication,
         connectionInfo: {
           connectedAt: connection.connectedAt,
           lastHealthCheck: connection.lastHealthCheck
@@ -153,6 +165,87 @@ class ClusterManager extends EventEmitter {
     }
   }
 
+  // Shards, config servers, mongos routers, balancer and chunk distribution
+  // of a sharded cluster; other clusters only report their type
+  async getTopology(name) {
+    const client = this.getConnection(name);
+
+    try {
+      const admin = client.db('admin');
+      const serverStatus = await admin.command({ serverStatus: 1 });
+      if (serverStatus.process !== 'mongos') {
+        return { cluster: name, type: serverStatus.repl ? 'replicaSet' : 'standalone' };
+      }
+
+      const shards = await sharding.listShards(client);
+      const [mongos, balancer, distribution] = await Promise.all([
+        sharding.listMongos(client),
+        sharding.getBalancerStatus(client),
+        sharding.getChunkDistribution(client, shards.map(shard => shard.name))
+      ]);
+      const configServers = serverStatus.sharding && serverStatus.sharding.configsvrConnectionString;
+      // Every collection lists every shard, with 0 chunks where it has none
+      const chunksOn = shardName => distribution.collections.reduce((sum, collection) =>
+        sum + collection.shards.find(entry => entry.shard === shardName).chunks, 0);
+
+      return {
+        cluster: name,
+        type: 'sharded',
+        shards: shards.map(shard => ({ ...shard, chunks: chunksOn(shard.name) })),
+        configServers: configServers ? sharding.parseHosts(configServers) : null,
+        mongos,
+        balancer,
+        collections: distribution.collections,
+        jumboChunks: distribution.jumboChunks
+      };
+    } catch (error) {
+      this.logger.error(`Failed to get topology for ${name}:`, error);
+      throw error;
+    }
+  }
+
+  // A client connected straight to one shard (as returned by listShards),
+  // with the credentials and options of the cluster. The connecting client
+  // is cached right away, so concurrent callers share it; a failed
+  // connection is closed and forgotten.
+  async getShardConnection(name, shard) {
+    const key = `${name}/${shard.name}`;
+    if (this.shardConnections.has(key)) {
+      return this.shardConnections.get(key);
+    }
+
+    const connection = this.connections.get(name);
+    if (!connection) {
+      throw new Error(`Cluster ${name} not found or not connected`);
+    }
+    const client = new MongoClient(
+      sharding.shardUri(connection.config.uri, shard.host),
+      { ...this.connectionOptions, ...connection.config.options }
+    );
+    const connecting = client.connect().then(() => client, async error => {
+      if (this.shardConnections.get(key) === connecting) {
+        this.shardConnections.delete(key);
+      }
+      await client.close().catch(() => {});
+      throw error;
+    });
+    this.shardConnections.set(key, connecting);
+    return connecting;
+  }
+
+  async closeShardConnections(name) {
+    for (const [key, connecting] of this.shardConnections) {
+      if (key.startsWith(`${name}/`)) {
+        this.shardConnections.delete(key);
+        // Failed connections were closed already
+        const client = await connecting.catch(() => null);
+        if (client) {
+          await client.close().catch(error => this.logger.warn(`Error disconnecting from shard ${key}:`, error.message));
+        }
+      }
+    }
+  }
+
   async healthCheck(name = null) {
     const clustersToCheck = name ? [name] : Array.from(this.connections.keys());
     const results = {};
@@ -1,6 +1,8 @@
 const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
+const { MaskingProfile } = require('./masking');
+const { AlertRule, DEFAULT_INTERVAL_MS } = require('./alert-rules');
 
 class ConfigManager {
   constructor(configPath = null, options = {}) {
@@ -177,6 +179,101 @@ class ConfigManager {
     this.config.settings = { ...this.config.settings, ...settings };
   }
 
+  // Masking profiles live in settings.maskingProfiles with their HMAC
+  // secret encrypted; listed profiles never include the secret
+  getMaskingProfiles() {
+    const profiles = this.config.settings.maskingProfiles || {};
+    return Object.entries(profiles).reduce((acc, [name, { secret, ...profile }]) => {
+      acc[name] = profile;
+      return acc;
+    }, {});
+  }
+
+  getMaskingProfile(name) {
+    const profile = (this.config.settings.maskingProfiles || {})[name];
+    if (!profile) {
+      return undefined;
+    }
+
+    try {
+      return { ...profile, secret: this.decrypt(profile.secret) };
+    } catch (error) {
+      throw new Error(`Could not decrypt the secret of masking profile ${name}; check MM_ENCRYPTION_KEY`);
+    }
+  }
+
+  // Updating a profile keeps its secret, so values are masked the same way
+  // as before the change. New secrets need MM_ENCRYPTION_KEY: the key
+  // generated otherwise only lasts as long as this process.
+  setMaskingProfile(name, profile) {
+    MaskingProfile.validate(profile);
+
+    const profiles = this.config.settings.maskingProfiles || {};
+    const existing = profiles[name];
+    if (!existing && !process.env.MM_ENCRYPTION_KEY) {
+      throw new Error(`MM_ENCRYPTION_KEY is not set, so the secret of masking profile ${name} could not be read back after this process exits; set MM_ENCRYPTION_KEY first`);
+    }
+    this.config.settings.maskingProfiles = {
+      ...profiles,
+      [name]: {
+        description: profile.description,
+        fields: profile.fields,
+        secret: existing ? existing.secret : this.encrypt(crypto.randomBytes(32).toString('hex')),
+        createdAt: existing ? existing.createdAt : new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      }
+    };
+  }
+
+  removeMaskingProfile(name) {
+    const profiles = this.config.settings.maskingProfiles || {};
+    if (!profiles[name]) {
+      return false;
+    }
+    const { [name]: removed, ...rest } = profiles;
+    this.config.settings.maskingProfiles = rest;
+    return true;
+  }
+
+  // Alert rules live in settings.alertRules, keyed by name; MonitoringService
+  // evaluates them with the built-in rules
+  getAlertRules() {
+    return this.config.settings.alertRules || {};
+  }
+
+  // intervalMs is the monitoring interval the rule's `for` window must fit
+  setAlertRule(name, rule, { intervalMs = DEFAULT_INTERVAL_MS } = {}) {
+    AlertRule.validate(rule, { intervalMs });
+
+    const rules = this.getAlertRules();
+    const existing = rules[name];
+    this.config.settings.alertRules = {
+      ...rules,
+      [name]: {
+        description: rule.description,
+        metric: rule.metric,
+        comparator: rule.comparator || '>',
+        threshold: rule.threshold,
+        for: rule.for,
+        severity: rule.severity || 'warning',
+        scope: rule.scope,
+        enabled: rule.enabled !== false,
+        createdAt: existing ? existing.createdAt : new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      }
+    };
+  }
+
+  removeAlertRule(name) {
+    const rules = this.getAlertRules();
+    if (!rules[name]) {
+      return false;
+    }
+    const { [name]: removed, ...rest } = rules;
+    this.config.settings.alertRules = rest;
+    return true;
+  }
+
   validateClusterConfig(config) {
     const required = ['uri'];
     const missing = required.filter(field => !config[field]);
@@ -2,6 +2,8 @@ const ClusterManager = require('./cluster-manager');
 const DatabaseOperations = require('./database-operations');
 const BackupManager = require('./backup-manager');
 const MonitoringService = require('./monitoring-service');
+const MigrationManager = require('./migration-manager');
+const { MetricsExporter } = require('./metrics-exporter');
 const ConfigManager = require('./config-manager');
 const Logger = require('./utils/logger');
 
@@ -12,7 +14,10 @@ class MongoDBManager {
     this.clusterManager = new ClusterManager(this.config, this.logger);
     this.databaseOps = new DatabaseOperations(this.clusterManager, this.logger);
     this.backupManager = new BackupManager(this.clusterManager, this.config, this.logger);
-    this.monitoring = new MonitoringService(this.clusterManager, this.logger);
+    this.monitoring = new MonitoringService(this.clusterManager, this.logger, this.config);
+    this.backupManager.setMonitoringService(this.monitoring);
+    this.migrationManager = new MigrationManager(this.clusterManager, this.config, this.logger);
+    this.metricsExporter = new MetricsExporter(this.clusterManager, this.monitoring, this.backupManager, this.logger);
   }
 
   async initialize() {
@@ -56,6 +61,14 @@ class MongoDBManager {
   getMonitoring() {
     return this.monitoring;
   }
+
+  getMigrationManager() {
+    return this.migrationManager;
+  }
+
+  getMetricsExporter() {
+    return this.metricsExporter;
+  }
 }
 
 module.exports = MongoDBManager;
\ No newline at end of file
@@ -0,0 +1,85 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+// Ledger of scheduled job runs, kept as newline-delimited JSON with the
+// oldest runs dropped once it grows past maxEntries.
+class JobHistory {
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.maxEntries = options.maxEntries || 1000;
+    this.pending = Promise.resolve();
+  }
+
+  // Runs recorded without finishedAt finished now, so every run, whatever
+  // its status, gets a duration
+  async record(run) {
+    const finishedAt = run.finishedAt || new Date().toISOString();
+    const entry = {
+      id: crypto.randomUUID(),
+      ...run,
+      finishedAt,
+      durationMs: run.startedAt ? new Date(finishedAt) - new Date(run.startedAt) : null
+    };
+
+    // Runs finishing together must not overwrite each other's writes
+    const write = this.pending.then(async () => {
+      const entries = [...await this.read(), entry].slice(-this.maxEntries);
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.writeFile(this.filePath, entries.map(item => JSON.stringify(item)).join('\n') + '\n');
+    });
+    this.pending = write.catch(() => {});
+    await write;
+
+    return entry;
+  }
+
+  // Newest runs first, optionally filtered by job, cluster, database,
+  // status and start time
+  async list(filter = {}) {
+    const since = filter.since ? new Date(filter.since) : null;
+    const runs = (await this.read())
+      .filter(run =>
+        (!filter.jobId || run.jobId === filter.jobId) &&
+        (!filter.cluster || run.cluster === filter.cluster) &&
+        (!filter.database || run.database === filter.database) &&
+        (!filter.status || run.status === filter.status) &&
+        (!since || new Date(run.startedAt) >= since)
+      )
+      .reverse();
+
+    return filter.limit ? runs.slice(0, Number(filter.limit)) : runs;
+  }
+
+  // Most recent run of each job
+  async latestRuns() {
+    const latest = {};
+    for (const run of await this.read()) {
+      latest[run.jobId] = run;
+    }
+    return latest;
+  }
+
+  async read() {
+    let content;
+    try {
+      content = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const entries = [];
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        // A run cut off mid-write; the rest of the ledger is still usable
+      }
+    }
+    return entries;
+  }
+}
+
+module.exports = JobHistory;
@@ -0,0 +1,250 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const DEFAULT_TTL_SECONDS = 300;
+
+function leaseOptions(options) {
+  return {
+    owner: options.owner || `${os.hostname()}:${process.pid}`,
+    ttlMs: (options.ttlSeconds || DEFAULT_TTL_SECONDS) * 1000
+  };
+}
+
+function parseLease(content) {
+  if (content === null) return null;
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    // A lease cut off mid-write counts as expired
+    return { expiresAt: 0 };
+  }
+}
+
+function toLease(jobId, record) {
+  return {
+    jobId,
+    owner: record.owner,
+    host: record.host,
+    pid: record.pid,
+    acquiredAt: new Date(record.acquiredAt),
+    expiresAt: new Date(record.expiresAt)
+  };
+}
+
+// Leases stored as one document per job ID. Taking over an expired lease
+// and creating a new one are a single conditional upsert, so two instances
+// can never both win.
+class MongoLeaseLock {
+  constructor(clusterManager, options = {}) {
+    if (!options.cluster) {
+      throw new Error('MongoDB backup locks require a cluster');
+    }
+    this.type = 'mongodb';
+    this.clusterManager = clusterManager;
+    this.cluster = options.cluster;
+    this.database = options.database || 'mongodb_manager';
+    this.collectionName = options.collection || 'job_leases';
+    Object.assign(this, leaseOptions(options));
+    this.indexed = false;
+  }
+
+  async getCollection() {
+    const collection = this.clusterManager.getDatabase(this.cluster, this.database).collection(this.collectionName);
+    if (!this.indexed) {
+      // Lets MongoDB clear leases of removed jobs a day after they expire
+      await collection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 86400 }).catch(() => {});
+      this.indexed = true;
+    }
+    return collection;
+  }
+
+  async acquire(jobId) {
+    const collection = await this.getCollection();
+    const now = new Date();
+    const lease = {
+      owner: this.owner,
+      host: os.hostname(),
+      pid: process.pid,
+      acquiredAt: now,
+      expiresAt: new Date(now.getTime() + this.ttlMs)
+    };
+
+    try {
+      await collection.updateOne(
+        { _id: jobId, $or: [{ owner: this.owner }, { expiresAt: { $lte: now } }] },
+        { $set: lease },
+        { upsert: true }
+      );
+    } catch (error) {
+      // The upsert collides with a live lease held by someone else
+      if (error.code === 11000) return null;
+      throw error;
+    }
+
+    return toLease(jobId, lease);
+  }
+
+  async renew(jobId) {
+    const collection = await this.getCollection();
+    const result = await collection.updateOne(
+      { _id: jobId, owner: this.owner },
+      { $set: { expiresAt: new Date(Date.now() + this.ttlMs) } }
+    );
+    return result.matchedCount > 0;
+  }
+
+  async release(jobId) {
+    const collection = await this.getCollection();
+    await collection.deleteOne({ _id: jobId, owner: this.owner });
+  }
+
+  async holder(jobId) {
+    const collection = await this.getCollection();
+    const record = await collection.findOne({ _id: jobId, expiresAt: { $gt: new Date() } });
+    return record ? toLease(jobId, record) : null;
+  }
+}
+
+// Leases stored as <jobId>.lease.json in a directory every instance can
+// reach. Leases are written to a temporary file and hard-linked into place,
+// which fails when a lease exists, also on NFS. An expired lease is first
+// renamed aside, which only one instance can do, and put back when it turns
+// out to be a lease another instance has just taken over. MongoDB leases
+// remain the safer choice across hosts.
+class FileLeaseLock {
+  constructor(options = {}) {
+    if (!options.path) {
+      throw new Error('File backup locks require a path');
+    }
+    this.type = 'file';
+    this.directory = options.path;
+    Object.assign(this, leaseOptions(options));
+  }
+
+  leaseFile(jobId) {
+    return path.join(this.directory, `${jobId.replace(/[^\w.-]/g, '_')}.lease.json`);
+  }
+
+  uniqueFile(file, suffix) {
+    return `${file}.${crypto.randomBytes(6).toString('hex')}.${suffix}`;
+  }
+
+  async readContent(file) {
+    try {
+      return await fs.readFile(file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async read(jobId) {
+    const content = await this.readContent(this.leaseFile(jobId));
+    return parseLease(content);
+  }
+
+  async acquire(jobId) {
+    const file = this.leaseFile(jobId);
+    const now = new Date();
+    const content = await this.readContent(file);
+    const current = parseLease(content);
+    if (current && current.owner !== this.owner && new Date(current.expiresAt) > now) {
+      return null;
+    }
+
+    const lease = {
+      owner: this.owner,
+      host: os.hostname(),
+      pid: process.pid,
+      acquiredAt: now,
+      expiresAt: new Date(now.getTime() + this.ttlMs)
+    };
+
+    if (current && current.owner === this.owner) {
+      await fs.writeFile(file, JSON.stringify(lease));
+      return toLease(jobId, lease);
+    }
+
+    await fs.mkdir(this.directory, { recursive: true });
+    if (current && !await this.removeExpired(file, content)) {
+      return null;
+    }
+
+    const temp = this.uniqueFile(file, 'tmp');
+    await fs.writeFile(temp, JSON.stringify(lease), { flag: 'wx' });
+    try {
+      await fs.link(temp, file);
+    } catch (error) {
+      if (error.code === 'EEXIST') return null;
+      throw error;
+    } finally {
+      await fs.unlink(temp).catch(() => {});
+    }
+    return toLease(jobId, lease);
+  }
+
+  // Removes the lease file if it still holds the expired content read
+  // before. Returns false when another instance took the lease over first.
+  async removeExpired(file, content) {
+    const aside = this.uniqueFile(file, 'expired');
+    try {
+      await fs.rename(file, aside);
+    } catch (error) {
+      // Moved aside by another instance; linking decides between the two
+      if (error.code === 'ENOENT') return true;
+      throw error;
+    }
+
+    const moved = await this.readContent(aside);
+    if (moved !== content) {
+      await fs.link(aside, file).catch(() => {});
+    }
+    await fs.unlink(aside).catch(() => {});
+    return moved === content;
+  }
+
+  async renew(jobId) {
+    const current = await this.read(jobId);
+    if (!current || current.owner !== this.owner) return false;
+
+    await fs.writeFile(this.leaseFile(jobId), JSON.stringify({
+      ...current,
+      expiresAt: new Date(Date.now() + this.ttlMs)
+    }));
+    return true;
+  }
+
+  async release(jobId) {
+    const current = await this.read(jobId);
+    if (current && current.owner === this.owner) {
+      await fs.unlink(this.leaseFile(jobId)).catch(() => {});
+    }
+  }
+
+  async holder(jobId) {
+    const current = await this.read(jobId);
+    return current && current.owner && new Date(current.expiresAt) > new Date() ? toLease(jobId, current) : null;
+  }
+}
+
+function createJobLock(settings, clusterManager) {
+  if (!settings || !settings.type || settings.type === 'none') {
+    return null;
+  }
+
+  if (settings.type === 'mongodb') {
+    return new MongoLeaseLock(clusterManager, settings);
+  }
+  if (settings.type === 'file') {
+    return new FileLeaseLock(settings);
+  }
+  throw new Error(`Unknown backup lock type: ${settings.type}`);
+}
+
+module.exports = {
+  MongoLeaseLock,
+  FileLeaseLock,
+  createJobLock
+};
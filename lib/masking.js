@@ -0,0 +1,242 @@
+const crypto = require('crypto');
+const { BSON } = require('mongodb');
+
+const STRATEGIES = ['hash', 'fake', 'redact', 'format', 'null'];
+const FAKE_TYPES = ['text', 'name', 'firstName', 'lastName', 'email', 'phone'];
+
+const FIRST_NAMES = [
+  'Alex', 'Blake', 'Casey', 'Dana', 'Eli', 'Frankie', 'Gray', 'Harper',
+  'Indy', 'Jamie', 'Kai', 'Lee', 'Morgan', 'Noel', 'Oakley', 'Parker',
+  'Quinn', 'Riley', 'Sam', 'Taylor', 'Uri', 'Val', 'Wren', 'Yael'
+];
+const LAST_NAMES = [
+  'Adler', 'Brooks', 'Carter', 'Diaz', 'Ellis', 'Fischer', 'Garcia', 'Hughes',
+  'Ito', 'Jensen', 'Kowalski', 'Larsen', 'Moreau', 'Novak', 'Okafor', 'Patel',
+  'Quist', 'Rossi', 'Silva', 'Tanaka', 'Umar', 'Varga', 'Weber', 'Young'
+];
+
+const DIGITS = '0123456789';
+const LETTERS = 'abcdefghijklmnopqrstuvwxyz';
+
+const isPlainObject = value =>
+  value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+
+// Accepts "hash", "fake:email" or { strategy, ...options }
+function parseRule(spec) {
+  if (typeof spec === 'string') {
+    const [strategy, type] = spec.split(':');
+    return type ? { strategy, type } : { strategy };
+  }
+  return { ...spec };
+}
+
+// Rewrites the value at a path, descending into arrays on the way
+function maskPath(value, segments, maskLeaf) {
+  if (segments.length === 0) return maskLeaf(value);
+  if (Array.isArray(value)) return value.map(item => maskPath(item, segments, maskLeaf));
+  if (!isPlainObject(value) || !(segments[0] in value)) return value;
+
+  const [field, ...rest] = segments;
+  return { ...value, [field]: maskPath(value[field], rest, maskLeaf) };
+}
+
+// Replaces field values according to a profile's rules. Every replacement is
+// derived from an HMAC of the original value under the profile's secret, so
+// the same value is masked the same way in every collection and every run,
+// and references between collections still match afterwards.
+//
+// Rules map "<collection>.<field path>" to a strategy; "*" as the collection
+// applies the rule everywhere:
+// - hash: hex digest of the value (length, default 32)
+// - fake: a made-up value of the given type (text, name, firstName,
+//   lastName, email, phone)
+// - redact: a fixed replacement (value, default "[REDACTED]")
+// - format: same length and character classes, digits and letters replaced
+// - null: null
+// fake and format only apply to strings (and numbers, for format); other
+// values are set to null. Missing and null values are left alone.
+class MaskingProfile {
+  constructor(name, definition) {
+    MaskingProfile.validate(definition);
+    if (!definition.secret) {
+      throw new Error(`Masking profile ${name} has no secret`);
+    }
+
+    this.name = name;
+    this.secret = definition.secret;
+    this.fields = Object.entries(definition.fields).map(([field, spec]) => ({ field, rule: parseRule(spec) }));
+    this.rulesByCollection = new Map();
+  }
+
+  static validate(definition) {
+    if (!definition || !isPlainObject(definition.fields) || Object.keys(definition.fields).length === 0) {
+      throw new Error('A masking profile needs at least one field rule');
+    }
+
+    for (const [field, spec] of Object.entries(definition.fields)) {
+      const separator = field.indexOf('.');
+      if (separator <= 0 || separator === field.length - 1) {
+        throw new Error(`Masking rules are keyed by <collection>.<field>, got: ${field}`);
+      }
+
+      const rule = parseRule(spec);
+      if (!STRATEGIES.includes(rule.strategy)) {
+        throw new Error(`Unknown masking strategy for ${field}: ${rule.strategy}`);
+      }
+      if (rule.strategy === 'fake' && rule.type && !FAKE_TYPES.includes(rule.type)) {
+        throw new Error(`Unknown fake value type for ${field}: ${rule.type}`);
+      }
+      if (rule.strategy === 'hash' && rule.length !== undefined &&
+          !(Number.isInteger(rule.length) && rule.length >= 8 && rule.length <= 64)) {
+        throw new Error(`Hash length for ${field} must be between 8 and 64`);
+      }
+    }
+    return true;
+  }
+
+  static fromConfig(config, name) {
+    const definition = config.getMaskingProfile(name);
+    if (!definition) {
+      throw new Error(`Unknown masking profile: ${name}`);
+    }
+    return new MaskingProfile(name, definition);
+  }
+
+  // Field paths within documents of one collection. Collection names may
+  // contain dots themselves, so rules are matched by prefix.
+  rulesFor(collection) {
+    if (!this.rulesByCollection.has(collection)) {
+      const rules = [];
+      for (const { field, rule } of this.fields) {
+        const prefix = [`${collection}.`, '*.'].find(candidate => field.startsWith(candidate));
+        if (prefix) {
+          rules.push({ path: field.slice(prefix.length).split('.'), rule });
+        }
+      }
+      this.rulesByCollection.set(collection, rules);
+    }
+    return this.rulesByCollection.get(collection);
+  }
+
+  appliesTo(collection) {
+    return this.rulesFor(collection).length > 0;
+  }
+
+  mask(collection, document) {
+    let masked = document;
+    for (const { path, rule } of this.rulesFor(collection)) {
+      masked = maskPath(masked, path, value => this.maskValue(value, rule));
+    }
+    return masked;
+  }
+
+  maskValue(value, rule) {
+    if (value === null || value === undefined) return value;
+
+    switch (rule.strategy) {
+      case 'null':
+        return null;
+      case 'redact':
+        return rule.value !== undefined ? rule.value : '[REDACTED]';
+      case 'hash':
+        return this.digest(value).toString('hex').slice(0, rule.length || 32);
+      case 'fake':
+        return typeof value === 'string' ? this.fake(value, rule.type || 'text') : null;
+      case 'format':
+        if (typeof value === 'number') return this.formatNumber(value);
+        if (value._bsontype) return this.formatWrapped(value);
+        return typeof value === 'string' ? this.format(value) : null;
+    }
+    return value;
+  }
+
+  // Numbers read without promotion keep their BSON type once formatted
+  formatWrapped(value) {
+    switch (value._bsontype) {
+      case 'Int32': {
+        const masked = this.formatNumber(value.value);
+        if (masked === null) return null;
+        // Ten-digit values can be formatted past the int32 range
+        return masked === (masked | 0) ? new BSON.Int32(masked) : BSON.Long.fromNumber(masked);
+      }
+      case 'Double': {
+        const masked = this.formatNumber(value.value);
+        return masked === null ? null : new BSON.Double(masked);
+      }
+      case 'Long': {
+        const masked = this.formatNumber(value.toNumber());
+        return masked === null ? null : BSON.Long.fromNumber(masked);
+      }
+    }
+    return null;
+  }
+
+  // Relaxed EJSON keeps equal numbers of different BSON types equal
+  digest(value, counter = 0) {
+    return crypto.createHmac('sha256', this.secret)
+      .update(`${counter}:${BSON.EJSON.stringify(value, { relaxed: true })}`)
+      .digest();
+  }
+
+  fake(value, type) {
+    const digest = this.digest(value);
+    const first = FIRST_NAMES[digest.readUInt32BE(0) % FIRST_NAMES.length];
+    const last = LAST_NAMES[digest.readUInt32BE(4) % LAST_NAMES.length];
+    const suffix = digest.toString('hex', 8, 12);
+
+    switch (type) {
+      case 'firstName':
+        return first;
+      case 'lastName':
+        return last;
+      case 'name':
+        return `${first} ${last}`;
+      case 'email':
+        // The suffix keeps addresses unique enough for unique indexes
+        return `${first}.${last}.${suffix}@example.com`.toLowerCase();
+      case 'phone':
+        return `+1555${String(digest.readUInt32BE(12) % 10000000).padStart(7, '0')}`;
+      default:
+        return `masked-${suffix}`;
+    }
+  }
+
+  // Enough HMAC output to replace every character of a long value
+  keystream(value, length) {
+    const blocks = [];
+    for (let counter = 0; blocks.length * 32 < length; counter++) {
+      blocks.push(this.digest(value, counter));
+    }
+    return Buffer.concat(blocks);
+  }
+
+  format(value) {
+    const stream = this.keystream(value, value.length);
+    return Array.from(value, (char, index) => {
+      const byte = stream[index];
+      if (DIGITS.includes(char)) return DIGITS[byte % 10];
+      if (LETTERS.includes(char)) return LETTERS[byte % 26];
+      if (LETTERS.toUpperCase().includes(char)) return LETTERS[byte % 26].toUpperCase();
+      return char;
+    }).join('');
+  }
+
+  // Keeps the sign, the number of digits and the decimal point
+  formatNumber(value) {
+    if (!Number.isFinite(value)) return value;
+    const text = String(Math.abs(value));
+    if (text.includes('e')) return null;
+
+    const stream = this.keystream(value, text.length);
+    const digits = Array.from(text, (char, index) => {
+      if (char === '.') return char;
+      // A leading zero would shorten the number
+      return index === 0 && text.length > 1 && text[1] !== '.' ?
+        DIGITS[1 + stream[index] % 9] :
+        DIGITS[stream[index] % 10];
+    }).join('');
+    return Math.sign(value) * Number(digits);
+  }
+}
+
+module.exports = { MaskingProfile, STRATEGIES, FAKE_TYPES };
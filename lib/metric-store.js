@@ -0,0 +1,394 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Bucket width of each stored resolution; raw samples are kept as collected
+const RESOLUTIONS = { raw: 0, '1m': 60 * 1000, '1h': 60 * 60 * 1000 };
+const ROLLUPS = ['1m', '1h'];
+const DEFAULT_RETENTION = { raw: '24h', '1m': '7d', '1h': '90d' };
+// getMetrics picks the finest resolution that returns at most this many points
+const MAX_POINTS = 1500;
+const SPAN_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+const DAY_MS = SPAN_UNITS.d;
+
+// Cumulative counters keep their last value in rollups, so differences and
+// rates computed over rollups stay right; every other number is averaged
+const COUNTERS = ['server.uptime', 'server.connections.totalCreated', 'server.network', 'server.cpu', 'operations'];
+const ROLLUP_FIELDS = ['timestamp', 'resolution', 'samples'];
+// Shards of a sharded cluster carry the same counters under shards.<name>
+const isCounter = key => {
+  const path = key.replace(/^shards\.[^.]+\./, '');
+  return COUNTERS.some(counter => path === counter || path.startsWith(`${counter}.`));
+};
+
+// Time spans are seconds or a number with an s, m, h or d suffix
+function parseTimeSpan(span) {
+  if (typeof span === 'number' && span > 0) {
+    return span * 1000;
+  }
+  const match = /^(\d+)([smhd])$/.exec(String(span));
+  if (!match || Number(match[1]) === 0) {
+    throw new Error(`Invalid time span: ${span} (use e.g. 30m, 6h, 7d)`);
+  }
+  return Number(match[1]) * SPAN_UNITS[match[2]];
+}
+
+function normalizeRetention(retention = {}) {
+  const result = {};
+  for (const resolution of Object.keys(RESOLUTIONS)) {
+    result[resolution] = parseTimeSpan(retention[resolution] || DEFAULT_RETENTION[resolution]);
+  }
+  return result;
+}
+
+const isPlainObject = value => value !== null && typeof value === 'object' &&
+  !Array.isArray(value) && !(value instanceof Date);
+
+// Merges samples (or rollups, weighted by their sample count) into one
+function mergeSamples(points, key = '') {
+  const present = points.filter(point => point.value !== undefined && point.value !== null);
+  if (present.length === 0) {
+    return undefined;
+  }
+  const last = present[present.length - 1].value;
+
+  if (present.every(point => typeof point.value === 'number' && Number.isFinite(point.value))) {
+    if (isCounter(key)) {
+      return last;
+    }
+    const weight = present.reduce((sum, point) => sum + point.weight, 0);
+    return present.reduce((sum, point) => sum + point.value * point.weight, 0) / weight;
+  }
+
+  if (present.every(point => isPlainObject(point.value))) {
+    const merged = {};
+    const fields = new Set(present.flatMap(point => Object.keys(point.value)));
+    for (const field of fields) {
+      const value = mergeSamples(
+        present.map(point => ({ value: point.value[field], weight: point.weight })),
+        key ? `${key}.${field}` : field
+      );
+      if (value !== undefined) {
+        merged[field] = value;
+      }
+    }
+    return merged;
+  }
+
+  return last;
+}
+
+// Downsamples points, oldest first, into one rollup per bucket of the
+// resolution. A rollup is shaped like a sample, stamped with the start of
+// its bucket and the number of raw samples it covers.
+function rollup(points, resolution) {
+  const width = RESOLUTIONS[resolution];
+  const buckets = new Map();
+  for (const point of points) {
+    const start = Math.floor(new Date(point.timestamp).getTime() / width) * width;
+    if (!buckets.has(start)) {
+      buckets.set(start, []);
+    }
+    buckets.get(start).push(point);
+  }
+
+  return Array.from(buckets, ([start, bucket]) => {
+    const fields = bucket.map(point => ({
+      value: Object.fromEntries(Object.entries(point).filter(([field]) => !ROLLUP_FIELDS.includes(field))),
+      weight: point.samples || 1
+    }));
+    return {
+      timestamp: new Date(start),
+      resolution,
+      samples: fields.reduce((sum, field) => sum + field.weight, 0),
+      ...mergeSamples(fields)
+    };
+  });
+}
+
+const bucketStart = (time, resolution) =>
+  Math.floor(new Date(time).getTime() / RESOLUTIONS[resolution]) * RESOLUTIONS[resolution];
+
+// Stores raw samples and their rollups. Subclasses implement write, read
+// and prune; buckets still filling are kept in memory until they close, and
+// rebuilt from the stored points when a cluster first records after a restart.
+class MetricStore {
+  constructor(options = {}) {
+    this.retention = normalizeRetention(options.retention);
+    this.open = new Map();
+    this.restored = new Set();
+  }
+
+  // Reopens the buckets that were filling when the process stopped: the 1m
+  // bucket of the last raw sample, from the raw samples, and its 1h bucket,
+  // from the 1m rollups. Looks back to the start of the previous hour.
+  async restore(cluster, before) {
+    const from = new Date(bucketStart(before, '1h') - RESOLUTIONS['1h']);
+    const to = new Date(before.getTime() - 1);
+    const samples = await this.read(cluster, 'raw', from, to);
+    if (samples.length === 0) {
+      return;
+    }
+
+    const last = samples[samples.length - 1].timestamp;
+    let points = samples;
+    for (const resolution of ROLLUPS) {
+      const start = bucketStart(last, resolution);
+      const stored = await this.read(cluster, resolution, from, to);
+      const bucket = points.filter(point => new Date(point.timestamp).getTime() >= start);
+      if (bucket.length > 0 && !stored.some(point => new Date(point.timestamp).getTime() === start)) {
+        this.open.set(`${cluster}:${resolution}`, { start, points: bucket });
+      }
+      points = stored;
+    }
+  }
+
+  // Returns the points that close buckets of the resolution
+  accumulate(cluster, resolution, points) {
+    const key = `${cluster}:${resolution}`;
+    const closed = [];
+    for (const point of points) {
+      const start = bucketStart(point.timestamp, resolution);
+      let bucket = this.open.get(key);
+      if (bucket && bucket.start !== start) {
+        closed.push(...rollup(bucket.points, resolution));
+        bucket = null;
+      }
+      if (!bucket) {
+        bucket = { start, points: [] };
+        this.open.set(key, bucket);
+      }
+      bucket.points.push(point);
+    }
+    return closed;
+  }
+
+  async record(cluster, sample) {
+    if (!this.restored.has(cluster)) {
+      await this.restore(cluster, new Date(sample.timestamp));
+      this.restored.add(cluster);
+    }
+    await this.write(cluster, 'raw', [sample]);
+
+    // 1m rollups are built from samples and 1h rollups from 1m rollups
+    let points = [sample];
+    for (const resolution of ROLLUPS) {
+      points = this.accumulate(cluster, resolution, points);
+      if (points.length === 0) break;
+      await this.write(cluster, resolution, points);
+    }
+
+    await this.prune(new Date());
+  }
+
+  // Points of a cluster between from and to, oldest first. Rollup queries
+  // include the bucket still filling, so recent data shows up right away.
+  async query(cluster, { from, to, resolution = 'raw' }) {
+    if (!(resolution in RESOLUTIONS)) {
+      throw new Error(`Unknown metrics resolution: ${resolution}; use one of ${Object.keys(RESOLUTIONS).join(', ')}`);
+    }
+
+    const points = await this.read(cluster, resolution, from, to);
+    const bucket = resolution !== 'raw' && this.open.get(`${cluster}:${resolution}`);
+    if (bucket && bucket.start >= from.getTime() && bucket.start <= to.getTime() &&
+        !points.some(point => new Date(point.timestamp).getTime() === bucket.start)) {
+      points.push(...rollup(bucket.points, resolution));
+    }
+    return points;
+  }
+
+  // The finest resolution still retained at `from` that keeps the range
+  // under MAX_POINTS points. intervalMs is the raw collection interval.
+  chooseResolution(from, to, intervalMs, now = new Date()) {
+    const span = to - from;
+    for (const resolution of ['raw', ...ROLLUPS]) {
+      const step = RESOLUTIONS[resolution] || intervalMs;
+      if (now - from <= this.retention[resolution] && span / step <= MAX_POINTS) {
+        return resolution;
+      }
+    }
+    return '1h';
+  }
+}
+
+const dayOf = time => new Date(time).toISOString().slice(0, 10);
+
+// Newline-delimited JSON files, one per cluster, resolution and UTC day, so
+// expiring data is deleting whole files
+class FileMetricStore extends MetricStore {
+  constructor(options = {}) {
+    super(options);
+    if (!options.path) {
+      throw new Error('File metric stores require a path');
+    }
+    this.type = 'file';
+    this.dir = options.path;
+    this.lastPruned = 0;
+  }
+
+  describe() {
+    return this.dir;
+  }
+
+  fileFor(cluster, resolution, day) {
+    return path.join(this.dir, encodeURIComponent(cluster), resolution, `${day}.ndjson`);
+  }
+
+  async write(cluster, resolution, points) {
+    const files = new Map();
+    for (const point of points) {
+      const file = this.fileFor(cluster, resolution, dayOf(point.timestamp));
+      files.set(file, (files.get(file) || '') + JSON.stringify(point) + '\n');
+    }
+    for (const [file, lines] of files) {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, lines, { flag: 'a' });
+    }
+  }
+
+  async read(cluster, resolution, from, to) {
+    const points = [];
+    for (let day = Math.floor(from.getTime() / DAY_MS) * DAY_MS; day <= to.getTime(); day += DAY_MS) {
+      let content;
+      try {
+        content = await fs.readFile(this.fileFor(cluster, resolution, dayOf(day)), 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') continue;
+        throw error;
+      }
+
+      for (const line of content.split('\n')) {
+        if (!line) continue;
+        let point;
+        try {
+          point = JSON.parse(line);
+        } catch (error) {
+          // A line cut off by a crash mid-write
+          continue;
+        }
+        point.timestamp = new Date(point.timestamp);
+        if (point.timestamp >= from && point.timestamp <= to) {
+          points.push(point);
+        }
+      }
+    }
+    return points.sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  // Deletes day files entirely past their retention, at most once an hour
+  async prune(now) {
+    if (now - this.lastPruned < RESOLUTIONS['1h']) {
+      return;
+    }
+    this.lastPruned = now.getTime();
+
+    let clusters;
+    try {
+      clusters = await fs.readdir(this.dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    for (const cluster of clusters) {
+      for (const resolution of Object.keys(RESOLUTIONS)) {
+        const dir = path.join(this.dir, cluster, resolution);
+        const files = await fs.readdir(dir).catch(() => []);
+        for (const file of files) {
+          const day = Date.parse(path.basename(file, '.ndjson'));
+          if (!Number.isNaN(day) && day + DAY_MS <= now - this.retention[resolution]) {
+            await fs.unlink(path.join(dir, file));
+          }
+        }
+      }
+    }
+  }
+}
+
+const GRANULARITY = { raw: 'seconds', '1m': 'minutes', '1h': 'hours' };
+
+// One MongoDB time-series collection per resolution on a designated
+// cluster, expiring documents through expireAfterSeconds
+class MongoMetricStore extends MetricStore {
+  constructor(clusterManager, options = {}) {
+    super(options);
+    if (!options.cluster) {
+      throw new Error('MongoDB metric stores require a cluster');
+    }
+    this.type = 'mongodb';
+    this.clusterManager = clusterManager;
+    this.cluster = options.cluster;
+    this.database = options.database || 'mongodb_manager';
+    this.prefix = options.collection || 'metrics';
+    this.prepared = new Set();
+  }
+
+  describe() {
+    return `${this.cluster}/${this.database}.${this.prefix}_*`;
+  }
+
+  // Creates the collection, or brings the expiry of an existing one in line
+  // with the configured retention
+  async getCollection(resolution) {
+    const db = this.clusterManager.getDatabase(this.cluster, this.database);
+    const name = `${this.prefix}_${resolution}`;
+    if (!this.prepared.has(name)) {
+      const expireAfterSeconds = Math.round(this.retention[resolution] / 1000);
+      try {
+        await db.createCollection(name, {
+          timeseries: { timeField: 'timestamp', metaField: 'cluster', granularity: GRANULARITY[resolution] },
+          expireAfterSeconds
+        });
+      } catch (error) {
+        if (error.codeName !== 'NamespaceExists' && error.code !== 48) throw error;
+        await db.command({ collMod: name, expireAfterSeconds });
+      }
+      this.prepared.add(name);
+    }
+    return db.collection(name);
+  }
+
+  async write(cluster, resolution, points) {
+    const collection = await this.getCollection(resolution);
+    await collection.insertMany(points.map(point => ({
+      ...point,
+      timestamp: new Date(point.timestamp),
+      cluster
+    })), { ordered: false });
+  }
+
+  async read(cluster, resolution, from, to) {
+    const collection = await this.getCollection(resolution);
+    return collection
+      .find({ cluster, timestamp: { $gte: from, $lte: to } }, { projection: { _id: 0, cluster: 0 } })
+      .sort({ timestamp: 1 })
+      .toArray();
+  }
+
+  // Expiry is left to MongoDB
+  async prune() {}
+}
+
+// settings.type is file (the default) or mongodb; "none" keeps metrics in
+// memory only
+function createMetricStore(settings, clusterManager, defaultPath) {
+  if (settings && settings.type === 'none') {
+    return null;
+  }
+  if (!settings || !settings.type || settings.type === 'file') {
+    return new FileMetricStore({ ...settings, path: (settings && settings.path) || defaultPath });
+  }
+  if (settings.type === 'mongodb') {
+    return new MongoMetricStore(clusterManager, settings);
+  }
+  throw new Error(`Unknown metric store type: ${settings.type}`);
+}
+
+module.exports = {
+  FileMetricStore,
+  MongoMetricStore,
+  MetricStore,
+  RESOLUTIONS,
+  createMetricStore,
+  parseTimeSpan,
+  rollup
+};
@@ -0,0 +1,239 @@
+const http = require('http');
+
+const CONTENT_TYPE = 'application/openmetrics-text; version=1.0.0; charset=utf-8';
+const MB = 1024 * 1024;
+
+const escapeLabel = value => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/\n/g, '\\n')
+  .replace(/"/g, '\\"');
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+// Metric families in the OpenMetrics text format. Samples without a
+// numeric value are left out.
+class OpenMetricsWriter {
+  constructor() {
+    this.families = new Map();
+  }
+
+  add(name, type, help, labels, value) {
+    if (typeof value === 'boolean') {
+      value = value ? 1 : 0;
+    }
+    if (typeof value !== 'number' || Number.isNaN(value)) {
+      return this;
+    }
+    if (!this.families.has(name)) {
+      this.families.set(name, { type, help, samples: [] });
+    }
+    this.families.get(name).samples.push({ labels, value });
+    return this;
+  }
+
+  toString() {
+    const lines = [];
+    for (const [name, family] of this.families) {
+      lines.push(`# TYPE ${name} ${family.type}`);
+      lines.push(`# HELP ${name} ${family.help}`);
+      // Counter samples carry the _total suffix, the family name does not
+      const sampleName = family.type === 'counter' ? `${name}_total` : name;
+      for (const { labels, value } of family.samples) {
+        const rendered = Object.entries(labels)
+          .filter(([, labelValue]) => labelValue !== undefined && labelValue !== null)
+          .map(([label, labelValue]) => `${label}="${escapeLabel(labelValue)}"`)
+          .join(',');
+        lines.push(`${sampleName}${rendered ? `{${rendered}}` : ''} ${formatValue(value)}`);
+      }
+    }
+    lines.push('# EOF');
+    return lines.join('\n') + '\n';
+  }
+}
+
+// Exposes the samples MonitoringService collects, plus counters of backup
+// runs and alert firings since the process started, for Prometheus.
+// Clusters are labelled with their name and environment.
+class MetricsExporter {
+  constructor(clusterManager, monitoring, backupManager, logger) {
+    this.clusterManager = clusterManager;
+    this.monitoring = monitoring;
+    this.logger = logger;
+    this.backupRuns = new Map();
+    this.alertFirings = new Map();
+    this.server = null;
+
+    if (backupManager) {
+      backupManager.on('backupFinished', run => this.count(this.backupRuns, {
+        cluster: run.cluster,
+        database: run.database,
+        type: run.type,
+        status: run.status
+      }));
+    }
+    monitoring.on('alertCreated', alert => this.count(this.alertFirings, {
+      cluster: alert.cluster,
+      severity: alert.severity,
+      alert: alert.type
+    }));
+  }
+
+  count(counters, labels) {
+    const key = JSON.stringify(labels);
+    const counter = counters.get(key) || { labels, value: 0 };
+    counter.value++;
+    counters.set(key, counter);
+  }
+
+  // The latest collected sample while monitoring keeps it fresh, otherwise
+  // one taken now
+  async sample(cluster) {
+    const history = this.monitoring.metrics.get(cluster.name) || [];
+    const latest = history[history.length - 1];
+    if (this.monitoring.isMonitoring && latest &&
+        Date.now() - new Date(latest.timestamp) <= 2 * this.monitoring.intervalMs) {
+      return latest;
+    }
+    return this.monitoring.getClusterMetrics(cluster.name);
+  }
+
+  async collect() {
+    const writer = new OpenMetricsWriter();
+    const clusters = this.clusterManager.listClusters();
+    const environments = new Map(clusters.map(cluster => [cluster.name, cluster.environment]));
+
+    const samples = await Promise.all(clusters.map(async (cluster) => {
+      if (cluster.status !== 'healthy') {
+        return null;
+      }
+      try {
+        return await this.sample(cluster);
+      } catch (error) {
+        this.logger.warn(`Failed to sample ${cluster.name} for the metrics endpoint:`, error.message);
+        return null;
+      }
+    }));
+
+    clusters.forEach((cluster, index) => {
+      const labels = { cluster: cluster.name, environment: cluster.environment };
+      const sample = samples[index];
+      writer.add('mongodb_up', 'gauge', 'Whether the cluster could be sampled', labels, Boolean(sample));
+      if (sample) {
+        this.addSample(writer, labels, sample);
+      }
+    });
+
+    for (const { labels, value } of this.backupRuns.values()) {
+      writer.add('mongodb_manager_backup_runs', 'counter', 'Backup runs by outcome',
+        { cluster: labels.cluster, environment: environments.get(labels.cluster), ...labels }, value);
+    }
+    for (const { labels, value } of this.alertFirings.values()) {
+      writer.add('mongodb_manager_alerts_fired', 'counter', 'Alerts raised',
+        { cluster: labels.cluster, environment: environments.get(labels.cluster), ...labels }, value);
+    }
+
+    return writer.toString();
+  }
+
+  addSample(writer, labels, sample) {
+    const { server = {}, operations = {}, storage = {}, replication } = sample;
+    const connections = server.connections || {};
+    const memory = server.memory || {};
+    const network = server.network || {};
+    const cpu = server.cpu || {};
+
+    writer.add('mongodb_uptime_seconds', 'gauge', 'Server uptime', labels, server.uptime);
+    writer.add('mongodb_connections', 'gauge', 'Connections by state', { ...labels, state: 'current' }, connections.current);
+    writer.add('mongodb_connections', 'gauge', 'Connections by state', { ...labels, state: 'available' }, connections.available);
+    writer.add('mongodb_connections_opened', 'counter', 'Connections opened since the server started', labels, connections.totalCreated);
+
+    for (const type of ['resident', 'virtual', 'mapped']) {
+      if (typeof memory[type] === 'number') {
+        writer.add('mongodb_memory_bytes', 'gauge', 'Server memory by type', { ...labels, type }, memory[type] * MB);
+      }
+    }
+
+    writer.add('mongodb_network_bytes', 'counter', 'Network traffic by direction', { ...labels, direction: 'in' }, network.bytesIn);
+    writer.add('mongodb_network_bytes', 'counter', 'Network traffic by direction', { ...labels, direction: 'out' }, network.bytesOut);
+    writer.add('mongodb_network_requests', 'counter', 'Requests received', labels, network.numRequests);
+
+    for (const mode of ['user', 'system']) {
+      if (typeof cpu[mode] === 'number') {
+        writer.add('mongodb_cpu_seconds', 'counter', 'Server CPU time by mode', { ...labels, mode }, cpu[mode] / 1e6);
+      }
+    }
+
+    for (const [type, count] of Object.entries(operations)) {
+      writer.add('mongodb_op_counters', 'counter', 'Operations by type since the server started', { ...labels, type }, count);
+    }
+
+    writer.add('mongodb_storage_size_bytes', 'gauge', 'Size of all databases on disk', labels, storage.totalSize);
+    writer.add('mongodb_storage_documents', 'gauge', 'Documents in all databases', labels, storage.totalDocuments);
+    writer.add('mongodb_storage_indexes', 'gauge', 'Indexes in all databases', labels, storage.indexes);
+    writer.add('mongodb_storage_databases', 'gauge', 'Databases', labels, storage.databases);
+
+    if (replication) {
+      const member = { ...labels, set_name: replication.setName };
+      writer.add('mongodb_replication_primary', 'gauge', 'Whether the sampled member is the primary', member, Boolean(replication.ismaster));
+      writer.add('mongodb_replication_secondary', 'gauge', 'Whether the sampled member is a secondary', member, Boolean(replication.secondary));
+      writer.add('mongodb_replication_hosts', 'gauge', 'Members of the replica set', member, (replication.hosts || []).length);
+      writer.add('mongodb_replication_members_down', 'gauge', 'Members that are down or unreachable', member, replication.membersDown);
+      for (const { name, lagSeconds } of replication.members || []) {
+        writer.add('mongodb_replication_lag_seconds', 'gauge', 'How far members are behind the primary', { ...member, member: name }, lagSeconds);
+      }
+      if (typeof replication.oplogWindowHours === 'number') {
+        writer.add('mongodb_replication_oplog_window_seconds', 'gauge', 'Time span covered by the oplog', member, replication.oplogWindowHours * 3600);
+      }
+    }
+  }
+
+  // Express or plain Node request handler
+  async handle(req, res) {
+    try {
+      const body = await this.collect();
+      res.writeHead(200, { 'Content-Type': CONTENT_TYPE });
+      res.end(body);
+    } catch (error) {
+      this.logger.error('Failed to collect metrics for export:', error);
+      res.writeHead(500, { 'Content-Type': 'text/plain' });
+      res.end(`Failed to collect metrics: ${error.message}\n`);
+    }
+  }
+
+  // Standalone exporter serving GET /metrics
+  listen(port = 9216, host = '0.0.0.0') {
+    this.server = http.createServer((req, res) => {
+      if (req.method === 'GET' && req.url.split('?')[0] === '/metrics') {
+        this.handle(req, res);
+      } else {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end('Not found; metrics are served at /metrics\n');
+      }
+    });
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.server.removeListener('error', reject);
+        resolve(this.server);
+      });
+    });
+  }
+
+  async close() {
+    if (this.server) {
+      await new Promise(resolve => this.server.close(resolve));
+      this.server = null;
+    }
+  }
+}
+
+module.exports = {
+  MetricsExporter,
+  OpenMetricsWriter,
+  CONTENT_TYPE
+};
@@ -0,0 +1,366 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { BSON } = require('mongodb');
+const CollectionSelection = require('./utils/collection-selection');
+const { countDuplicateKeyErrors } = require('./utils/mongo-errors');
+const { MaskingProfile } = require('./masking');
+
+// $type aliases grouped in the order MongoDB sorts values of different types
+const TYPE_ORDER = [
+  ['minKey'],
+  ['null'],
+  ['int', 'long', 'double', 'decimal'],
+  ['symbol', 'string'],
+  ['object'],
+  ['array'],
+  ['binData'],
+  ['objectId'],
+  ['bool'],
+  ['date'],
+  ['timestamp'],
+  ['regex'],
+  ['maxKey']
+];
+
+function typeRank(value) {
+  if (value === null || value === undefined) return 1;
+
+  switch (value._bsontype) {
+    case 'MinKey': return 0;
+    case 'Int32':
+    case 'Long':
+    case 'Double':
+    case 'Decimal128': return 2;
+    case 'BSONSymbol': return 3;
+    case 'Binary': return 6;
+    case 'ObjectId': return 7;
+    case 'Timestamp': return 10;
+    case 'BSONRegExp': return 11;
+    case 'MaxKey': return 12;
+  }
+
+  if (typeof value === 'number' || typeof value === 'bigint') return 2;
+  if (typeof value === 'string') return 3;
+  if (typeof value === 'boolean') return 8;
+  if (value instanceof Date) return 9;
+  if (value instanceof RegExp) return 11;
+  return 4;
+}
+
+// Matches the _ids sorted after lastId. Range operators only compare values
+// of the same type, so every type sorted later is matched explicitly.
+function afterId(lastId) {
+  const later = TYPE_ORDER.slice(typeRank(lastId) + 1).flat();
+  const after = { _id: { $gt: lastId } };
+  return later.length > 0 ? { $or: [after, { _id: { $type: later } }] } : after;
+}
+
+// The sum of every document's digest, so a copy can be compared with what
+// was written without reading both in the same order. _id is moved to the
+// front as the server stores it.
+function addToChecksum(checksum, document) {
+  const { _id, ...fields } = document;
+  const digest = crypto.createHash('sha256').update(BSON.serialize({ _id, ...fields })).digest();
+  return BigInt.asUintN(64, checksum + digest.readBigUInt64BE(0));
+}
+
+const toHex = checksum => checksum.toString(16).padStart(16, '0');
+
+// Copies databases between clusters without going through a backup on disk.
+// Collections are copied in _id order and the progress of each one is
+// checkpointed after every batch, so an interrupted run can be resumed.
+class MigrationManager extends EventEmitter {
+  constructor(clusterManager, config, logger) {
+    super();
+    this.clusterManager = clusterManager;
+    this.config = config;
+    this.logger = logger;
+    this.migrationDir = path.join(process.cwd(), 'migrations');
+  }
+
+  checkpointPath(source, target) {
+    const id = `${source.cluster}.${source.database}--${target.cluster}.${target.database}`;
+    return path.join(this.migrationDir, `${id.replace(/[^\w.-]/g, '_')}.json`);
+  }
+
+  async loadCheckpoint(file) {
+    try {
+      return BSON.EJSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async saveCheckpoint(file, state) {
+    state.updatedAt = new Date();
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, BSON.EJSON.stringify(state, null, 2, { relaxed: false }));
+  }
+
+  // source and target are { cluster, database }. Options:
+  // - include, exclude, query, projection: as for backups
+  // - transform(document, { collection }): returns the document to write,
+  //   or null to leave it out; may be async
+  // - masking: name of a masking profile applied after the transform
+  // - dropExisting: drop target collections before copying into them
+  // - resume: continue the last interrupted run between the two databases
+  // - verify: compare counts and checksums afterwards (default true)
+  async migrate(source, target, options = {}) {
+    if (source.cluster === target.cluster && source.database === target.database) {
+      throw new Error('Source and target are the same database');
+    }
+
+    const label = `${source.cluster}/${source.database} to ${target.cluster}/${target.database}`;
+    const checkpointFile = this.checkpointPath(source, target);
+
+    try {
+      let state = options.resume ? await this.loadCheckpoint(checkpointFile) : null;
+      if (state && state.status === 'completed') {
+        throw new Error(`Nothing to resume: the last migration from ${label} completed`);
+      }
+      if (options.resume && !state) {
+        this.logger.info(`No interrupted migration from ${label}, starting a new one`);
+      }
+
+      const resumed = Boolean(state);
+      const selection = resumed ? CollectionSelection.fromJSON(state.selection) : new CollectionSelection(options);
+      if (!resumed) {
+        state = {
+          source,
+          target,
+          startedAt: new Date(),
+          selection: selection.toJSON(),
+          masking: options.masking,
+          collections: {}
+        };
+      }
+      // A resumed run masks with the profile it started with
+      const masking = state.masking ? MaskingProfile.fromConfig(this.config, state.masking) : null;
+      state.status = 'running';
+      const save = () => this.saveCheckpoint(checkpointFile, state);
+
+      this.logger.info(`${resumed ? 'Resuming' : 'Starting'} migration from ${label}`);
+
+      const sourceDb = this.clusterManager.getDatabase(source.cluster, source.database);
+      const targetDb = this.clusterManager.getDatabase(target.cluster, target.database);
+      const collections = await sourceDb.listCollections().toArray();
+      const result = {
+        source,
+        target,
+        resumed,
+        masking: state.masking,
+        collections: [],
+        excludedCollections: [],
+        failedCollections: []
+      };
+
+      for (const collectionInfo of collections) {
+        const name = collectionInfo.name;
+        if (!selection.includes(name)) {
+          result.excludedCollections.push(name);
+          continue;
+        }
+
+        if (!state.collections[name]) {
+          state.collections[name] = { status: 'pending', copied: 0, skipped: 0, checksum: toHex(0n) };
+        }
+        const progress = state.collections[name];
+
+        try {
+          if (progress.status !== 'done') {
+            await this.copyCollection(sourceDb, targetDb, collectionInfo, progress, {
+              ...options,
+              selection,
+              masking,
+              save
+            });
+          }
+          delete progress.error;
+          result.collections.push({
+            name,
+            type: collectionInfo.type || 'collection',
+            copied: progress.copied,
+            skipped: progress.skipped,
+            indexes: progress.indexes
+          });
+        } catch (error) {
+          this.logger.error(`Failed to migrate collection ${name}:`, error);
+          progress.error = error.message;
+          result.failedCollections.push({ name, error: error.message });
+        }
+      }
+
+      if (options.verify !== false) {
+        for (const entry of result.collections) {
+          if (entry.type !== 'view') {
+            entry.verification = await this.verifyCollection(sourceDb, targetDb, entry.name, state.collections[entry.name], selection);
+          }
+        }
+      }
+      result.verified = options.verify !== false &&
+        result.collections.every(entry => !entry.verification || entry.verification.ok);
+
+      state.status = result.failedCollections.length > 0 ? 'failed' : 'completed';
+      state.finishedAt = new Date();
+      await save();
+
+      this.logger.info(`Migration from ${label} ${state.status}`);
+
+      return result;
+    } catch (error) {
+      this.logger.error(`Migration from ${label} failed:`, error);
+      throw error;
+    }
+  }
+
+  async copyCollection(sourceDb, targetDb, collectionInfo, progress, options) {
+    const name = collectionInfo.name;
+    const target = targetDb.collection(name);
+    const batchSize = options.batchSize || 1000;
+    // The batch written last before an interruption may already be there
+    let resuming = progress.status === 'copying';
+
+    if (collectionInfo.type === 'view') {
+      await targetDb.createCollection(name, collectionInfo.options).catch(() => {});
+      progress.status = 'done';
+      await options.save();
+      return;
+    }
+
+    if (!resuming) {
+      if (options.dropExisting) {
+        await target.drop().catch(() => {});
+      }
+      const collectionOptions = collectionInfo.options || {};
+      if (Object.keys(collectionOptions).length > 0) {
+        await targetDb.createCollection(name, collectionOptions).catch(() => {});
+      }
+      progress.status = 'copying';
+      await options.save();
+    }
+
+    const query = options.selection.queryFor(name);
+    const filter = progress.lastId === undefined ?
+      query :
+      Object.keys(query).length > 0 ? { $and: [query, afterId(progress.lastId)] } : afterId(progress.lastId);
+    const projection = options.selection.projectionFor(name);
+    // Unpromoted values are written back with the BSON types they were read with
+    const findOptions = { promoteValues: false };
+    if (projection) {
+      findOptions.projection = projection;
+    }
+    const cursor = sourceDb.collection(name)
+      .find(filter, findOptions)
+      .sort({ _id: 1 })
+      .batchSize(batchSize);
+
+    const masking = options.masking && options.masking.appliesTo(name) ? options.masking : null;
+    let checksum = BigInt(`0x${progress.checksum}`);
+    let batch = [];
+
+    const flush = async () => {
+      const documents = [];
+      for (const document of batch) {
+        const transformed = options.transform ? await options.transform(document, { collection: name }) : document;
+        if (transformed) {
+          documents.push(masking ? masking.mask(name, transformed) : transformed);
+        } else {
+          progress.skipped++;
+        }
+      }
+
+      if (documents.length > 0) {
+        await this.insertBatch(target, documents, resuming);
+      }
+      for (const document of documents) {
+        checksum = addToChecksum(checksum, document);
+      }
+
+      progress.copied += documents.length;
+      progress.lastId = batch[batch.length - 1]._id;
+      progress.checksum = toHex(checksum);
+      batch = [];
+      resuming = false;
+      await options.save();
+
+      this.emit('migrationProgress', { collection: name, copied: progress.copied, skipped: progress.skipped });
+    };
+
+    try {
+      for await (const document of cursor) {
+        batch.push(document);
+        if (batch.length >= batchSize) {
+          await flush();
+        }
+      }
+      if (batch.length > 0) {
+        await flush();
+      }
+    } finally {
+      await cursor.close().catch(() => {});
+    }
+
+    // Indexes are built once the documents are in place, as mongorestore does
+    progress.indexes = 0;
+    const indexes = await sourceDb.collection(name).listIndexes().toArray();
+    for (const index of indexes) {
+      if (index.name === '_id_') continue;
+      try {
+        const { key, v, ns, background, ...indexOptions } = index;
+        await target.createIndex(key, indexOptions);
+        progress.indexes++;
+      } catch (error) {
+        this.logger.warn(`Failed to create index ${index.name} on ${name}:`, error.message);
+      }
+    }
+
+    progress.status = 'done';
+    await options.save();
+    this.logger.info(`Migrated collection: ${name} (${progress.copied} documents)`);
+  }
+
+  async insertBatch(collection, documents, tolerateDuplicates) {
+    try {
+      await collection.insertMany(documents, { ordered: false });
+    } catch (error) {
+      const duplicates = countDuplicateKeyErrors(error);
+      if (duplicates === 0) throw error;
+      if (!tolerateDuplicates) {
+        throw new Error(`${duplicates} document(s) already exist in the target collection; use dropExisting or resume`);
+      }
+    }
+  }
+
+  // Compares the target with what was written to it. The source count only
+  // flags documents added or removed there while the copy ran.
+  async verifyCollection(sourceDb, targetDb, name, progress, selection) {
+    const target = targetDb.collection(name);
+    const [sourceDocuments, targetDocuments] = await Promise.all([
+      sourceDb.collection(name).countDocuments(selection.queryFor(name)),
+      target.countDocuments()
+    ]);
+
+    let checksum = 0n;
+    for await (const document of target.find({}, { promoteValues: false })) {
+      checksum = addToChecksum(checksum, document);
+    }
+    const actual = toHex(checksum);
+
+    return {
+      ok: targetDocuments === progress.copied && actual === progress.checksum,
+      documents: {
+        source: sourceDocuments,
+        copied: progress.copied,
+        skipped: progress.skipped,
+        target: targetDocuments
+      },
+      checksum: { expected: progress.checksum, actual },
+      sourceChanged: sourceDocuments !== progress.copied + progress.skipped
+    };
+  }
+}
+
+module.exports = MigrationManager;
@@ -1,22 +1,99 @@
 const EventEmitter = require('events');
+const crypto = require('crypto');
+const path = require('path');
+const { AlertRule, DEFAULT_INTERVAL_MS, MAX_METRIC_HISTORY, parseDuration } = require('./alert-rules');
+const { Notifier } = require('./notifications');
+const { createMetricStore, parseTimeSpan } = require('./metric-store');
+const { getReplicaSetStatus } = require('./utils/replica-set');
+const { computeRates, withRates } = require('./utils/rates');
+const { listShards } = require('./utils/sharding');
+
+const MAX_ALERTS = 100;
+const MAX_ELECTIONS = 20;
+
+// Alerts from before the lifecycle only carry the acknowledged flag
+const statusOf = alert => alert.status || (alert.acknowledged ? 'acknowledged' : 'firing');
+
+// Server, connection and operation counters of a serverStatus result. CPU
+// times are only reported on Linux; elsewhere cpu is left out.
+function summarizeServerStatus(serverStatus) {
+  const extraInfo = serverStatus.extra_info || {};
+  return {
+    server: {
+      host: serverStatus.host,
+      uptime: serverStatus.uptime,
+      version: serverStatus.version,
+      connections: {
+        current: serverStatus.connections.current,
+        available: serverStatus.connections.available,
+        totalCreated: serverStatus.connections.totalCreated
+      },
+      network: {
+        bytesIn: serverStatus.network.bytesIn,
+        bytesOut: serverStatus.network.bytesOut,
+        numRequests: serverStatus.network.numRequests
+      },
+      memory: {
+        resident: serverStatus.mem.resident,
+        virtual: serverStatus.mem.virtual,
+        mapped: serverStatus.mem.mapped || 0
+      },
+      cpu: typeof extraInfo.user_time_us === 'number' ? {
+        user: extraInfo.user_time_us,
+        system: extraInfo.system_time_us || 0
+      } : undefined
+    },
+    operations: {
+      insert: serverStatus.opcounters.insert,
+      query: serverStatus.opcounters.query,
+      update: serverStatus.opcounters.update,
+      delete: serverStatus.opcounters.delete,
+      getmore: serverStatus.opcounters.getmore,
+      command: serverStatus.opcounters.command
+    }
+  };
+}
+
+// Replica set members behind an alert on a replication metric, so its
+// message can name them
+function affectedMembers(rule, sample) {
+  const members = sample.replication && sample.replication.members;
+  if (!members) return [];
+  if (rule.metric === 'replication.membersDown') {
+    return members.filter(member => member.health !== 1).map(member => member.name);
+  }
+  if (rule.metric === 'replication.maxLagSeconds') {
+    return members.filter(member => member.lagSeconds !== null && rule.matches(member.lagSeconds)).map(member => member.name);
+  }
+  return [];
+}
 
 class MonitoringService extends EventEmitter {
-  constructor(clusterManager, logger) {
+  constructor(clusterManager, logger, config = null) {
     super();
     this.clusterManager = clusterManager;
     this.logger = logger;
+    this.config = config;
     this.metrics = new Map();
     this.alerts = [];
+    // Alert fingerprint -> time until which new alerts are not announced
+    this.silences = new Map();
+    // Cluster name -> recent primary changes, newest last
+    this.elections = new Map();
+    this.notifier = undefined;
+    this.metricStore = undefined;
+    this.intervalMs = DEFAULT_INTERVAL_MS;
     this.monitoringInterval = null;
     this.isMonitoring = false;
   }
 
-  async startMonitoring(intervalMs = 30000) {
+  async startMonitoring(intervalMs = DEFAULT_INTERVAL_MS) {
     if (this.isMonitoring) {
       return;
     }
 
     this.isMonitoring = true;
+    this.intervalMs = intervalMs;
     this.logger.info('Starting monitoring service');
 
     this.monitoringInterval = setInterval(async () => {
@@ -62,16 +139,27 @@ class MonitoringService extends EventEmitter {
         }
 
         const clusterMetrics = this.metrics.get(cluster.name);
-        clusterMetrics.push({
+        const previous = clusterMetrics[clusterMetrics.length - 1];
+        const sample = {
           timestamp,
           ...metrics
-        });
+        };
+        sample.rates = computeRates(previous, sample);
+        for (const [name, shard] of Object.entries(sample.shards || {})) {
+          const before = previous && previous.shards && previous.shards[name];
+          const comparable = before && !before.error && !shard.error;
+          shard.rates = comparable ? computeRates({ timestamp: previous.timestamp, ...before }, { timestamp, ...shard }) : null;
+        }
+        this.detectElection(cluster.name, previous, sample);
+        clusterMetrics.push(sample);
 
-        // Keep only last 100 metric points
-        if (clusterMetrics.length > 100) {
-          clusterMetrics.splice(0, clusterMetrics.length - 100);
+        // Keep only the last points; older ones are in the metric store
+        if (clusterMetrics.length > MAX_METRIC_HISTORY) {
+          clusterMetrics.splice(0, clusterMetrics.length - MAX_METRIC_HISTORY);
         }
 
+        await this.storeMetrics(cluster.name, sample);
+
         this.emit('metricsCollected', { cluster: cluster.name, metrics });
       } catch (error) {
         this.logger.error(`Failed to collect metrics for ${cluster.name}:`, error);
@@ -89,38 +177,24 @@ class MonitoringService extends EventEmitter {
         this.getDatabasesStats(clusterName)
       ]);
 
+      let replicaSet = null;
+      if (serverStatus.repl) {
+        try {
+          replicaSet = await getReplicaSetStatus(client);
+        } catch (error) {
+          // Users without the clusterMonitor role still get the basics
+          this.logger.warn(`Failed to get replica set status for ${clusterName}:`, error.message);
+        }
+      }
+
+      // Behind a mongos the load of each shard is only visible on the shard
+      let shards;
+      if (serverStatus.process === 'mongos') {
+        shards = await this.getShardMetrics(clusterName);
+      }
+
       return {
-        server: {
-          uptime: serverStatus.uptime,
-          version: serverStatus.version,
-          connections: {
-            current: serverStatus.connections.current,
-            available: serverStatus.connections.available,
-            totalCreated: serverStatus.connections.totalCreated
-          },
-          network: {
-            bytesIn: serverStatus.network.bytesIn,
-            bytesOut: serverStatus.network.bytesOut,
-            numRequests: serverStatus.network.numRequests
-          },
-          memory: {
-            resident: serverStatus.mem.resident,
-            virtual: serverStatus.mem.virtual,
-            mapped: serverStatus.mem.mapped || 0
-          },
-          cpu: {
-            user: serverStatus.extra_info?.user_time_us || 0,
-            system: serverStatus.extra_info?.system_time_us || 0
-          }
-        },
-        operations: {
-          insert: serverStatus.opcounters.insert,
-          query: serverStatus.opcounters.query,
-          update: serverStatus.opcounters.update,
-          delete: serverStatus.opcounters.delete,
-          getmore: serverStatus.opcounters.getmore,
-          command: serverStatus.opcounters.command
-        },
+        ...summarizeServerStatus(serverStatus),
         storage: {
           databases: dbStats.databases,
           totalSize: dbStats.totalSize,
@@ -132,8 +206,17 @@ class MonitoringService extends EventEmitter {
           secondary: serverStatus.repl.secondary,
           hosts: serverStatus.repl.hosts,
           setName: serverStatus.repl.setName,
-          primary: serverStatus.repl.primary
-        } : null
+          primary: serverStatus.repl.primary,
+          ...(replicaSet && {
+            term: replicaSet.term,
+            electionDate: replicaSet.electionDate,
+            members: replicaSet.members,
+            membersDown: replicaSet.membersDown,
+            maxLagSeconds: replicaSet.maxLagSeconds,
+            oplogWindowHours: replicaSet.oplogWindowHours
+          })
+        } : null,
+        ...(shards !== undefined && { shards })
       };
     } catch (error) {
       this.logger.error(`Failed to get metrics for ${clusterName}:`, error);
@@ -141,6 +224,58 @@ class MonitoringService extends EventEmitter {
     }
   }
 
+  // serverStatus of the primary of every shard, by shard name. Shards that
+  // cannot be reached carry the error instead; null when the shards cannot
+  // be listed.
+  async getShardMetrics(clusterName) {
+    let shards;
+    try {
+      shards = await listShards(this.clusterManager.getConnection(clusterName));
+    } catch (error) {
+      this.logger.warn(`Failed to list the shards of ${clusterName}:`, error.message);
+      return null;
+    }
+
+    const entries = await Promise.all(shards.map(async (shard) => {
+      try {
+        const client = await this.clusterManager.getShardConnection(clusterName, shard);
+        const serverStatus = await client.db('admin').command({ serverStatus: 1 });
+        return [shard.name, { host: serverStatus.host, ...summarizeServerStatus(serverStatus) }];
+      } catch (error) {
+        this.logger.warn(`Failed to get metrics for shard ${shard.name} of ${clusterName}:`, error.message);
+        return [shard.name, { error: error.message }];
+      }
+    }));
+    return Object.fromEntries(entries);
+  }
+
+  // A new term or primary between two samples is an election
+  detectElection(clusterName, previous, sample) {
+    const before = previous && previous.replication;
+    const after = sample.replication;
+    if (!before || !after || before.term === undefined || after.term === undefined) return;
+    if (after.term === before.term && after.primary === before.primary) return;
+
+    const election = {
+      cluster: clusterName,
+      setName: after.setName,
+      term: after.term,
+      previousPrimary: before.primary || null,
+      primary: after.primary || null,
+      electedAt: after.electionDate || sample.timestamp
+    };
+    const elections = this.elections.get(clusterName) || [];
+    elections.push(election);
+    this.elections.set(clusterName, elections.slice(-MAX_ELECTIONS));
+
+    this.logger.warn(`Replica set ${after.setName} on ${clusterName} elected ${election.primary || 'no primary'} (was ${election.previousPrimary || 'none'}, term ${after.term})`);
+    this.emit('election', election);
+  }
+
+  getElections(clusterName) {
+    return this.elections.get(clusterName) || [];
+  }
+
   async getDatabasesStats(clusterName) {
     try {
       const client = this.clusterManager.getConnection(clusterName);
@@ -175,42 +310,65 @@ class MonitoringService extends EventEmitter {
     }
   }
 
-  async getMetrics(clusterName, timeRange = '1h') {
-    const clusterMetrics = this.metrics.get(clusterName);
-    if (!clusterMetrics) {
-      return { error: 'No metrics available for cluster' };
+  // Durable history from the metricStore setting, by default files under
+  // ./metrics. Serverless deployments have no disk to default to.
+  getMetricStore() {
+    if (this.metricStore === undefined) {
+      const settings = this.config && this.config.getSetting('metricStore');
+      this.metricStore = !settings && (!this.config || this.config.serverless) ?
+        null :
+        createMetricStore(settings, this.clusterManager, path.join(process.cwd(), 'metrics'));
     }
+    return this.metricStore;
+  }
 
-    const now = new Date();
-    let startTime = new Date();
-
-    switch (timeRange) {
-      case '5m':
-        startTime.setMinutes(now.getMinutes() - 5);
-        break;
-      case '30m':
-        startTime.setMinutes(now.getMinutes() - 30);
-        break;
-      case '1h':
-        startTime.setHours(now.getHours() - 1);
-        break;
-      case '6h':
-        startTime.setHours(now.getHours() - 6);
-        break;
-      case '24h':
-        startTime.setHours(now.getHours() - 24);
-        break;
-      default:
-        startTime.setHours(now.getHours() - 1);
+  async storeMetrics(clusterName, sample) {
+    try {
+      const store = this.getMetricStore();
+      if (store) {
+        await store.record(clusterName, sample);
+      }
+    } catch (error) {
+      this.logger.warn(`Failed to store metrics for ${clusterName}:`, error.message);
     }
+  }
 
-    const filteredMetrics = clusterMetrics.filter(m => 
-      new Date(m.timestamp) >= startTime
-    );
+  // timeRange is a span back from now (e.g. 30m, 24h, 7d); options.from and
+  // options.to select any other range. With a metric store the resolution
+  // (raw, 1m or 1h) is picked to fit the range unless options.resolution
+  // sets it; without one only the samples held in memory are available.
+  async getMetrics(clusterName, timeRange = '1h', options = {}) {
+    const to = options.to ? new Date(options.to) : new Date();
+    const from = options.from ? new Date(options.from) : new Date(to.getTime() - parseTimeSpan(timeRange));
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from > to) {
+      throw new Error('Invalid metrics time range');
+    }
+
+    const store = this.getMetricStore();
+    let resolution = 'raw';
+    let filteredMetrics;
+    if (store) {
+      resolution = options.resolution || store.chooseResolution(from, to, this.intervalMs);
+      filteredMetrics = await store.query(clusterName, { from, to, resolution });
+    } else {
+      filteredMetrics = (this.metrics.get(clusterName) || []).filter(m =>
+        new Date(m.timestamp) >= from && new Date(m.timestamp) <= to
+      );
+    }
+
+    if (filteredMetrics.length === 0 && !this.metrics.has(clusterName)) {
+      return { error: 'No metrics available for cluster' };
+    }
+
+    // Samples from before rates were collected get them on the way out
+    filteredMetrics = withRates(filteredMetrics);
 
     return {
       cluster: clusterName,
-      timeRange,
+      timeRange: options.from ? null : timeRange,
+      from,
+      to,
+      resolution,
       dataPoints: filteredMetrics.length,
       metrics: filteredMetrics,
       summary: this.calculateMetricsSummary(filteredMetrics)
@@ -246,7 +404,53 @@ class MonitoringService extends EventEmitter {
         totalSize: latest.storage.totalSize,
         totalDocuments: latest.storage.totalDocuments,
         databases: latest.storage.databases
+      },
+      ...this.summarizeRates(metrics)
+    };
+  }
+
+  // Current, peak and average throughput over the points that have rates
+  summarizeRates(metrics) {
+    const rated = metrics.filter(m => m.rates);
+    if (rated.length === 0) {
+      return {};
+    }
+
+    const rates = {};
+    for (const name of ['opsPerSecond', 'bytesInPerSecond', 'bytesOutPerSecond', 'cpuPercent']) {
+      const values = rated.map(m => m.rates[name]).filter(value => typeof value === 'number');
+      if (values.length > 0) {
+        rates[name] = {
+          current: values[values.length - 1],
+          peak: Math.max(...values),
+          average: values.reduce((sum, value) => sum + value, 0) / values.length
+        };
       }
+    }
+    return { rates };
+  }
+
+  // Current load of a cluster, from the rates of its latest sample. CPU is
+  // server CPU time per second of wall time, so 100 is one core fully busy.
+  getLoad(clusterName) {
+    const clusterMetrics = this.metrics.get(clusterName);
+    if (!clusterMetrics || clusterMetrics.length < 2) {
+      return null;
+    }
+
+    const [previous, latest] = clusterMetrics.slice(-2);
+    const rates = latest.rates || computeRates(previous, latest);
+    if (!rates) {
+      return null;
+    }
+
+    const { current, available } = latest.server.connections;
+
+    return {
+      sampledAt: latest.timestamp,
+      opsPerSecond: rates.opsPerSecond,
+      cpuPercent: rates.cpuPercent,
+      connectionUsage: current / (current + available)
     };
   }
 
@@ -292,6 +496,34 @@ class MonitoringService extends EventEmitter {
     }
   }
 
+  // Every rule from the alertRules setting plus the built-in rules for an
+  // environment, including disabled ones. A valid configured rule replaces
+  // the built-in rule of the same name; an invalid one leaves it in place.
+  loadAlertRules(environment) {
+    const configured = [];
+    for (const [name, definition] of Object.entries(this.config ? this.config.getAlertRules() : {})) {
+      try {
+        configured.push(this.createAlertRule(name, definition));
+      } catch (error) {
+        this.logger.warn(`Ignoring invalid alert rule ${name}:`, error.message);
+      }
+    }
+
+    const names = new Set(configured.map(rule => rule.name));
+    return [...AlertRule.defaults(environment).filter(rule => !names.has(rule.name)), ...configured];
+  }
+
+  // Rules are evaluated over the samples kept in memory, so a `for` window
+  // longer than they span could never fire
+  createAlertRule(name, definition) {
+    AlertRule.validate(definition, { intervalMs: this.intervalMs });
+    return new AlertRule(name, definition);
+  }
+
+  getAlertRules(cluster) {
+    return this.loadAlertRules(cluster.environment).filter(rule => rule.enabled && rule.appliesTo(cluster));
+  }
+
   async checkAlerts() {
     const clusters = this.clusterManager.listClusters();
 
@@ -301,53 +533,164 @@ class MonitoringService extends EventEmitter {
       const clusterMetrics = this.metrics.get(cluster.name);
       if (!clusterMetrics || clusterMetrics.length === 0) continue;
 
-      const latest = clusterMetrics[clusterMetrics.length - 1];
-      
-      // Check connection threshold
-      if (latest.server.connections.current / latest.server.connections.available > 0.8) {
-        this.createAlert('HIGH_CONNECTION_USAGE', cluster.name, {
-          current: latest.server.connections.current,
-          available: latest.server.connections.available,
-          percentage: Math.round((latest.server.connections.current / latest.server.connections.available) * 100)
+      const firing = new Set();
+      const unknown = new Set();
+      for (const rule of this.getAlertRules(cluster)) {
+        const result = rule.evaluate(clusterMetrics);
+        if (!result) {
+          unknown.add(rule.name);
+          continue;
+        }
+        if (!result.firing) continue;
+
+        firing.add(rule.name);
+        const members = affectedMembers(rule, clusterMetrics[clusterMetrics.length - 1]);
+        this.createAlert(rule.name, cluster.name, {
+          rule: rule.name,
+          metric: rule.metric,
+          value: result.value,
+          comparator: rule.comparator,
+          threshold: rule.threshold,
+          for: rule.for,
+          since: result.since,
+          ...(members.length > 0 && { members })
+        }, {
+          severity: rule.severity,
+          message: rule.formatMessage(result.value) + (members.length > 0 ? ` on ${members.join(', ')}` : '')
         });
       }
 
-      // Check memory usage
-      if (latest.server.memory.resident > 4096) { // 4GB
-        this.createAlert('HIGH_MEMORY_USAGE', cluster.name, {
-          memory: latest.server.memory.resident,
-          unit: 'MB'
-        });
+      // Alerts of rules that recovered, or were removed, disabled or scoped
+      // away from the cluster, resolve themselves. Rules whose metric is
+      // missing from the latest sample leave their alerts as they are.
+      const recovered = this.alerts.filter(alert =>
+        alert.cluster === cluster.name &&
+        alert.data && alert.data.rule &&
+        statusOf(alert) !== 'resolved' &&
+        !firing.has(alert.data.rule) &&
+        !unknown.has(alert.data.rule)
+      );
+      for (const alert of recovered) {
+        this.resolveAlert(alert.id, 'recovered');
+      }
+    }
+  }
+
+  // Evaluates a rule, by name or as an unsaved definition, against each
+  // cluster's metric history without raising alerts. Clusters with no
+  // history yet are sampled once.
+  async testAlertRule(rule, clusterName = null) {
+    const clusters = this.clusterManager.listClusters()
+      .filter(cluster => !clusterName || cluster.name === clusterName);
+    if (clusterName && clusters.length === 0) {
+      throw new Error(`Cluster ${clusterName} not found`);
+    }
+
+    const results = [];
+    for (const cluster of clusters) {
+      const resolved = typeof rule === 'string' ?
+        this.loadAlertRules(cluster.environment).find(candidate => candidate.name === rule) :
+        this.createAlertRule(rule.name || 'test', rule);
+      if (!resolved) {
+        const configured = this.config ? this.config.getAlertRules()[rule] : undefined;
+        if (configured) {
+          // Throws why the saved rule was left out
+          this.createAlertRule(rule, configured);
+        }
+        throw new Error(`Unknown alert rule: ${rule}`);
+      }
+      if (!resolved.appliesTo(cluster)) {
+        results.push({ cluster: cluster.name, rule: resolved.toJSON(), applies: false });
+        continue;
       }
 
-      // Check replication lag (if replica set)
-      if (latest.replication && !latest.replication.ismaster) {
-        // Implementation would check replication lag
+      let history = this.metrics.get(cluster.name);
+      if (!history || history.length === 0) {
+        try {
+          history = [{ timestamp: new Date(), ...await this.getClusterMetrics(cluster.name) }];
+        } catch (error) {
+          results.push({ cluster: cluster.name, rule: resolved.toJSON(), applies: true, error: error.message });
+          continue;
+        }
       }
+
+      const result = resolved.evaluate(history) || { value: null, firing: false, pending: false, since: null };
+      results.push({
+        cluster: cluster.name,
+        rule: resolved.toJSON(),
+        applies: true,
+        samples: history.length,
+        ...result,
+        message: result.firing ? resolved.formatMessage(result.value) : null
+      });
     }
+    return results;
   }
 
-  createAlert(type, cluster, data) {
+  // Alerts are identified by a fingerprint of type, cluster and rule. While
+  // an alert with the same fingerprint is open (firing or acknowledged) it is
+  // updated rather than raised again. options.severity and options.message
+  // replace the ones derived from the alert type, as for rule alerts.
+  createAlert(type, cluster, data, options = {}) {
+    const fingerprint = [type, cluster, (data && data.rule) || ''].join(':');
+    const severity = options.severity || this.getAlertSeverity(type);
+    const message = options.message || this.getAlertMessage(type, data);
+    const now = new Date();
+
+    const open = this.alerts.find(alert => alert.fingerprint === fingerprint && statusOf(alert) !== 'resolved');
+    if (open) {
+      Object.assign(open, { severity, message, data, lastSeenAt: now, occurrences: open.occurrences + 1 });
+      // Announce an alert again once its snooze has run out
+      if (open.snoozedUntil && open.snoozedUntil <= now) {
+        open.snoozedUntil = null;
+        open.announced = true;
+        this.emit('alert', open);
+        this.notifyAlert(open);
+      }
+      return open;
+    }
+
+    let silencedUntil = this.silences.get(fingerprint) || null;
+    if (silencedUntil && silencedUntil <= now) {
+      this.silences.delete(fingerprint);
+      silencedUntil = null;
+    }
+
     const alert = {
-      id: `${type}-${cluster}-${Date.now()}`,
+      // A fingerprint can fire again within the same millisecond
+      id: `${type}-${cluster}-${Date.now()}-${crypto.randomBytes(3).toString('hex')}`,
+      fingerprint,
       type,
       cluster,
-      severity: this.getAlertSeverity(type),
-      message: this.getAlertMessage(type, data),
+      severity,
+      message,
       data,
-      timestamp: new Date(),
-      acknowledged: false
+      status: 'firing',
+      timestamp: now,
+      lastSeenAt: now,
+      occurrences: 1,
+      acknowledged: false,
+      snoozedUntil: silencedUntil,
+      // Whether alert.firing went out, so that silenced alerts stay silent
+      announced: !silencedUntil
     };
 
     this.alerts.push(alert);
-    
-    // Keep only last 100 alerts
-    if (this.alerts.length > 100) {
-      this.alerts.shift();
+
+    // Resolved alerts make room first
+    while (this.alerts.length > MAX_ALERTS) {
+      const resolved = this.alerts.findIndex(candidate => statusOf(candidate) === 'resolved');
+      this.alerts.splice(resolved >= 0 ? resolved : 0, 1);
     }
 
-    this.emit('alert', alert);
-    this.logger.warn(`Alert created: ${alert.message}`);
+    this.emit('alertCreated', alert);
+    if (silencedUntil) {
+      this.logger.info(`Alert snoozed until ${silencedUntil.toISOString()}: ${alert.message}`);
+    } else {
+      this.emit('alert', alert);
+      this.logger.warn(`Alert created: ${alert.message}`);
+      this.notifyAlert(alert);
+    }
 
     return alert;
   }
@@ -357,6 +700,7 @@ class MonitoringService extends EventEmitter {
       'HIGH_CONNECTION_USAGE': 'warning',
       'HIGH_MEMORY_USAGE': 'warning',
       'REPLICATION_LAG': 'error',
+      'MEMBER_DOWN': 'critical',
       'CLUSTER_DOWN': 'critical'
     };
     return severityMap[type] || 'info';
@@ -370,6 +714,8 @@ class MonitoringService extends EventEmitter {
         return `High memory usage: ${data.memory} ${data.unit}`;
       case 'REPLICATION_LAG':
         return `Replication lag detected: ${data.lag}ms`;
+      case 'MEMBER_DOWN':
+        return `Replica set member down: ${(data.members || []).join(', ')}`;
       case 'CLUSTER_DOWN':
         return `Cluster is down or unreachable`;
       default:
@@ -377,7 +723,9 @@ class MonitoringService extends EventEmitter {
     }
   }
 
-  getAlerts(clusterName = null, severity = null) {
+  // status is firing, acknowledged, resolved, or open for either of the
+  // first two
+  getAlerts(clusterName = null, severity = null, status = null) {
     let filteredAlerts = this.alerts;
 
     if (clusterName) {
@@ -388,22 +736,121 @@ class MonitoringService extends EventEmitter {
       filteredAlerts = filteredAlerts.filter(alert => alert.severity === severity);
     }
 
+    if (status) {
+      filteredAlerts = filteredAlerts.filter(alert => status === 'open' ?
+        statusOf(alert) !== 'resolved' :
+        statusOf(alert) === status);
+    }
+
     return filteredAlerts.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
   }
 
+  // Acknowledged alerts stay open until their condition recovers
   acknowledgeAlert(alertId) {
     const alert = this.alerts.find(a => a.id === alertId);
-    if (alert) {
+    if (alert && statusOf(alert) !== 'resolved') {
+      alert.status = 'acknowledged';
       alert.acknowledged = true;
       alert.acknowledgedAt = new Date();
+      if (alert.announced) {
+        this.notifyAlert(alert);
+      }
       return true;
     }
     return false;
   }
 
-  clearAcknowledgedAlerts() {
+  resolveAlert(alertId, reason = 'manual') {
+    const alert = this.alerts.find(a => a.id === alertId);
+    if (!alert || statusOf(alert) === 'resolved') {
+      return false;
+    }
+
+    alert.status = 'resolved';
+    alert.resolvedAt = new Date();
+    alert.resolution = reason;
+    this.emit('alertResolved', alert);
+    this.logger.info(`Alert resolved (${reason}): ${alert.message}`);
+    if (alert.announced) {
+      this.notifyAlert(alert);
+    }
+    return true;
+  }
+
+  getNotifier() {
+    if (this.notifier === undefined) {
+      this.notifier = Notifier.fromSettings(this.config.getSetting('notifications'), this.logger);
+    }
+    return this.notifier;
+  }
+
+  // Sends alert.firing, alert.acknowledged or alert.resolved through the
+  // configured notification channels. Never throws, so callers need not
+  // wait for delivery.
+  async notifyAlert(alert) {
+    if (!this.config) {
+      return [];
+    }
+
+    const status = statusOf(alert);
+    const titles = {
+      firing: `Alert on ${alert.cluster}`,
+      acknowledged: `Alert acknowledged on ${alert.cluster}`,
+      resolved: `Alert resolved on ${alert.cluster}`
+    };
+    const data = alert.data || {};
+    try {
+      return await this.getNotifier().notify({
+        event: `alert.${status}`,
+        severity: alert.severity,
+        title: `${titles[status]}: ${alert.message}`,
+        message: alert.message,
+        cluster: alert.cluster,
+        key: alert.fingerprint,
+        details: {
+          alert: alert.id,
+          type: alert.type,
+          rule: data.rule,
+          value: data.value,
+          threshold: data.threshold,
+          firingSince: alert.timestamp,
+          occurrences: alert.occurrences,
+          resolution: alert.resolution
+        }
+      });
+    } catch (error) {
+      this.logger.error(`Failed to send notifications for alert ${alert.id}:`, error);
+      return [];
+    }
+  }
+
+  // Stops announcing the alert, and alerts with the same fingerprint raised
+  // again after it resolves, for the duration (seconds or e.g. 30m, 4h).
+  // Returns the alert, or null when there is none with that ID.
+  snoozeAlert(alertId, duration) {
+    const alert = this.alerts.find(a => a.id === alertId);
+    if (!alert) {
+      return null;
+    }
+
+    const milliseconds = parseDuration(duration);
+    if (milliseconds <= 0) {
+      throw new Error('Snoozing an alert needs a duration');
+    }
+
+    const until = new Date(Date.now() + milliseconds);
+    this.silences.set(alert.fingerprint, until);
+    if (statusOf(alert) !== 'resolved') {
+      alert.snoozedUntil = until;
+    }
+    return alert;
+  }
+
+  // Removes resolved alerts. Open alerts stay, acknowledged or not, as their
+  // condition still holds.
+  clearResolvedAlerts() {
     const before = this.alerts.length;
-    this.alerts = this.alerts.filter(alert => !alert.acknowledged);
+    this.alerts = this.alerts.filter(alert => statusOf(alert) !== 'resolved');
     return before - this.alerts.length;
   }
 
@@ -411,7 +858,7 @@ class MonitoringService extends EventEmitter {
     return {
       isMonitoring: this.isMonitoring,
       clustersMonitored: this.metrics.size,
-      alertsActive: this.alerts.filter(a => !a.acknowledged).length,
+      alertsActive: this.alerts.filter(a => statusOf(a) === 'firing').length,
       totalAlerts: this.alerts.length,
       lastCollection: this.metrics.size > 0 ? 
         Math.max(...Array.from(this.metrics.values()).map(metrics => 
@@ -0,0 +1,312 @@
+const http = require('http');
+const https = require('https');
+const { sendMail } = require('./utils/smtp-client');
+
+const DEFAULT_EVENTS = ['backup.failed', 'backup.partial'];
+const DEFAULT_RETRIES = 2;
+const DEFAULT_RETRY_DELAY_MS = 1000;
+const PAGERDUTY_URL = 'https://events.pagerduty.com/v2/enqueue';
+
+function postJson(url, body, options = {}) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const payload = JSON.stringify(body);
+    const request = (target.protocol === 'https:' ? https : http).request(target, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(payload),
+        ...options.headers
+      },
+      timeout: options.timeout || 10000
+    }, (response) => {
+      let responseBody = '';
+      response.setEncoding('utf8');
+      response.on('data', chunk => { responseBody += chunk; });
+      response.on('end', () => {
+        if (response.statusCode >= 300) {
+          const error = new Error(`${target.host} responded with ${response.statusCode}: ${responseBody.slice(0, 200)}`);
+          error.statusCode = response.statusCode;
+          reject(error);
+        } else {
+          resolve({ statusCode: response.statusCode, body: responseBody });
+        }
+      });
+    });
+
+    request.on('timeout', () => request.destroy(new Error(`Request to ${target.host} timed out`)));
+    request.on('error', reject);
+    request.end(payload);
+  });
+}
+
+function formatText(notification) {
+  const lines = [notification.title];
+  if (notification.message) {
+    lines.push(notification.message);
+  }
+  for (const [key, value] of Object.entries(notification.details || {})) {
+    if (value !== null && value !== undefined) {
+      lines.push(`${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+const lookup = (object, path) => path.split('.')
+  .reduce((node, key) => node === null || node === undefined ? undefined : node[key], object);
+
+// Fills {{path}} placeholders in the strings of a JSON template from the
+// notification. A string that is a single placeholder takes the value as
+// is, so numbers and objects keep their type.
+function renderTemplate(template, notification) {
+  if (typeof template === 'string') {
+    const single = /^\{\{\s*([\w.]+)\s*\}\}$/.exec(template);
+    if (single) {
+      return lookup(notification, single[1]);
+    }
+    return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (placeholder, path) => {
+      const value = lookup(notification, path);
+      if (value === undefined || value === null) return '';
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    });
+  }
+  if (Array.isArray(template)) {
+    return template.map(item => renderTemplate(item, notification));
+  }
+  if (template && typeof template === 'object') {
+    return Object.fromEntries(Object.entries(template).map(([key, value]) => [key, renderTemplate(value, notification)]));
+  }
+  return template;
+}
+
+// Client errors other than rate limiting will not succeed on a retry
+const isRetryable = error => error.retryable !== false &&
+  (!error.statusCode || error.statusCode >= 500 || error.statusCode === 429);
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Events are matched exactly, by prefix ("backup.*") or with "*"
+function matchesEvent(pattern, event) {
+  if (pattern === '*' || pattern === event) return true;
+  return pattern.endsWith('.*') && event.startsWith(pattern.slice(0, -1));
+}
+
+class NotificationChannel {
+  constructor(type, options = {}) {
+    this.type = type;
+    this.name = options.name || type;
+    this.events = options.events || DEFAULT_EVENTS;
+    this.severities = [].concat(options.severities || []);
+    this.clusters = [].concat(options.clusters || []);
+    this.retries = options.retries !== undefined ? options.retries : DEFAULT_RETRIES;
+    this.retryDelayMs = options.retryDelayMs !== undefined ? options.retryDelayMs : DEFAULT_RETRY_DELAY_MS;
+  }
+
+  // Channels route on the event and, when configured, on the severity and
+  // cluster of the notification
+  accepts(notification) {
+    return this.events.some(pattern => matchesEvent(pattern, notification.event)) &&
+      (this.severities.length === 0 || this.severities.includes(notification.severity)) &&
+      (this.clusters.length === 0 || this.clusters.includes(notification.cluster));
+  }
+
+  requireOption(options, key) {
+    if (!options[key]) {
+      throw new Error(`${this.type} notification channel ${this.name} requires ${key}`);
+    }
+    return options[key];
+  }
+}
+
+// Posts the notification as JSON, or the template rendered from it
+class WebhookChannel extends NotificationChannel {
+  constructor(options = {}) {
+    super('webhook', options);
+    this.url = this.requireOption(options, 'url');
+    this.headers = options.headers || {};
+    this.template = options.template || null;
+  }
+
+  async send(notification) {
+    const body = this.template ? renderTemplate(this.template, notification) : notification;
+    await postJson(this.url, body, { headers: this.headers });
+  }
+}
+
+// Slack incoming webhooks and compatible ones (Mattermost, Rocket.Chat)
+class SlackChannel extends NotificationChannel {
+  constructor(options = {}) {
+    super('slack', options);
+    this.url = this.requireOption(options, 'url');
+  }
+
+  async send(notification) {
+    const [title, ...rest] = formatText(notification).split('\n');
+    await postJson(this.url, { text: [`*${title}*`, ...rest].join('\n') });
+  }
+}
+
+class EmailChannel extends NotificationChannel {
+  constructor(options = {}) {
+    super('email', options);
+    this.smtp = {
+      host: this.requireOption(options, 'host'),
+      port: options.port,
+      secure: options.secure,
+      ignoreTLS: options.ignoreTLS,
+      requireTLS: options.requireTLS,
+      rejectUnauthorized: options.rejectUnauthorized,
+      username: options.username,
+      password: options.password || process.env.MM_SMTP_PASSWORD
+    };
+    this.from = this.requireOption(options, 'from');
+    this.to = this.requireOption(options, 'to');
+  }
+
+  async send(notification) {
+    await sendMail(this.smtp, {
+      from: this.from,
+      to: this.to,
+      subject: `[mongodb-manager] ${notification.title}`,
+      text: formatText(notification)
+    });
+  }
+}
+
+// PagerDuty Events API v2 and services accepting the same payload. Alerts
+// open, acknowledge and resolve one incident per alert fingerprint.
+class PagerDutyChannel extends NotificationChannel {
+  constructor(options = {}) {
+    super('pagerduty', options);
+    this.routingKey = this.requireOption(options, 'routingKey');
+    this.url = options.url || PAGERDUTY_URL;
+    this.source = options.source || 'mongodb-manager';
+  }
+
+  eventAction(notification) {
+    if (notification.event === 'alert.acknowledged') return 'acknowledge';
+    if (notification.event === 'alert.resolved') return 'resolve';
+    return 'trigger';
+  }
+
+  async send(notification) {
+    const action = this.eventAction(notification);
+    const event = {
+      routing_key: this.routingKey,
+      event_action: action,
+      dedup_key: notification.key
+    };
+    if (action !== 'trigger') {
+      if (!notification.key) {
+        throw Object.assign(new Error(`Cannot ${action} an incident without a key`), { retryable: false });
+      }
+    } else {
+      event.payload = {
+        summary: notification.title.slice(0, 1024),
+        source: notification.cluster || this.source,
+        severity: ['critical', 'error', 'warning', 'info'].includes(notification.severity) ? notification.severity : 'error',
+        timestamp: notification.timestamp,
+        class: notification.event,
+        custom_details: { message: notification.message, ...notification.details }
+      };
+    }
+    await postJson(this.url, event);
+  }
+}
+
+const CHANNEL_TYPES = {
+  webhook: WebhookChannel,
+  slack: SlackChannel,
+  email: EmailChannel,
+  pagerduty: PagerDutyChannel
+};
+
+function createChannel(settings) {
+  const Channel = CHANNEL_TYPES[settings.type];
+  if (!Channel) {
+    throw new Error(`Unknown notification channel type: ${settings.type}`);
+  }
+  return new Channel(settings);
+}
+
+// Sends notifications to every configured channel subscribed to their
+// event. Failed deliveries are retried with exponential backoff, then
+// logged and reported, never thrown, so a broken channel cannot fail the
+// job it reports on.
+class Notifier {
+  constructor(channels = [], logger = null) {
+    this.channels = channels;
+    this.logger = logger;
+  }
+
+  // retries and retryDelayMs set next to the channels apply to all of them
+  static fromSettings(settings, logger) {
+    const defaults = {};
+    for (const key of ['retries', 'retryDelayMs']) {
+      if (settings && settings[key] !== undefined) {
+        defaults[key] = settings[key];
+      }
+    }
+    const channels = ((settings && settings.channels) || []).map(channel => createChannel({ ...defaults, ...channel }));
+    return new Notifier(channels, logger);
+  }
+
+  async deliver(channel, entry) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        await channel.send(entry);
+        return { channel: channel.name, ok: true };
+      } catch (error) {
+        if (attempt < channel.retries && isRetryable(error)) {
+          const delay = channel.retryDelayMs * 2 ** attempt;
+          if (this.logger) {
+            this.logger.debug(`Notification via ${channel.name} failed, retrying in ${delay}ms:`, error.message);
+          }
+          await sleep(delay);
+          continue;
+        }
+        if (this.logger) {
+          this.logger.warn(`Notification via ${channel.name} failed:`, error.message);
+        }
+        return { channel: channel.name, ok: false, error: error.message };
+      }
+    }
+  }
+
+  async notify(notification) {
+    const entry = { timestamp: new Date().toISOString(), ...notification };
+    const channels = this.channels.filter(channel => channel.accepts(entry));
+
+    return Promise.all(channels.map(channel => this.deliver(channel, entry)));
+  }
+
+  // Sends a test notification through one channel, whatever it subscribes to
+  async test(name) {
+    const channel = this.channels.find(candidate => candidate.name === name);
+    if (!channel) {
+      throw new Error(`Unknown notification channel: ${name}`);
+    }
+
+    return this.deliver(channel, {
+      timestamp: new Date().toISOString(),
+      event: 'alert.test',
+      severity: 'info',
+      title: `Test notification from mongodb-manager via ${name}`,
+      message: `The ${channel.type} channel ${name} is configured correctly.`,
+      key: `mongodb-manager-test-${name}`,
+      details: { channel: name }
+    });
+  }
+}
+
+module.exports = {
+  Notifier,
+  NotificationChannel,
+  WebhookChannel,
+  SlackChannel,
+  EmailChannel,
+  PagerDutyChannel,
+  createChannel,
+  renderTemplate
+};
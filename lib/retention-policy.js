@@ -0,0 +1,92 @@
+const PERIODS = {
+  hourly: date => date.toISOString().slice(0, 13),
+  daily: date => date.toISOString().slice(0, 10),
+  weekly: isoWeek,
+  monthly: date => date.toISOString().slice(0, 7),
+  yearly: date => date.toISOString().slice(0, 4)
+};
+
+function isoWeek(date) {
+  const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  // Thursday decides which year a week belongs to
+  day.setUTCDate(day.getUTCDate() + 4 - (day.getUTCDay() || 7));
+  const yearStart = new Date(Date.UTC(day.getUTCFullYear(), 0, 1));
+  const week = Math.ceil(((day - yearStart) / 86400000 + 1) / 7);
+  return `${day.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+// Grandfather-father-son retention: keeps the newest backup of each of the
+// last N hours, days, ISO weeks, months and years (UTC).
+class RetentionPolicy {
+  constructor(options = {}) {
+    this.counts = {};
+    for (const period of Object.keys(PERIODS)) {
+      const count = options[period] === undefined ? 0 : Number(options[period]);
+      if (!Number.isInteger(count) || count < 0) {
+        throw new Error(`Invalid ${period} retention count: ${options[period]}`);
+      }
+      this.counts[period] = count;
+    }
+  }
+
+  // Policies are configured per "<cluster>/<database>", per "<cluster>" or
+  // as "default"; the most specific one applies.
+  static resolve(policies, clusterName, dbName) {
+    if (!policies) return null;
+
+    const options = policies[`${clusterName}/${dbName}`] || policies[clusterName] || policies.default;
+    return options ? new RetentionPolicy(options) : null;
+  }
+
+  // Splits backups of one database into those to keep (with the slots that
+  // keep them) and those to prune. Backups an incremental chain depends on
+  // are kept with it, and the newest backup is never pruned.
+  apply(backups) {
+    const sorted = [...backups].sort((a, b) => new Date(b.created) - new Date(a.created));
+    const reasons = new Map(sorted.map(backup => [backup.name, []]));
+
+    for (const [period, count] of Object.entries(this.counts)) {
+      if (count === 0) continue;
+
+      const buckets = new Set();
+      for (const backup of sorted) {
+        const bucket = PERIODS[period](new Date(backup.created));
+        if (buckets.has(bucket)) continue;
+        if (buckets.size >= count) break;
+
+        buckets.add(bucket);
+        reasons.get(backup.name).push(period);
+      }
+    }
+
+    if (sorted.length > 0) {
+      reasons.get(sorted[0].name).push('latest');
+    }
+
+    const byName = new Map(sorted.map(backup => [backup.name, backup]));
+    for (const backup of sorted) {
+      if (reasons.get(backup.name).length === 0) continue;
+
+      let parent = byName.get(backup.parent);
+      while (parent) {
+        const parentReasons = reasons.get(parent.name);
+        if (parentReasons.includes('chain')) break;
+        parentReasons.push('chain');
+        parent = byName.get(parent.parent);
+      }
+    }
+
+    return {
+      keep: sorted
+        .filter(backup => reasons.get(backup.name).length > 0)
+        .map(backup => ({ backup, reasons: reasons.get(backup.name) })),
+      prune: sorted.filter(backup => reasons.get(backup.name).length === 0)
+    };
+  }
+
+  toJSON() {
+    return Object.fromEntries(Object.entries(this.counts).filter(([, count]) => count > 0));
+  }
+}
+
+module.exports = RetentionPolicy;
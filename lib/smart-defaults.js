@@ -70,6 +70,7 @@ class SmartDefaults {
         alertThresholds: {
           connectionUsage: 0.9,
           memoryUsage: 8192,
+          replicationLag: 60,
           diskUsage: 0.9
         }
       },
@@ -78,6 +79,7 @@ class SmartDefaults {
         alertThresholds: {
           connectionUsage: 0.85,
           memoryUsage: 6144,
+          replicationLag: 30,
           diskUsage: 0.85
         }
       },
@@ -86,6 +88,7 @@ class SmartDefaults {
         alertThresholds: {
           connectionUsage: 0.8,
           memoryUsage: 4096,
+          replicationLag: 10,
           diskUsage: 0.8
         }
       }
@@ -0,0 +1,89 @@
+const { BSON } = require('mongodb');
+
+function toPatterns(value) {
+  if (!value) return [];
+  const patterns = Array.isArray(value) ? value : String(value).split(',');
+  return patterns.map(pattern => pattern.trim()).filter(Boolean);
+}
+
+// Supports * (any characters) and ? (one character)
+function globToRegExp(pattern) {
+  const source = pattern
+    .split('')
+    .map(char => {
+      if (char === '*') return '.*';
+      if (char === '?') return '.';
+      return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`);
+}
+
+function matchesAny(name, patterns) {
+  return patterns.some(pattern => globToRegExp(pattern).test(name));
+}
+
+// Looks a collection up in a map keyed by collection name or glob pattern;
+// exact names win over patterns.
+function lookup(map, name) {
+  if (Object.prototype.hasOwnProperty.call(map, name)) return map[name];
+  const pattern = Object.keys(map).find(key => globToRegExp(key).test(name));
+  return pattern ? map[pattern] : null;
+}
+
+// Which collections a backup covers, and the query filter and projection
+// applied to each. system.* collections are left out unless an include
+// pattern names them.
+class CollectionSelection {
+  constructor(options = {}) {
+    this.include = toPatterns(options.include);
+    this.exclude = toPatterns(options.exclude);
+    this.query = options.query || {};
+    this.projection = options.projection || {};
+  }
+
+  static fromJSON(json) {
+    if (!json) return new CollectionSelection();
+    return new CollectionSelection({
+      ...json,
+      query: json.query ? BSON.EJSON.deserialize(json.query, { relaxed: false }) : {}
+    });
+  }
+
+  // Resolves a per-collection setting from a map keyed by collection name
+  // or glob pattern.
+  static lookup(map, name) {
+    return map ? lookup(map, name) : null;
+  }
+
+  includes(name) {
+    if (matchesAny(name, this.exclude)) return false;
+    if (name.startsWith('system.') && !this.include.some(pattern => pattern.startsWith('system.'))) {
+      return false;
+    }
+    return this.include.length === 0 || matchesAny(name, this.include);
+  }
+
+  queryFor(name) {
+    return lookup(this.query, name) || {};
+  }
+
+  projectionFor(name) {
+    return lookup(this.projection, name);
+  }
+
+  isFiltered(name) {
+    return Object.keys(this.queryFor(name)).length > 0 || Boolean(this.projectionFor(name));
+  }
+
+  toJSON() {
+    return {
+      include: this.include,
+      exclude: this.exclude,
+      query: BSON.EJSON.serialize(this.query, { relaxed: false }),
+      projection: this.projection
+    };
+  }
+}
+
+module.exports = CollectionSelection;
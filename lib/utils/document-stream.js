@@ -0,0 +1,184 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const readline = require('readline');
+const { once } = require('events');
+const { finished } = require('stream/promises');
+const { Transform } = require('stream');
+const { BSON } = require('mongodb');
+
+// Batches serialized documents and writes them to a stream, waiting for the
+// stream to drain so memory stays bounded by a single batch. Text documents
+// are newline-delimited; binary ones (BSON) are written back to back.
+class DocumentWriter {
+  constructor(stream, options = {}) {
+    this.stream = stream;
+    this.batchSize = options.batchSize || 1000;
+    this.serialize = options.serialize || JSON.stringify;
+    this.binary = options.binary || false;
+    this.destination = options.destination || null;
+    this.checksum = options.checksum || null;
+    this.buffer = [];
+    this.documentsWritten = 0;
+    this.bytesWritten = 0;
+    this.error = null;
+
+    this.stream.on('error', (error) => {
+      this.error = error;
+    });
+  }
+
+  async write(document) {
+    if (this.error) throw this.error;
+
+    this.buffer.push(this.serialize(document));
+    this.documentsWritten++;
+
+    if (this.buffer.length >= this.batchSize) {
+      await this.flush();
+    }
+  }
+
+  async flush() {
+    if (this.error) throw this.error;
+    if (this.buffer.length === 0) return;
+
+    const chunk = this.binary ?
+      Buffer.concat(this.buffer) :
+      this.buffer.join('\n') + '\n';
+    this.buffer = [];
+    this.bytesWritten += Buffer.byteLength(chunk);
+
+    if (!this.stream.write(chunk)) {
+      await Promise.race([
+        once(this.stream, 'drain'),
+        once(this.stream, 'error')
+      ]);
+      if (this.error) throw this.error;
+    }
+  }
+
+  async close() {
+    await this.flush();
+    await new Promise((resolve, reject) => {
+      if (this.error) return reject(this.error);
+      this.stream.once('error', reject);
+      this.stream.end(resolve);
+    });
+
+    // Transforms such as ciphers finish before their piped file is flushed
+    if (this.destination) {
+      await finished(this.destination);
+    }
+  }
+}
+
+// Passes data through unchanged while hashing it, so the checksum describes
+// exactly the bytes that reach the file.
+class ChecksumStream extends Transform {
+  constructor() {
+    super();
+    this.hash = crypto.createHash('sha256');
+    this.bytes = 0;
+    this.digest = null;
+  }
+
+  _transform(chunk, encoding, callback) {
+    this.hash.update(chunk);
+    this.bytes += chunk.length;
+    callback(null, chunk);
+  }
+
+  _flush(callback) {
+    this.digest = this.hash.digest('hex');
+    callback();
+  }
+}
+
+async function checksumFile(filePath) {
+  const hash = crypto.createHash('sha256');
+  let size = 0;
+
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hash.update(chunk);
+    size += chunk.length;
+  }
+
+  return { sha256: hash.digest('hex'), size };
+}
+
+// Reads newline-delimited documents and yields them in arrays of batchSize.
+async function* readDocumentBatches(filePath, options = {}) {
+  const batchSize = options.batchSize || 1000;
+  const parse = options.parse || JSON.parse;
+  const input = options.input || openInput(filePath);
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+  let batch = [];
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+
+    batch.push(parse(line));
+    if (batch.length >= batchSize) {
+      yield batch;
+      batch = [];
+    }
+  }
+
+  if (batch.length > 0) {
+    yield batch;
+  }
+}
+
+function openInput(filePath) {
+  const input = fs.createReadStream(filePath);
+  return filePath.endsWith('.gz') ? input.pipe(zlib.createGunzip()) : input;
+}
+
+// Reads a stream of length-prefixed BSON documents, as written by mongodump,
+// and yields them in arrays of batchSize.
+async function* readBsonBatches(filePath, options = {}) {
+  const batchSize = options.batchSize || 1000;
+  const deserializeOptions = options.deserializeOptions || { promoteValues: false };
+  const input = options.input || openInput(filePath);
+
+  let pending = Buffer.alloc(0);
+  let batch = [];
+
+  for await (const chunk of input) {
+    pending = pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk;
+
+    let offset = 0;
+    while (pending.length - offset >= 4) {
+      const size = pending.readInt32LE(offset);
+      if (size < 5) {
+        throw new Error(`Invalid BSON document size ${size} in ${filePath}`);
+      }
+      if (pending.length - offset < size) break;
+
+      batch.push(BSON.deserialize(pending.subarray(offset, offset + size), deserializeOptions));
+      offset += size;
+
+      if (batch.length >= batchSize) {
+        yield batch;
+        batch = [];
+      }
+    }
+    pending = pending.subarray(offset);
+  }
+
+  if (pending.length > 0) {
+    throw new Error(`Truncated BSON document at the end of ${filePath}`);
+  }
+  if (batch.length > 0) {
+    yield batch;
+  }
+}
+
+module.exports = {
+  DocumentWriter,
+  ChecksumStream,
+  checksumFile,
+  readDocumentBatches,
+  readBsonBatches
+};
@@ -0,0 +1,9 @@
+// Number of duplicate _id errors behind a failed unordered insert, or 0 if
+// anything else went wrong
+function countDuplicateKeyErrors(error) {
+  const writeErrors = [].concat(error.writeErrors || []);
+  if (writeErrors.length === 0) return 0;
+  return writeErrors.every(writeError => writeError.code === 11000) ? writeErrors.length : 0;
+}
+
+module.exports = { countDuplicateKeyErrors };
@@ -0,0 +1,164 @@
+const { Timestamp } = require('mongodb');
+
+const OPLOG_NAMESPACE = { db: 'local', collection: 'oplog.rs' };
+
+// Optimes are stored in backup metadata as plain { t, i } pairs so they
+// survive JSON round-trips.
+function toOptime(timestamp) {
+  if (!timestamp) return null;
+  return { t: timestamp.t ?? timestamp.high, i: timestamp.i ?? timestamp.low };
+}
+
+function toTimestamp(optime) {
+  if (!optime) return null;
+  if (optime instanceof Timestamp) return optime;
+  return new Timestamp({ t: optime.t, i: optime.i });
+}
+
+function optimeFromDate(date) {
+  return { t: Math.floor(new Date(date).getTime() / 1000), i: 0xffffffff };
+}
+
+// Accepts an optime, a Date or an ISO string and returns an optime bound.
+function toOptimeBound(value) {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Timestamp) return toOptime(value);
+  if (typeof value === 'object' && value.t !== undefined && !(value instanceof Date)) return value;
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid point in time: ${value}`);
+  }
+  return optimeFromDate(date);
+}
+
+function optimeToDate(optime) {
+  return optime ? new Date(optime.t * 1000) : null;
+}
+
+function compareOptimes(a, b) {
+  if (a.t !== b.t) return a.t < b.t ? -1 : 1;
+  if (a.i !== b.i) return a.i < b.i ? -1 : 1;
+  return 0;
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function getOplogCollection(client) {
+  return client.db(OPLOG_NAMESPACE.db).collection(OPLOG_NAMESPACE.collection);
+}
+
+async function getOplogWindow(client) {
+  try {
+    const oplog = getOplogCollection(client);
+    const projection = { ts: 1 };
+    const [first] = await oplog.find({}, { projection }).sort({ $natural: 1 }).limit(1).toArray();
+    const [last] = await oplog.find({}, { projection }).sort({ $natural: -1 }).limit(1).toArray();
+
+    if (!first || !last) return null;
+
+    return { start: toOptime(first.ts), end: toOptime(last.ts) };
+  } catch (error) {
+    // Standalone servers have no oplog
+    return null;
+  }
+}
+
+// Matches CRUD and command entries for the database, plus transactions
+// committed through admin.$cmd that touch it.
+function buildOplogFilter(dbName, since, until = null) {
+  const namespace = new RegExp(`^${escapeRegex(dbName)}\\.`);
+  const ts = { $gt: toTimestamp(since) };
+  if (until) {
+    ts.$lte = toTimestamp(until);
+  }
+
+  return {
+    ts,
+    $or: [
+      { ns: namespace },
+      { op: 'c', ns: 'admin.$cmd', 'o.applyOps.ns': namespace }
+    ]
+  };
+}
+
+function openOplogCursor(client, dbName, since, until = null) {
+  return getOplogCollection(client)
+    .find(buildOplogFilter(dbName, since, until))
+    .sort({ $natural: 1 });
+}
+
+// Commands that name the collection they act on as their first field
+const COLLECTION_COMMANDS = ['create', 'drop', 'createIndexes', 'dropIndexes', 'deleteIndexes', 'collMod'];
+
+// Turns captured oplog entries into the minimal form accepted by applyOps,
+// flattening transactions and moving namespaces to the target database.
+// options.collections renames collections ({ source: target }) and
+// options.include(name) drops entries for collections left out.
+function prepareOplogEntries(entries, sourceDb, targetDb, options = {}) {
+  const collections = options.collections || {};
+  const include = options.include || (() => true);
+  const renameCollection = name => collections[name] || name;
+  const renameNamespace = (ns) => {
+    if (typeof ns !== 'string' || !ns.startsWith(`${sourceDb}.`)) return ns;
+    const name = ns.slice(sourceDb.length + 1);
+    return `${targetDb}.${name === '$cmd' ? name : renameCollection(name)}`;
+  };
+
+  const prepared = [];
+
+  for (const entry of entries) {
+    if (entry.op === 'n') continue;
+
+    if (entry.op === 'c' && entry.o && Array.isArray(entry.o.applyOps)) {
+      const nested = entry.o.applyOps
+        .filter(op => typeof op.ns === 'string' && op.ns.startsWith(`${sourceDb}.`))
+        .map(op => ({ ...op, ts: entry.ts }));
+      prepared.push(...prepareOplogEntries(nested, sourceDb, targetDb, options));
+      continue;
+    }
+
+    const op = { op: entry.op, ns: renameNamespace(entry.ns), o: entry.o };
+    if (entry.o2) {
+      op.o2 = entry.o2;
+    }
+
+    if (entry.op === 'c' && entry.o) {
+      const command = COLLECTION_COMMANDS.find(key => typeof entry.o[key] === 'string');
+      if (command) {
+        if (!include(entry.o[command])) continue;
+        op.o = { ...entry.o, [command]: renameCollection(entry.o[command]) };
+      }
+
+      if (entry.o.renameCollection) {
+        op.o = {
+          ...entry.o,
+          renameCollection: renameNamespace(entry.o.renameCollection),
+          to: renameNamespace(entry.o.to)
+        };
+      }
+    } else if (typeof entry.ns === 'string' && entry.ns.startsWith(`${sourceDb}.`) &&
+      !include(entry.ns.slice(sourceDb.length + 1))) {
+      continue;
+    }
+
+    prepared.push(op);
+  }
+
+  return prepared;
+}
+
+module.exports = {
+  toOptime,
+  toTimestamp,
+  optimeFromDate,
+  toOptimeBound,
+  optimeToDate,
+  compareOptimes,
+  getOplogWindow,
+  buildOplogFilter,
+  openOplogCursor,
+  prepareOplogEntries
+};
@@ -0,0 +1,95 @@
+// Cumulative serverStatus counters in a sample, turned into per-second rates
+const RATE_COUNTERS = {
+  bytesInPerSecond: sample => sample.server && sample.server.network && sample.server.network.bytesIn,
+  bytesOutPerSecond: sample => sample.server && sample.server.network && sample.server.network.bytesOut,
+  requestsPerSecond: sample => sample.server && sample.server.network && sample.server.network.numRequests
+};
+
+const isCount = value => typeof value === 'number' && Number.isFinite(value);
+const changed = (before, after) => Boolean(before) && Boolean(after) && before !== after;
+const hostOf = sample => sample.server && sample.server.host;
+const primaryOf = sample => sample.replication && sample.replication.primary;
+
+// A counter lower than before was reset, so all of it is new
+function increase(previous, current, reset) {
+  if (!isCount(current)) return undefined;
+  if (reset || !isCount(previous) || current < previous) return current;
+  return current - previous;
+}
+
+// Rates between two consecutive samples (or rollups, whose counters hold
+// their last value). A server restart, seen as uptime going down, resets
+// every counter; the rate then covers the time since the restart. Samples
+// taken from another server (a new host or primary) reset them too, and
+// their counters cover that server's whole uptime. CPU percentages are
+// server CPU time per second of wall time, so 100 is one core fully busy.
+// Returns null when the samples are not in order, or come from different
+// servers without an uptime.
+function computeRates(previous, sample) {
+  if (!previous || !sample) return null;
+  let seconds = (new Date(sample.timestamp) - new Date(previous.timestamp)) / 1000;
+  if (!(seconds > 0)) return null;
+
+  const uptime = sample.server && sample.server.uptime;
+  const previousUptime = previous.server && previous.server.uptime;
+  const restarted = isCount(uptime) && isCount(previousUptime) && uptime < previousUptime;
+  const switched = changed(hostOf(previous), hostOf(sample)) || changed(primaryOf(previous), primaryOf(sample));
+  const reset = restarted || switched;
+  if (switched) {
+    if (!(uptime > 0)) return null;
+    seconds = uptime;
+  } else if (restarted && uptime > 0) {
+    seconds = Math.min(seconds, uptime);
+  }
+  const rate = (before, after) => {
+    const delta = increase(before, after, reset);
+    return delta === undefined ? undefined : delta / seconds;
+  };
+
+  const operations = {};
+  for (const [type, count] of Object.entries(sample.operations || {})) {
+    const value = rate((previous.operations || {})[type], count);
+    if (value !== undefined) {
+      operations[type] = value;
+    }
+  }
+
+  const rates = {
+    seconds,
+    reset,
+    opsPerSecond: Object.values(operations).reduce((sum, value) => sum + value, 0),
+    operations
+  };
+  for (const [name, read] of Object.entries(RATE_COUNTERS)) {
+    const value = rate(read(previous), read(sample));
+    if (value !== undefined) {
+      rates[name] = value;
+    }
+  }
+
+  const cpu = (sample.server && sample.server.cpu) || {};
+  const previousCpu = (previous.server && previous.server.cpu) || {};
+  const cpuUser = rate(previousCpu.user, cpu.user);
+  const cpuSystem = rate(previousCpu.system, cpu.system);
+  if (cpuUser !== undefined && cpuSystem !== undefined) {
+    // CPU times are in microseconds
+    rates.cpuUserPercent = cpuUser / 10000;
+    rates.cpuSystemPercent = cpuSystem / 10000;
+    rates.cpuPercent = (cpuUser + cpuSystem) / 10000;
+  }
+
+  return rates;
+}
+
+// Fills in the rates of points that were stored without them from the
+// point before, leaving the first point as it is
+function withRates(points) {
+  return points.map((point, index) => point.rates === undefined && index > 0 ?
+    { ...point, rates: computeRates(points[index - 1], point) } :
+    point);
+}
+
+module.exports = {
+  computeRates,
+  withRates
+};
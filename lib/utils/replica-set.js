@@ -0,0 +1,68 @@
+const oplog = require('./oplog');
+
+// Servers not started with --replSet answer replSetGetStatus with these
+const NOT_A_REPLICA_SET = ['NoReplicationEnabled', 'NotYetInitialized'];
+
+const optimeDateOf = member => member.optimeDate ? new Date(member.optimeDate) : null;
+
+// Condenses replSetGetStatus into per-member state, health and lag behind
+// the primary (or, during an election, the most recent member), plus the
+// oplog window of the member the client is connected to
+function summarizeReplicaSet(status, oplogWindow = null) {
+  if (!status || !Array.isArray(status.members)) {
+    return null;
+  }
+
+  const primary = status.members.find(member => member.stateStr === 'PRIMARY');
+  const dataBearing = status.members.filter(member => member.stateStr !== 'ARBITER' && member.health === 1 && optimeDateOf(member));
+  const newest = primary && optimeDateOf(primary) ?
+    optimeDateOf(primary) :
+    dataBearing.reduce((latest, member) => !latest || optimeDateOf(member) > latest ? optimeDateOf(member) : latest, null);
+
+  const members = status.members.map(member => {
+    const optimeDate = optimeDateOf(member);
+    const replicating = member.stateStr !== 'ARBITER' && member.health === 1 && optimeDate && newest;
+    return {
+      name: member.name,
+      state: member.stateStr,
+      health: member.health,
+      uptime: member.uptime,
+      optimeDate,
+      lagSeconds: replicating ? Math.max(0, (newest - optimeDate) / 1000) : null,
+      pingMs: member.pingMs === undefined ? null : member.pingMs,
+      syncSource: member.syncSourceHost || null,
+      self: Boolean(member.self)
+    };
+  });
+  const lags = members.map(member => member.lagSeconds).filter(lag => lag !== null);
+
+  return {
+    setName: status.set,
+    term: status.term,
+    primary: primary ? primary.name : null,
+    electionDate: primary && primary.electionDate ? new Date(primary.electionDate) : null,
+    members,
+    membersDown: members.filter(member => member.health !== 1).length,
+    maxLagSeconds: lags.length > 0 ? Math.max(...lags) : null,
+    oplogWindowHours: oplogWindow ? (oplogWindow.end.t - oplogWindow.start.t) / 3600 : null
+  };
+}
+
+// Runs replSetGetStatus and summarizes it; null for standalone servers
+async function getReplicaSetStatus(client) {
+  let status;
+  try {
+    status = await client.db('admin').command({ replSetGetStatus: 1 });
+  } catch (error) {
+    if (NOT_A_REPLICA_SET.includes(error.codeName) || error.code === 76 || error.code === 94) {
+      return null;
+    }
+    throw error;
+  }
+  return summarizeReplicaSet(status, await oplog.getOplogWindow(client));
+}
+
+module.exports = {
+  getReplicaSetStatus,
+  summarizeReplicaSet
+};
@@ -0,0 +1,148 @@
+// mongos instances ping config.mongos every 30 seconds
+const MONGOS_ACTIVE_MS = 60 * 1000;
+const MAX_JUMBO_CHUNKS = 100;
+// URI options that only make sense for the mongos the cluster is configured with
+const ROUTER_OPTIONS = ['replicaSet', 'directConnection', 'loadBalanced', 'srvServiceName', 'srvMaxHosts'];
+
+const uuidKey = uuid => uuid.toString('hex');
+
+// Shard and config server hosts come as "replicaSetName/host1,host2", or as
+// a bare host list for shards that are not replica sets
+function parseHosts(connectionString) {
+  const [replicaSet, hosts] = connectionString.includes('/') ?
+    connectionString.split('/') :
+    [null, connectionString];
+  return { replicaSet, hosts: hosts.split(',').filter(Boolean) };
+}
+
+// The URI of a shard, reusing the credentials and options of the URI the
+// cluster is reached through. mongodb+srv URIs turn into plain ones, so TLS
+// and the admin auth source they imply are set explicitly.
+function shardUri(clusterUri, shardHost) {
+  const match = /^(mongodb(?:\+srv)?):\/\/(?:([^@/]*)@)?[^/?]*(\/[^?]*)?(?:\?(.*))?$/.exec(clusterUri);
+  if (!match) {
+    throw new Error('Cannot derive shard connection strings from the cluster URI');
+  }
+  const [, scheme, credentials, path, query] = match;
+  const { replicaSet, hosts } = parseHosts(shardHost);
+
+  const params = new URLSearchParams(query || '');
+  ROUTER_OPTIONS.forEach(option => params.delete(option));
+  if (scheme === 'mongodb+srv') {
+    if (!params.has('tls') && !params.has('ssl')) params.set('tls', 'true');
+    if (credentials && !params.has('authSource')) params.set('authSource', 'admin');
+  }
+  if (replicaSet) {
+    params.set('replicaSet', replicaSet);
+  }
+
+  const search = params.toString();
+  return `mongodb://${credentials ? `${credentials}@` : ''}${hosts.join(',')}${path || '/'}${search ? `?${search}` : ''}`;
+}
+
+async function listShards(client) {
+  const { shards } = await client.db('admin').command({ listShards: 1 });
+  return shards.map(shard => ({
+    name: shard._id,
+    host: shard.host,
+    ...parseHosts(shard.host),
+    state: shard.state,
+    draining: Boolean(shard.draining),
+    tags: shard.tags || []
+  }));
+}
+
+async function listMongos(client, now = new Date()) {
+  const routers = await client.db('config').collection('mongos')
+    .find({})
+    .sort({ ping: -1 })
+    .toArray();
+  return routers.map(router => ({
+    host: router._id,
+    version: router.mongoVersion,
+    lastPing: router.ping,
+    uptime: router.up,
+    active: Boolean(router.ping) && now - new Date(router.ping) <= MONGOS_ACTIVE_MS
+  }));
+}
+
+async function getBalancerStatus(client) {
+  const status = await client.db('admin').command({ balancerStatus: 1 });
+  return {
+    mode: status.mode,
+    enabled: status.mode !== 'off',
+    inRound: Boolean(status.inBalancerRound),
+    rounds: status.numBalancerRounds
+  };
+}
+
+// Chunks of every sharded collection per shard, plus the chunks flagged as
+// jumbo. Since MongoDB 5.0 chunks reference their collection by uuid rather
+// than by namespace, so both are matched.
+async function getChunkDistribution(client, shardNames) {
+  const config = client.db('config');
+  const collections = await config.collection('collections')
+    .find({ dropped: { $ne: true } })
+    .sort({ _id: 1 })
+    .toArray();
+  const chunks = config.collection('chunks');
+
+  const distribution = [];
+  for (const collection of collections) {
+    const match = collection.uuid ? { $or: [{ uuid: collection.uuid }, { ns: collection._id }] } : { ns: collection._id };
+    const perShard = await chunks.aggregate([
+      { $match: match },
+      { $group: { _id: '$shard', chunks: { $sum: 1 }, jumbo: { $sum: { $cond: [{ $eq: ['$jumbo', true] }, 1, 0] } } } }
+    ]).toArray();
+
+    const counts = new Map(perShard.map(shard => [shard._id, shard]));
+    const total = perShard.reduce((sum, shard) => sum + shard.chunks, 0);
+    const shards = [...new Set([...shardNames, ...counts.keys()])].map(name => {
+      const count = counts.get(name) || { chunks: 0, jumbo: 0 };
+      return {
+        shard: name,
+        chunks: count.chunks,
+        jumbo: count.jumbo,
+        percent: total > 0 ? count.chunks / total * 100 : 0
+      };
+    });
+    const chunkCounts = shards.map(shard => shard.chunks);
+
+    distribution.push({
+      namespace: collection._id,
+      key: collection.key,
+      unique: Boolean(collection.unique),
+      balancing: collection.noBalance !== true,
+      chunks: total,
+      shards,
+      // Chunks between the fullest and the emptiest shard
+      imbalance: chunkCounts.length > 0 ? Math.max(...chunkCounts) - Math.min(...chunkCounts) : 0
+    });
+  }
+
+  const namespaces = new Map(collections.filter(collection => collection.uuid)
+    .map(collection => [uuidKey(collection.uuid), collection._id]));
+  const jumbo = await chunks
+    .find({ jumbo: true }, { projection: { ns: 1, uuid: 1, shard: 1, min: 1, max: 1 } })
+    .limit(MAX_JUMBO_CHUNKS)
+    .toArray();
+
+  return {
+    collections: distribution,
+    jumboChunks: jumbo.map(chunk => ({
+      namespace: chunk.ns || (chunk.uuid && namespaces.get(uuidKey(chunk.uuid))) || null,
+      shard: chunk.shard,
+      min: chunk.min,
+      max: chunk.max
+    }))
+  };
+}
+
+module.exports = {
+  getBalancerStatus,
+  getChunkDistribution,
+  listMongos,
+  listShards,
+  parseHosts,
+  shardUri
+};
@@ -0,0 +1,188 @@
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+
+// Reads SMTP replies from a socket, joining multi-line ("250-...") replies
+class ReplyReader {
+  constructor(socket) {
+    this.waiting = null;
+    this.attach(socket);
+  }
+
+  attach(socket) {
+    this.socket = socket;
+    this.buffer = '';
+    this.lines = [];
+    this.listeners = {
+      data: (data) => {
+        this.buffer += data.toString('utf8');
+        let newline;
+        while ((newline = this.buffer.indexOf('\n')) >= 0) {
+          this.lines.push(this.buffer.slice(0, newline).replace(/\r$/, ''));
+          this.buffer = this.buffer.slice(newline + 1);
+        }
+        this.deliver();
+      },
+      error: (error) => this.fail(error),
+      close: () => this.fail(new Error('SMTP connection closed unexpectedly'))
+    };
+    for (const [event, listener] of Object.entries(this.listeners)) {
+      socket.on(event, listener);
+    }
+  }
+
+  // Hands the socket over, e.g. to a TLS wrapper after STARTTLS
+  detach() {
+    for (const [event, listener] of Object.entries(this.listeners)) {
+      this.socket.removeListener(event, listener);
+    }
+  }
+
+  deliver() {
+    if (!this.waiting) return;
+    const last = this.lines.findIndex(line => /^\d{3}(?: |$)/.test(line));
+    if (last < 0) return;
+
+    const lines = this.lines.splice(0, last + 1);
+    const { resolve } = this.waiting;
+    this.waiting = null;
+    resolve({ code: Number(lines[last].slice(0, 3)), lines: lines.map(line => line.slice(4)) });
+  }
+
+  fail(error) {
+    if (!this.waiting) return;
+    const { reject } = this.waiting;
+    this.waiting = null;
+    reject(error);
+  }
+
+  read() {
+    return new Promise((resolve, reject) => {
+      this.waiting = { resolve, reject };
+      this.deliver();
+    });
+  }
+}
+
+// SNI only takes host names
+const serverName = host => net.isIP(host) ? undefined : host;
+
+function connect(options) {
+  return new Promise((resolve, reject) => {
+    const connectOptions = { host: options.host, port: options.port, servername: serverName(options.host) };
+    const socket = options.secure ?
+      tls.connect({ ...connectOptions, rejectUnauthorized: options.rejectUnauthorized !== false }) :
+      net.connect(connectOptions);
+    socket.setTimeout(options.timeout || 30000, () => socket.destroy(new Error('SMTP connection timed out')));
+    socket.once(options.secure ? 'secureConnect' : 'connect', () => resolve(socket));
+    socket.once('error', reject);
+  });
+}
+
+function upgrade(socket, options) {
+  return new Promise((resolve, reject) => {
+    const secured = tls.connect({
+      socket,
+      servername: serverName(options.host),
+      rejectUnauthorized: options.rejectUnauthorized !== false
+    }, () => resolve(secured));
+    secured.once('error', reject);
+  });
+}
+
+// Line breaks would start new headers. Non-ASCII text goes into RFC 2047
+// encoded words of up to 39 bytes of UTF-8, which keeps the header lines
+// under 76 characters, without splitting a character between two words.
+function encodeHeader(value) {
+  const text = String(value).replace(/[\r\n]+/g, ' ');
+  if (/^[\x20-\x7e]*$/.test(text)) {
+    return text;
+  }
+
+  const words = [];
+  let word = '';
+  for (const char of text) {
+    if (Buffer.byteLength(word + char) > 39) {
+      words.push(word);
+      word = '';
+    }
+    word += char;
+  }
+  words.push(word);
+  return words.map(part => `=?UTF-8?B?${Buffer.from(part).toString('base64')}?=`).join('\r\n ');
+}
+
+function formatMessage({ from, to, subject, text }) {
+  const headers = [
+    `From: ${from}`,
+    `To: ${to.join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: 8bit'
+  ];
+  // Lines starting with a dot are escaped so they cannot end the message early
+  const body = text.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+  return `${headers.join('\r\n')}\r\n\r\n${body}\r\n.\r\n`;
+}
+
+// Sends a plain-text message. Uses implicit TLS when options.secure is set
+// (port 465) and upgrades with STARTTLS when the server offers it, unless
+// options.ignoreTLS is set. options.requireTLS, on by default when there are
+// credentials, refuses to go on without TLS rather than send them in clear.
+async function sendMail(options, message) {
+  const port = options.port || (options.secure ? 465 : 587);
+  const requireTLS = options.requireTLS !== undefined ? Boolean(options.requireTLS) : Boolean(options.username);
+  let socket = await connect({ ...options, port });
+  const reader = new ReplyReader(socket);
+
+  const expect = async (command, accepted) => {
+    if (command !== null) {
+      socket.write(`${command}\r\n`);
+    }
+    const reply = await reader.read();
+    if (!accepted.includes(reply.code)) {
+      const shown = command && command.startsWith('AUTH') ? 'AUTH' : command;
+      throw new Error(`SMTP ${shown || 'greeting'} failed: ${reply.code} ${reply.lines.join(' ')}`);
+    }
+    return reply;
+  };
+
+  try {
+    await expect(null, [220]);
+    const hostname = options.hostname || os.hostname();
+    const features = await expect(`EHLO ${hostname}`, [250]);
+
+    let secure = Boolean(options.secure);
+    if (!secure && !options.ignoreTLS && features.lines.some(line => /^STARTTLS/i.test(line))) {
+      await expect('STARTTLS', [220]);
+      reader.detach();
+      socket = await upgrade(socket, options);
+      reader.attach(socket);
+      secure = true;
+      await expect(`EHLO ${hostname}`, [250]);
+    }
+    if (requireTLS && !secure) {
+      throw new Error(`SMTP server ${options.host} did not upgrade to TLS; refusing to continue without it (set requireTLS: false to allow)`);
+    }
+
+    if (options.username) {
+      const credentials = Buffer.from(`\0${options.username}\0${options.password || ''}`).toString('base64');
+      await expect(`AUTH PLAIN ${credentials}`, [235]);
+    }
+
+    const recipients = [].concat(message.to);
+    await expect(`MAIL FROM:<${message.from}>`, [250]);
+    for (const recipient of recipients) {
+      await expect(`RCPT TO:<${recipient}>`, [250, 251]);
+    }
+    await expect('DATA', [354]);
+    await expect(formatMessage({ ...message, to: recipients }).replace(/\r\n$/, ''), [250]);
+    await expect('QUIT', [221]).catch(() => {});
+  } finally {
+    socket.destroy();
+  }
+}
+
+module.exports = { sendMail };
@@ -0,0 +1,149 @@
+// Work may run this far ahead of the configured rate before being delayed
+const BURST_MS = 1000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Paces work shared by any number of concurrent readers to a documents
+// and/or bytes per second limit. backOff() and recover() scale the limits
+// while the server is under load; a throttle without limits backs off from
+// the throughput it measured since the previous measure() call.
+class Throttle {
+  constructor(options = {}) {
+    this.limits = {
+      documents: options.documentsPerSecond || 0,
+      bytes: options.bytesPerSecond || 0
+    };
+    this.configured = { ...this.limits };
+    this.minFactor = options.minFactor || 0.1;
+    this.factor = 1;
+    this.backoffs = 0;
+    this.nextFree = 0;
+    this.totals = { documents: 0, bytes: 0 };
+    this.lastSample = { at: Date.now(), documents: 0, bytes: 0 };
+  }
+
+  rates() {
+    return {
+      documents: this.limits.documents * this.factor,
+      bytes: this.limits.bytes * this.factor
+    };
+  }
+
+  async consume(documents, bytes = 0) {
+    this.totals.documents += documents;
+    this.totals.bytes += bytes;
+
+    const rates = this.rates();
+    const seconds = Math.max(
+      rates.documents ? documents / rates.documents : 0,
+      rates.bytes ? bytes / rates.bytes : 0
+    );
+    if (seconds === 0) return;
+
+    const now = Date.now();
+    this.nextFree = Math.max(this.nextFree, now - BURST_MS) + seconds * 1000;
+    if (this.nextFree > now) {
+      await sleep(this.nextFree - now);
+    }
+  }
+
+  // Throughput since the previous call
+  measure() {
+    const now = Date.now();
+    const seconds = Math.max((now - this.lastSample.at) / 1000, 0.001);
+    const measured = {
+      documents: (this.totals.documents - this.lastSample.documents) / seconds,
+      bytes: (this.totals.bytes - this.lastSample.bytes) / seconds
+    };
+    this.lastSample = { at: now, ...this.totals };
+    return measured;
+  }
+
+  backOff(measured = null) {
+    if (!this.limits.documents && !this.limits.bytes) {
+      if (!measured || measured.documents <= 0) return;
+      this.limits = { documents: measured.documents, bytes: 0 };
+    }
+    this.factor = Math.max(this.minFactor, this.factor / 2);
+    this.backoffs++;
+  }
+
+  recover() {
+    this.factor = Math.min(1, this.factor * 2);
+    if (this.factor === 1) {
+      this.limits = { ...this.configured };
+    }
+  }
+
+  get throttled() {
+    return this.factor < 1;
+  }
+}
+
+// Periodically compares the load MonitoringService reports for a cluster
+// with thresholds and backs the throttle off while any is exceeded.
+// getLoad() returns { sampledAt, opsPerSecond, cpuPercent, connectionUsage }
+// or null when no recent metrics exist, in which case nothing changes.
+class LoadBackoff {
+  constructor(throttle, getLoad, options = {}) {
+    this.throttle = throttle;
+    this.getLoad = getLoad;
+    this.thresholds = {
+      opsPerSecond: options.maxOpsPerSecond,
+      cpuPercent: options.maxCpuPercent,
+      connectionUsage: options.maxConnectionUsage
+    };
+    this.intervalMs = options.intervalMs || 10000;
+    this.staleAfterMs = options.staleAfterMs || 120000;
+    this.onChange = options.onChange || (() => {});
+    this.timer = null;
+    this.reason = null;
+  }
+
+  // Names the first exceeded threshold, or null
+  overloaded(load) {
+    for (const [metric, limit] of Object.entries(this.thresholds)) {
+      if (typeof limit === 'number' && typeof load[metric] === 'number' && load[metric] > limit) {
+        return `${metric} ${Math.round(load[metric] * 100) / 100} > ${limit}`;
+      }
+    }
+    return null;
+  }
+
+  check() {
+    const measured = this.throttle.measure();
+    const load = this.getLoad();
+    if (!load || Date.now() - new Date(load.sampledAt).getTime() > this.staleAfterMs) {
+      return;
+    }
+
+    const reason = this.overloaded(load);
+    if (reason) {
+      this.throttle.backOff(measured);
+    } else if (this.throttle.throttled) {
+      this.throttle.recover();
+    }
+
+    // Reported when the server becomes loaded and when it recovers
+    if (Boolean(reason) !== Boolean(this.reason)) {
+      this.onChange({ reason, factor: this.throttle.factor });
+    }
+    this.reason = reason;
+  }
+
+  start() {
+    this.throttle.measure();
+    this.timer = setInterval(() => this.check(), this.intervalMs);
+    this.timer.unref();
+    return this;
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = { Throttle, LoadBackoff };
@@ -0,0 +1,81 @@
+const { AlertRule, parseDuration, resolveMetric } = require('../lib/alert-rules');
+
+describe('AlertRule', () => {
+  const at = seconds => new Date(Date.UTC(2024, 0, 1, 0, 0, seconds));
+  const sample = (seconds, resident) => ({
+    timestamp: at(seconds),
+    server: { connections: { current: 30, available: 70 }, memory: { resident } }
+  });
+
+  it('should fire on the latest sample when there is no window', () => {
+    const rule = new AlertRule('memory', { metric: 'server.memory.resident', threshold: 100 });
+
+    expect(rule.evaluate([sample(0, 50), sample(30, 150)])).toEqual({
+      value: 150,
+      firing: true,
+      pending: false,
+      since: at(30)
+    });
+    expect(rule.evaluate([sample(0, 150), sample(30, 50)]).firing).toBe(false);
+  });
+
+  it('should stay pending until the condition covers the window', () => {
+    const rule = new AlertRule('memory', { metric: 'server.memory.resident', comparator: '>=', threshold: 100, for: '1m' });
+
+    expect(rule.evaluate([sample(0, 50), sample(30, 100), sample(60, 120)])).toEqual(expect.objectContaining({
+      firing: false,
+      pending: true,
+      since: at(30)
+    }));
+    expect(rule.evaluate([sample(0, 100), sample(30, 50), sample(60, 120), sample(120, 130)]).firing).toBe(true);
+  });
+
+  it('should not evaluate samples without the metric', () => {
+    const rule = new AlertRule('repl', { metric: 'replication.lag', comparator: '<', threshold: 10 });
+
+    expect(rule.evaluate([sample(0, 50)])).toBeNull();
+    expect(rule.evaluate([])).toBeNull();
+  });
+
+  it('should limit rules to their scope', () => {
+    const rule = new AlertRule('memory', {
+      metric: 'server.memory.resident',
+      threshold: 1,
+      scope: { clusters: ['a', 'b'], environments: 'production' }
+    });
+
+    expect(rule.appliesTo({ name: 'a', environment: 'production' })).toBe(true);
+    expect(rule.appliesTo({ name: 'a', environment: 'staging' })).toBe(false);
+    expect(rule.appliesTo({ name: 'c', environment: 'production' })).toBe(false);
+  });
+
+  it('should build the built-in rules from the environment recommendations', () => {
+    const thresholds = environment => AlertRule.defaults(environment).map(rule => rule.threshold);
+
+    expect(thresholds('development')).toEqual([0.9, 8192, 60, 0]);
+    expect(thresholds('production')).toEqual([0.8, 4096, 10, 0]);
+    expect(thresholds('unknown')).toEqual([0.8, 4096, 10, 0]);
+  });
+});
+
+describe('parseDuration', () => {
+  it('should accept seconds and suffixed durations', () => {
+    expect(parseDuration(undefined)).toBe(0);
+    expect(parseDuration(90)).toBe(90000);
+    expect(parseDuration('30s')).toBe(30000);
+    expect(parseDuration('5m')).toBe(300000);
+    expect(parseDuration('2h')).toBe(7200000);
+    expect(() => parseDuration('5 minutes')).toThrow('Invalid alert rule duration');
+  });
+});
+
+describe('resolveMetric', () => {
+  it('should read paths and derived metrics', () => {
+    const metrics = { server: { connections: { current: 30, available: 70 }, version: '7.0' } };
+
+    expect(resolveMetric(metrics, 'server.connections.current')).toBe(30);
+    expect(resolveMetric(metrics, 'derived.connectionUsage')).toBe(0.3);
+    expect(resolveMetric(metrics, 'server.version')).toBeUndefined();
+    expect(resolveMetric({}, 'derived.connectionUsage')).toBeUndefined();
+  });
+});
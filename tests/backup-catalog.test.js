@@ -0,0 +1,189 @@
+const fs = require('fs').promises;
+const {
+  FileBackupCatalog,
+  MongoBackupCatalog,
+  createBackupCatalog,
+  filterBackups,
+  manifestChecksum
+} = require('../lib/backup-catalog');
+
+const entries = [
+  { name: 'a', cluster: 'prod', database: 'shop', type: 'full', created: '2024-01-01T00:00:00.000Z', size: 300, tags: ['weekly'], retentionClass: 'long' },
+  { name: 'b', cluster: 'prod', database: 'shop', type: 'incremental', created: '2024-01-02T00:00:00.000Z', size: 10, tags: [] },
+  { name: 'c', cluster: 'prod', database: 'crm', type: 'full', created: '2024-01-03T00:00:00.000Z', size: 200, tags: ['weekly', 'pre-release'], location: 's3://backups/c.zip', local: false },
+  { name: 'd', cluster: 'staging', database: 'shop', type: 'full', created: '2024-01-04T00:00:00.000Z', tags: [], encrypted: true }
+];
+
+describe('filterBackups', () => {
+  it('should sort newest first by default', () => {
+    expect(filterBackups(entries).map(entry => entry.name)).toEqual(['d', 'c', 'b', 'a']);
+  });
+
+  it('should filter by every catalog field', () => {
+    const names = filter => filterBackups(entries, filter).map(entry => entry.name);
+
+    expect(names({ cluster: 'prod', database: 'shop' })).toEqual(['b', 'a']);
+    expect(names({ type: 'full', cluster: 'prod' })).toEqual(['c', 'a']);
+    expect(names({ tags: ['weekly'] })).toEqual(['c', 'a']);
+    expect(names({ tags: 'weekly,pre-release' })).toEqual(['c']);
+    expect(names({ retentionClass: 'long' })).toEqual(['a']);
+    expect(names({ since: '2024-01-02', until: '2024-01-03T00:00:00.000Z' })).toEqual(['c', 'b']);
+    expect(names({ location: 'remote' })).toEqual(['c']);
+    expect(names({ location: 'local' })).toEqual(['d', 'b', 'a']);
+    expect(names({ encrypted: true })).toEqual(['d']);
+  });
+
+  it('should sort by other fields with missing values last and apply the limit', () => {
+    expect(filterBackups(entries, { sort: 'size' }).map(entry => entry.name)).toEqual(['a', 'c', 'b', 'd']);
+    expect(filterBackups(entries, { sort: 'size', order: 'asc', limit: 2 }).map(entry => entry.name)).toEqual(['b', 'c']);
+  });
+
+  it('should reject unknown sort fields and locations', () => {
+    expect(() => filterBackups(entries, { sort: 'owner' })).toThrow('Cannot sort backups by owner');
+    expect(() => filterBackups(entries, { location: 'tape' })).toThrow('Unknown backup location: tape');
+  });
+});
+
+describe('manifestChecksum', () => {
+  it('should depend on the file checksums but not their order', () => {
+    const checksum = manifestChecksum({ files: { 'a.ndjson': { sha256: '01' }, 'b.ndjson': { sha256: '02' } } });
+
+    expect(checksum).toMatch(/^[0-9a-f]{64}$/);
+    expect(manifestChecksum({ files: { 'b.ndjson': { sha256: '02' }, 'a.ndjson': { sha256: '01' } } })).toBe(checksum);
+    expect(manifestChecksum({ files: { 'a.ndjson': { sha256: '03' }, 'b.ndjson': { sha256: '02' } } })).not.toBe(checksum);
+    expect(manifestChecksum({ collections: [] })).toBeUndefined();
+  });
+});
+
+describe('FileBackupCatalog', () => {
+  let files;
+  let catalog;
+
+  beforeEach(() => {
+    files = {};
+    fs.mkdir.mockResolvedValue();
+    fs.writeFile.mockImplementation(async (file, content) => {
+      files[file] = content;
+    });
+    fs.readFile.mockImplementation(async (file) => {
+      if (!(file in files)) throw Object.assign(new Error('ENOENT'), { code: 'ENOENT' });
+      return files[file];
+    });
+    catalog = new FileBackupCatalog({ path: '/backups/catalog.json' });
+  });
+
+  it('should report a catalog that was never built and ignore changes to it', async () => {
+    await catalog.upsert(entries[0]);
+
+    expect(await catalog.list()).toBeNull();
+    expect(fs.writeFile).not.toHaveBeenCalled();
+  });
+
+  it('should add, replace and remove entries once built', async () => {
+    await catalog.replace(entries.slice(0, 2));
+    await Promise.all([
+      catalog.upsert({ ...entries[1], tags: ['nightly'] }),
+      catalog.upsert(entries[2]),
+      catalog.remove('a')
+    ]);
+
+    const listed = await catalog.list();
+    expect(listed.map(entry => entry.name)).toEqual(['c', 'b']);
+    expect(listed[1].tags).toEqual(['nightly']);
+    expect(await catalog.list({ tags: 'nightly' })).toHaveLength(1);
+  });
+
+  it('should treat an unreadable catalog as never built', async () => {
+    files['/backups/catalog.json'] = '{"version": 1, "backu';
+
+    expect(await catalog.list()).toBeNull();
+  });
+});
+
+describe('MongoBackupCatalog', () => {
+  let collection;
+  let catalog;
+
+  beforeEach(() => {
+    const cursor = {
+      sort: jest.fn().mockReturnThis(),
+      limit: jest.fn().mockReturnThis(),
+      toArray: jest.fn().mockResolvedValue([entries[0]])
+    };
+    collection = {
+      createIndex: jest.fn().mockResolvedValue(),
+      findOne: jest.fn().mockResolvedValue({ _id: '$catalog' }),
+      find: jest.fn(() => cursor),
+      replaceOne: jest.fn().mockResolvedValue(),
+      deleteOne: jest.fn().mockResolvedValue(),
+      deleteMany: jest.fn().mockResolvedValue(),
+      insertMany: jest.fn().mockResolvedValue(),
+      insertOne: jest.fn().mockResolvedValue(),
+      cursor
+    };
+    const db = { collection: jest.fn(() => collection) };
+    const clusterManager = { getDatabase: jest.fn(() => db) };
+    catalog = new MongoBackupCatalog(clusterManager, { cluster: 'ops' });
+  });
+
+  it('should translate filters into a query', async () => {
+    await catalog.list({
+      cluster: 'prod',
+      tags: ['weekly'],
+      since: '2024-01-01',
+      location: 'remote',
+      sort: 'size',
+      order: 'asc',
+      limit: 5
+    });
+
+    expect(collection.find).toHaveBeenCalledWith({
+      _id: { $ne: '$catalog' },
+      cluster: 'prod',
+      tags: { $all: ['weekly'] },
+      created: { $gte: new Date('2024-01-01') },
+      location: { $type: 'string' }
+    }, { projection: { _id: 0 } });
+    expect(collection.cursor.sort).toHaveBeenCalledWith({ size: 1, name: 1 });
+    expect(collection.cursor.limit).toHaveBeenCalledWith(5);
+  });
+
+  it('should return null and skip upserts until the catalog is built', async () => {
+    collection.findOne.mockResolvedValue(null);
+
+    expect(await catalog.list()).toBeNull();
+    await catalog.upsert(entries[0]);
+    expect(collection.replaceOne).not.toHaveBeenCalled();
+  });
+
+  it('should store entries keyed by name and write the marker after a rebuild', async () => {
+    await catalog.upsert({ ...entries[0], parent: undefined });
+    expect(collection.replaceOne).toHaveBeenCalledWith(
+      { _id: 'a' },
+      expect.objectContaining({ _id: 'a', created: new Date('2024-01-01T00:00:00.000Z') }),
+      { upsert: true }
+    );
+    expect(collection.replaceOne.mock.calls[0][1]).not.toHaveProperty('parent');
+
+    await catalog.replace(entries);
+    expect(collection.deleteMany).toHaveBeenCalledWith({});
+    expect(collection.insertMany.mock.calls[0][0].map(document => document._id)).toEqual(['a', 'b', 'c', 'd']);
+    expect(collection.insertOne).toHaveBeenCalledWith({ _id: '$catalog', rebuiltAt: expect.any(Date) });
+  });
+});
+
+describe('createBackupCatalog', () => {
+  it('should default to a file in the backup directory', () => {
+    const catalog = createBackupCatalog(undefined, {}, '/var/backups');
+
+    expect(catalog).toBeInstanceOf(FileBackupCatalog);
+    expect(catalog.describe()).toBe('/var/backups/catalog.json');
+  });
+
+  it('should create MongoDB catalogs and reject unknown types', () => {
+    expect(createBackupCatalog({ type: 'mongodb', cluster: 'ops' }, {}, '/var/backups').describe())
+      .toBe('ops/mongodb_manager.backup_catalog');
+    expect(() => createBackupCatalog({ type: 'mongodb' }, {}, '/var/backups')).toThrow('require a cluster');
+    expect(() => createBackupCatalog({ type: 'redis' }, {}, '/var/backups')).toThrow('Unknown backup catalog type: redis');
+  });
+});
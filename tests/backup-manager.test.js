@@ -1,7 +1,45 @@
 const BackupManager = require('../lib/backup-manager');
+const { DocumentWriter } = require('../lib/utils/document-stream');
+const { BackupCipher } = require('../lib/backup-encryption');
+const { Writable } = require('stream');
 const fs = require('fs').promises;
+const { mkdtempSync, writeFileSync, readFileSync, rmSync } = require('fs');
+const os = require('os');
+const path = require('path');
+const { BSON, Timestamp } = require('mongodb');
 const cron = require('node-cron');
 
+const createMockCursor = (documents, error = null) => ({
+  batchSize: jest.fn().mockReturnThis(),
+  close: jest.fn().mockResolvedValue(),
+  toArray: jest.fn().mockResolvedValue(documents),
+  [Symbol.asyncIterator]: async function* () {
+    if (error) throw error;
+    yield* documents;
+  }
+});
+
+const createMemoryWriter = (chunks, options) => new DocumentWriter(new Writable({
+  write(chunk, encoding, callback) {
+    chunks.push(chunk.toString());
+    callback();
+  }
+}), options);
+
+const createOplogCollection = (entries) => ({
+  find: jest.fn(() => {
+    const cursor = createMockCursor(entries);
+    cursor.sort = jest.fn((spec) => {
+      cursor.toArray = jest.fn().mockResolvedValue(
+        spec.$natural === -1 ? entries.slice(-1) : entries.slice(0, 1)
+      );
+      return cursor;
+    });
+    cursor.limit = jest.fn().mockReturnThis();
+    return cursor;
+  })
+});
+
 describe('BackupManager', () => {
   let backupManager;
   let mockClusterManager;
@@ -9,6 +47,8 @@ describe('BackupManager', () => {
   let mockLogger;
   let mockDb;
   let mockCollection;
+  let mockClient;
+  let mockAdminDb;
 
   beforeEach(() => {
     mockCollection = {
@@ -18,7 +58,10 @@ describe('BackupManager', () => {
       listIndexes: jest.fn().mockReturnValue({
         toArray: jest.fn().mockResolvedValue([])
       }),
-      stats: jest.fn().mockResolvedValue({})
+      stats: jest.fn().mockResolvedValue({}),
+      drop: jest.fn(),
+      insertMany: jest.fn(),
+      createIndex: jest.fn()
     };
 
     mockDb = {
@@ -28,8 +71,18 @@ describe('BackupManager', () => {
       collection: jest.fn().mockReturnValue(mockCollection)
     };
 
+    mockAdminDb = {
+      command: jest.fn().mockResolvedValue({ ok: 1 }),
+      collection: jest.fn()
+    };
+
+    mockClient = {
+      db: jest.fn().mockReturnValue(mockAdminDb)
+    };
+
     mockClusterManager = {
-      getDatabase: jest.fn().mockReturnValue(mockDb)
+      getDatabase: jest.fn().mockReturnValue(mockDb),
+      getConnection: jest.fn().mockReturnValue(mockClient)
     };
 
     mockConfig = {
@@ -88,7 +141,13 @@ describe('BackupManager', () => {
   });
 
   describe('Create Backup', () => {
+    let writtenChunks;
+
     beforeEach(() => {
+      writtenChunks = [];
+      jest.spyOn(backupManager, 'createDocumentWriter')
+        .mockImplementation((filePath, options) => createMemoryWriter(writtenChunks, options));
+
       mockDb.listCollections.mockReturnValue({
         toArray: jest.fn().mockResolvedValue([
           { name: 'users' },
@@ -96,12 +155,10 @@ describe('BackupManager', () => {
         ])
       });
 
-      mockCollection.find.mockReturnValue({
-        toArray: jest.fn().mockResolvedValue([
-          { _id: '1', name: 'John', email: 'john@example.com' },
-          { _id: '2', name: 'Jane', email: 'jane@example.com' }
-        ])
-      });
+      mockCollection.find.mockImplementation(() => createMockCursor([
+        { _id: '1', name: 'John', email: 'john@example.com' },
+        { _id: '2', name: 'Jane', email: 'jane@example.com' }
+      ]));
 
       mockCollection.listIndexes.mockReturnValue({
         toArray: jest.fn().mockResolvedValue([
@@ -120,7 +177,7 @@ describe('BackupManager', () => {
       const result = await backupManager.createBackup('test-cluster', 'testdb');
 
       expect(fs.mkdir).toHaveBeenCalled(); // Backup directory creation
-      expect(fs.writeFile).toHaveBeenCalledTimes(3); // 2 collections + metadata
+      expect(fs.writeFile).toHaveBeenCalledTimes(3); // 2 collection metadata files + backup info
       expect(result).toEqual({
         name: expect.stringMatching(/test-cluster-testdb-\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}/),
         path: expect.stringContaining('backups'),
@@ -141,6 +198,19 @@ describe('BackupManager', () => {
       );
     });
 
+    test('should report each backup run in a backupFinished event', async () => {
+      const finished = jest.fn();
+      backupManager.on('backupFinished', finished);
+
+      const result = await backupManager.createBackup('test-cluster', 'testdb');
+      await expect(backupManager.createBackup('test-cluster', 'testdb', { mode: 'partial' })).rejects.toThrow();
+
+      expect(finished.mock.calls.map(([run]) => run)).toEqual([
+        { cluster: 'test-cluster', database: 'testdb', type: 'full', status: 'success', backup: result.name },
+        { cluster: 'test-cluster', database: 'testdb', type: 'partial', status: 'failed', error: 'Unknown backup mode: partial' }
+      ]);
+    });
+
     test('should create compressed backup', async () => {
       jest.spyOn(backupManager, 'compressBackup').mockResolvedValue();
 
@@ -153,14 +223,144 @@ describe('BackupManager', () => {
       expect(fs.rmdir).toHaveBeenCalled(); // Remove uncompressed directory
     });
 
+    test('should stream documents to NDJSON files', async () => {
+      const result = await backupManager.createBackup('test-cluster', 'testdb');
+
+      expect(backupManager.createDocumentWriter).toHaveBeenCalledWith(
+        expect.stringMatching(/users\.ndjson$/),
+        expect.objectContaining({ batchSize: 1000 })
+      );
+      expect(writtenChunks.join('').trim().split('\n')).toHaveLength(4);
+      expect(result.info.format).toBe('ejson');
+      expect(result.info.collections[0]).toEqual({
+        name: 'users',
+        file: 'users.ndjson',
+        metadataFile: 'users.metadata.json',
+        documentCount: 2,
+        size: expect.any(Number),
+        indexes: 2
+      });
+      expect(result.info.totalDocuments).toBe(4);
+    });
+
+    test('should write canonical Extended JSON that keeps BSON types', async () => {
+      mockCollection.find.mockImplementation(() => createMockCursor([
+        {
+          _id: new BSON.ObjectId('507f1f77bcf86cd799439011'),
+          createdAt: new Date('2024-01-01T00:00:00Z'),
+          price: BSON.Decimal128.fromString('19.99'),
+          views: BSON.Long.fromNumber(42)
+        }
+      ]));
+
+      await backupManager.createBackup('test-cluster', 'testdb');
+
+      const line = writtenChunks.join('').split('\n')[0];
+      expect(JSON.parse(line)).toEqual({
+        _id: { $oid: '507f1f77bcf86cd799439011' },
+        createdAt: { $date: { $numberLong: '1704067200000' } },
+        price: { $numberDecimal: '19.99' },
+        views: { $numberLong: '42' }
+      });
+    });
+
+    test('should write mongodump-compatible BSON backups', async () => {
+      const chunks = [];
+      backupManager.createDocumentWriter.mockImplementation((filePath, options) =>
+        new DocumentWriter(new Writable({
+          write(chunk, encoding, callback) {
+            chunks.push(chunk);
+            callback();
+          }
+        }), options)
+      );
+      mockDb.listCollections.mockReturnValue({
+        toArray: jest.fn().mockResolvedValue([
+          { name: 'users', type: 'collection', options: {}, info: { uuid: new BSON.Binary(Buffer.alloc(16, 1), 4) } }
+        ])
+      });
+
+      const result = await backupManager.createBackup('test-cluster', 'testdb', { format: 'bson' });
+
+      expect(fs.mkdir).toHaveBeenCalledWith(expect.stringMatching(/testdb$/), { recursive: true });
+      expect(result.info.collections[0]).toEqual(expect.objectContaining({
+        file: 'testdb/users.bson',
+        metadataFile: 'testdb/users.metadata.json'
+      }));
+
+      const data = Buffer.concat(chunks);
+      const firstSize = data.readInt32LE(0);
+      expect(BSON.deserialize(data.subarray(0, firstSize))).toEqual(
+        expect.objectContaining({ _id: '1', name: 'John' })
+      );
+
+      const metadataCall = fs.writeFile.mock.calls.find(([file]) => file.endsWith('users.metadata.json'));
+      expect(JSON.parse(metadataCall[1])).toEqual({
+        indexes: expect.any(Array),
+        uuid: '01010101010101010101010101010101',
+        collectionName: 'users',
+        type: 'collection',
+        options: {}
+      });
+    });
+
+    test('should keep Int64 and whole-number doubles as their BSON types', async () => {
+      const stored = BSON.serialize({ _id: 1, views: BSON.Long.fromNumber(5), price: new BSON.Double(5), qty: 5 });
+      // Like the driver, read the stored document with the cursor's options
+      mockCollection.find.mockImplementation((filter, options) =>
+        createMockCursor([BSON.deserialize(stored, { promoteValues: options.promoteValues })]));
+      const chunks = [];
+      backupManager.createDocumentWriter.mockImplementation((filePath, options) =>
+        new DocumentWriter(new Writable({
+          write(chunk, encoding, callback) {
+            chunks.push(chunk);
+            callback();
+          }
+        }), options)
+      );
+      mockConfig.getMaskingProfile = jest.fn(() => ({ fields: { 'users.price': 'format' }, secret: 'secret' }));
+
+      await backupManager.createBackup('test-cluster', 'testdb', { format: 'bson' });
+      await backupManager.createBackup('test-cluster', 'testdb', { format: 'bson', masking: 'dev' });
+
+      expect(mockCollection.find).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ promoteValues: false }));
+      const data = Buffer.concat(chunks);
+      const [plain, masked] = [0, stored.length * 2].map(offset => BSON.deserialize(
+        data.subarray(offset, offset + data.readInt32LE(offset)), { promoteValues: false }));
+      expect(plain.views._bsontype).toBe('Long');
+      expect(plain.views.toNumber()).toBe(5);
+      expect(plain.price._bsontype).toBe('Double');
+      expect(plain.price.value).toBe(5);
+      expect(plain.qty._bsontype).toBe('Int32');
+      expect(masked.price._bsontype).toBe('Double');
+      expect(masked.price.value).not.toBe(5);
+      expect(masked.views._bsontype).toBe('Long');
+    });
+
+    test('should reject unsupported formats', async () => {
+      await expect(backupManager.createBackup('test-cluster', 'testdb', { format: 'ndjson' }))
+        .rejects.toThrow('Unsupported backup format: ndjson');
+    });
+
+    test('should emit progress events per batch and per collection', async () => {
+      const progress = [];
+      backupManager.on('backupProgress', event => progress.push(event));
+
+      await backupManager.createBackup('test-cluster', 'testdb', { batchSize: 1 });
+
+      const usersProgress = progress.filter(event => event.collection === 'users');
+      expect(usersProgress.map(event => event.documentsWritten)).toEqual([1, 2, 2]);
+      expect(usersProgress[usersProgress.length - 1]).toEqual(expect.objectContaining({
+        cluster: 'test-cluster',
+        database: 'testdb',
+        done: true
+      }));
+    });
+
     test('should handle collection backup errors gracefully', async () => {
       mockCollection.find
-        .mockReturnValueOnce({
-          toArray: jest.fn().mockResolvedValue([{ _id: '1', name: 'John' }])
-        })
-        .mockReturnValueOnce({
-          toArray: jest.fn().mockRejectedValue(new Error('Access denied'))
-        });
+        .mockReturnValueOnce(createMockCursor([{ _id: '1', name: 'John' }]))
+        .mockReturnValueOnce(createMockCursor([], new Error('Access denied')));
 
       const result = await backupManager.createBackup('test-cluster', 'testdb');
 
@@ -328,6 +528,38 @@ describe('BackupManager', () => {
       expect(result).toBeDefined();
     });
 
+    test('should restore streamed backups in batches', async () => {
+      fs.readFile.mockImplementation((filePath) => {
+        if (filePath.endsWith('backup-info.json')) {
+          return Promise.resolve(JSON.stringify({
+            format: 'ndjson',
+            collections: [{ name: 'users', file: 'users.ndjson', documentCount: 3 }]
+          }));
+        }
+        return Promise.resolve(JSON.stringify({
+          collection: 'users',
+          indexes: [{ name: '_id_', key: { _id: 1 } }, { name: 'email_1', key: { email: 1 } }]
+        }));
+      });
+
+      async function* batches() {
+        yield [{ _id: '1' }, { _id: '2' }];
+        yield [{ _id: '3' }];
+      }
+      jest.spyOn(backupManager, 'openCollectionBackup').mockImplementation(async (backup, info) => ({
+        metadata: JSON.parse(await fs.readFile(`${info.name}.metadata.json`)),
+        batches: batches()
+      }));
+
+      const result = await backupManager.restoreBackup('/path/to/backup', 'target-cluster', 'targetdb');
+
+      expect(mockCollection.insertMany).toHaveBeenCalledTimes(2);
+      expect(mockCollection.createIndex).toHaveBeenCalledTimes(1);
+      expect(result.restoredCollections).toEqual([
+        { name: 'users', documents: 3, indexes: 1 }
+      ]);
+    });
+
     test('should skip collections with errors in backup', async () => {
       const mockBackupInfo = {
         collections: [
@@ -351,183 +583,1607 @@ describe('BackupManager', () => {
 
       expect(result.restoredCollections).toHaveLength(1);
       expect(result.restoredCollections[0].name).toBe('users');
+      expect(result.skippedCollections).toEqual([{ name: 'corrupted', reason: 'Backup error' }]);
     });
-  });
 
-  describe('List Backups', () => {
-    test('should list uncompressed backups', async () => {
-      fs.readdir.mockResolvedValue(['backup1', 'backup2', 'backup1.zip']);
-      fs.stat
-        .mockResolvedValueOnce({ 
-          isDirectory: () => true, 
-          size: 2048,
-          mtime: new Date('2024-01-01')
-        })
-        .mockResolvedValueOnce({ 
-          isDirectory: () => true, 
-          size: 1024,
-          mtime: new Date('2024-01-02')
-        })
-        .mockResolvedValueOnce({ 
-          isDirectory: () => false, 
-          size: 512,
-          mtime: new Date('2024-01-03')
-        });
+    test('should report collections that fail to restore', async () => {
+      mockCollection.insertMany.mockRejectedValue(new Error('Insert failed'));
 
-      fs.readFile.mockImplementation((filePath) => {
-        if (filePath.includes('backup1')) {
-          return Promise.resolve(JSON.stringify({
-            cluster: 'cluster1',
-            database: 'db1',
-            timestamp: '2024-01-01T10:00:00.000Z',
-            collections: [{ name: 'users' }],
-            totalDocuments: 100
-          }));
-        }
-        return Promise.resolve(JSON.stringify({
-          cluster: 'cluster2',
-          database: 'db2',
-          timestamp: '2024-01-02T10:00:00.000Z',
-          collections: [{ name: 'orders' }],
-          totalDocuments: 50
-        }));
-      });
+      const result = await backupManager.restoreBackup('/path/to/backup', 'target-cluster', 'targetdb');
 
-      const backups = await backupManager.listBackups();
+      expect(result.failedCollections).toEqual([
+        { name: 'users', error: 'Insert failed' },
+        { name: 'orders', error: 'Insert failed' }
+      ]);
+    });
 
-      expect(backups).toHaveLength(3);
-      expect(backups[0]).toEqual({
-        name: 'backup1.zip',
-        path: expect.stringContaining('backup1.zip'),
-        created: expect.any(Date),
-        size: 512,
-        compressed: true
-      });
-      expect(backups[1]).toEqual({
-        name: 'backup2',
-        path: expect.stringContaining('backup2'),
-        created: '2024-01-02T10:00:00.000Z',
-        cluster: 'cluster2',
-        database: 'db2',
-        collections: 1,
-        totalDocuments: 50,
-        size: expect.any(Number),
-        compressed: false
-      });
+    test('should fail an incomplete restore in strict mode', async () => {
+      mockCollection.insertMany.mockRejectedValue(new Error('Insert failed'));
+
+      await expect(backupManager.restoreBackup('/path/to/backup', 'target-cluster', 'targetdb', { strict: true }))
+        .rejects.toThrow('Restore to target-cluster/targetdb is incomplete: users, orders');
     });
+  });
 
-    test('should handle empty backup directory', async () => {
-      fs.readdir.mockResolvedValue([]);
+  describe('Restore Remapping', () => {
+    let targets;
 
-      const backups = await backupManager.listBackups();
+    const duplicateKeyError = (count) => Object.assign(new Error('E11000 duplicate key error'), {
+      code: 11000,
+      writeErrors: Array.from({ length: count }, () => ({ code: 11000 }))
+    });
 
-      expect(backups).toEqual([]);
+    beforeEach(() => {
+      fs.readFile.mockImplementation(async (file) => file.endsWith('backup-info.json') ?
+        JSON.stringify({
+          collections: [
+            { name: 'users', documentCount: 2 },
+            { name: 'orders', documentCount: 2 }
+          ]
+        }) :
+        JSON.stringify({ documents: [{ _id: 1 }, { _id: 2 }] }));
+
+      targets = {};
+      mockDb.collection.mockImplementation(name => {
+        targets[name] = targets[name] || {
+          ...mockCollection,
+          insertMany: jest.fn().mockResolvedValue({}),
+          bulkWrite: jest.fn().mockResolvedValue({ matchedCount: 1 }),
+          countDocuments: jest.fn().mockResolvedValue(0)
+        };
+        return targets[name];
+      });
     });
 
-    test('should skip invalid backup directories', async () => {
-      fs.readdir.mockResolvedValue(['valid-backup', 'invalid-backup']);
-      fs.stat.mockResolvedValue({ isDirectory: () => true, size: 1024 });
-      fs.readFile
-        .mockResolvedValueOnce('{"valid": "backup"}')
-        .mockRejectedValueOnce(new Error('Invalid JSON'));
+    test('should restore collections under new names', async () => {
+      const result = await backupManager.restoreBackup('/path/to/backup', 'target-cluster', 'targetdb', {
+        rename: { orders: 'orders_restored' }
+      });
 
-      const backups = await backupManager.listBackups();
+      expect(Object.keys(targets)).toEqual(['users', 'orders_restored']);
+      expect(result.restoredCollections[1]).toEqual({ name: 'orders', target: 'orders_restored', documents: 2, indexes: 0 });
+    });
 
-      expect(backups).toHaveLength(1);
+    test('should restore only the chosen collections', async () => {
+      const result = await backupManager.restoreBackup('/path/to/backup', 'target-cluster', 'targetdb', {
+        collections: ['orders']
+      });
+
+      expect(result.restoredCollections.map(collection => collection.name)).toEqual(['orders']);
+      expect(targets.users).toBeUndefined();
     });
 
-    test('should sort backups by creation date (newest first)', async () => {
-      fs.readdir.mockResolvedValue(['old-backup', 'new-backup']);
-      fs.stat.mockResolvedValue({ isDirectory: () => true, size: 1024 });
-      fs.readFile
-        .mockResolvedValueOnce(JSON.stringify({
-          timestamp: '2024-01-01T10:00:00.000Z',
-          collections: []
-        }))
-        .mockResolvedValueOnce(JSON.stringify({
-          timestamp: '2024-01-02T10:00:00.000Z',
-          collections: []
-        }));
+    test('should reject chosen collections missing from the backup', async () => {
+      await expect(backupManager.restoreBackup('/path/to/backup', 'target-cluster', 'targetdb', {
+        collections: 'orders,invoices'
+      })).rejects.toThrow('Not in this backup: invoices');
+    });
 
-      const backups = await backupManager.listBackups();
+    test('should reject renames onto the same collection', async () => {
+      await expect(backupManager.restoreBackup('/path/to/backup', 'target-cluster', 'targetdb', {
+        rename: { orders: 'users' }
+      })).rejects.toThrow('Collections users and orders would both be restored to users');
+    });
 
-      expect(backups[0].name).toBe('new-backup');
-      expect(backups[1].name).toBe('old-backup');
+    test('should skip or overwrite conflicting documents per collection', async () => {
+      mockDb.collection('users').insertMany.mockRejectedValue(duplicateKeyError(1));
+
+      const result = await backupManager.restoreBackup('/path/to/backup', 'target-cluster', 'targetdb', {
+        conflict: { users: 'skip', '*': 'overwrite' }
+      });
+
+      expect(targets.orders.bulkWrite).toHaveBeenCalledWith([
+        { replaceOne: { filter: { _id: 1 }, replacement: { _id: 1 }, upsert: true } },
+        { replaceOne: { filter: { _id: 2 }, replacement: { _id: 2 }, upsert: true } }
+      ], { ordered: false });
+      expect(targets.orders.insertMany).not.toHaveBeenCalled();
+      expect(result.restoredCollections).toEqual([
+        { name: 'users', documents: 2, indexes: 0, conflicts: 1, conflictStrategy: 'skip' },
+        { name: 'orders', documents: 2, indexes: 0, conflicts: 1, conflictStrategy: 'overwrite' }
+      ]);
     });
-  });
 
-  describe('Scheduled Backups', () => {
-    test('should schedule backup successfully', async () => {
-      const mockJob = {
-        start: jest.fn(),
-        stop: jest.fn(),
-        nextDate: jest.fn().mockReturnValue(new Date())
-      };
-      cron.schedule.mockReturnValue(mockJob);
+    test('should fail collections with conflicts by default', async () => {
+      mockDb.collection('users').insertMany.mockRejectedValue(duplicateKeyError(2));
 
-      const jobId = await backupManager.scheduleBackup(
-        'test-cluster',
-        'testdb',
-        '0 2 * * *',
-        { compress: true }
-      );
+      const result = await backupManager.restoreBackup('/path/to/backup', 'target-cluster', 'targetdb');
 
-      expect(cron.schedule).toHaveBeenCalledWith(
-        '0 2 * * *',
-        expect.any(Function),
-        { scheduled: false }
-      );
-      expect(mockJob.start).toHaveBeenCalled();
-      expect(backupManager.scheduledJobs.has(jobId)).toBe(true);
-      expect(mockConfig.setSetting).toHaveBeenCalled();
-      expect(mockConfig.save).toHaveBeenCalled();
+      expect(result.failedCollections).toEqual([{
+        name: 'users',
+        error: '2 document(s) conflict with existing _id values; use the skip or overwrite conflict strategy'
+      }]);
     });
 
-    test('should stop existing job when rescheduling', async () => {
-      const existingJob = {
-        job: { stop: jest.fn() },
-        cluster: 'test-cluster',
-        database: 'testdb'
-      };
-      backupManager.scheduledJobs.set('test-cluster-testdb', existingJob);
+    test('should reject unknown conflict strategies', async () => {
+      await expect(backupManager.restoreBackup('/path/to/backup', 'target-cluster', 'targetdb', {
+        conflict: 'merge'
+      })).rejects.toThrow('Unknown conflict strategy for users: merge');
+    });
 
-      const mockJob = {
-        start: jest.fn(),
-        stop: jest.fn(),
-        nextDate: jest.fn().mockReturnValue(new Date())
-      };
-      cron.schedule.mockReturnValue(mockJob);
+    test('should report what a dry run would change without writing', async () => {
+      const users = mockDb.collection('users');
+      users.countDocuments.mockImplementation(async filter => filter ? 1 : 5);
 
-      await backupManager.scheduleBackup('test-cluster', 'testdb', '0 3 * * *');
+      const result = await backupManager.restoreBackup('/path/to/backup', 'target-cluster', 'targetdb', {
+        dryRun: true,
+        rename: { orders: 'orders_restored' },
+        conflict: { users: 'skip' }
+      });
 
-      expect(existingJob.job.stop).toHaveBeenCalled();
+      expect(users.countDocuments).toHaveBeenCalledWith({ _id: { $in: [1, 2] } });
+      expect(result.dryRun).toBe(true);
+      expect(result.collections).toEqual([
+        {
+          name: 'users',
+          target: 'users',
+          strategy: 'skip',
+          documents: 2,
+          existingDocuments: 5,
+          conflicts: 1,
+          changes: { drop: 0, insert: 1, overwrite: 0, skip: 1 }
+        },
+        {
+          name: 'orders',
+          target: 'orders_restored',
+          strategy: 'fail',
+          documents: 2,
+          existingDocuments: 0,
+          conflicts: 0,
+          changes: { drop: 0, insert: 2, overwrite: 0, skip: 0 }
+        }
+      ]);
+      for (const target of Object.values(targets)) {
+        expect(target.insertMany).not.toHaveBeenCalled();
+        expect(target.drop).not.toHaveBeenCalled();
+      }
     });
 
-    test('should unschedule backup successfully', async () => {
-      const mockJob = {
-        job: { stop: jest.fn() },
-        cluster: 'test-cluster',
-        database: 'testdb'
-      };
-      backupManager.scheduledJobs.set('test-job', mockJob);
-      jest.spyOn(backupManager, 'removeScheduleFromConfig').mockResolvedValue();
+    test('should flag conflicts a dry run would fail on', async () => {
+      mockDb.collection('users').countDocuments.mockResolvedValue(2);
 
-      const result = await backupManager.unscheduleBackup('test-job');
+      const result = await backupManager.restoreBackup('/path/to/backup', 'target-cluster', 'targetdb', {
+        dryRun: true,
+        collections: ['users']
+      });
 
-      expect(result).toBe(true);
-      expect(mockJob.job.stop).toHaveBeenCalled();
-      expect(backupManager.scheduledJobs.has('test-job')).toBe(false);
-      expect(backupManager.removeScheduleFromConfig).toHaveBeenCalledWith('test-job');
+      expect(result.collections[0].error).toBe('2 document(s) conflict with existing _id values');
     });
 
-    test('should return false when unscheduling non-existent job', async () => {
-      const result = await backupManager.unscheduleBackup('non-existent');
+    test('should rename and filter collections in replayed oplog', async () => {
+      const oplogDir = mkdtempSync(path.join(os.tmpdir(), 'mm-remap-'));
+      writeFileSync(path.join(oplogDir, 'oplog.ndjson'), [
+        { ts: new Timestamp({ t: 1, i: 1 }), op: 'i', ns: 'testdb.orders', o: { _id: 1 } },
+        { ts: new Timestamp({ t: 1, i: 2 }), op: 'c', ns: 'testdb.$cmd', o: { create: 'orders' } },
+        { ts: new Timestamp({ t: 1, i: 3 }), op: 'i', ns: 'testdb.users', o: { _id: 2 } },
+        { ts: new Timestamp({ t: 1, i: 4 }), op: 'c', ns: 'testdb.$cmd', o: { drop: 'users' } }
+      ].map(entry => BSON.EJSON.stringify(entry, { relaxed: false })).join('\n'));
+
+      try {
+        await backupManager.replayOplog(
+          { name: 'inc', dir: oplogDir, info: { database: 'testdb' } },
+          'target-cluster',
+          'restored',
+          { collections: ['orders'], rename: { orders: 'orders_restored' } }
+        );
+      } finally {
+        rmSync(oplogDir, { recursive: true, force: true });
+      }
+
+      const { applyOps } = mockAdminDb.command.mock.calls[0][0];
+      expect(applyOps.map(operation => [operation.ns, operation.o.create])).toEqual([
+        ['restored.orders_restored', undefined],
+        ['restored.$cmd', 'orders_restored']
+      ]);
+    });
+  });
 
-      expect(result).toBe(false);
+  describe('Selective Backups', () => {
+    beforeEach(() => {
+      jest.spyOn(backupManager, 'createDocumentWriter')
+        .mockImplementation((filePath, options) => createMemoryWriter([], options));
+      mockDb.listCollections.mockReturnValue({
+        toArray: jest.fn().mockResolvedValue([
+          { name: 'users' },
+          { name: 'orders' },
+          { name: 'audit_log' },
+          { name: 'request_log' },
+          { name: 'system.views' }
+        ])
+      });
+      mockCollection.find.mockImplementation(() => createMockCursor([{ _id: 1 }]));
     });
 
-    test('should load scheduled backups from config', async () => {
-      const schedules = {
+    test('should skip system collections by default', async () => {
+      const result = await backupManager.createBackup('test-cluster', 'testdb');
+
+      expect(result.info.collections.map(collection => collection.name))
+        .toEqual(['users', 'orders', 'audit_log', 'request_log']);
+      expect(result.info.excludedCollections).toEqual(['system.views']);
+    });
+
+    test('should apply include and exclude glob patterns', async () => {
+      const result = await backupManager.createBackup('test-cluster', 'testdb', {
+        include: 'users,orders,*_log',
+        exclude: ['request_*']
+      });
+
+      expect(result.info.collections.map(collection => collection.name)).toEqual(['users', 'orders', 'audit_log']);
+      expect(result.info.excludedCollections).toEqual(['request_log', 'system.views']);
+    });
+
+    test('should filter documents and project fields per collection', async () => {
+      const since = new Date('2024-01-01T00:00:00Z');
+      const result = await backupManager.createBackup('test-cluster', 'testdb', {
+        include: ['users', 'orders'],
+        query: { orders: { createdAt: { $gte: since } } },
+        projection: { users: { ssn: 0, email: 0 } }
+      });
+
+      expect(mockCollection.find).toHaveBeenCalledWith({}, { promoteValues: false, projection: { ssn: 0, email: 0 } });
+      expect(mockCollection.find).toHaveBeenCalledWith({ createdAt: { $gte: since } }, { promoteValues: false });
+      expect(result.info.collections.every(collection => collection.filtered)).toBe(true);
+
+      const recorded = JSON.parse(JSON.stringify(result.info.selection));
+      expect(recorded).toEqual({
+        include: ['users', 'orders'],
+        exclude: [],
+        query: { orders: { createdAt: { $gte: { $date: { $numberLong: String(since.getTime()) } } } } },
+        projection: { users: { ssn: 0, email: 0 } }
+      });
+    });
+
+    test('should mark filtered collections as partial on restore', async () => {
+      fs.readFile.mockImplementation(async (file) => file.endsWith('backup-info.json') ?
+        JSON.stringify({ collections: [{ name: 'users', filtered: true }], excludedCollections: ['request_log'] }) :
+        '{"documents":[{"_id":1}]}');
+
+      const result = await backupManager.restoreBackup('/path/to/backup', 'target-cluster', 'targetdb');
+
+      expect(result.restoredCollections).toEqual([{ name: 'users', documents: 1, indexes: 0, partial: true }]);
+      expect(result.sourceBackup.excludedCollections).toEqual(['request_log']);
+    });
+
+    test('should not replay oplog writes to collections left out of the base', async () => {
+      const oplogDir = mkdtempSync(path.join(os.tmpdir(), 'mm-selective-'));
+      writeFileSync(path.join(oplogDir, 'oplog.ndjson'), [
+        { ts: new Timestamp({ t: 1, i: 1 }), op: 'i', ns: 'testdb.users', o: { _id: 1 } },
+        { ts: new Timestamp({ t: 1, i: 2 }), op: 'i', ns: 'testdb.request_log', o: { _id: 2 } }
+      ].map(entry => BSON.EJSON.stringify(entry, { relaxed: false })).join('\n'));
+
+      const CollectionSelection = require('../lib/utils/collection-selection');
+      try {
+        await backupManager.replayOplog(
+          { name: 'inc', dir: oplogDir, info: { database: 'testdb' } },
+          'target-cluster',
+          'restored',
+          { selection: new CollectionSelection({ exclude: '*_log' }) }
+        );
+      } finally {
+        rmSync(oplogDir, { recursive: true, force: true });
+      }
+
+      expect(mockAdminDb.command).toHaveBeenCalledTimes(1);
+      expect(mockAdminDb.command.mock.calls[0][0].applyOps.map(operation => operation.ns)).toEqual(['restored.users']);
+    });
+  });
+
+  describe('Consistent Backups', () => {
+    const oplogEntries = [
+      { ts: new Timestamp({ t: 100, i: 1 }), op: 'i', ns: 'testdb.users', o: { _id: 'u1' } },
+      { ts: new Timestamp({ t: 200, i: 1 }), op: 'u', ns: 'testdb.orders', o: { $set: { paid: true } }, o2: { _id: 'o7' } }
+    ];
+    let session;
+
+    beforeEach(() => {
+      jest.spyOn(backupManager, 'createDocumentWriter')
+        .mockImplementation((filePath, options) => createMemoryWriter([], options));
+      mockDb.listCollections.mockReturnValue({
+        toArray: jest.fn().mockResolvedValue([{ name: 'users' }, { name: 'orders' }])
+      });
+      mockCollection.find.mockImplementation(() => {
+        const cursor = createMockCursor([{ _id: 1 }]);
+        cursor.limit = jest.fn().mockReturnThis();
+        return cursor;
+      });
+      mockAdminDb.collection.mockReturnValue(createOplogCollection(oplogEntries));
+      session = { snapshotTime: new Timestamp({ t: 150, i: 3 }), endSession: jest.fn().mockResolvedValue() };
+      mockClient.startSession = jest.fn().mockReturnValue(session);
+    });
+
+    test('should read every collection at one snapshot', async () => {
+      const result = await backupManager.createBackup('test-cluster', 'testdb', { consistency: 'snapshot' });
+
+      expect(mockClient.startSession).toHaveBeenCalledWith({ snapshot: true });
+      expect(mockCollection.find).toHaveBeenCalledTimes(3);
+      mockCollection.find.mock.calls.forEach(([, findOptions]) => {
+        expect(findOptions.session).toBe(session);
+      });
+      expect(session.endSession).toHaveBeenCalled();
+      expect(result.info.consistency).toEqual({ requested: 'snapshot', level: 'snapshot', clusterTime: { t: 150, i: 3 } });
+      expect(result.info.oplogFile).toBeUndefined();
+    });
+
+    test('should capture the oplog when snapshot reads are unavailable', async () => {
+      mockCollection.find.mockImplementationOnce(() => {
+        throw new Error('readConcern level snapshot is only valid in multi-statement transactions');
+      });
+
+      const result = await backupManager.createBackup('test-cluster', 'testdb', { consistency: 'snapshot' });
+
+      expect(mockCollection.find).toHaveBeenLastCalledWith({}, { promoteValues: false });
+      expect(session.endSession).toHaveBeenCalled();
+      expect(result.info.consistency).toEqual({
+        requested: 'snapshot',
+        level: 'oplog',
+        fallbackReason: 'readConcern level snapshot is only valid in multi-statement transactions',
+        consistentAt: { t: 200, i: 1 }
+      });
+      expect(result.info).toEqual(expect.objectContaining({ oplogFile: 'oplog.ndjson', oplogEntries: 2 }));
+      expect(Object.keys(result.info.files)).toContain('oplog.ndjson');
+      expect(mockLogger.warn).toHaveBeenCalledWith(
+        'Snapshot reads are not available on test-cluster, capturing the oplog instead:',
+        expect.any(String)
+      );
+    });
+
+    test('should capture the oplog when the snapshot expires during the backup', async () => {
+      const expired = Object.assign(new Error('Read timestamp is older than the oldest available timestamp'), {
+        code: 239,
+        codeName: 'SnapshotTooOld'
+      });
+      // The pinning read and users succeed, orders loses the snapshot
+      mockCollection.find
+        .mockImplementationOnce(() => Object.assign(createMockCursor([{ _id: 1 }]), { limit: jest.fn().mockReturnThis() }))
+        .mockImplementationOnce(() => createMockCursor([{ _id: 1 }]))
+        .mockImplementationOnce(() => createMockCursor([], expired));
+
+      const result = await backupManager.createBackup('test-cluster', 'testdb', { consistency: 'snapshot' });
+
+      expect(mockCollection.find.mock.calls.map(([, findOptions]) => Boolean(findOptions.session)))
+        .toEqual([true, true, true, false]);
+      expect(result.info.status).toBe('complete');
+      expect(result.info.collections.map(collection => [collection.name, collection.documentCount]))
+        .toEqual([['users', 1], ['orders', 1]]);
+      expect(result.info.consistency).toEqual({
+        requested: 'snapshot',
+        level: 'oplog',
+        fallbackReason: 'Read timestamp is older than the oldest available timestamp',
+        consistentAt: { t: 200, i: 1 }
+      });
+      expect(result.info).toEqual(expect.objectContaining({ oplogFile: 'oplog.ndjson', oplogEntries: 2 }));
+      expect(mockLogger.warn).toHaveBeenCalledWith(
+        expect.stringContaining('raise minSnapshotHistoryWindowInSeconds on test-cluster'),
+        'Read timestamp is older than the oldest available timestamp'
+      );
+    });
+
+    test('should fail masked backups whose snapshot expires with guidance', async () => {
+      mockConfig.getMaskingProfile = jest.fn(() => ({ fields: { 'users.email': 'null' }, secret: 'secret' }));
+      mockCollection.find
+        .mockImplementationOnce(() => Object.assign(createMockCursor([{ _id: 1 }]), { limit: jest.fn().mockReturnThis() }))
+        .mockImplementationOnce(() => createMockCursor([], Object.assign(new Error('Snapshot unavailable'), { code: 246 })));
+
+      await expect(backupManager.createBackup('test-cluster', 'testdb', { consistency: 'snapshot', masking: 'dev' }))
+        .rejects.toThrow(/masked backups cannot capture the oplog instead; raise minSnapshotHistoryWindowInSeconds/);
+      expect(session.endSession).toHaveBeenCalled();
+    });
+
+    test('should record backups taken without consistency', async () => {
+      const result = await backupManager.createBackup('test-cluster', 'testdb');
+
+      expect(mockClient.startSession).not.toHaveBeenCalled();
+      expect(result.info.consistency).toEqual({ requested: 'none', level: 'none' });
+      expect(result.info.oplogFile).toBeUndefined();
+    });
+
+    test('should require an oplog for consistent backups', async () => {
+      mockAdminDb.collection.mockReturnValue(undefined);
+
+      await expect(backupManager.createBackup('test-cluster', 'testdb', { consistency: 'oplog' }))
+        .rejects.toThrow('Cluster test-cluster has no oplog; consistent backups require a replica set');
+      await expect(backupManager.createBackup('test-cluster', 'testdb', { consistency: 'eventual' }))
+        .rejects.toThrow('Unknown backup consistency: eventual');
+      expect(fs.mkdir).not.toHaveBeenCalled();
+    });
+
+    test('should replay writes captured during the dump on restore', async () => {
+      const oplogDir = mkdtempSync(path.join(os.tmpdir(), 'mm-consistent-'));
+      writeFileSync(path.join(oplogDir, 'oplog.ndjson'), oplogEntries
+        .map(entry => BSON.EJSON.stringify(entry, { relaxed: false })).join('\n'));
+      jest.spyOn(backupManager, 'openBackup').mockResolvedValue({
+        name: 'consistent',
+        dir: oplogDir,
+        info: {
+          type: 'full',
+          database: 'testdb',
+          collections: [{ name: 'users' }],
+          selection: { include: [], exclude: ['orders'] },
+          oplog: { start: { t: 90, i: 1 }, end: { t: 200, i: 1 } },
+          oplogFile: 'oplog.ndjson'
+        },
+        cleanup: jest.fn().mockResolvedValue()
+      });
+      jest.spyOn(backupManager, 'restoreCollections').mockResolvedValue({
+        restoredCollections: [{ name: 'users', documents: 1, indexes: 0 }],
+        skippedCollections: [],
+        failedCollections: []
+      });
+
+      let result;
+      try {
+        result = await backupManager.restoreBackup('/backups/consistent', 'target-cluster', 'restored');
+      } finally {
+        rmSync(oplogDir, { recursive: true, force: true });
+      }
+
+      expect(mockAdminDb.command).toHaveBeenCalledWith({
+        applyOps: [{ op: 'i', ns: 'restored.users', o: { _id: 'u1' } }]
+      });
+      expect(result.oplogReplay).toEqual([
+        { backup: 'consistent', entriesApplied: 1, lastOptime: { t: 200, i: 1 }, reachedUntil: false }
+      ]);
+      expect(result.restoredTo).toEqual({ t: 200, i: 1 });
+    });
+  });
+
+  describe('Parallel Backups', () => {
+    const { Throttle } = require('../lib/utils/throttle');
+
+    beforeEach(() => {
+      jest.spyOn(backupManager, 'createDocumentWriter')
+        .mockImplementation((filePath, options) => createMemoryWriter([], options));
+      mockDb.listCollections.mockReturnValue({
+        toArray: jest.fn().mockResolvedValue([{ name: 'users' }, { name: 'orders' }, { name: 'events' }])
+      });
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('should back up several collections at once and keep their order', async () => {
+      let active = 0;
+      let peak = 0;
+      mockCollection.find.mockImplementation(() => ({
+        ...createMockCursor([]),
+        [Symbol.asyncIterator]: async function* () {
+          active++;
+          peak = Math.max(peak, active);
+          await new Promise(resolve => setImmediate(resolve));
+          active--;
+          yield { _id: 1 };
+        }
+      }));
+
+      const result = await backupManager.createBackup('test-cluster', 'testdb', { parallel: 2 });
+
+      expect(peak).toBe(2);
+      expect(result.info.collections.map(collection => collection.name)).toEqual(['users', 'orders', 'events']);
+      expect(result.info.totalDocuments).toBe(3);
+    });
+
+    test('should read large collections in _id ranges', async () => {
+      mockDb.listCollections.mockReturnValue({
+        toArray: jest.fn().mockResolvedValue([{ name: 'events', type: 'collection' }])
+      });
+      mockCollection.estimatedDocumentCount = jest.fn().mockResolvedValue(5000000);
+      const sample = ['a', 'c', 'c', 'f', 'k', 'p', 'x'].map(_id => ({ _id, type: 'string' }));
+      mockCollection.aggregate = jest.fn().mockReturnValue({ toArray: jest.fn().mockResolvedValue(sample) });
+      mockCollection.find.mockImplementation(() => createMockCursor([{ _id: 'id' }]));
+
+      const result = await backupManager.createBackup('test-cluster', 'testdb', {
+        split: { parts: 3 },
+        query: { events: { kind: 'click' } }
+      });
+
+      expect(mockCollection.find.mock.calls.map(([filter]) => filter)).toEqual([
+        { $and: [{ kind: 'click' }, { _id: { $not: { $gte: 'f' } } }] },
+        { $and: [{ kind: 'click' }, { _id: { $gte: 'f', $lt: 'p' } }] },
+        { $and: [{ kind: 'click' }, { _id: { $gte: 'p' } }] }
+      ]);
+      expect(result.info.collections[0]).toEqual(expect.objectContaining({
+        name: 'events',
+        parts: ['events.part-0.ndjson', 'events.part-1.ndjson', 'events.part-2.ndjson'],
+        documentCount: 3
+      }));
+      expect(result.info.collections[0].file).toBeUndefined();
+    });
+
+    test('should not split collections whose _ids mix types', async () => {
+      mockCollection.estimatedDocumentCount = jest.fn().mockResolvedValue(5000000);
+      mockCollection.aggregate = jest.fn().mockReturnValue({
+        toArray: jest.fn().mockResolvedValue([{ _id: 1, type: 'int' }, { _id: 'a', type: 'string' }])
+      });
+      mockCollection.find.mockImplementation(() => createMockCursor([]));
+
+      const result = await backupManager.createBackup('test-cluster', 'testdb', { split: { parts: 2 } });
+
+      expect(mockCollection.find).toHaveBeenCalledTimes(3);
+      expect(result.info.collections.map(collection => collection.file))
+        .toEqual(['users.ndjson', 'orders.ndjson', 'events.ndjson']);
+    });
+
+    test('should restore collections stored in parts', async () => {
+      const dir = mkdtempSync(path.join(os.tmpdir(), 'mm-parts-'));
+      writeFileSync(path.join(dir, 'events.part-0.ndjson'), '{"_id":"a"}\n{"_id":"b"}\n');
+      writeFileSync(path.join(dir, 'events.part-1.ndjson'), '{"_id":"k"}\n');
+      jest.spyOn(backupManager, 'readCollectionMetadata').mockResolvedValue({ indexes: [] });
+
+      const ids = [];
+      try {
+        const source = await backupManager.openCollectionBackup(
+          { dir, info: { format: 'ejson' } },
+          { name: 'events', parts: ['events.part-0.ndjson', 'events.part-1.ndjson'] }
+        );
+        for await (const batch of source.batches) {
+          ids.push(...batch.map(document => document._id));
+        }
+      } finally {
+        rmSync(dir, { recursive: true, force: true });
+      }
+
+      expect(ids).toEqual(['a', 'b', 'k']);
+    });
+
+    test('should pace reads to the configured rate', async () => {
+      jest.useFakeTimers();
+      const throttle = new Throttle({ documentsPerSecond: 1000 });
+      let done = false;
+
+      // One second of burst is allowed, so 3000 documents wait two seconds
+      throttle.consume(3000).then(() => { done = true; });
+      await jest.advanceTimersByTimeAsync(1500);
+      expect(done).toBe(false);
+      await jest.advanceTimersByTimeAsync(600);
+      expect(done).toBe(true);
+    });
+
+    test('should back off while monitoring reports the cluster as loaded', async () => {
+      jest.useFakeTimers();
+      const load = { sampledAt: new Date(), opsPerSecond: 9000, cpuPercent: 20, connectionUsage: 0.2 };
+      backupManager.setMonitoringService({ getLoad: jest.fn(() => ({ ...load, sampledAt: new Date() })) });
+      mockConfig.getSetting.mockImplementation(key => key === 'backupThrottle' ?
+        { documentsPerSecond: 1000, backoff: { maxOpsPerSecond: 5000 } } :
+        undefined);
+
+      const throttling = backupManager.startThrottle('test-cluster');
+      try {
+        await jest.advanceTimersByTimeAsync(20000);
+        expect(throttling.throttle.rates().documents).toBe(250);
+        expect(mockLogger.warn).toHaveBeenCalledTimes(1);
+        expect(mockLogger.warn).toHaveBeenCalledWith('Backing off backup reads on test-cluster: opsPerSecond 9000 > 5000 (rate 50%)');
+
+        load.opsPerSecond = 100;
+        await jest.advanceTimersByTimeAsync(20000);
+        expect(throttling.throttle.rates().documents).toBe(1000);
+        expect(mockLogger.info).toHaveBeenCalledWith('Load on test-cluster is back to normal, resuming backup reads');
+      } finally {
+        throttling.stop();
+      }
+    });
+
+    test('should only throttle when limited or watching load', () => {
+      expect(backupManager.startThrottle('test-cluster')).toBeNull();
+
+      backupManager.setMonitoringService({ getLoad: jest.fn() });
+      expect(backupManager.startThrottle('test-cluster', { throttle: { backoff: false } })).toBeNull();
+      const throttling = backupManager.startThrottle('test-cluster');
+      throttling.stop();
+      expect(throttling.throttle.rates()).toEqual({ documents: 0, bytes: 0 });
+    });
+  });
+
+  describe('Masked Copies', () => {
+    let written;
+
+    beforeEach(() => {
+      mockConfig.getMaskingProfile = jest.fn(name => name === 'dev' ?
+        { fields: { 'users.email': 'null' }, secret: 'secret' } :
+        undefined);
+
+      written = {};
+      jest.spyOn(backupManager, 'createDocumentWriter').mockImplementation((filePath, options) => {
+        written[path.basename(filePath)] = [];
+        return createMemoryWriter(written[path.basename(filePath)], options);
+      });
+      mockDb.listCollections.mockReturnValue({
+        toArray: jest.fn().mockResolvedValue([{ name: 'users' }, { name: 'orders' }])
+      });
+      mockCollection.find.mockImplementation(() => createMockCursor([{ _id: 1, email: 'ann@example.com' }]));
+    });
+
+    test('should mask documents as they are backed up', async () => {
+      const result = await backupManager.createBackup('test-cluster', 'testdb', { masking: 'dev' });
+
+      expect(written['users.ndjson'].join('')).toContain('"email":null');
+      expect(written['orders.ndjson'].join('')).toContain('ann@example.com');
+      expect(result.info.masking).toEqual({ profile: 'dev' });
+      expect(backupManager.describeBackup(result.info).masking).toBe('dev');
+    });
+
+    test('should refuse masked backups that would contain oplog entries', async () => {
+      await expect(backupManager.createBackup('test-cluster', 'testdb', { masking: 'dev', mode: 'incremental' }))
+        .rejects.toThrow('Masked backups must be full backups without oplog capture');
+      await expect(backupManager.createBackup('test-cluster', 'testdb', { masking: 'dev', consistency: 'oplog' }))
+        .rejects.toThrow('Masked backups must be full backups without oplog capture');
+      await expect(backupManager.createBackup('test-cluster', 'testdb', { masking: 'prod' }))
+        .rejects.toThrow('Unknown masking profile: prod');
+
+      mockAdminDb.collection.mockReturnValue(createOplogCollection([
+        { ts: new Timestamp({ t: 100, i: 1 }), op: 'n', ns: '', o: {} }
+      ]));
+      mockClient.startSession = jest.fn().mockReturnValue({ endSession: jest.fn().mockResolvedValue() });
+      await expect(backupManager.createBackup('test-cluster', 'testdb', { masking: 'dev', consistency: 'snapshot' }))
+        .rejects.toThrow('masked backups cannot capture the oplog');
+    });
+
+    test('should not build incremental backups on masked ones', async () => {
+      jest.spyOn(backupManager, 'listBackups').mockResolvedValue([
+        { name: 'masked', cluster: 'test-cluster', database: 'testdb', type: 'full', oplog: {}, masking: 'dev' },
+        { name: 'plain', cluster: 'test-cluster', database: 'testdb', type: 'full', oplog: {} }
+      ]);
+
+      const parent = await backupManager.findParentBackup('test-cluster', 'testdb', 'incremental');
+
+      expect(parent.name).toBe('plain');
+    });
+
+    test('should mask documents as they are restored', async () => {
+      fs.readFile.mockImplementation(async (file) => file.endsWith('backup-info.json') ?
+        JSON.stringify({ collections: [{ name: 'users', documentCount: 1 }, { name: 'orders', documentCount: 1 }] }) :
+        JSON.stringify({ documents: [{ _id: 1, email: 'ann@example.com' }] }));
+      mockCollection.insertMany.mockResolvedValue({});
+
+      const result = await backupManager.restoreBackup('/path/to/backup', 'target-cluster', 'targetdb', { masking: 'dev' });
+
+      expect(mockCollection.insertMany).toHaveBeenNthCalledWith(1, [{ _id: 1, email: null }], { ordered: false });
+      expect(mockCollection.insertMany).toHaveBeenNthCalledWith(2, [{ _id: 1, email: 'ann@example.com' }], { ordered: false });
+      expect(result.restoredCollections).toEqual([
+        { name: 'users', documents: 1, indexes: 0, masked: true },
+        { name: 'orders', documents: 1, indexes: 0 }
+      ]);
+    });
+
+    test('should refuse to mask restores that replay the oplog', async () => {
+      jest.spyOn(backupManager, 'openBackup').mockResolvedValue({
+        info: { type: 'full', collections: [], oplogFile: 'oplog.ndjson' },
+        cleanup: jest.fn().mockResolvedValue()
+      });
+      jest.spyOn(backupManager, 'restoreCollections');
+
+      await expect(backupManager.restoreBackup('/backups/consistent', 'target-cluster', 'restored', { masking: 'dev' }))
+        .rejects.toThrow('Masking cannot be applied while replaying the oplog');
+      expect(backupManager.restoreCollections).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Backup Verification', () => {
+    let workDir;
+    let backupInfo;
+    const documents = [{ _id: 'a' }, { _id: 'b' }, { _id: 'c' }];
+
+    beforeEach(async () => {
+      workDir = mkdtempSync(path.join(os.tmpdir(), 'mm-verify-'));
+      const writer = backupManager.createDocumentWriter(path.join(workDir, 'users.ndjson'), {
+        serialize: doc => BSON.EJSON.stringify(doc, { relaxed: false })
+      });
+      for (const document of documents) {
+        await writer.write(document);
+      }
+      await writer.close();
+
+      backupInfo = {
+        type: 'full',
+        format: 'ejson',
+        status: 'complete',
+        collections: [{ name: 'users', file: 'users.ndjson', metadataFile: 'users.metadata.json', documentCount: 3 }],
+        files: { 'users.ndjson': { size: writer.checksum.bytes, sha256: writer.checksum.digest } }
+      };
+      fs.readFile.mockImplementation(async (file) => {
+        if (file.endsWith('backup-info.json')) return JSON.stringify(backupInfo);
+        return '{"indexes":[{"name":"_id_","key":{"_id":1}},{"name":"email_1","key":{"email":1},"unique":true}]}';
+      });
+    });
+
+    afterEach(() => {
+      rmSync(workDir, { recursive: true, force: true });
+    });
+
+    test('should record the checksum of the bytes written to disk', () => {
+      const content = readFileSync(path.join(workDir, 'users.ndjson'));
+
+      expect(backupInfo.files['users.ndjson']).toEqual({
+        size: content.length,
+        sha256: require('crypto').createHash('sha256').update(content).digest('hex')
+      });
+    });
+
+    test('should accept an intact backup', async () => {
+      const report = await backupManager.verifyBackup(workDir);
+
+      expect(report.valid).toBe(true);
+      expect(report.files).toEqual([expect.objectContaining({ file: 'users.ndjson', ok: true })]);
+      expect(report.collections).toEqual([expect.objectContaining({ name: 'users', expected: 3, actual: 3, ok: true })]);
+    });
+
+    test('should detect corrupted files and missing documents', async () => {
+      writeFileSync(path.join(workDir, 'users.ndjson'), BSON.EJSON.stringify({ _id: 'a' }) + '\n');
+
+      const report = await backupManager.verifyBackup(workDir);
+
+      expect(report.valid).toBe(false);
+      expect(report.errors).toEqual([
+        'Checksum mismatch for users.ndjson',
+        'Collection users has 1 documents, expected 3'
+      ]);
+    });
+
+    test('should report collections that failed during the backup', async () => {
+      backupInfo.collections.push({ name: 'orders', error: 'cursor killed' });
+
+      const report = await backupManager.verifyBackup(workDir);
+
+      expect(report.valid).toBe(false);
+      expect(report.errors).toContain('Collection orders failed during backup: cursor killed');
+    });
+
+    test('should verify checksums of encrypted backups without the key', async () => {
+      backupInfo.encryption = { keyId: 'offsite' };
+
+      const report = await backupManager.verifyBackup(workDir);
+
+      expect(report.valid).toBe(true);
+      expect(report.collections[0]).toEqual(expect.objectContaining({ actual: null, ok: null }));
+      expect(report.warnings).toContain('Key offsite is not configured; document counts were not checked');
+    });
+
+    test('should compare a test restore with the backup and drop the scratch database', async () => {
+      mockDb.dropDatabase = jest.fn().mockResolvedValue();
+      mockCollection.countDocuments = jest.fn().mockResolvedValue(2);
+      mockCollection.listIndexes.mockReturnValue({
+        toArray: jest.fn().mockResolvedValue([{ name: '_id_', key: { _id: 1 } }])
+      });
+      jest.spyOn(backupManager, 'restoreBackup').mockResolvedValue({
+        restoredCollections: [{ name: 'users', documents: 2, indexes: 1 }],
+        skippedCollections: [],
+        failedCollections: []
+      });
+
+      const report = await backupManager.verifyBackup(workDir, { testRestore: 'staging' });
+
+      expect(backupManager.restoreBackup).toHaveBeenCalledWith(
+        workDir,
+        'staging',
+        expect.stringMatching(/^mm_verify_\d+$/),
+        expect.any(Object)
+      );
+      expect(report.valid).toBe(false);
+      expect(report.testRestore.errors).toEqual([
+        'Test restore of users has 2 documents, expected 3',
+        'Test restore of users is missing indexes: email_1 {"email":1} unique=true'
+      ]);
+      expect(mockDb.dropDatabase).toHaveBeenCalled();
+    });
+  });
+
+  describe('Backup Formats', () => {
+    let workDir;
+
+    beforeEach(() => {
+      workDir = mkdtempSync(path.join(os.tmpdir(), 'mm-format-'));
+    });
+
+    afterEach(() => {
+      rmSync(workDir, { recursive: true, force: true });
+    });
+
+    const typedDocument = {
+      _id: new BSON.ObjectId('507f1f77bcf86cd799439011'),
+      createdAt: new Date('2024-01-01T00:00:00Z'),
+      price: BSON.Decimal128.fromString('19.99'),
+      views: BSON.Long.fromNumber(42),
+      avatar: new BSON.Binary(Buffer.from('png'), 0)
+    };
+
+    test.each(['ejson', 'bson'])('should round-trip BSON types through %s files', async (format) => {
+      const file = path.join(workDir, `users.${format}`);
+      const options = format === 'bson' ?
+        { binary: true, serialize: doc => BSON.serialize(doc) } :
+        { serialize: doc => BSON.EJSON.stringify(doc, { relaxed: false }) };
+
+      const writer = new DocumentWriter(require('fs').createWriteStream(file), { batchSize: 2, ...options });
+      for (let i = 0; i < 3; i++) {
+        await writer.write(typedDocument);
+      }
+      await writer.close();
+
+      fs.readFile.mockResolvedValue('{"indexes":[]}');
+      const source = await backupManager.openCollectionBackup({ dir: workDir, info: { format } }, {
+        name: 'users',
+        file: `users.${format}`
+      }, 2);
+
+      const batches = [];
+      for await (const batch of source.batches) {
+        batches.push(batch);
+      }
+
+      expect(batches.map(batch => batch.length)).toEqual([2, 1]);
+      const [restored] = batches[0];
+      expect(restored._id).toBeInstanceOf(BSON.ObjectId);
+      expect(restored.createdAt).toBeInstanceOf(Date);
+      expect(restored.price).toBeInstanceOf(BSON.Decimal128);
+      expect(restored.views).toBeInstanceOf(BSON.Long);
+      expect(restored.avatar).toBeInstanceOf(BSON.Binary);
+    });
+
+    test('should detect a plain mongodump directory on restore', async () => {
+      fs.readFile.mockImplementation((file) => {
+        if (file.endsWith('backup-info.json')) {
+          return Promise.reject(Object.assign(new Error('not found'), { code: 'ENOENT' }));
+        }
+        return Promise.resolve('{}');
+      });
+      fs.readdir.mockImplementation(async (dir) => {
+        if (dir === '/dump') return ['admin', 'shop', 'oplog.bson'];
+        if (dir === '/dump/shop') return ['orders.bson.gz', 'orders.metadata.json.gz', 'users.bson', 'users.metadata.json'];
+        if (dir === '/dump/admin') return ['system.version.bson'];
+        throw Object.assign(new Error('not a directory'), { code: 'ENOTDIR' });
+      });
+
+      const backup = await backupManager.openBackup('/dump');
+
+      expect(backup.info).toEqual({
+        database: 'shop',
+        type: 'full',
+        format: 'bson',
+        source: 'mongodump',
+        collections: [
+          { name: 'orders', file: 'shop/orders.bson.gz', metadataFile: 'shop/orders.metadata.json.gz' },
+          { name: 'users', file: 'shop/users.bson', metadataFile: 'shop/users.metadata.json' }
+        ]
+      });
+    });
+  });
+
+  describe('Backup Encryption', () => {
+    let workDir;
+
+    beforeEach(() => {
+      workDir = mkdtempSync(path.join(os.tmpdir(), 'mm-encrypt-'));
+    });
+
+    afterEach(() => {
+      rmSync(workDir, { recursive: true, force: true });
+      delete process.env.MM_BACKUP_PASSPHRASE;
+      delete process.env.MM_BACKUP_KEY_ID;
+    });
+
+    test('should refuse to encrypt without a passphrase', async () => {
+      await expect(backupManager.createBackup('test-cluster', 'testdb', { encrypt: true }))
+        .rejects.toThrow('No passphrase available for backup key default');
+    });
+
+    test('should record the key ID and per-file IVs in backup-info.json', async () => {
+      process.env.MM_BACKUP_PASSPHRASE = 'correct horse';
+      process.env.MM_BACKUP_KEY_ID = 'prod-2024';
+      mockDb.listCollections.mockReturnValue({
+        toArray: jest.fn().mockResolvedValue([{ name: 'users' }])
+      });
+      mockCollection.find.mockReturnValue(createMockCursor([{ _id: 1 }]));
+      jest.spyOn(backupManager, 'createDocumentWriter').mockImplementation((filePath, options) => {
+        const writer = createMemoryWriter([], options);
+        options.cipher.seal(options.file, Buffer.alloc(12), Buffer.alloc(16));
+        return writer;
+      });
+
+      const result = await backupManager.createBackup('test-cluster', 'testdb', { encrypt: true });
+
+      expect(result.info.encryption).toMatchObject({
+        algorithm: 'aes-256-gcm',
+        kdf: 'scrypt',
+        keyId: 'prod-2024'
+      });
+      expect(Object.keys(result.info.encryption.files).sort()).toEqual(['users.metadata.json', 'users.ndjson']);
+      const metadataWrite = fs.writeFile.mock.calls.find(([file]) => file.endsWith('users.metadata.json'));
+      expect(Buffer.isBuffer(metadataWrite[1])).toBe(true);
+      expect(metadataWrite[1].toString()).not.toContain('users');
+    });
+
+    test('should decrypt documents and metadata transparently on restore', async () => {
+      const cipher = BackupCipher.create('prod-2024', 'correct horse');
+      const writer = backupManager.createDocumentWriter(path.join(workDir, 'users.ndjson'), {
+        batchSize: 2,
+        serialize: doc => BSON.EJSON.stringify(doc, { relaxed: false }),
+        cipher,
+        file: 'users.ndjson'
+      });
+      await writer.write({ _id: 'a', email: 'alice@example.com' });
+      await writer.write({ _id: 'b', email: 'bob@example.com' });
+      await writer.close();
+      const metadata = cipher.encryptBuffer('users.metadata.json', Buffer.from('{"indexes":[{"name":"email_1"}]}'));
+
+      expect(readFileSync(path.join(workDir, 'users.ndjson')).toString()).not.toContain('alice');
+
+      fs.readFile.mockResolvedValue(metadata);
+      const backup = {
+        dir: workDir,
+        info: { format: 'ejson' },
+        cipher: backupManager.openBackupCipher(cipher.toMetadata(), { passphrase: 'correct horse' })
+      };
+      const source = await backupManager.openCollectionBackup(backup, {
+        name: 'users',
+        file: 'users.ndjson',
+        metadataFile: 'users.metadata.json'
+      });
+
+      const documents = [];
+      for await (const batch of source.batches) {
+        documents.push(...batch);
+      }
+
+      expect(source.metadata.indexes).toEqual([{ name: 'email_1' }]);
+      expect(documents.map(doc => doc.email)).toEqual(['alice@example.com', 'bob@example.com']);
+    });
+
+    test('should reject a wrong passphrase before restoring', () => {
+      const cipher = BackupCipher.create('prod-2024', 'correct horse');
+
+      expect(() => backupManager.openBackupCipher(cipher.toMetadata(), { passphrase: 'wrong' }))
+        .toThrow('Wrong passphrase for backup key prod-2024');
+    });
+
+    test('should resolve passphrases stored in config by key ID', () => {
+      const cipher = BackupCipher.create('archive', 'stored secret');
+      mockConfig.getSetting.mockReturnValue({ keys: { archive: 'encrypted' } });
+      mockConfig.decrypt = jest.fn().mockReturnValue('stored secret');
+
+      expect(backupManager.openBackupCipher(cipher.toMetadata())).toBeInstanceOf(BackupCipher);
+      expect(mockConfig.decrypt).toHaveBeenCalledWith('encrypted');
+    });
+
+    test('should refuse to store keys without MM_ENCRYPTION_KEY', async () => {
+      const encryptionKey = process.env.MM_ENCRYPTION_KEY;
+      mockConfig.encrypt = jest.fn().mockReturnValue('encrypted');
+      delete process.env.MM_ENCRYPTION_KEY;
+      try {
+        await expect(backupManager.keyProvider.addKey('archive', 'stored secret'))
+          .rejects.toThrow('MM_ENCRYPTION_KEY is not set, so backup key archive could not be read back');
+      } finally {
+        process.env.MM_ENCRYPTION_KEY = encryptionKey;
+      }
+      expect(mockConfig.setSetting).not.toHaveBeenCalled();
+      expect(mockConfig.save).not.toHaveBeenCalled();
+
+      await backupManager.keyProvider.addKey('archive', 'stored secret');
+      expect(mockConfig.setSetting).toHaveBeenCalledWith('backupEncryption', {
+        keys: { archive: 'encrypted' },
+        defaultKeyId: 'archive'
+      });
+      expect(mockConfig.save).toHaveBeenCalled();
+    });
+
+    test('should flag encrypted backups when listing', () => {
+      expect(backupManager.describeBackup({ encryption: { keyId: 'prod-2024' } })).toMatchObject({
+        encrypted: true,
+        keyId: 'prod-2024'
+      });
+    });
+  });
+
+  describe('Incremental Backups', () => {
+    const oplogEntries = [
+      { ts: new Timestamp({ t: 100, i: 1 }), op: 'i', ns: 'testdb.users', o: { _id: 1 } },
+      { ts: new Timestamp({ t: 150, i: 1 }), op: 'u', ns: 'testdb.users', o: { $set: { a: 1 } }, o2: { _id: 1 } },
+      { ts: new Timestamp({ t: 200, i: 1 }), op: 'd', ns: 'testdb.users', o: { _id: 1 } }
+    ];
+    let writtenChunks;
+
+    beforeEach(() => {
+      writtenChunks = [];
+      jest.spyOn(backupManager, 'createDocumentWriter')
+        .mockImplementation((filePath, options) => createMemoryWriter(writtenChunks, options));
+      mockAdminDb.collection.mockReturnValue(createOplogCollection(oplogEntries));
+    });
+
+    test('should take a full backup when no base backup exists', async () => {
+      jest.spyOn(backupManager, 'listBackups').mockResolvedValue([]);
+
+      const result = await backupManager.createBackup('test-cluster', 'testdb', { mode: 'incremental' });
+
+      expect(result.info.type).toBe('full');
+      expect(result.info.oplog).toEqual({ start: { t: 200, i: 1 }, end: { t: 200, i: 1 } });
+    });
+
+    test('should capture oplog entries since the start of a full parent', async () => {
+      jest.spyOn(backupManager, 'listBackups').mockResolvedValue([
+        {
+          name: 'test-cluster-testdb-full',
+          cluster: 'test-cluster',
+          database: 'testdb',
+          type: 'full',
+          oplog: { start: { t: 100, i: 1 }, end: { t: 120, i: 1 } }
+        }
+      ]);
+
+      const result = await backupManager.createBackup('test-cluster', 'testdb', { mode: 'incremental' });
+
+      const oplogCollection = mockAdminDb.collection.mock.results[0].value;
+      const filter = oplogCollection.find.mock.calls[2][0];
+      expect(filter.ts.$gt).toEqual(new Timestamp({ t: 100, i: 1 }));
+      expect(filter.ts.$lte).toEqual(new Timestamp({ t: 200, i: 1 }));
+
+      expect(result.info).toEqual(expect.objectContaining({
+        type: 'incremental',
+        parent: 'test-cluster-testdb-full',
+        base: 'test-cluster-testdb-full',
+        oplog: { start: { t: 100, i: 1 }, end: { t: 200, i: 1 } },
+        oplogEntries: 3
+      }));
+      const firstLine = BSON.EJSON.parse(writtenChunks.join('').split('\n')[0], { relaxed: false });
+      expect(firstLine.ts).toEqual(new Timestamp({ t: 100, i: 1 }));
+    });
+
+    test('should base differential backups on the latest full backup', async () => {
+      jest.spyOn(backupManager, 'listBackups').mockResolvedValue([
+        {
+          name: 'incremental',
+          cluster: 'test-cluster',
+          database: 'testdb',
+          type: 'incremental',
+          base: 'full',
+          oplog: { start: { t: 120, i: 1 }, end: { t: 150, i: 1 } }
+        },
+        {
+          name: 'full',
+          cluster: 'test-cluster',
+          database: 'testdb',
+          type: 'full',
+          oplog: { start: { t: 110, i: 1 }, end: { t: 120, i: 1 } }
+        }
+      ]);
+
+      const result = await backupManager.createBackup('test-cluster', 'testdb', { mode: 'differential' });
+
+      expect(result.info.parent).toBe('full');
+      expect(result.info.oplog.start).toEqual({ t: 110, i: 1 });
+    });
+
+    test('should refuse to continue a chain the oplog no longer covers', async () => {
+      jest.spyOn(backupManager, 'listBackups').mockResolvedValue([
+        {
+          name: 'old-full',
+          cluster: 'test-cluster',
+          database: 'testdb',
+          type: 'full',
+          oplog: { start: { t: 10, i: 1 }, end: { t: 20, i: 1 } }
+        }
+      ]);
+
+      await expect(backupManager.createBackup('test-cluster', 'testdb', { mode: 'incremental' }))
+        .rejects.toThrow('Oplog no longer covers the last backup old-full');
+    });
+
+    test('should reject unknown backup modes', async () => {
+      await expect(backupManager.createBackup('test-cluster', 'testdb', { mode: 'partial' }))
+        .rejects.toThrow('Unknown backup mode: partial');
+    });
+  });
+
+  describe('Backup Chain Restoration', () => {
+    let oplogDir;
+
+    beforeEach(() => {
+      oplogDir = mkdtempSync(path.join(os.tmpdir(), 'mm-oplog-'));
+      writeFileSync(path.join(oplogDir, 'oplog.ndjson'), [
+        { ts: new Timestamp({ t: 150, i: 1 }), op: 'i', ns: 'sourcedb.users', o: { _id: 'u1' }, ui: 'uuid' },
+        { ts: new Timestamp({ t: 160, i: 1 }), op: 'u', ns: 'sourcedb.users', o: { $set: { name: 'Ann' } }, o2: { _id: 'u1' } },
+        { ts: new Timestamp({ t: 170, i: 1 }), op: 'n', ns: '', o: { msg: 'periodic noop' } },
+        { ts: new Timestamp({ t: 180, i: 1 }), op: 'd', ns: 'sourcedb.users', o: { _id: 'u1' } }
+      ].map(entry => BSON.EJSON.stringify(entry, { relaxed: false })).join('\n'));
+
+      const incremental = {
+        name: 'incremental',
+        dir: oplogDir,
+        info: {
+          database: 'sourcedb',
+          type: 'incremental',
+          parent: 'full',
+          base: 'full',
+          oplog: { start: { t: 140, i: 1 }, end: { t: 200, i: 1 } },
+          oplogFile: 'oplog.ndjson',
+          collections: []
+        },
+        cleanup: jest.fn().mockResolvedValue()
+      };
+      const full = {
+        name: 'full',
+        dir: '/backups/full',
+        info: { type: 'full', collections: [] },
+        cleanup: jest.fn().mockResolvedValue()
+      };
+
+      jest.spyOn(backupManager, 'openBackup').mockImplementation(async (backupPath) =>
+        backupPath.includes('incremental') ? incremental : full
+      );
+      jest.spyOn(backupManager, 'readBackupInfo').mockResolvedValue(full.info);
+      jest.spyOn(backupManager, 'restoreCollections').mockResolvedValue({
+        restoredCollections: [{ name: 'users', documents: 10, indexes: 0 }],
+        skippedCollections: [],
+        failedCollections: []
+      });
+    });
+
+    afterEach(() => {
+      rmSync(oplogDir, { recursive: true, force: true });
+    });
+
+    test('should restore the base backup and replay the oplog chain', async () => {
+      const result = await backupManager.restoreBackup('/backups/incremental', 'target-cluster', 'restored');
+
+      expect(backupManager.restoreCollections).toHaveBeenCalledWith(
+        expect.objectContaining({ name: 'full' }),
+        'target-cluster',
+        'restored',
+        {}
+      );
+      expect(mockAdminDb.command).toHaveBeenCalledWith({
+        applyOps: [
+          { op: 'i', ns: 'restored.users', o: { _id: 'u1' } },
+          { op: 'u', ns: 'restored.users', o: { $set: { name: 'Ann' } }, o2: { _id: 'u1' } },
+          { op: 'd', ns: 'restored.users', o: { _id: 'u1' } }
+        ]
+      });
+      expect(result.oplogReplay).toEqual([
+        { backup: 'incremental', entriesApplied: 3, lastOptime: { t: 180, i: 1 }, reachedUntil: false }
+      ]);
+      expect(result.restoredTo).toEqual({ t: 180, i: 1 });
+    });
+
+    test('should stop replaying at the requested optime', async () => {
+      const result = await backupManager.restoreBackup('/backups/incremental', 'target-cluster', 'restored', {
+        until: { t: 160, i: 1 }
+      });
+
+      expect(mockAdminDb.command.mock.calls[0][0].applyOps).toHaveLength(2);
+      expect(result.restoredTo).toEqual({ t: 160, i: 1 });
+    });
+
+    test('should fail when a chain has no full base backup', async () => {
+      backupManager.readBackupInfo.mockResolvedValue({ type: 'incremental' });
+
+      await expect(backupManager.restoreBackup('/backups/incremental', 'target-cluster', 'restored'))
+        .rejects.toThrow('has no full base backup');
+    });
+  });
+
+  describe('Point-in-Time Restore', () => {
+    const at = iso => Math.floor(new Date(iso).getTime() / 1000);
+    const backups = [
+      {
+        name: 'inc-2', path: '/backups/inc-2', cluster: 'prod', database: 'app', type: 'incremental', base: 'full-2',
+        oplog: { start: { t: at('2024-01-15T15:00:00Z'), i: 1 }, end: { t: at('2024-01-15T16:00:00Z'), i: 1 } }
+      },
+      {
+        name: 'inc-1', path: '/backups/inc-1', cluster: 'prod', database: 'app', type: 'incremental', base: 'full-2',
+        oplog: { start: { t: at('2024-01-15T12:00:00Z'), i: 1 }, end: { t: at('2024-01-15T15:00:00Z'), i: 1 } }
+      },
+      {
+        name: 'full-2', path: '/backups/full-2', cluster: 'prod', database: 'app', type: 'full',
+        oplog: { start: { t: at('2024-01-15T11:50:00Z'), i: 1 }, end: { t: at('2024-01-15T12:00:00Z'), i: 1 } }
+      },
+      {
+        name: 'full-1', path: '/backups/full-1', cluster: 'prod', database: 'app', type: 'full',
+        oplog: { start: { t: at('2024-01-14T11:50:00Z'), i: 1 }, end: { t: at('2024-01-14T12:00:00Z'), i: 1 } }
+      }
+    ];
+
+    beforeEach(() => {
+      jest.spyOn(backupManager, 'listBackups').mockResolvedValue(backups);
+    });
+
+    test('should restore the segment covering the requested time from the nearest full backup', async () => {
+      const restoreSpy = jest.spyOn(backupManager, 'restoreBackup');
+      restoreSpy.mockImplementationOnce(async () => ({ restoredCollections: [] }));
+
+      const result = await backupManager.restoreToPointInTime(
+        'prod', 'app', '2024-01-15T14:32:00Z', 'staging', 'app_restored', { dropExisting: true }
+      );
+
+      expect(restoreSpy).toHaveBeenCalledWith('/backups/inc-1', 'staging', 'app_restored', {
+        dropExisting: true,
+        until: { t: at('2024-01-15T14:32:00Z'), i: 0xffffffff }
+      });
+      expect(result.pointInTime).toEqual({
+        requested: new Date('2024-01-15T14:32:00Z'),
+        base: 'full-2',
+        restorePoint: 'inc-1'
+      });
+    });
+
+    test('should fail when captured oplog does not reach the requested time', async () => {
+      await expect(backupManager.restoreToPointInTime('prod', 'app', '2024-01-14T18:00:00Z', 'staging', 'app'))
+        .rejects.toThrow('Captured oplog for prod/app only reaches 2024-01-14T12:00:00.000Z');
+    });
+
+    test('should fail when no full backup precedes the requested time', async () => {
+      await expect(backupManager.restoreToPointInTime('prod', 'app', '2024-01-01T00:00:00Z', 'staging', 'app'))
+        .rejects.toThrow('No full backup of prod/app was completed before 2024-01-01T00:00:00.000Z');
+    });
+
+    test('should reject invalid times', async () => {
+      await expect(backupManager.restoreToPointInTime('prod', 'app', 'yesterday-ish', 'staging', 'app'))
+        .rejects.toThrow('Invalid point in time: yesterday-ish');
+    });
+
+    test('should delegate restoreBackup toTime option using the backup source', async () => {
+      jest.spyOn(backupManager, 'readBackupInfo').mockResolvedValue({ cluster: 'prod', database: 'app' });
+      jest.spyOn(backupManager, 'restoreToPointInTime').mockResolvedValue({ restoredCollections: [] });
+
+      await backupManager.restoreBackup('/backups/inc-1', 'staging', 'app', {
+        toTime: '2024-01-15T14:32:00Z',
+        dropExisting: true
+      });
+
+      expect(backupManager.readBackupInfo).toHaveBeenCalledWith('inc-1');
+      expect(backupManager.restoreToPointInTime).toHaveBeenCalledWith(
+        'prod', 'app', '2024-01-15T14:32:00Z', 'staging', 'app', { dropExisting: true }
+      );
+    });
+  });
+
+  describe('Remote Storage', () => {
+    let storage;
+    let objects;
+    const remoteInfo = {
+      cluster: 'prod',
+      database: 'shop',
+      timestamp: '2024-01-01T00:00:00.000Z',
+      type: 'full',
+      collections: [{ name: 'users' }],
+      totalDocuments: 10
+    };
+
+    beforeEach(() => {
+      objects = {};
+      storage = {
+        type: 's3',
+        describe: key => `s3://backups/${key}`,
+        upload: jest.fn(async (file, key) => { objects[key] = file; }),
+        download: jest.fn().mockResolvedValue(),
+        list: jest.fn(async () => Object.keys(objects).map(key => ({ key, size: 2048, modified: new Date('2024-01-02') }))),
+        readFile: jest.fn(async key => Buffer.from(JSON.stringify(remoteInfo))),
+        delete: jest.fn().mockResolvedValue()
+      };
+      backupManager.storage = storage;
+      fs.stat.mockResolvedValue({ size: 4096 });
+    });
+
+    test('should upload the archive and then its metadata, removing the local copy', async () => {
+      jest.spyOn(backupManager, 'compressBackup').mockResolvedValue();
+
+      const result = await backupManager.createBackup('test-cluster', 'testdb');
+
+      expect(storage.upload.mock.calls.map(([, key]) => key)).toEqual([
+        `${result.name}.zip`,
+        `${result.name}.info.json`
+      ]);
+      expect(result.path).toBe(`s3://backups/${result.name}.zip`);
+      expect(result.info.storage).toEqual({ type: 's3', location: result.path });
+      expect(fs.rmdir).toHaveBeenCalledWith(expect.stringContaining(result.name), { recursive: true });
+      expect(fs.unlink).toHaveBeenCalledWith(expect.stringMatching(/\.zip$/));
+    });
+
+    test('should keep the local backup when the upload fails', async () => {
+      jest.spyOn(backupManager, 'compressBackup').mockResolvedValue();
+      storage.upload.mockRejectedValue(new Error('Access Denied'));
+
+      await expect(backupManager.createBackup('test-cluster', 'testdb')).rejects.toThrow('Access Denied');
+      expect(fs.rmdir).not.toHaveBeenCalled();
+    });
+
+    test('should list remote-only backups from their metadata sidecars', async () => {
+      objects['prod-shop-1.zip'] = true;
+      objects['prod-shop-1.info.json'] = true;
+
+      const backups = await backupManager.listBackups();
+
+      expect(backups).toEqual([expect.objectContaining({
+        name: 'prod-shop-1',
+        cluster: 'prod',
+        database: 'shop',
+        collections: 1,
+        size: 2048,
+        local: false,
+        storage: 's3',
+        location: 's3://backups/prod-shop-1.zip'
+      })]);
+    });
+
+    test('should download a remote archive before restoring it', async () => {
+      const mockExtract = jest.fn().mockResolvedValue();
+      jest.resetModules();
+      jest.doMock('extract-zip', () => mockExtract);
+      fs.stat.mockRejectedValue(Object.assign(new Error('missing'), { code: 'ENOENT' }));
+      fs.readFile.mockResolvedValue(JSON.stringify({ collections: [] }));
+      const archive = path.join(backupManager.backupDir, 'prod-shop-1.zip');
+
+      await backupManager.restoreBackup(archive, 'staging', 'shop');
+
+      expect(storage.download).toHaveBeenCalledWith('prod-shop-1.zip', archive);
+      expect(mockExtract).toHaveBeenCalledWith(archive, expect.any(Object));
+      expect(fs.unlink).toHaveBeenCalledWith(archive);
+    });
+
+    test('should delete expired backups from remote storage', async () => {
+      const created = new Date();
+      created.setDate(created.getDate() - 60);
+      jest.spyOn(backupManager, 'listBackups').mockResolvedValue([
+        { name: 'prod-shop-1', created, compressed: true, local: false, path: '/backups/prod-shop-1.zip', location: 's3://backups/prod-shop-1.zip' }
+      ]);
+
+      await backupManager.cleanupOldBackups(30);
+
+      expect(fs.unlink).not.toHaveBeenCalled();
+      expect(storage.delete).toHaveBeenCalledWith('prod-shop-1.zip');
+      expect(storage.delete).toHaveBeenCalledWith('prod-shop-1.info.json');
+    });
+  });
+
+  describe('List Backups', () => {
+    test('should list uncompressed backups', async () => {
+      fs.readdir.mockResolvedValue(['backup1', 'backup2', 'backup1.zip']);
+      fs.stat
+        .mockResolvedValueOnce({ 
+          isDirectory: () => true, 
+          size: 2048,
+          mtime: new Date('2024-01-01')
+        })
+        .mockResolvedValueOnce({ 
+          isDirectory: () => true, 
+          size: 1024,
+          mtime: new Date('2024-01-02')
+        })
+        .mockResolvedValueOnce({ 
+          isDirectory: () => false, 
+          size: 512,
+          mtime: new Date('2024-01-03')
+        });
+
+      fs.readFile.mockImplementation((filePath) => {
+        if (filePath.includes('backup1')) {
+          return Promise.resolve(JSON.stringify({
+            cluster: 'cluster1',
+            database: 'db1',
+            timestamp: '2024-01-01T10:00:00.000Z',
+            collections: [{ name: 'users' }],
+            totalDocuments: 100
+          }));
+        }
+        return Promise.resolve(JSON.stringify({
+          cluster: 'cluster2',
+          database: 'db2',
+          timestamp: '2024-01-02T10:00:00.000Z',
+          collections: [{ name: 'orders' }],
+          totalDocuments: 50
+        }));
+      });
+
+      const backups = await backupManager.scanBackups();
+
+      expect(backups).toHaveLength(3);
+      expect(backups[0]).toEqual({
+        name: 'backup1.zip',
+        path: expect.stringContaining('backup1.zip'),
+        created: expect.any(Date),
+        size: 512,
+        compressed: true
+      });
+      expect(backups[1]).toEqual({
+        name: 'backup2',
+        path: expect.stringContaining('backup2'),
+        created: '2024-01-02T10:00:00.000Z',
+        cluster: 'cluster2',
+        database: 'db2',
+        type: 'full',
+        parent: undefined,
+        base: undefined,
+        oplog: undefined,
+        collections: 1,
+        totalDocuments: 50,
+        size: expect.any(Number),
+        compressed: false
+      });
+    });
+
+    test('should handle empty backup directory', async () => {
+      fs.readdir.mockResolvedValue([]);
+
+      const backups = await backupManager.scanBackups();
+
+      expect(backups).toEqual([]);
+    });
+
+    test('should skip invalid backup directories', async () => {
+      fs.readdir.mockResolvedValue(['valid-backup', 'invalid-backup']);
+      fs.stat.mockResolvedValue({ isDirectory: () => true, size: 1024 });
+      fs.readFile
+        .mockResolvedValueOnce('{"valid": "backup"}')
+        .mockRejectedValueOnce(new Error('Invalid JSON'));
+
+      const backups = await backupManager.scanBackups();
+
+      expect(backups).toHaveLength(1);
+    });
+
+    test('should sort backups by creation date (newest first)', async () => {
+      fs.readdir.mockResolvedValue(['old-backup', 'new-backup']);
+      fs.stat.mockResolvedValue({ isDirectory: () => true, size: 1024 });
+      fs.readFile
+        .mockResolvedValueOnce(JSON.stringify({
+          timestamp: '2024-01-01T10:00:00.000Z',
+          collections: []
+        }))
+        .mockResolvedValueOnce(JSON.stringify({
+          timestamp: '2024-01-02T10:00:00.000Z',
+          collections: []
+        }));
+
+      const backups = await backupManager.scanBackups();
+
+      expect(backups[0].name).toBe('new-backup');
+      expect(backups[1].name).toBe('old-backup');
+    });
+  });
+
+  describe('Backup Catalog', () => {
+    let files;
+    const catalogPath = () => path.join(backupManager.backupDir, 'catalog.json');
+
+    beforeEach(() => {
+      files = {};
+      fs.writeFile.mockImplementation(async (file, content) => {
+        files[file] = content;
+      });
+      fs.readFile.mockImplementation(async (file) => {
+        if (file in files) return files[file];
+        if (file === catalogPath()) throw Object.assign(new Error('ENOENT'), { code: 'ENOENT' });
+        return JSON.stringify({
+          cluster: 'prod',
+          database: 'shop',
+          timestamp: '2024-01-01T00:00:00.000Z',
+          collections: [{ name: 'users' }],
+          files: { 'users.ndjson': { sha256: 'ab', size: 2048 } },
+          totalSize: 2048,
+          tags: ['weekly']
+        });
+      });
+    });
+
+    test('should build the catalog from storage once and answer later listings from it', async () => {
+      fs.readdir.mockResolvedValue(['prod-shop-1', 'catalog.json']);
+      fs.stat.mockImplementation(async (file) => ({ isDirectory: () => !file.endsWith('.json'), size: 4096 }));
+
+      const weekly = await backupManager.listBackups({ tags: 'weekly' });
+
+      expect(weekly).toEqual([expect.objectContaining({
+        name: 'prod-shop-1',
+        cluster: 'prod',
+        tags: ['weekly'],
+        size: 2048,
+        checksum: expect.stringMatching(/^[0-9a-f]{64}$/)
+      })]);
+      expect(mockLogger.info).toHaveBeenCalledWith('Backup catalog rebuilt with 1 backups');
+
+      expect(await backupManager.listBackups({ cluster: 'staging' })).toEqual([]);
+      expect(await backupManager.listBackups()).toHaveLength(1);
+      expect(fs.readdir).toHaveBeenCalledTimes(1);
+    });
+
+    test('should record new backups with their tags and drop deleted ones', async () => {
+      await backupManager.rebuildCatalog();
+
+      const result = await backupManager.createBackup('test-cluster', 'testdb', {
+        tags: ['pre-release'],
+        retentionClass: 'long'
+      });
+      expect(result.info.tags).toEqual(['pre-release']);
+
+      const listed = await backupManager.listBackups({ tags: ['pre-release'], retentionClass: 'long' });
+      expect(listed).toEqual([expect.objectContaining({
+        name: result.name,
+        cluster: 'test-cluster',
+        database: 'testdb',
+        size: 0,
+        compressed: false
+      })]);
+
+      await backupManager.deleteBackup(listed[0]);
+      expect(await backupManager.listBackups()).toEqual([]);
+    });
+
+    test('should not fail a backup when the catalog cannot be updated', async () => {
+      jest.spyOn(backupManager.getCatalog(), 'upsert').mockRejectedValue(new Error('disk full'));
+
+      const result = await backupManager.createBackup('test-cluster', 'testdb');
+
+      expect(result.name).toContain('test-cluster');
+      expect(mockLogger.warn).toHaveBeenCalledWith(`Failed to add ${result.name} to the backup catalog:`, 'disk full');
+    });
+  });
+
+  describe('Scheduled Backups', () => {
+    test('should schedule backup successfully', async () => {
+      const mockJob = {
+        start: jest.fn(),
+        stop: jest.fn(),
+        nextDate: jest.fn().mockReturnValue(new Date())
+      };
+      cron.schedule.mockReturnValue(mockJob);
+
+      const jobId = await backupManager.scheduleBackup(
+        'test-cluster',
+        'testdb',
+        '0 2 * * *',
+        { compress: true }
+      );
+
+      expect(cron.schedule).toHaveBeenCalledWith(
+        '0 2 * * *',
+        expect.any(Function),
+        { scheduled: false }
+      );
+      expect(mockJob.start).toHaveBeenCalled();
+      expect(backupManager.scheduledJobs.has(jobId)).toBe(true);
+      expect(mockConfig.setSetting).toHaveBeenCalled();
+      expect(mockConfig.save).toHaveBeenCalled();
+    });
+
+    test('should stop existing job when rescheduling', async () => {
+      const existingJob = {
+        job: { stop: jest.fn() },
+        cluster: 'test-cluster',
+        database: 'testdb'
+      };
+      backupManager.scheduledJobs.set('test-cluster-testdb', existingJob);
+
+      const mockJob = {
+        start: jest.fn(),
+        stop: jest.fn(),
+        nextDate: jest.fn().mockReturnValue(new Date())
+      };
+      cron.schedule.mockReturnValue(mockJob);
+
+      await backupManager.scheduleBackup('test-cluster', 'testdb', '0 3 * * *');
+
+      expect(existingJob.job.stop).toHaveBeenCalled();
+    });
+
+    test('should unschedule backup successfully', async () => {
+      const mockJob = {
+        job: { stop: jest.fn() },
+        cluster: 'test-cluster',
+        database: 'testdb'
+      };
+      backupManager.scheduledJobs.set('test-job', mockJob);
+      jest.spyOn(backupManager, 'removeScheduleFromConfig').mockResolvedValue();
+
+      const result = await backupManager.unscheduleBackup('test-job');
+
+      expect(result).toBe(true);
+      expect(mockJob.job.stop).toHaveBeenCalled();
+      expect(backupManager.scheduledJobs.has('test-job')).toBe(false);
+      expect(backupManager.removeScheduleFromConfig).toHaveBeenCalledWith('test-job');
+    });
+
+    test('should return false when unscheduling non-existent job', async () => {
+      const result = await backupManager.unscheduleBackup('non-existent');
+
+      expect(result).toBe(false);
+    });
+
+    test('should load scheduled backups from config', async () => {
+      const schedules = {
         'job1': {
           cluster: 'cluster1',
           database: 'db1',
@@ -589,7 +2245,9 @@ describe('BackupManager', () => {
         pattern: '0 2 * * *',
         options: { compress: true },
         createdAt: expect.any(Date),
-        nextRun: expect.any(Date)
+        nextRun: expect.any(Date),
+        lastRun: null,
+        lock: null
       });
     });
   });
@@ -676,6 +2334,299 @@ describe('BackupManager', () => {
     });
   });
 
+  describe('Retention Policies', () => {
+    const listed = [
+      { name: 'prod-app-3', cluster: 'prod', database: 'app', created: '2024-03-03T02:00:00Z', path: '/b/prod-app-3', compressed: false },
+      { name: 'prod-app-2', cluster: 'prod', database: 'app', created: '2024-03-02T02:00:00Z', path: '/b/prod-app-2', compressed: false },
+      { name: 'prod-app-1', cluster: 'prod', database: 'app', created: '2024-03-01T02:00:00Z', path: '/b/prod-app-1.zip', compressed: true },
+      { name: 'dev-app-1', cluster: 'dev', database: 'app', created: '2024-01-01T02:00:00Z', path: '/b/dev-app-1', compressed: false }
+    ];
+
+    beforeEach(() => {
+      jest.spyOn(backupManager, 'listBackups').mockResolvedValue(listed);
+      mockConfig.getSetting.mockImplementation(key =>
+        key === 'backupRetentionPolicies' ? { 'prod/app': { daily: 2 } } : undefined
+      );
+    });
+
+    test('should list what would be pruned in a dry run', async () => {
+      const result = await backupManager.pruneBackups({ dryRun: true });
+
+      expect(result).toEqual({
+        dryRun: true,
+        deleted: 0,
+        groups: [{
+          cluster: 'prod',
+          database: 'app',
+          policy: { daily: 2 },
+          keep: [
+            { name: 'prod-app-3', created: '2024-03-03T02:00:00Z', reasons: ['daily', 'latest'] },
+            { name: 'prod-app-2', created: '2024-03-02T02:00:00Z', reasons: ['daily'] }
+          ],
+          prune: [{ name: 'prod-app-1', created: '2024-03-01T02:00:00Z' }],
+          errors: []
+        }]
+      });
+      expect(fs.unlink).not.toHaveBeenCalled();
+      expect(fs.rmdir).not.toHaveBeenCalled();
+    });
+
+    test('should delete pruned backups and leave databases without a policy alone', async () => {
+      const result = await backupManager.pruneBackups();
+
+      expect(result.deleted).toBe(1);
+      expect(fs.unlink).toHaveBeenCalledWith('/b/prod-app-1.zip');
+      expect(fs.rmdir).not.toHaveBeenCalledWith('/b/dev-app-1', expect.anything());
+    });
+
+    test('should prune after each scheduled backup', async () => {
+      jest.spyOn(backupManager, 'createBackup').mockResolvedValue({});
+      jest.spyOn(backupManager, 'pruneBackups').mockResolvedValue({ groups: [], deleted: 0 });
+
+      cron.schedule.mockReturnValue({ start: jest.fn(), stop: jest.fn() });
+      await backupManager.scheduleBackup('prod', 'app', '0 * * * *');
+      const [, runJob] = cron.schedule.mock.calls[0];
+      await runJob();
+
+      expect(backupManager.pruneBackups).toHaveBeenCalledWith({ cluster: 'prod', database: 'app' });
+    });
+
+    test('should not prune when the scheduled backup failed', async () => {
+      jest.spyOn(backupManager, 'createBackup').mockRejectedValue(new Error('Connection lost'));
+      jest.spyOn(backupManager, 'pruneBackups');
+
+      cron.schedule.mockReturnValue({ start: jest.fn(), stop: jest.fn() });
+      await backupManager.scheduleBackup('prod', 'app', '0 * * * *');
+      const [, runJob] = cron.schedule.mock.calls[0];
+      await runJob();
+
+      expect(backupManager.pruneBackups).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Job History', () => {
+    let notify;
+    let ledger;
+
+    const runJob = async () => {
+      cron.schedule.mockReturnValue({ start: jest.fn(), stop: jest.fn(), nextDate: jest.fn() });
+      await backupManager.scheduleBackup('prod', 'app', '0 * * * *');
+      const [, job] = cron.schedule.mock.calls[0];
+      return job();
+    };
+
+    beforeEach(() => {
+      ledger = '';
+      fs.readFile.mockImplementation(async (file) => {
+        if (file.endsWith('job-history.ndjson') && ledger) return ledger;
+        throw Object.assign(new Error('not found'), { code: 'ENOENT' });
+      });
+      fs.writeFile.mockImplementation(async (file, content) => {
+        if (file.endsWith('job-history.ndjson')) ledger = content;
+      });
+      notify = jest.fn().mockResolvedValue([]);
+      jest.spyOn(backupManager, 'getNotifier').mockReturnValue({ notify });
+    });
+
+    test('should record successful runs without notifying', async () => {
+      jest.spyOn(backupManager, 'createBackup').mockResolvedValue({
+        name: 'prod-app-1',
+        size: 2048,
+        info: { status: 'complete' }
+      });
+
+      const run = await runJob();
+
+      expect(run).toEqual(expect.objectContaining({
+        jobId: 'prod-app',
+        cluster: 'prod',
+        database: 'app',
+        status: 'success',
+        backup: 'prod-app-1',
+        size: 2048,
+        error: null,
+        durationMs: expect.any(Number)
+      }));
+      expect(await backupManager.listJobRuns({ jobId: 'prod-app' })).toEqual([run]);
+      expect(backupManager.listScheduledBackups()[0].lastRun).toEqual(run);
+      expect(notify).not.toHaveBeenCalled();
+    });
+
+    test('should record failures and notify the configured channels', async () => {
+      jest.spyOn(backupManager, 'createBackup').mockRejectedValue(new Error('Connection lost'));
+
+      const run = await runJob();
+
+      expect(run).toEqual(expect.objectContaining({
+        status: 'failed',
+        error: 'Connection lost',
+        backup: null,
+        finishedAt: expect.any(String),
+        durationMs: expect.any(Number)
+      }));
+      expect(await backupManager.listJobRuns({ status: 'failed' })).toEqual([run]);
+      expect(notify).toHaveBeenCalledWith(expect.objectContaining({
+        event: 'backup.failed',
+        severity: 'critical',
+        title: 'Scheduled backup prod-app failed',
+        message: 'Connection lost',
+        cluster: 'prod',
+        database: 'app'
+      }));
+    });
+
+    test('should notify about partial backups', async () => {
+      jest.spyOn(backupManager, 'createBackup').mockResolvedValue({ name: 'prod-app-1', info: { status: 'partial' } });
+
+      const run = await runJob();
+
+      expect(run.status).toBe('partial');
+      expect(notify).toHaveBeenCalledWith(expect.objectContaining({ event: 'backup.partial', severity: 'warning' }));
+    });
+
+    test('should still notify when the ledger cannot be written', async () => {
+      jest.spyOn(backupManager, 'createBackup').mockRejectedValue(new Error('Connection lost'));
+      fs.writeFile.mockRejectedValue(new Error('Disk full'));
+
+      await expect(runJob()).resolves.toEqual(expect.objectContaining({ status: 'failed' }));
+      expect(mockLogger.error).toHaveBeenCalledWith('Failed to record scheduled backup run: prod-app', expect.any(Error));
+      expect(notify).toHaveBeenCalled();
+    });
+
+    test('should restore the last run of loaded schedules from the ledger', async () => {
+      ledger = [
+        { jobId: 'prod-app', status: 'failed', startedAt: '2024-03-01T00:00:00Z' },
+        { jobId: 'prod-app', status: 'success', startedAt: '2024-03-02T00:00:00Z' }
+      ].map(run => JSON.stringify(run)).join('\n');
+      mockConfig.getSetting.mockImplementation(key => key === 'backupSchedules' ?
+        { 'prod-app': { cluster: 'prod', database: 'app', pattern: '0 * * * *' } } :
+        undefined);
+      cron.schedule.mockReturnValue({ start: jest.fn(), stop: jest.fn(), nextDate: jest.fn() });
+
+      await backupManager.loadScheduledBackups();
+
+      expect(backupManager.listScheduledBackups()[0].lastRun).toEqual(
+        expect.objectContaining({ status: 'success', startedAt: '2024-03-02T00:00:00Z' })
+      );
+    });
+  });
+
+  describe('Job Leases', () => {
+    let lock;
+
+    const schedule = async () => {
+      cron.schedule.mockReturnValue({ start: jest.fn(), stop: jest.fn(), nextDate: jest.fn() });
+      await backupManager.scheduleBackup('prod', 'app', '0 * * * *');
+      return cron.schedule.mock.calls[0][1];
+    };
+
+    beforeEach(() => {
+      lock = {
+        owner: 'host-a:1',
+        ttlMs: 60000,
+        acquire: jest.fn(),
+        renew: jest.fn().mockResolvedValue(true),
+        release: jest.fn().mockResolvedValue(),
+        holder: jest.fn().mockResolvedValue(null)
+      };
+      jest.spyOn(backupManager, 'getJobLock').mockReturnValue(lock);
+      jest.spyOn(backupManager, 'getJobHistory').mockReturnValue({
+        record: jest.fn(async run => run),
+        latestRuns: jest.fn().mockResolvedValue({})
+      });
+      jest.spyOn(backupManager, 'getNotifier').mockReturnValue({ notify: jest.fn() });
+      jest.spyOn(backupManager, 'createBackup').mockResolvedValue({ name: 'prod-app-1', info: {} });
+    });
+
+    test('should run the job and keep the lease when it is acquired', async () => {
+      const lease = { jobId: 'prod-app', owner: 'host-a:1', host: 'host-a', expiresAt: new Date() };
+      lock.acquire.mockResolvedValue(lease);
+      const runJob = await schedule();
+
+      const run = await runJob();
+
+      expect(run.status).toBe('success');
+      expect(lock.acquire).toHaveBeenCalledWith('prod-app');
+      expect(lock.renew).toHaveBeenCalledWith('prod-app');
+      expect(lock.release).not.toHaveBeenCalled();
+      expect(backupManager.listScheduledBackups()[0].lock).toEqual({ ...lease, held: true });
+    });
+
+    test('should skip the job while another instance holds the lease', async () => {
+      const holder = { jobId: 'prod-app', owner: 'host-b:7', host: 'host-b', expiresAt: new Date() };
+      lock.acquire.mockResolvedValue(null);
+      lock.holder.mockResolvedValue(holder);
+      const runJob = await schedule();
+
+      expect(await runJob()).toBeNull();
+
+      expect(backupManager.createBackup).not.toHaveBeenCalled();
+      expect(backupManager.getJobHistory().record).not.toHaveBeenCalled();
+      expect(mockLogger.info).toHaveBeenCalledWith('Skipping scheduled backup prod-app: lease held by host-b:7');
+      expect(backupManager.listScheduledBackups()[0].lock).toEqual({ ...holder, held: false });
+    });
+
+    test('should record a failed run when the lease store is unreachable', async () => {
+      lock.acquire.mockRejectedValue(new Error('connection refused'));
+      const runJob = await schedule();
+
+      const run = await runJob();
+
+      expect(run).toEqual(expect.objectContaining({ status: 'failed', error: 'connection refused' }));
+      expect(backupManager.createBackup).not.toHaveBeenCalled();
+      expect(lock.renew).not.toHaveBeenCalled();
+    });
+
+    test('should renew the lease while a long backup runs', async () => {
+      jest.useFakeTimers();
+      try {
+        let finishBackup;
+        backupManager.createBackup.mockReturnValue(new Promise(resolve => { finishBackup = resolve; }));
+        lock.acquire.mockResolvedValue({ jobId: 'prod-app', owner: 'host-a:1' });
+        const runJob = await schedule();
+
+        const running = runJob();
+        await jest.advanceTimersByTimeAsync(45000);
+        expect(lock.renew).toHaveBeenCalledTimes(2);
+
+        finishBackup({ name: 'prod-app-1', info: {} });
+        await running;
+        await jest.advanceTimersByTimeAsync(60000);
+        expect(lock.renew).toHaveBeenCalledTimes(3);
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    test('should show lease holders of loaded schedules', async () => {
+      lock.holder.mockResolvedValue({ jobId: 'prod-app', owner: 'host-b:7' });
+      mockConfig.getSetting.mockImplementation(key => key === 'backupSchedules' ?
+        { 'prod-app': { cluster: 'prod', database: 'app', pattern: '0 * * * *' } } :
+        undefined);
+      cron.schedule.mockReturnValue({ start: jest.fn(), stop: jest.fn(), nextDate: jest.fn() });
+
+      await backupManager.loadScheduledBackups();
+
+      expect(backupManager.listScheduledBackups()[0].lock).toEqual({ jobId: 'prod-app', owner: 'host-b:7', held: false });
+    });
+
+    test('should release held leases on unschedule and shutdown', async () => {
+      lock.acquire.mockResolvedValue({ jobId: 'prod-app', owner: 'host-a:1' });
+      jest.spyOn(backupManager, 'removeScheduleFromConfig').mockResolvedValue();
+      const runJob = await schedule();
+      await runJob();
+
+      await backupManager.shutdown();
+      expect(lock.release).toHaveBeenCalledWith('prod-app');
+      expect(backupManager.scheduledJobs.size).toBe(0);
+
+      lock.release.mockClear();
+      await schedule();
+      await backupManager.unscheduleBackup('prod-app');
+      expect(lock.release).toHaveBeenCalledWith('prod-app');
+    });
+  });
+
   describe('Configuration Management', () => {
     test('should save schedule to config', async () => {
       const schedule = {
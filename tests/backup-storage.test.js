@@ -0,0 +1,223 @@
+const {
+  createStorageAdapter,
+  FilesystemStorageAdapter,
+  S3StorageAdapter,
+  SftpStorageAdapter
+} = require('../lib/backup-storage');
+const fs = require('fs').promises;
+const { mkdtempSync, writeFileSync, rmSync } = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { once } = require('events');
+const { S3Client, PutObjectCommand, GetObjectCommand, ListObjectsV2Command } = require('@aws-sdk/client-s3');
+const { mockClient } = require('aws-sdk-client-mock');
+
+// The real S3 client, with its commands answered by aws-sdk-client-mock
+const s3Mock = mockClient(S3Client);
+
+const mockSftp = {
+  connect: jest.fn(),
+  end: jest.fn(),
+  mkdir: jest.fn(),
+  fastPut: jest.fn(),
+  fastGet: jest.fn(),
+  list: jest.fn(),
+  get: jest.fn(),
+  delete: jest.fn()
+};
+jest.mock('ssh2-sftp-client', () => function () {
+  return mockSftp;
+});
+
+describe('Backup storage', () => {
+  beforeEach(() => {
+    Object.values(mockSftp).forEach(fn => fn.mockResolvedValue());
+  });
+
+  describe('createStorageAdapter', () => {
+    test('should keep backups local when no storage is configured', () => {
+      expect(createStorageAdapter(undefined)).toBeNull();
+      expect(createStorageAdapter({ type: 'local' })).toBeNull();
+    });
+
+    test('should create adapters by type', () => {
+      expect(createStorageAdapter({ type: 'filesystem', path: '/mnt/backups' })).toBeInstanceOf(FilesystemStorageAdapter);
+      expect(createStorageAdapter({ type: 's3', bucket: 'backups' })).toBeInstanceOf(S3StorageAdapter);
+      expect(createStorageAdapter({ type: 'sftp', host: 'backup-host' })).toBeInstanceOf(SftpStorageAdapter);
+    });
+
+    test('should reject unknown types and incomplete settings', () => {
+      expect(() => createStorageAdapter({ type: 'ftp' })).toThrow('Unknown backup storage type: ftp');
+      expect(() => createStorageAdapter({ type: 's3' })).toThrow('S3 backup storage requires a bucket');
+    });
+  });
+
+  describe('FilesystemStorageAdapter', () => {
+    test('should copy archives into and out of the target directory', async () => {
+      fs.mkdir.mockResolvedValue();
+      fs.copyFile.mockResolvedValue();
+      const storage = new FilesystemStorageAdapter({ path: '/mnt/backups' });
+
+      await storage.upload('/tmp/b1.zip', 'b1.zip');
+      await storage.download('b1.zip', '/restore/b1.zip');
+
+      expect(fs.copyFile).toHaveBeenCalledWith('/tmp/b1.zip', path.join('/mnt/backups', 'b1.zip'));
+      expect(fs.copyFile).toHaveBeenCalledWith(path.join('/mnt/backups', 'b1.zip'), '/restore/b1.zip');
+    });
+
+    test('should list files only', async () => {
+      const modified = new Date('2024-01-01');
+      fs.readdir.mockResolvedValue(['b1.zip', 'nested']);
+      fs.stat.mockImplementation(async file => ({
+        isDirectory: () => file.endsWith('nested'),
+        size: 10,
+        mtime: modified
+      }));
+
+      const objects = await new FilesystemStorageAdapter({ path: '/mnt/backups' }).list();
+
+      expect(objects).toEqual([{ key: 'b1.zip', size: 10, modified }]);
+    });
+  });
+
+  describe('S3StorageAdapter', () => {
+    let workDir;
+
+    beforeEach(() => {
+      workDir = mkdtempSync(path.join(os.tmpdir(), 'mm-s3-'));
+      s3Mock.reset();
+    });
+
+    afterEach(() => {
+      jest.dontMock('@aws-sdk/lib-storage');
+      rmSync(workDir, { recursive: true, force: true });
+    });
+
+    test('should target S3-compatible endpoints such as MinIO', async () => {
+      const archive = path.join(workDir, 'b1.zip');
+      writeFileSync(archive, 'zip');
+      s3Mock.on(PutObjectCommand).resolves({ ETag: '"etag"' });
+
+      const storage = new S3StorageAdapter({
+        bucket: 'backups',
+        prefix: 'prod',
+        endpoint: 'http://localhost:9000',
+        forcePathStyle: true,
+        accessKeyId: 'minio',
+        secretAccessKey: 'minio123'
+      });
+      await storage.upload(archive, 'b1.zip');
+
+      const { config } = storage.getClient();
+      expect(config.forcePathStyle).toBe(true);
+      expect(await config.endpoint()).toMatchObject({ protocol: 'http:', hostname: 'localhost', port: 9000 });
+      expect(await config.credentials()).toMatchObject({ accessKeyId: 'minio', secretAccessKey: 'minio123' });
+      // Small archives go up in one request through lib-storage
+      const [call] = s3Mock.commandCalls(PutObjectCommand);
+      expect(call.args[0].input).toMatchObject({ Bucket: 'backups', Key: 'prod/b1.zip' });
+      expect(Buffer.from(call.args[0].input.Body).toString()).toBe('zip');
+      expect(storage.describe('b1.zip')).toBe('s3://backups/prod/b1.zip');
+    });
+
+    test('should upload in a single request without lib-storage', async () => {
+      const archive = path.join(workDir, 'b1.zip');
+      writeFileSync(archive, 'zip');
+      fs.stat.mockResolvedValue({ size: 3 });
+      s3Mock.on(PutObjectCommand).resolves({});
+      jest.doMock('@aws-sdk/lib-storage', () => {
+        throw Object.assign(new Error('Cannot find module'), { code: 'MODULE_NOT_FOUND' });
+      });
+
+      await new S3StorageAdapter({ bucket: 'backups', prefix: 'prod' }).upload(archive, 'b1.zip');
+
+      const [call] = s3Mock.commandCalls(PutObjectCommand);
+      const { input } = call.args[0];
+      expect(input).toMatchObject({ Bucket: 'backups', Key: 'prod/b1.zip', ContentLength: 3 });
+      input.Body.destroy();
+      await once(input.Body, 'close');
+    });
+
+    test('should page through listings and strip the prefix', async () => {
+      s3Mock.on(ListObjectsV2Command)
+        .resolvesOnce({
+          Contents: [{ Key: 'prod/b1.zip', Size: 1, LastModified: new Date(1) }],
+          IsTruncated: true,
+          NextContinuationToken: 'next'
+        })
+        .resolvesOnce({
+          Contents: [
+            { Key: 'prod/b1.info.json', Size: 2, LastModified: new Date(2) },
+            { Key: 'prod/other/ignored.zip', Size: 3, LastModified: new Date(3) }
+          ]
+        });
+
+      const objects = await new S3StorageAdapter({ bucket: 'backups', prefix: 'prod/' }).list();
+
+      expect(objects.map(object => object.key)).toEqual(['b1.zip', 'b1.info.json']);
+      const calls = s3Mock.commandCalls(ListObjectsV2Command);
+      expect(calls[0].args[0].input).toEqual({ Bucket: 'backups', Prefix: 'prod/', ContinuationToken: undefined });
+      expect(calls[1].args[0].input.ContinuationToken).toBe('next');
+    });
+
+    test('should stream downloads to a local file', async () => {
+      const target = path.join(workDir, 'restored.zip');
+      s3Mock.on(GetObjectCommand, { Bucket: 'backups', Key: 'b1.zip' })
+        .resolves({ Body: Readable.from([Buffer.from('archive')]) });
+
+      await new S3StorageAdapter({ bucket: 'backups' }).download('b1.zip', target);
+
+      expect(require('fs').readFileSync(target, 'utf8')).toBe('archive');
+    });
+
+    test('should read small files through the body helpers', async () => {
+      const body = Object.assign(Readable.from([]), {
+        transformToByteArray: async () => new Uint8Array(Buffer.from('{"name":"b1"}'))
+      });
+      s3Mock.on(GetObjectCommand, { Bucket: 'backups', Key: 'prod/b1.info.json' }).resolves({ Body: body });
+
+      const content = await new S3StorageAdapter({ bucket: 'backups', prefix: 'prod' }).readFile('b1.info.json');
+
+      expect(content.toString()).toBe('{"name":"b1"}');
+    });
+  });
+
+  describe('SftpStorageAdapter', () => {
+    test('should upload into the remote directory and close the session', async () => {
+      const storage = new SftpStorageAdapter({ host: 'backup-host', username: 'mm', password: 'secret', path: '/srv/backups' });
+
+      await storage.upload('/tmp/b1.zip', 'b1.zip');
+
+      expect(mockSftp.connect).toHaveBeenCalledWith(expect.objectContaining({ host: 'backup-host', port: 22 }));
+      expect(mockSftp.fastPut).toHaveBeenCalledWith('/tmp/b1.zip', '/srv/backups/b1.zip');
+      expect(mockSftp.end).toHaveBeenCalled();
+    });
+
+    test('should list regular files', async () => {
+      mockSftp.list.mockResolvedValue([
+        { name: 'b1.zip', type: '-', size: 5, modifyTime: 1000 },
+        { name: 'archive', type: 'd', size: 0, modifyTime: 1000 }
+      ]);
+
+      const objects = await new SftpStorageAdapter({ host: 'backup-host' }).list();
+
+      expect(objects).toEqual([{ key: 'b1.zip', size: 5, modified: new Date(1000) }]);
+    });
+
+    test('should only call methods the installed ssh2-sftp-client provides', () => {
+      const { prototype } = jest.requireActual('ssh2-sftp-client');
+
+      for (const method of Object.keys(mockSftp)) {
+        expect(typeof prototype[method]).toBe('function');
+      }
+    });
+
+    test('should close the session when an operation fails', async () => {
+      mockSftp.fastGet.mockRejectedValue(new Error('No such file'));
+
+      await expect(new SftpStorageAdapter({ host: 'backup-host' }).download('missing.zip', '/tmp/x.zip'))
+        .rejects.toThrow('No such file');
+      expect(mockSftp.end).toHaveBeenCalled();
+    });
+  });
+});
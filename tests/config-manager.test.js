@@ -269,6 +269,128 @@ describe('ConfigManager', () => {
     });
   });
 
+  describe('Masking Profiles', () => {
+    beforeEach(() => {
+      configManager.config = { clusters: {}, settings: {} };
+    });
+
+    test('should store profiles with an encrypted secret', () => {
+      configManager.setMaskingProfile('dev', {
+        description: 'Developer copies',
+        fields: { 'users.email': 'fake:email' }
+      });
+
+      const stored = configManager.config.settings.maskingProfiles.dev;
+      const profile = configManager.getMaskingProfile('dev');
+
+      expect(profile.fields).toEqual({ 'users.email': 'fake:email' });
+      expect(profile.secret).toMatch(/^[0-9a-f]{64}$/);
+      expect(stored.secret).not.toContain(profile.secret);
+      expect(configManager.getMaskingProfiles()).toEqual({
+        dev: expect.not.objectContaining({ secret: expect.anything() })
+      });
+      expect(configManager.getMaskingProfile('missing')).toBeUndefined();
+    });
+
+    test('should keep the secret when a profile is updated', () => {
+      configManager.setMaskingProfile('dev', { fields: { 'users.email': 'hash' } });
+      const { secret } = configManager.getMaskingProfile('dev');
+
+      configManager.setMaskingProfile('dev', { fields: { 'users.email': 'hash', 'users.phone': 'format' } });
+
+      expect(configManager.getMaskingProfile('dev')).toEqual(expect.objectContaining({
+        secret,
+        fields: { 'users.email': 'hash', 'users.phone': 'format' }
+      }));
+    });
+
+    test('should validate and remove profiles', () => {
+      expect(() => configManager.setMaskingProfile('dev', { fields: { 'users.email': 'scramble' } }))
+        .toThrow('Unknown masking strategy');
+
+      configManager.setMaskingProfile('dev', { fields: { 'users.email': 'null' } });
+
+      expect(configManager.removeMaskingProfile('dev')).toBe(true);
+      expect(configManager.removeMaskingProfile('dev')).toBe(false);
+      expect(configManager.getMaskingProfiles()).toEqual({});
+    });
+
+    test('should refuse to create profiles without MM_ENCRYPTION_KEY', () => {
+      const encryptionKey = process.env.MM_ENCRYPTION_KEY;
+      configManager.setMaskingProfile('dev', { fields: { 'users.email': 'hash' } });
+      delete process.env.MM_ENCRYPTION_KEY;
+      try {
+        expect(() => configManager.setMaskingProfile('qa', { fields: { 'users.email': 'hash' } }))
+          .toThrow('MM_ENCRYPTION_KEY is not set, so the secret of masking profile qa could not be read back');
+        expect(configManager.getMaskingProfiles()).not.toHaveProperty('qa');
+
+        // Existing profiles keep their secret, so they can still be edited
+        configManager.setMaskingProfile('dev', { fields: { 'users.email': 'null' } });
+      } finally {
+        process.env.MM_ENCRYPTION_KEY = encryptionKey;
+      }
+      expect(configManager.getMaskingProfile('dev').fields).toEqual({ 'users.email': 'null' });
+    });
+
+    test('should explain secrets that cannot be decrypted', () => {
+      configManager.config.settings.maskingProfiles = {
+        dev: { fields: { 'users.email': 'null' }, secret: 'not-encrypted' }
+      };
+
+      expect(() => configManager.getMaskingProfile('dev')).toThrow('check MM_ENCRYPTION_KEY');
+    });
+  });
+
+  describe('Alert Rules', () => {
+    beforeEach(() => {
+      configManager.config = { clusters: {}, settings: {} };
+    });
+
+    test('should store validated rules with defaults', () => {
+      configManager.setAlertRule('memory-pressure', {
+        metric: 'server.memory.resident',
+        threshold: 2048,
+        for: '5m',
+        scope: { environments: ['production'] }
+      });
+
+      expect(configManager.getAlertRules()['memory-pressure']).toEqual(expect.objectContaining({
+        metric: 'server.memory.resident',
+        comparator: '>',
+        threshold: 2048,
+        for: '5m',
+        severity: 'warning',
+        enabled: true,
+        createdAt: expect.any(String)
+      }));
+    });
+
+    test('should reject rules whose window is longer than the samples kept in memory', () => {
+      const rule = { metric: 'server.memory.resident', threshold: 1000, for: '1h' };
+
+      expect(() => configManager.setAlertRule('HIGH_MEMORY_USAGE', rule))
+        .toThrow('The for window of 1h is longer than the 2970s of samples kept (100 samples 30s apart), so it could never fire');
+      expect(configManager.getAlertRules()).toEqual({});
+
+      configManager.setAlertRule('HIGH_MEMORY_USAGE', rule, { intervalMs: 60000 });
+      expect(configManager.getAlertRules().HIGH_MEMORY_USAGE).toEqual(expect.objectContaining({ for: '1h' }));
+    });
+
+    test('should reject invalid rules and remove existing ones', () => {
+      expect(() => configManager.setAlertRule('bad', { metric: 'server.memory.resident', threshold: 'high' }))
+        .toThrow('numeric threshold');
+      expect(() => configManager.setAlertRule('bad', { metric: 'derived.diskUsage', threshold: 1 }))
+        .toThrow('Unknown derived metric');
+      expect(() => configManager.setAlertRule('bad', { metric: 'server.uptime', threshold: 1, for: 'soon' }))
+        .toThrow('Invalid alert rule duration');
+
+      configManager.setAlertRule('uptime', { metric: 'server.uptime', comparator: '<', threshold: 60 });
+      expect(configManager.removeAlertRule('uptime')).toBe(true);
+      expect(configManager.removeAlertRule('uptime')).toBe(false);
+      expect(configManager.getAlertRules()).toEqual({});
+    });
+  });
+
   describe('Validation', () => {
     test('should validate valid cluster configuration', () => {
       const validConfig = {
@@ -0,0 +1,97 @@
+const fs = require('fs').promises;
+const JobHistory = require('../lib/job-history');
+
+describe('JobHistory', () => {
+  let files;
+  let history;
+
+  beforeEach(() => {
+    files = {};
+    fs.mkdir.mockResolvedValue();
+    fs.readFile.mockImplementation(async (file) => {
+      if (files[file] === undefined) {
+        throw Object.assign(new Error('not found'), { code: 'ENOENT' });
+      }
+      return files[file];
+    });
+    fs.writeFile.mockImplementation(async (file, content) => {
+      files[file] = content;
+    });
+    history = new JobHistory('/backups/job-history.ndjson', { maxEntries: 3 });
+  });
+
+  const run = (jobId, startedAt, extra = {}) => ({
+    jobId,
+    cluster: jobId.split('-')[0],
+    startedAt,
+    finishedAt: new Date(new Date(startedAt).getTime() + 1500).toISOString(),
+    status: 'success',
+    ...extra
+  });
+
+  test('should return an empty ledger before the first run', async () => {
+    expect(await history.list()).toEqual([]);
+  });
+
+  test('should record runs with an ID and duration', async () => {
+    const entry = await history.record(run('prod-app', '2024-03-01T00:00:00Z'));
+
+    expect(entry).toEqual(expect.objectContaining({ id: expect.any(String), durationMs: 1500 }));
+    expect(files['/backups/job-history.ndjson']).toBe(`${JSON.stringify(entry)}\n`);
+  });
+
+  test('should time runs recorded without a finish time', async () => {
+    jest.useFakeTimers({ now: new Date('2024-03-01T00:00:02.500Z') });
+    try {
+      const entry = await history.record({ jobId: 'prod-app', startedAt: '2024-03-01T00:00:00.000Z', status: 'failed' });
+
+      expect(entry).toEqual(expect.objectContaining({
+        status: 'failed',
+        finishedAt: '2024-03-01T00:00:02.500Z',
+        durationMs: 2500
+      }));
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('should list runs newest first with filters', async () => {
+    await history.record(run('prod-app', '2024-03-01T00:00:00Z'));
+    await history.record(run('prod-app', '2024-03-02T00:00:00Z', { status: 'failed' }));
+    await history.record(run('dev-app', '2024-03-03T00:00:00Z'));
+
+    expect((await history.list()).map(entry => entry.startedAt)).toEqual([
+      '2024-03-03T00:00:00Z', '2024-03-02T00:00:00Z', '2024-03-01T00:00:00Z'
+    ]);
+    expect(await history.list({ jobId: 'prod-app', status: 'failed' })).toHaveLength(1);
+    expect(await history.list({ cluster: 'prod', since: '2024-03-02T00:00:00Z' })).toHaveLength(1);
+    expect(await history.list({ limit: 2 })).toHaveLength(2);
+  });
+
+  test('should drop the oldest runs past maxEntries', async () => {
+    for (const day of [1, 2, 3, 4]) {
+      await history.record(run('prod-app', `2024-03-0${day}T00:00:00Z`));
+    }
+
+    const runs = await history.list();
+    expect(runs).toHaveLength(3);
+    expect(runs[2].startedAt).toBe('2024-03-02T00:00:00Z');
+  });
+
+  test('should not lose runs recorded at the same time', async () => {
+    await Promise.all([
+      history.record(run('prod-app', '2024-03-01T00:00:00Z')),
+      history.record(run('dev-app', '2024-03-01T00:00:00Z'))
+    ]);
+
+    expect(await history.list()).toHaveLength(2);
+  });
+
+  test('should skip runs cut off mid-write', async () => {
+    files['/backups/job-history.ndjson'] = `${JSON.stringify(run('prod-app', '2024-03-01T00:00:00Z'))}\n{"jobId":"pro`;
+
+    expect(await history.latestRuns()).toEqual({
+      'prod-app': expect.objectContaining({ startedAt: '2024-03-01T00:00:00Z' })
+    });
+  });
+});
@@ -0,0 +1,238 @@
+const fs = require('fs').promises;
+const { MongoLeaseLock, FileLeaseLock, createJobLock } = require('../lib/job-lock');
+
+// Enough of a collection to evaluate the lease queries
+const createLeaseCollection = () => {
+  const documents = new Map();
+  const ownerMatches = (document, owner) => !owner || document.owner === owner;
+
+  return {
+    documents,
+    createIndex: jest.fn().mockResolvedValue('expiresAt_1'),
+    updateOne: jest.fn(async (filter, update, options = {}) => {
+      const existing = documents.get(filter._id);
+      const matches = existing && ownerMatches(existing, filter.owner) && (!filter.$or || filter.$or.some(condition =>
+        condition.owner ? existing.owner === condition.owner : existing.expiresAt <= condition.expiresAt.$lte
+      ));
+
+      if (matches) {
+        Object.assign(existing, update.$set);
+        return { matchedCount: 1 };
+      }
+      if (!options.upsert) {
+        return { matchedCount: 0 };
+      }
+      if (existing) {
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      }
+      documents.set(filter._id, { _id: filter._id, ...update.$set });
+      return { matchedCount: 0, upsertedCount: 1 };
+    }),
+    deleteOne: jest.fn(async (filter) => {
+      const existing = documents.get(filter._id);
+      if (existing && ownerMatches(existing, filter.owner)) {
+        documents.delete(filter._id);
+      }
+    }),
+    findOne: jest.fn(async (filter) => {
+      const existing = documents.get(filter._id);
+      return existing && existing.expiresAt > filter.expiresAt.$gt ? existing : null;
+    })
+  };
+};
+
+describe('MongoLeaseLock', () => {
+  let collection;
+  let clusterManager;
+  let first;
+  let second;
+
+  beforeEach(() => {
+    collection = createLeaseCollection();
+    const db = { collection: jest.fn().mockReturnValue(collection) };
+    clusterManager = { getDatabase: jest.fn().mockReturnValue(db) };
+    first = new MongoLeaseLock(clusterManager, { cluster: 'ops', owner: 'host-a:1', ttlSeconds: 60 });
+    second = new MongoLeaseLock(clusterManager, { cluster: 'ops', owner: 'host-b:2', ttlSeconds: 60 });
+  });
+
+  test('should let only one instance hold a lease', async () => {
+    const lease = await first.acquire('prod-app');
+
+    expect(lease).toEqual(expect.objectContaining({ jobId: 'prod-app', owner: 'host-a:1' }));
+    expect(lease.expiresAt - lease.acquiredAt).toBe(60000);
+    expect(await second.acquire('prod-app')).toBeNull();
+    expect(await second.holder('prod-app')).toEqual(expect.objectContaining({ owner: 'host-a:1' }));
+    expect(clusterManager.getDatabase).toHaveBeenCalledWith('ops', 'mongodb_manager');
+  });
+
+  test('should let the holder acquire its lease again', async () => {
+    await first.acquire('prod-app');
+
+    expect(await first.acquire('prod-app')).not.toBeNull();
+  });
+
+  test('should hand over expired leases', async () => {
+    await first.acquire('prod-app');
+    collection.documents.get('prod-app').expiresAt = new Date(Date.now() - 1000);
+
+    expect(await second.holder('prod-app')).toBeNull();
+    expect(await second.acquire('prod-app')).toEqual(expect.objectContaining({ owner: 'host-b:2' }));
+    expect(await first.renew('prod-app')).toBe(false);
+  });
+
+  test('should only renew and release leases it holds', async () => {
+    await first.acquire('prod-app');
+
+    expect(await second.renew('prod-app')).toBe(false);
+    await second.release('prod-app');
+    expect(collection.documents.has('prod-app')).toBe(true);
+
+    expect(await first.renew('prod-app')).toBe(true);
+    await first.release('prod-app');
+    expect(collection.documents.has('prod-app')).toBe(false);
+  });
+
+  test('should create the expiry index once', async () => {
+    await first.acquire('prod-app');
+    await first.holder('prod-app');
+
+    expect(collection.createIndex).toHaveBeenCalledTimes(1);
+    expect(collection.createIndex).toHaveBeenCalledWith({ expiresAt: 1 }, { expireAfterSeconds: 86400 });
+  });
+});
+
+describe('FileLeaseLock', () => {
+  let files;
+  let first;
+  let second;
+  // Lets tests stretch file operations to interleave two instances
+  let pause;
+
+  beforeEach(() => {
+    files = {};
+    pause = () => Promise.resolve();
+    fs.mkdir.mockImplementation(() => pause());
+    fs.readFile.mockImplementation(async (file) => {
+      await pause();
+      if (files[file] === undefined) {
+        throw Object.assign(new Error('not found'), { code: 'ENOENT' });
+      }
+      return files[file];
+    });
+    fs.writeFile.mockImplementation(async (file, content, options = {}) => {
+      await pause();
+      if (options.flag === 'wx' && files[file] !== undefined) {
+        throw Object.assign(new Error('exists'), { code: 'EEXIST' });
+      }
+      files[file] = content;
+    });
+    fs.unlink.mockImplementation(async (file) => {
+      await pause();
+      delete files[file];
+    });
+    fs.link.mockImplementation(async (existing, file) => {
+      await pause();
+      if (files[existing] === undefined) {
+        throw Object.assign(new Error('not found'), { code: 'ENOENT' });
+      }
+      if (files[file] !== undefined) {
+        throw Object.assign(new Error('exists'), { code: 'EEXIST' });
+      }
+      files[file] = files[existing];
+    });
+    fs.rename.mockImplementation(async (from, to) => {
+      await pause();
+      if (files[from] === undefined) {
+        throw Object.assign(new Error('not found'), { code: 'ENOENT' });
+      }
+      files[to] = files[from];
+      delete files[from];
+    });
+    first = new FileLeaseLock({ path: '/shared/locks', owner: 'host-a:1', ttlSeconds: 60 });
+    second = new FileLeaseLock({ path: '/shared/locks', owner: 'host-b:2', ttlSeconds: 60 });
+  });
+
+  test('should let only one instance hold a lease', async () => {
+    expect(await first.acquire('prod/app')).toEqual(expect.objectContaining({ owner: 'host-a:1' }));
+    expect(Object.keys(files)).toEqual(['/shared/locks/prod_app.lease.json']);
+
+    expect(await second.acquire('prod/app')).toBeNull();
+    expect(await second.holder('prod/app')).toEqual(expect.objectContaining({ owner: 'host-a:1' }));
+  });
+
+  test('should hand over expired and corrupted leases', async () => {
+    await first.acquire('prod-app');
+    const file = '/shared/locks/prod-app.lease.json';
+    files[file] = JSON.stringify({ ...JSON.parse(files[file]), expiresAt: new Date(Date.now() - 1000) });
+
+    expect(await second.acquire('prod-app')).toEqual(expect.objectContaining({ owner: 'host-b:2' }));
+
+    files[file] = '{"owner":"host-b';
+    expect(await first.acquire('prod-app')).toEqual(expect.objectContaining({ owner: 'host-a:1' }));
+  });
+
+  test('should back off when another instance took over at the same time', async () => {
+    const file = '/shared/locks/prod-app.lease.json';
+    files[file] = JSON.stringify({ owner: 'host-c:3', expiresAt: new Date(Date.now() - 1000) });
+    fs.writeFile.mockImplementationOnce(async (path, content) => {
+      files[file] = JSON.stringify({ owner: 'host-b:2', expiresAt: new Date(Date.now() + 60000) });
+      files[path] = content;
+    });
+
+    expect(await first.acquire('prod-app')).toBeNull();
+    expect(JSON.parse(files[file]).owner).toBe('host-b:2');
+    expect(Object.keys(files)).toEqual([file]);
+  });
+
+  test('should let exactly one of two instances take over an expired lease', async () => {
+    const file = '/shared/locks/prod-app.lease.json';
+    const ticks = count => count > 0 ? Promise.resolve().then(() => ticks(count - 1)) : Promise.resolve();
+    let seed = 1;
+    pause = () => {
+      seed = (seed * 1103515245 + 12345) % 2147483648;
+      return ticks(seed % 7);
+    };
+
+    for (let round = 0; round < 200; round++) {
+      for (const name of Object.keys(files)) delete files[name];
+      files[file] = JSON.stringify({ owner: 'host-c:3', expiresAt: new Date(Date.now() - 1000) });
+
+      const leases = await Promise.all([first.acquire('prod-app'), second.acquire('prod-app')]);
+
+      const winners = leases.filter(Boolean);
+      expect(winners).toHaveLength(1);
+      expect(JSON.parse(files[file]).owner).toBe(winners[0].owner);
+      expect(Object.keys(files)).toEqual([file]);
+    }
+  });
+
+  test('should only renew and release leases it holds', async () => {
+    await first.acquire('prod-app');
+
+    expect(await second.renew('prod-app')).toBe(false);
+    await second.release('prod-app');
+    expect(await first.holder('prod-app')).not.toBeNull();
+
+    expect(await first.renew('prod-app')).toBe(true);
+    await first.release('prod-app');
+    expect(files).toEqual({});
+  });
+});
+
+describe('createJobLock', () => {
+  test('should not lock without settings', () => {
+    expect(createJobLock(undefined)).toBeNull();
+    expect(createJobLock({ type: 'none' })).toBeNull();
+  });
+
+  test('should create the configured lock type', () => {
+    expect(createJobLock({ type: 'mongodb', cluster: 'ops' }, {})).toBeInstanceOf(MongoLeaseLock);
+    expect(createJobLock({ type: 'file', path: '/shared/locks' })).toBeInstanceOf(FileLeaseLock);
+  });
+
+  test('should reject incomplete or unknown settings', () => {
+    expect(() => createJobLock({ type: 'mongodb' }, {})).toThrow('MongoDB backup locks require a cluster');
+    expect(() => createJobLock({ type: 'file' })).toThrow('File backup locks require a path');
+    expect(() => createJobLock({ type: 'redis' })).toThrow('Unknown backup lock type: redis');
+  });
+});
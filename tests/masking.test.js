@@ -0,0 +1,141 @@
+const { BSON } = require('mongodb');
+const { MaskingProfile } = require('../lib/masking');
+
+describe('MaskingProfile', () => {
+  const createProfile = (fields, secret = 'test-secret') => new MaskingProfile('dev', { fields, secret });
+
+  it('should mask a value the same way in every collection', () => {
+    const profile = createProfile({
+      'users.email': 'hash',
+      'orders.customerEmail': 'hash'
+    });
+
+    const user = profile.mask('users', { _id: 1, email: 'ann@example.com' });
+    const order = profile.mask('orders', { _id: 7, customerEmail: 'ann@example.com' });
+
+    expect(user.email).toMatch(/^[0-9a-f]{32}$/);
+    expect(order.customerEmail).toBe(user.email);
+    expect(profile.mask('users', { email: 'bob@example.com' }).email).not.toBe(user.email);
+    expect(createProfile({ 'users.email': 'hash' }, 'other').mask('users', { email: 'ann@example.com' }).email)
+      .not.toBe(user.email);
+  });
+
+  it('should leave the original document and unmatched fields alone', () => {
+    const profile = createProfile({ 'users.name': 'null' });
+    const document = { _id: 1, name: 'Ann', plan: 'pro' };
+
+    expect(profile.mask('users', document)).toEqual({ _id: 1, name: null, plan: 'pro' });
+    expect(document.name).toBe('Ann');
+    expect(profile.mask('orders', document)).toBe(document);
+    expect(profile.mask('users', { _id: 2 })).toEqual({ _id: 2 });
+  });
+
+  it('should apply every strategy', () => {
+    const profile = createProfile({
+      'users.hash': { strategy: 'hash', length: 12 },
+      'users.email': 'fake:email',
+      'users.name': 'fake:name',
+      'users.phone': 'fake:phone',
+      'users.note': 'redact',
+      'users.secret': { strategy: 'redact', value: 'xxx' },
+      'users.card': 'format',
+      'users.pin': 'format',
+      'users.ssn': 'null'
+    });
+
+    const masked = profile.mask('users', {
+      hash: 'value',
+      email: 'ann@example.com',
+      name: 'Ann Smith',
+      phone: '+44 20 7946 0000',
+      note: 'private',
+      secret: 's3cret',
+      card: 'AB-1234-cd',
+      pin: 4821,
+      ssn: '078-05-1120'
+    });
+
+    expect(masked.hash).toMatch(/^[0-9a-f]{12}$/);
+    expect(masked.email).toMatch(/^[a-z]+\.[a-z]+\.[0-9a-f]{8}@example\.com$/);
+    expect(masked.name).toMatch(/^[A-Z][a-z]+ [A-Z][a-z]+$/);
+    expect(masked.phone).toMatch(/^\+1555\d{7}$/);
+    expect(masked.note).toBe('[REDACTED]');
+    expect(masked.secret).toBe('xxx');
+    expect(masked.card).toMatch(/^[A-Z]{2}-\d{4}-[a-z]{2}$/);
+    expect(masked.card).not.toBe('AB-1234-cd');
+    expect(String(masked.pin)).toMatch(/^[1-9]\d{3}$/);
+    expect(masked.ssn).toBeNull();
+  });
+
+  it('should follow nested paths, arrays and wildcard collections', () => {
+    const profile = createProfile({
+      '*.contact.email': 'fake:email',
+      'users.addresses.street': 'redact'
+    });
+
+    const masked = profile.mask('users', {
+      contact: { email: 'ann@example.com', verified: true },
+      addresses: [{ street: '1 Main St', city: 'Springfield' }, { city: 'Shelbyville' }]
+    });
+
+    expect(masked.contact.verified).toBe(true);
+    expect(masked.contact.email).toMatch(/@example\.com$/);
+    expect(masked.addresses).toEqual([
+      { street: '[REDACTED]', city: 'Springfield' },
+      { city: 'Shelbyville' }
+    ]);
+    expect(profile.mask('leads', { contact: { email: 'ann@example.com' } }).contact.email)
+      .toBe(masked.contact.email);
+  });
+
+  it('should match rules for collection names that contain dots', () => {
+    const profile = createProfile({ 'app.users.email': 'null' });
+
+    expect(profile.appliesTo('app.users')).toBe(true);
+    expect(profile.appliesTo('app.user')).toBe(false);
+    expect(profile.mask('app.users', { email: 'ann@example.com' })).toEqual({ email: null });
+  });
+
+  it('should null values fake and format cannot represent', () => {
+    const profile = createProfile({ 'users.born': 'format', 'users.tags': 'fake:name' });
+
+    expect(profile.mask('users', { born: new Date(0), tags: { a: 1 } })).toEqual({ born: null, tags: null });
+  });
+
+  it('should format unpromoted numbers into the same BSON type', () => {
+    const profile = createProfile({ 'users.pin': 'format', 'users.visits': 'format', 'users.score': 'format' });
+
+    const masked = profile.mask('users', {
+      pin: new BSON.Int32(4821),
+      visits: BSON.Long.fromNumber(123456),
+      score: new BSON.Double(42)
+    });
+    const promoted = profile.mask('users', { pin: 4821, visits: 123456, score: 42 });
+
+    expect(masked.pin._bsontype).toBe('Int32');
+    expect(masked.visits._bsontype).toBe('Long');
+    expect(masked.score._bsontype).toBe('Double');
+    expect(masked.pin.value).toBe(promoted.pin);
+    expect(masked.visits.toNumber()).toBe(promoted.visits);
+    expect(masked.score.value).toBe(promoted.score);
+  });
+
+  it('should reject invalid profiles', () => {
+    expect(() => MaskingProfile.validate({ fields: {} })).toThrow('at least one field rule');
+    expect(() => MaskingProfile.validate({ fields: { email: 'hash' } })).toThrow('<collection>.<field>');
+    expect(() => MaskingProfile.validate({ fields: { 'users.email': 'shuffle' } })).toThrow('Unknown masking strategy');
+    expect(() => MaskingProfile.validate({ fields: { 'users.email': 'fake:address' } })).toThrow('Unknown fake value type');
+    expect(() => MaskingProfile.validate({ fields: { 'users.email': { strategy: 'hash', length: 100 } } }))
+      .toThrow('between 8 and 64');
+    expect(() => new MaskingProfile('dev', { fields: { 'users.email': 'hash' } })).toThrow('has no secret');
+  });
+
+  it('should load profiles from the config', () => {
+    const config = {
+      getMaskingProfile: jest.fn(name => name === 'dev' ? { fields: { 'users.email': 'null' }, secret: 'x' } : undefined)
+    };
+
+    expect(MaskingProfile.fromConfig(config, 'dev').name).toBe('dev');
+    expect(() => MaskingProfile.fromConfig(config, 'prod')).toThrow('Unknown masking profile: prod');
+  });
+});
@@ -0,0 +1,234 @@
+const fs = require('fs').promises;
+const {
+  FileMetricStore,
+  MongoMetricStore,
+  createMetricStore,
+  parseTimeSpan,
+  rollup
+} = require('../lib/metric-store');
+
+const at = (minutes, seconds = 0) => new Date(Date.UTC(2024, 0, 1, 0, minutes, seconds));
+const sample = (time, current, inserts) => ({
+  timestamp: time,
+  server: { version: '7.0.0', connections: { current }, memory: { resident: current * 10 } },
+  operations: { insert: inserts }
+});
+
+describe('parseTimeSpan', () => {
+  it('should accept seconds and suffixed spans', () => {
+    expect(parseTimeSpan(90)).toBe(90000);
+    expect(parseTimeSpan('30m')).toBe(30 * 60 * 1000);
+    expect(parseTimeSpan('7d')).toBe(7 * 24 * 60 * 60 * 1000);
+    expect(() => parseTimeSpan('0h')).toThrow('Invalid time span: 0h');
+    expect(() => parseTimeSpan('a week')).toThrow('Invalid time span');
+  });
+});
+
+describe('rollup', () => {
+  it('should average gauges and keep the last value of counters per bucket', () => {
+    const rollups = rollup([
+      sample(at(0, 0), 10, 100),
+      sample(at(0, 30), 20, 130),
+      sample(at(1, 0), 40, 200)
+    ], '1m');
+
+    expect(rollups).toEqual([
+      {
+        timestamp: at(0),
+        resolution: '1m',
+        samples: 2,
+        server: { version: '7.0.0', connections: { current: 15 }, memory: { resident: 150 } },
+        operations: { insert: 130 }
+      },
+      expect.objectContaining({ timestamp: at(1), samples: 1, operations: { insert: 200 } })
+    ]);
+  });
+
+  it('should treat the counters of each shard as counters', () => {
+    const [minute] = rollup([
+      { timestamp: at(0, 0), shards: { shard0: { operations: { insert: 100 }, server: { connections: { current: 2 } } } } },
+      { timestamp: at(0, 30), shards: { shard0: { operations: { insert: 160 }, server: { connections: { current: 4 } } } } }
+    ], '1m');
+
+    expect(minute.shards.shard0).toEqual({ operations: { insert: 160 }, server: { connections: { current: 3 } } });
+  });
+
+  it('should weight rollups of rollups by their sample count', () => {
+    const [hour] = rollup([
+      { ...sample(at(0), 10, 100), resolution: '1m', samples: 3 },
+      { ...sample(at(1), 30, 200), resolution: '1m', samples: 1 }
+    ], '1h');
+
+    expect(hour.samples).toBe(4);
+    expect(hour.server.connections.current).toBe(15);
+    expect(hour.operations.insert).toBe(200);
+  });
+});
+
+describe('FileMetricStore', () => {
+  let files;
+  let store;
+
+  beforeEach(() => {
+    files = {};
+    fs.mkdir.mockResolvedValue();
+    fs.writeFile.mockImplementation(async (file, content, options) => {
+      files[file] = (options && options.flag === 'a' && files[file] || '') + content;
+    });
+    fs.readFile.mockImplementation(async (file) => {
+      if (!(file in files)) throw Object.assign(new Error('ENOENT'), { code: 'ENOENT' });
+      return files[file];
+    });
+    fs.readdir.mockImplementation(async (dir) => {
+      const prefix = `${dir}/`;
+      const entries = Object.keys(files)
+        .filter(file => file.startsWith(prefix))
+        .map(file => file.slice(prefix.length).split('/')[0]);
+      if (entries.length === 0) throw Object.assign(new Error('ENOENT'), { code: 'ENOENT' });
+      return [...new Set(entries)];
+    });
+    fs.unlink.mockImplementation(async (file) => {
+      delete files[file];
+    });
+    store = new FileMetricStore({ path: '/data/metrics' });
+    jest.spyOn(store, 'prune').mockResolvedValue();
+  });
+
+  it('should append samples and write rollups as their buckets close', async () => {
+    await store.record('prod', sample(at(0, 0), 10, 100));
+    await store.record('prod', sample(at(0, 30), 20, 130));
+
+    expect(Object.keys(files)).toEqual(['/data/metrics/prod/raw/2024-01-01.ndjson']);
+
+    await store.record('prod', sample(at(1, 0), 40, 200));
+
+    expect(files['/data/metrics/prod/1m/2024-01-01.ndjson'].trim().split('\n').map(JSON.parse)).toEqual([
+      expect.objectContaining({ timestamp: at(0).toISOString(), samples: 2 })
+    ]);
+    expect(files['/data/metrics/prod/raw/2024-01-01.ndjson'].trim().split('\n')).toHaveLength(3);
+  });
+
+  it('should read ranges across days and include the bucket still filling', async () => {
+    const lateNight = new Date(Date.UTC(2023, 11, 31, 23, 59, 30));
+    await store.record('prod', sample(lateNight, 5, 50));
+    await store.record('prod', sample(at(0, 0), 10, 100));
+    await store.record('prod', sample(at(0, 30), 20, 130));
+
+    const raw = await store.query('prod', { from: lateNight, to: at(0, 10) });
+    expect(raw.map(point => point.timestamp)).toEqual([lateNight, at(0, 0)]);
+
+    const minutes = await store.query('prod', { from: new Date(Date.UTC(2023, 11, 31, 23, 59)), to: at(5), resolution: '1m' });
+    expect(minutes.map(point => [point.timestamp.toISOString(), point.samples])).toEqual([
+      ['2023-12-31T23:59:00.000Z', 1],
+      ['2024-01-01T00:00:00.000Z', 2]
+    ]);
+
+    await expect(store.query('prod', { from: lateNight, to: at(5), resolution: '5m' }))
+      .rejects.toThrow('Unknown metrics resolution: 5m');
+  });
+
+  it('should carry on the buckets that were filling across a restart', async () => {
+    const hour = (minutes, seconds) => new Date(Date.UTC(2024, 0, 1, 1, minutes, seconds));
+    await store.record('prod', sample(at(58, 0), 10, 100));
+    await store.record('prod', sample(at(59, 0), 20, 200));
+    await store.record('prod', sample(at(59, 30), 30, 300));
+
+    const restarted = new FileMetricStore({ path: '/data/metrics' });
+    jest.spyOn(restarted, 'prune').mockResolvedValue();
+    await restarted.record('prod', sample(hour(0, 0), 40, 400));
+    await restarted.record('prod', sample(hour(0, 30), 50, 500));
+    await restarted.record('prod', sample(hour(1, 0), 60, 600));
+
+    const minutes = files['/data/metrics/prod/1m/2024-01-01.ndjson'].trim().split('\n').map(JSON.parse);
+    expect(minutes.map(point => [point.timestamp, point.samples, point.server.connections.current])).toEqual([
+      [at(58).toISOString(), 1, 10],
+      [at(59).toISOString(), 2, 25],
+      [hour(0, 0).toISOString(), 2, 45]
+    ]);
+    const hours = files['/data/metrics/prod/1h/2024-01-01.ndjson'].trim().split('\n').map(JSON.parse);
+    expect(hours).toEqual([expect.objectContaining({ timestamp: at(0).toISOString(), samples: 3 })]);
+    expect(hours[0].operations.insert).toBe(300);
+
+    const filling = await restarted.query('prod', { from: hour(0, 0), to: hour(5, 0), resolution: '1h' });
+    expect(filling.map(point => [point.timestamp, point.samples])).toEqual([[hour(0, 0), 2]]);
+  });
+
+  it('should delete day files past their retention', async () => {
+    store.prune.mockRestore();
+    store.retention.raw = parseTimeSpan('1d');
+    files['/data/metrics/prod/raw/2024-01-01.ndjson'] = '';
+    files['/data/metrics/prod/raw/2024-01-02.ndjson'] = '';
+    files['/data/metrics/prod/1h/2024-01-01.ndjson'] = '';
+
+    await store.prune(new Date(Date.UTC(2024, 0, 3, 12)));
+
+    expect(Object.keys(files).sort()).toEqual([
+      '/data/metrics/prod/1h/2024-01-01.ndjson',
+      '/data/metrics/prod/raw/2024-01-02.ndjson'
+    ]);
+  });
+
+  it('should pick the finest retained resolution that fits the range', () => {
+    const now = new Date(Date.UTC(2024, 0, 10));
+    const ago = span => new Date(now - parseTimeSpan(span));
+
+    expect(store.chooseResolution(ago('1h'), now, 30000, now)).toBe('raw');
+    expect(store.chooseResolution(ago('24h'), now, 30000, now)).toBe('1m');
+    expect(store.chooseResolution(ago('7d'), now, 30000, now)).toBe('1h');
+    expect(store.chooseResolution(ago('30h'), ago('29h'), 30000, now)).toBe('1m');
+  });
+});
+
+describe('MongoMetricStore', () => {
+  let db;
+  let collection;
+  let store;
+
+  beforeEach(() => {
+    const cursor = {
+      sort: jest.fn().mockReturnThis(),
+      toArray: jest.fn().mockResolvedValue([])
+    };
+    collection = { insertMany: jest.fn().mockResolvedValue(), find: jest.fn(() => cursor), cursor };
+    db = {
+      createCollection: jest.fn().mockResolvedValue(),
+      command: jest.fn().mockResolvedValue({ ok: 1 }),
+      collection: jest.fn(() => collection)
+    };
+    store = new MongoMetricStore({ getDatabase: jest.fn(() => db) }, { cluster: 'ops', retention: { raw: '6h' } });
+  });
+
+  it('should create time-series collections that expire after the retention', async () => {
+    await store.record('prod', sample(at(0), 10, 100));
+
+    expect(db.createCollection).toHaveBeenCalledWith('metrics_raw', {
+      timeseries: { timeField: 'timestamp', metaField: 'cluster', granularity: 'seconds' },
+      expireAfterSeconds: 6 * 60 * 60
+    });
+    expect(collection.insertMany).toHaveBeenCalledWith([expect.objectContaining({ cluster: 'prod', timestamp: at(0) })], { ordered: false });
+  });
+
+  it('should update the expiry of existing collections and query by cluster and time', async () => {
+    db.createCollection.mockRejectedValue(Object.assign(new Error('exists'), { code: 48, codeName: 'NamespaceExists' }));
+
+    await store.query('prod', { from: at(0), to: at(60), resolution: '1h' });
+
+    expect(db.command).toHaveBeenCalledWith({ collMod: 'metrics_1h', expireAfterSeconds: 90 * 24 * 60 * 60 });
+    expect(collection.find).toHaveBeenCalledWith(
+      { cluster: 'prod', timestamp: { $gte: at(0), $lte: at(60) } },
+      { projection: { _id: 0, cluster: 0 } }
+    );
+    expect(collection.cursor.sort).toHaveBeenCalledWith({ timestamp: 1 });
+  });
+});
+
+describe('createMetricStore', () => {
+  it('should default to files and support MongoDB or no store', () => {
+    expect(createMetricStore(undefined, {}, '/data/metrics')).toBeInstanceOf(FileMetricStore);
+    expect(createMetricStore({ type: 'mongodb', cluster: 'ops' }, {}, '/data/metrics').describe()).toBe('ops/mongodb_manager.metrics_*');
+    expect(createMetricStore({ type: 'none' }, {}, '/data/metrics')).toBeNull();
+    expect(() => createMetricStore({ type: 'mongodb' }, {}, '/data/metrics')).toThrow('require a cluster');
+    expect(() => createMetricStore({ type: 'influx' }, {}, '/data/metrics')).toThrow('Unknown metric store type: influx');
+    expect(() => createMetricStore({ retention: { raw: 'forever' } }, {}, '/data/metrics')).toThrow('Invalid time span: forever');
+  });
+});
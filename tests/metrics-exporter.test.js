@@ -0,0 +1,148 @@
+const http = require('http');
+const EventEmitter = require('events');
+const { MetricsExporter, OpenMetricsWriter, CONTENT_TYPE } = require('../lib/metrics-exporter');
+
+const sample = {
+  timestamp: new Date(),
+  server: {
+    uptime: 3600,
+    connections: { current: 12, available: 88, totalCreated: 40 },
+    network: { bytesIn: 1000, bytesOut: 2000, numRequests: 30 },
+    memory: { resident: 256, virtual: 1024, mapped: 0 },
+    cpu: { user: 1500000, system: 500000 }
+  },
+  operations: { insert: 5, query: 7 },
+  storage: { databases: 3, totalSize: 4096, totalDocuments: 100, indexes: 6 },
+  replication: {
+    ismaster: true,
+    secondary: false,
+    hosts: ['a:27017', 'b:27017', 'c:27017'],
+    setName: 'rs0',
+    members: [{ name: 'a:27017', lagSeconds: 0 }, { name: 'b:27017', lagSeconds: 4 }, { name: 'c:27017', lagSeconds: null }],
+    membersDown: 1,
+    oplogWindowHours: 48
+  }
+};
+
+describe('OpenMetricsWriter', () => {
+  it('should group samples into families, suffix counters and end with EOF', () => {
+    const text = new OpenMetricsWriter()
+      .add('jobs', 'counter', 'Jobs run', { name: 'say "hi"\\\n' }, 3)
+      .add('temperature', 'gauge', 'Temperature', {}, 21.5)
+      .add('jobs', 'counter', 'Jobs run', { name: 'other', unset: undefined }, 1)
+      .add('skipped', 'gauge', 'No value', {}, undefined)
+      .toString();
+
+    expect(text).toBe([
+      '# TYPE jobs counter',
+      '# HELP jobs Jobs run',
+      'jobs_total{name="say \\"hi\\"\\\\\\n"} 3',
+      'jobs_total{name="other"} 1',
+      '# TYPE temperature gauge',
+      '# HELP temperature Temperature',
+      'temperature 21.5',
+      '# EOF',
+      ''
+    ].join('\n'));
+  });
+});
+
+describe('MetricsExporter', () => {
+  let clusterManager;
+  let monitoring;
+  let backupManager;
+  let logger;
+  let exporter;
+
+  beforeEach(() => {
+    clusterManager = {
+      listClusters: jest.fn().mockReturnValue([
+        { name: 'prod', environment: 'production', status: 'healthy' },
+        { name: 'old', environment: 'staging', status: 'error' }
+      ])
+    };
+    monitoring = Object.assign(new EventEmitter(), {
+      metrics: new Map(),
+      isMonitoring: false,
+      intervalMs: 30000,
+      getClusterMetrics: jest.fn().mockResolvedValue(sample)
+    });
+    backupManager = new EventEmitter();
+    logger = createMockLogger();
+    exporter = new MetricsExporter(clusterManager, monitoring, backupManager, logger);
+  });
+
+  afterEach(async () => {
+    await exporter.close();
+  });
+
+  it('should export cluster samples labelled by cluster and environment', async () => {
+    const text = await exporter.collect();
+    const labels = 'cluster="prod",environment="production"';
+
+    expect(monitoring.getClusterMetrics).toHaveBeenCalledWith('prod');
+    expect(text).toContain(`mongodb_up{${labels}} 1`);
+    expect(text).toContain('mongodb_up{cluster="old",environment="staging"} 0');
+    expect(text).toContain(`mongodb_connections{${labels},state="current"} 12`);
+    expect(text).toContain(`mongodb_connections_opened_total{${labels}} 40`);
+    expect(text).toContain(`mongodb_memory_bytes{${labels},type="resident"} ${256 * 1024 * 1024}`);
+    expect(text).toContain(`mongodb_network_bytes_total{${labels},direction="out"} 2000`);
+    expect(text).toContain(`mongodb_cpu_seconds_total{${labels},mode="user"} 1.5`);
+    expect(text).toContain(`mongodb_op_counters_total{${labels},type="query"} 7`);
+    expect(text).toContain(`mongodb_storage_size_bytes{${labels}} 4096`);
+    expect(text).toContain(`mongodb_replication_primary{${labels},set_name="rs0"} 1`);
+    expect(text).toContain(`mongodb_replication_hosts{${labels},set_name="rs0"} 3`);
+    expect(text).toContain(`mongodb_replication_members_down{${labels},set_name="rs0"} 1`);
+    expect(text).toContain(`mongodb_replication_lag_seconds{${labels},set_name="rs0",member="b:27017"} 4`);
+    expect(text).not.toContain('member="c:27017"');
+    expect(text).toContain(`mongodb_replication_oplog_window_seconds{${labels},set_name="rs0"} ${48 * 3600}`);
+    expect(text.endsWith('# EOF\n')).toBe(true);
+  });
+
+  it('should reuse fresh samples while monitoring and report clusters it cannot sample as down', async () => {
+    monitoring.isMonitoring = true;
+    monitoring.metrics.set('prod', [sample]);
+    expect(await exporter.collect()).toContain('mongodb_uptime_seconds{cluster="prod",environment="production"} 3600');
+    expect(monitoring.getClusterMetrics).not.toHaveBeenCalled();
+
+    monitoring.metrics.set('prod', [{ ...sample, timestamp: new Date(Date.now() - 120000) }]);
+    monitoring.getClusterMetrics.mockRejectedValue(new Error('timed out'));
+    const text = await exporter.collect();
+
+    expect(text).toContain('mongodb_up{cluster="prod",environment="production"} 0');
+    expect(text).not.toContain('mongodb_uptime_seconds');
+    expect(logger.warn).toHaveBeenCalledWith('Failed to sample prod for the metrics endpoint:', 'timed out');
+  });
+
+  it('should count backup runs and alert firings', async () => {
+    backupManager.emit('backupFinished', { cluster: 'prod', database: 'app', type: 'full', status: 'success' });
+    backupManager.emit('backupFinished', { cluster: 'prod', database: 'app', type: 'full', status: 'success' });
+    backupManager.emit('backupFinished', { cluster: 'prod', database: 'app', type: 'full', status: 'failed' });
+    monitoring.emit('alertCreated', { cluster: 'prod', severity: 'warning', type: 'HIGH_MEMORY_USAGE' });
+
+    const text = await exporter.collect();
+
+    expect(text).toContain('# TYPE mongodb_manager_backup_runs counter');
+    expect(text).toContain('mongodb_manager_backup_runs_total{cluster="prod",environment="production",database="app",type="full",status="success"} 2');
+    expect(text).toContain('mongodb_manager_backup_runs_total{cluster="prod",environment="production",database="app",type="full",status="failed"} 1');
+    expect(text).toContain('mongodb_manager_alerts_fired_total{cluster="prod",environment="production",severity="warning",alert="HIGH_MEMORY_USAGE"} 1');
+  });
+
+  it('should serve /metrics in standalone mode', async () => {
+    const server = await exporter.listen(0, '127.0.0.1');
+    const get = path => new Promise((resolve, reject) => {
+      http.get(`http://127.0.0.1:${server.address().port}${path}`, (response) => {
+        let body = '';
+        response.on('data', chunk => { body += chunk; });
+        response.on('end', () => resolve({ status: response.statusCode, type: response.headers['content-type'], body }));
+      }).on('error', reject);
+    });
+
+    const metrics = await get('/metrics');
+    expect(metrics.status).toBe(200);
+    expect(metrics.type).toBe(CONTENT_TYPE);
+    expect(metrics.body).toContain('mongodb_up{cluster="prod",environment="production"} 1');
+
+    expect((await get('/')).status).toBe(404);
+  });
+});
@@ -0,0 +1,334 @@
+const MigrationManager = require('../lib/migration-manager');
+const fs = require('fs').promises;
+const { BSON } = require('mongodb');
+
+// A collection backed by an array; find() ignores filters, so tests pass
+// the documents a filtered read would return through nextFind
+const createCollection = (documents = [], indexes = []) => {
+  const collection = {
+    documents,
+    nextFind: null,
+    find: jest.fn(() => {
+      const results = collection.nextFind || collection.documents.slice();
+      collection.nextFind = null;
+      return {
+        sort: jest.fn().mockReturnThis(),
+        batchSize: jest.fn().mockReturnThis(),
+        close: jest.fn().mockResolvedValue(),
+        [Symbol.asyncIterator]: async function* () {
+          yield* results;
+        }
+      };
+    }),
+    insertMany: jest.fn(async (batch) => {
+      const writeErrors = [];
+      batch.forEach((document, index) => {
+        if (collection.documents.some(existing => existing._id === document._id)) {
+          writeErrors.push({ index, code: 11000 });
+        } else {
+          collection.documents.push(document);
+        }
+      });
+      if (writeErrors.length > 0) {
+        throw Object.assign(new Error('E11000 duplicate key error'), { writeErrors });
+      }
+    }),
+    countDocuments: jest.fn(async () => collection.documents.length),
+    listIndexes: jest.fn(() => ({ toArray: async () => indexes })),
+    createIndex: jest.fn(),
+    drop: jest.fn(async () => {
+      collection.documents = [];
+    })
+  };
+  return collection;
+};
+
+const createDb = (collections, infos = Object.keys(collections).map(name => ({ name, type: 'collection', options: {} }))) => ({
+  listCollections: jest.fn(() => ({ toArray: async () => infos })),
+  collection: jest.fn(name => {
+    if (!collections[name]) collections[name] = createCollection();
+    return collections[name];
+  }),
+  createCollection: jest.fn().mockResolvedValue()
+});
+
+describe('MigrationManager', () => {
+  let migrationManager;
+  let mockLogger;
+  let sourceCollections;
+  let targetCollections;
+  let sourceDb;
+  let targetDb;
+  let files;
+
+  const source = { cluster: 'prod', database: 'app' };
+  const target = { cluster: 'staging', database: 'app' };
+
+  const readCheckpoint = () => BSON.EJSON.parse(files[migrationManager.checkpointPath(source, target)]);
+
+  beforeEach(() => {
+    files = {};
+    fs.mkdir.mockResolvedValue();
+    fs.writeFile.mockImplementation(async (file, content) => {
+      files[file] = content;
+    });
+    fs.readFile.mockImplementation(async (file) => {
+      if (!(file in files)) throw Object.assign(new Error('ENOENT'), { code: 'ENOENT' });
+      return files[file];
+    });
+
+    sourceCollections = {
+      users: createCollection([
+        { _id: 'a', name: 'Ann', email: 'ann@example.com' },
+        { _id: 'b', name: 'Bob', email: 'bob@example.com', deleted: true },
+        { _id: 'c', name: 'Cid', email: 'cid@example.com' }
+      ], [
+        { v: 2, key: { _id: 1 }, name: '_id_' },
+        { v: 2, key: { email: 1 }, name: 'email_1', unique: true }
+      ]),
+      logs: createCollection([{ _id: 'l1' }])
+    };
+    targetCollections = {};
+    sourceDb = createDb(sourceCollections);
+    targetDb = createDb(targetCollections);
+
+    mockLogger = {
+      info: jest.fn(),
+      warn: jest.fn(),
+      error: jest.fn()
+    };
+    const mockClusterManager = {
+      getDatabase: jest.fn((cluster) => cluster === 'prod' ? sourceDb : targetDb)
+    };
+
+    migrationManager = new MigrationManager(mockClusterManager, {}, mockLogger);
+  });
+
+  it('should copy selected collections through the transform, then build indexes and verify', async () => {
+    const progress = jest.fn();
+    migrationManager.on('migrationProgress', progress);
+
+    const result = await migrationManager.migrate(source, target, {
+      exclude: 'logs',
+      batchSize: 2,
+      transform: async (document, { collection }) => {
+        expect(collection).toBe('users');
+        return document.deleted ? null : { ...document, email: 'hidden' };
+      }
+    });
+
+    expect(result.excludedCollections).toEqual(['logs']);
+    expect(targetCollections.users.documents).toEqual([
+      { _id: 'a', name: 'Ann', email: 'hidden' },
+      { _id: 'c', name: 'Cid', email: 'hidden' }
+    ]);
+    expect(targetCollections.users.insertMany).toHaveBeenCalledWith(expect.any(Array), { ordered: false });
+    expect(targetCollections.users.createIndex).toHaveBeenCalledTimes(1);
+    expect(targetCollections.users.createIndex).toHaveBeenCalledWith({ email: 1 }, { name: 'email_1', unique: true });
+    expect(progress).toHaveBeenCalledTimes(2);
+    expect(progress).toHaveBeenLastCalledWith({ collection: 'users', copied: 2, skipped: 1 });
+
+    expect(result.collections).toEqual([expect.objectContaining({ name: 'users', copied: 2, skipped: 1, indexes: 1 })]);
+    expect(result.collections[0].verification).toEqual(expect.objectContaining({
+      ok: true,
+      sourceChanged: false,
+      documents: { source: 3, copied: 2, skipped: 1, target: 2 }
+    }));
+    expect(result.verified).toBe(true);
+
+    const checkpoint = readCheckpoint();
+    expect(checkpoint.status).toBe('completed');
+    expect(checkpoint.collections.users).toEqual(expect.objectContaining({ status: 'done', lastId: 'c', copied: 2 }));
+  });
+
+  it('should pass the query and projection to the source reads', async () => {
+    await migrationManager.migrate(source, target, {
+      include: 'users',
+      query: { users: { deleted: { $ne: true } } },
+      projection: { users: { email: 0 } }
+    });
+
+    expect(sourceCollections.users.find).toHaveBeenCalledWith(
+      { deleted: { $ne: true } },
+      { promoteValues: false, projection: { email: 0 } }
+    );
+    expect(sourceCollections.users.countDocuments).toHaveBeenCalledWith({ deleted: { $ne: true } });
+  });
+
+  it('should resume after the last checkpointed _id and tolerate the batch already written', async () => {
+    targetCollections.users = createCollection();
+    targetCollections.users.insertMany
+      .mockImplementationOnce(async (batch) => {
+        targetCollections.users.documents.push(...batch);
+      })
+      .mockRejectedValueOnce(new Error('connection reset'));
+
+    const interrupted = await migrationManager.migrate(source, target, { include: 'users', batchSize: 1 });
+    expect(interrupted.failedCollections).toEqual([{ name: 'users', error: 'connection reset' }]);
+    expect(readCheckpoint().collections.users).toEqual(expect.objectContaining({ status: 'copying', lastId: 'a', copied: 1 }));
+
+    // b reached the target before the interruption but was never checkpointed
+    targetCollections.users.documents.push(sourceCollections.users.documents[1]);
+    sourceCollections.users.nextFind = sourceCollections.users.documents.slice(1);
+    sourceCollections.users.find.mockClear();
+
+    const result = await migrationManager.migrate(source, target, { resume: true, dropExisting: true });
+
+    expect(result.resumed).toBe(true);
+    expect(targetCollections.users.drop).not.toHaveBeenCalled();
+    expect(sourceCollections.users.find).toHaveBeenCalledWith({
+      $or: [
+        { _id: { $gt: 'a' } },
+        { _id: { $type: ['object', 'array', 'binData', 'objectId', 'bool', 'date', 'timestamp', 'regex', 'maxKey'] } }
+      ]
+    }, { promoteValues: false });
+    expect(targetCollections.users.documents.map(document => document._id)).toEqual(['a', 'b', 'c']);
+    expect(result.excludedCollections).toEqual(['logs']);
+    expect(result.collections[0].verification).toEqual(expect.objectContaining({
+      ok: true,
+      documents: { source: 3, copied: 3, skipped: 0, target: 3 }
+    }));
+    expect(readCheckpoint().status).toBe('completed');
+  });
+
+  it('should not copy collections a resumed run already finished', async () => {
+    files[migrationManager.checkpointPath(source, target)] = BSON.EJSON.stringify({
+      source,
+      target,
+      status: 'failed',
+      selection: {},
+      collections: {
+        logs: { status: 'done', copied: 1, skipped: 0, lastId: 'l1', checksum: '0000000000000000' }
+      }
+    }, { relaxed: false });
+
+    const result = await migrationManager.migrate(source, target, { resume: true, verify: false });
+
+    expect(sourceCollections.logs.find).not.toHaveBeenCalled();
+    expect(targetCollections.users.documents).toHaveLength(3);
+    expect(result.collections.map(collection => collection.name)).toEqual(['users', 'logs']);
+  });
+
+  it('should fail a collection whose documents already exist unless it is dropped first', async () => {
+    targetCollections.users = createCollection([{ _id: 'a', name: 'Old' }]);
+
+    const result = await migrationManager.migrate(source, target, { include: 'users' });
+
+    expect(result.failedCollections).toEqual([{
+      name: 'users',
+      error: expect.stringContaining('use dropExisting or resume')
+    }]);
+    expect(readCheckpoint().status).toBe('failed');
+
+    const dropped = await migrationManager.migrate(source, target, { include: 'users', dropExisting: true });
+    expect(dropped.failedCollections).toEqual([]);
+    expect(dropped.verified).toBe(true);
+  });
+
+  it('should report a mismatch when the target differs from what was written', async () => {
+    targetCollections.users = createCollection();
+    targetCollections.users.insertMany.mockImplementation(async (batch) => {
+      targetCollections.users.documents.push(...batch.slice(1));
+    });
+
+    const result = await migrationManager.migrate(source, target, { include: 'users' });
+
+    expect(result.verified).toBe(false);
+    expect(result.collections[0].verification).toEqual(expect.objectContaining({
+      ok: false,
+      documents: { source: 3, copied: 3, skipped: 0, target: 2 }
+    }));
+    expect(result.collections[0].verification.checksum.actual)
+      .not.toBe(result.collections[0].verification.checksum.expected);
+  });
+
+  it('should copy Int64 and whole-number doubles with their BSON types', async () => {
+    // Stores serialized documents and reads them back the way the driver does
+    const createBsonCollection = (documents = []) => {
+      const collection = createCollection();
+      collection.stored = documents.map(document => BSON.serialize(document));
+      collection.find.mockImplementation((filter, options = {}) => {
+        const results = collection.stored.map(data => BSON.deserialize(data, { promoteValues: options.promoteValues }));
+        return {
+          sort: jest.fn().mockReturnThis(),
+          batchSize: jest.fn().mockReturnThis(),
+          close: jest.fn().mockResolvedValue(),
+          [Symbol.asyncIterator]: async function* () {
+            yield* results;
+          }
+        };
+      });
+      collection.insertMany.mockImplementation(async (batch) => {
+        collection.stored.push(...batch.map(document => BSON.serialize(document)));
+      });
+      collection.countDocuments.mockImplementation(async () => collection.stored.length);
+      return collection;
+    };
+    sourceCollections.counters = createBsonCollection([
+      { _id: 1, hits: BSON.Long.fromNumber(5), ratio: new BSON.Double(2), count: 3 }
+    ]);
+    targetCollections.counters = createBsonCollection();
+    sourceDb.listCollections.mockReturnValue({ toArray: async () => [{ name: 'counters', type: 'collection', options: {} }] });
+
+    const result = await migrationManager.migrate(source, target, { include: 'counters' });
+
+    const copied = BSON.deserialize(targetCollections.counters.stored[0], { promoteValues: false });
+    expect(copied.hits._bsontype).toBe('Long');
+    expect(copied.hits.toNumber()).toBe(5);
+    expect(copied.ratio._bsontype).toBe('Double');
+    expect(copied.ratio.value).toBe(2);
+    expect(copied.count._bsontype).toBe('Int32');
+    expect(result.collections[0].verification.ok).toBe(true);
+  });
+
+  it('should mask transformed documents with the profile the migration started with', async () => {
+    migrationManager.config = {
+      getMaskingProfile: jest.fn(() => ({ fields: { 'users.email': 'redact' }, secret: 'secret' }))
+    };
+    targetCollections.users = createCollection();
+    targetCollections.users.insertMany
+      .mockImplementationOnce(async (batch) => {
+        targetCollections.users.documents.push(...batch);
+      })
+      .mockRejectedValueOnce(new Error('connection reset'));
+
+    const interrupted = await migrationManager.migrate(source, target, {
+      include: 'users',
+      batchSize: 1,
+      masking: 'dev',
+      transform: document => ({ ...document, copied: true })
+    });
+    expect(interrupted.masking).toBe('dev');
+    expect(targetCollections.users.documents).toEqual([
+      { _id: 'a', name: 'Ann', email: '[REDACTED]', copied: true }
+    ]);
+
+    sourceCollections.users.nextFind = sourceCollections.users.documents.slice(1);
+    const result = await migrationManager.migrate(source, target, { resume: true });
+
+    expect(migrationManager.config.getMaskingProfile).toHaveBeenLastCalledWith('dev');
+    expect(targetCollections.users.documents.map(document => document.email)).toEqual(['[REDACTED]', '[REDACTED]', '[REDACTED]']);
+    expect(result.verified).toBe(true);
+  });
+
+  it('should recreate views without copying documents', async () => {
+    sourceDb.listCollections.mockReturnValue({
+      toArray: async () => [{ name: 'active', type: 'view', options: { viewOn: 'users', pipeline: [] } }]
+    });
+
+    const result = await migrationManager.migrate(source, target);
+
+    expect(targetDb.createCollection).toHaveBeenCalledWith('active', { viewOn: 'users', pipeline: [] });
+    expect(result.collections).toEqual([expect.objectContaining({ name: 'active', type: 'view', copied: 0 })]);
+    expect(result.collections[0].verification).toBeUndefined();
+  });
+
+  it('should refuse to resume a completed migration or copy a database onto itself', async () => {
+    await migrationManager.migrate(source, target);
+
+    await expect(migrationManager.migrate(source, target, { resume: true }))
+      .rejects.toThrow('Nothing to resume');
+    await expect(migrationManager.migrate(source, source))
+      .rejects.toThrow('Source and target are the same database');
+  });
+});
@@ -148,6 +148,48 @@ describe('MonitoringService', () => {
       );
     });
 
+    test('should compute the rates of each shard', async () => {
+      const shard = inserts => ({ server: { uptime: 100 }, operations: { insert: inserts } });
+      jest.spyOn(monitoringService, 'getClusterMetrics')
+        .mockResolvedValueOnce({ shards: { shard0: shard(100), shard1: shard(100) } })
+        .mockResolvedValueOnce({ shards: { shard0: shard(400), shard1: { error: 'timed out' } } });
+
+      jest.setSystemTime(0);
+      await monitoringService.collectMetrics();
+      jest.setSystemTime(30000);
+      await monitoringService.collectMetrics();
+
+      const [first, second] = monitoringService.metrics.get('test-cluster');
+      expect(first.shards.shard0.rates).toBeNull();
+      expect(second.shards.shard0.rates).toEqual(expect.objectContaining({ seconds: 30, opsPerSecond: 10 }));
+      expect(second.shards.shard1.rates).toBeNull();
+    });
+
+    test('should record and announce primary changes', async () => {
+      const replication = (primary, term) => ({ replication: { setName: 'rs0', primary, term, electionDate: new Date('2024-01-01T00:00:00Z') } });
+      jest.spyOn(monitoringService, 'getClusterMetrics')
+        .mockResolvedValueOnce(replication('host1:27017', 3))
+        .mockResolvedValueOnce(replication('host1:27017', 3))
+        .mockResolvedValueOnce(replication('host2:27017', 4));
+      const elections = [];
+      monitoringService.on('election', election => elections.push(election));
+
+      for (let i = 0; i < 3; i++) {
+        await monitoringService.collectMetrics();
+      }
+
+      expect(elections).toEqual([{
+        cluster: 'test-cluster',
+        setName: 'rs0',
+        term: 4,
+        previousPrimary: 'host1:27017',
+        primary: 'host2:27017',
+        electedAt: new Date('2024-01-01T00:00:00Z')
+      }]);
+      expect(monitoringService.getElections('test-cluster')).toEqual(elections);
+      expect(mockLogger.warn).toHaveBeenCalledWith('Replica set rs0 on test-cluster elected host2:27017 (was host1:27017, term 4)');
+    });
+
     test('should limit stored metrics to 100 points per cluster', async () => {
       jest.spyOn(monitoringService, 'getClusterMetrics').mockResolvedValue({
         server: { uptime: 3600 }
@@ -167,6 +209,7 @@ describe('MonitoringService', () => {
     beforeEach(() => {
       mockDb.command
         .mockResolvedValueOnce({ // serverStatus
+          host: 'host1:27017',
           uptime: 3600,
           version: '7.0.0',
           connections: { current: 10, available: 100, totalCreated: 1000 },
@@ -196,6 +239,7 @@ describe('MonitoringService', () => {
 
       expect(metrics).toEqual({
         server: {
+          host: 'host1:27017',
           uptime: 3600,
           version: '7.0.0',
           connections: { current: 10, available: 100, totalCreated: 1000 },
@@ -238,10 +282,92 @@ describe('MonitoringService', () => {
       const metrics = await monitoringService.getClusterMetrics('test-cluster');
 
       expect(metrics.server.memory.mapped).toBe(0);
-      expect(metrics.server.cpu.user).toBe(0);
+      expect(metrics.server.cpu).toBeUndefined();
       expect(metrics.replication).toBeNull();
     });
 
+    test('should add member state, lag and the oplog window from replSetGetStatus', async () => {
+      const { Timestamp } = require('mongodb');
+      const optimeDate = new Date('2024-01-01T12:00:00Z');
+      mockDb.command.mockReset().mockImplementation(async (command) => {
+        if (command.replSetGetStatus) {
+          return {
+            set: 'rs0',
+            term: 7,
+            members: [
+              { name: 'host1:27017', stateStr: 'PRIMARY', health: 1, optimeDate, electionDate: optimeDate, self: true },
+              { name: 'host2:27017', stateStr: 'SECONDARY', health: 1, optimeDate: new Date(optimeDate - 15000), pingMs: 2, syncSourceHost: 'host1:27017' },
+              { name: 'host3:27017', stateStr: '(not reachable/healthy)', health: 0 }
+            ]
+          };
+        }
+        return { uptime: 3600, connections: {}, network: {}, mem: {}, opcounters: {}, repl: { ismaster: true, setName: 'rs0', primary: 'host1:27017' } };
+      });
+      const cursor = ts => ({ sort: () => ({ limit: () => ({ toArray: async () => [{ ts }] }) }) });
+      mockDb.collection.mockReturnValue({
+        find: jest.fn()
+          .mockReturnValueOnce(cursor(new Timestamp({ t: 1704067200, i: 1 })))
+          .mockReturnValueOnce(cursor(new Timestamp({ t: 1704067200 + 36 * 3600, i: 1 })))
+      });
+
+      const { replication } = await monitoringService.getClusterMetrics('test-cluster');
+
+      expect(replication).toEqual(expect.objectContaining({
+        setName: 'rs0',
+        primary: 'host1:27017',
+        term: 7,
+        electionDate: optimeDate,
+        membersDown: 1,
+        maxLagSeconds: 15,
+        oplogWindowHours: 36
+      }));
+      expect(replication.members).toEqual([
+        expect.objectContaining({ name: 'host1:27017', state: 'PRIMARY', lagSeconds: 0, self: true }),
+        expect.objectContaining({ name: 'host2:27017', lagSeconds: 15, pingMs: 2, syncSource: 'host1:27017' }),
+        expect.objectContaining({ name: 'host3:27017', health: 0, lagSeconds: null })
+      ]);
+    });
+
+    test('should keep the basic replication status when replSetGetStatus is not allowed', async () => {
+      mockDb.command.mockReset().mockImplementation(async (command) => {
+        if (command.replSetGetStatus) {
+          throw Object.assign(new Error('not authorized on admin'), { codeName: 'Unauthorized' });
+        }
+        return { uptime: 3600, connections: {}, network: {}, mem: {}, opcounters: {}, repl: { ismaster: true, setName: 'rs0', primary: 'host1:27017' } };
+      });
+
+      const { replication } = await monitoringService.getClusterMetrics('test-cluster');
+
+      expect(replication).toEqual(expect.objectContaining({ setName: 'rs0', primary: 'host1:27017' }));
+      expect(replication.members).toBeUndefined();
+      expect(mockLogger.warn).toHaveBeenCalledWith('Failed to get replica set status for test-cluster:', 'not authorized on admin');
+    });
+
+    test('should sample the primary of every shard behind a mongos', async () => {
+      const status = (host, inserts) => ({ host, uptime: 3600, connections: { current: 3 }, network: {}, mem: { resident: 100 }, opcounters: { insert: inserts } });
+      mockDb.command.mockReset().mockImplementation(async (command) => {
+        if (command.listShards) {
+          return { shards: [{ _id: 'shard0', host: 'shard0/s0:27018' }, { _id: 'shard1', host: 'shard1/s1:27018' }] };
+        }
+        return { ...status('router:27017', 10), process: 'mongos' };
+      });
+      const shardDb = { command: jest.fn().mockResolvedValue(status('s0:27018', 500)) };
+      mockClusterManager.getShardConnection = jest.fn(async (cluster, shard) => {
+        if (shard.name === 'shard1') throw new Error('connection refused');
+        return { db: () => shardDb };
+      });
+
+      const metrics = await monitoringService.getClusterMetrics('test-cluster');
+
+      expect(mockClusterManager.getShardConnection).toHaveBeenCalledWith('test-cluster', expect.objectContaining({ name: 'shard0', host: 'shard0/s0:27018' }));
+      expect(metrics.operations.insert).toBe(10);
+      expect(metrics.shards).toEqual({
+        shard0: expect.objectContaining({ host: 's0:27018', operations: expect.objectContaining({ insert: 500 }) }),
+        shard1: { error: 'connection refused' }
+      });
+      expect(mockLogger.warn).toHaveBeenCalledWith('Failed to get metrics for shard shard1 of test-cluster:', 'connection refused');
+    });
+
     test('should handle database stats errors', async () => {
       jest.spyOn(monitoringService, 'getDatabasesStats')
         .mockRejectedValue(new Error('Access denied'));
@@ -340,6 +466,41 @@ describe('MonitoringService', () => {
       expect(result.dataPoints).toBe(2); // Only last 2 metrics within 30 minutes
     });
 
+    test('should read longer and custom ranges from the metric store', async () => {
+      jest.useRealTimers();
+      const stored = [{ timestamp: new Date(Date.now() - 20 * 3600000), server: {}, operations: {}, storage: {} }];
+      const store = {
+        chooseResolution: jest.fn(() => '1m'),
+        query: jest.fn().mockResolvedValue(stored),
+        record: jest.fn().mockResolvedValue()
+      };
+      monitoringService.metricStore = store;
+      jest.spyOn(monitoringService, 'calculateMetricsSummary').mockReturnValue({});
+
+      const result = await monitoringService.getMetrics('restarted-cluster', '24h');
+
+      expect(result).toEqual(expect.objectContaining({ resolution: '1m', dataPoints: 1, metrics: stored }));
+      expect(store.query).toHaveBeenCalledWith('restarted-cluster', { from: expect.any(Date), to: expect.any(Date), resolution: '1m' });
+      expect(result.to - result.from).toBe(24 * 3600000);
+
+      await monitoringService.getMetrics('restarted-cluster', '1h', { from: '2024-01-01T00:00:00Z', to: '2024-01-02T00:00:00Z', resolution: '1h' });
+      expect(store.query).toHaveBeenLastCalledWith('restarted-cluster', {
+        from: new Date('2024-01-01T00:00:00Z'),
+        to: new Date('2024-01-02T00:00:00Z'),
+        resolution: '1h'
+      });
+      await expect(monitoringService.getMetrics('restarted-cluster', '1h', { from: 'yesterday' }))
+        .rejects.toThrow('Invalid metrics time range');
+    });
+
+    test('should keep collecting when the metric store fails', async () => {
+      monitoringService.metricStore = { record: jest.fn().mockRejectedValue(new Error('disk full')) };
+
+      await monitoringService.storeMetrics('test-cluster', { timestamp: new Date() });
+
+      expect(mockLogger.warn).toHaveBeenCalledWith('Failed to store metrics for test-cluster:', 'disk full');
+    });
+
     test('should return error for non-existent cluster', async () => {
       const result = await monitoringService.getMetrics('non-existent');
 
@@ -392,6 +553,136 @@ describe('MonitoringService', () => {
 
       expect(summary).toEqual({});
     });
+
+    test('should derive the current load from the latest samples', () => {
+      const sample = (seconds, operations, cpuSeconds, connections) => ({
+        timestamp: new Date(seconds * 1000),
+        server: {
+          connections: { current: connections, available: 100 - connections },
+          cpu: { user: cpuSeconds * 1e6, system: 0 }
+        },
+        operations: { insert: operations, query: operations, update: 0, delete: 0, getmore: 0, command: 0 }
+      });
+      monitoringService.metrics.set('busy-cluster', [
+        sample(0, 0, 0, 10),
+        sample(30, 1000, 10, 20),
+        sample(60, 4000, 40, 40)
+      ]);
+
+      expect(monitoringService.getLoad('busy-cluster')).toEqual({
+        sampledAt: new Date(60000),
+        opsPerSecond: 200,
+        cpuPercent: 100,
+        connectionUsage: 0.4
+      });
+      expect(monitoringService.getLoad('non-existent')).toBeNull();
+    });
+
+    test('should turn counters into per-second rates, across server restarts', async () => {
+      const sample = (uptime, inserts, bytesIn, cpuSeconds) => ({
+        server: {
+          uptime,
+          connections: { current: 1, available: 99 },
+          network: { bytesIn, bytesOut: bytesIn * 2, numRequests: inserts },
+          cpu: { user: cpuSeconds * 1e6, system: 0 }
+        },
+        operations: { insert: inserts, query: 0 }
+      });
+      mockClusterManager.listClusters.mockReturnValue([{ name: 'rated', status: 'healthy' }]);
+      const getClusterMetrics = jest.spyOn(monitoringService, 'getClusterMetrics');
+      const collectAt = async (seconds, metrics) => {
+        jest.setSystemTime(seconds * 1000);
+        getClusterMetrics.mockResolvedValueOnce(metrics);
+        await monitoringService.collectMetrics();
+      };
+
+      await collectAt(1000, sample(500, 1000, 10000, 100));
+      await collectAt(1030, sample(530, 4000, 40000, 115));
+      // Restarted 10 seconds ago
+      await collectAt(1060, sample(10, 200, 5000, 2));
+
+      const [first, second, restarted] = monitoringService.metrics.get('rated');
+      expect(first.rates).toBeNull();
+      expect(second.rates).toEqual({
+        seconds: 30,
+        reset: false,
+        opsPerSecond: 100,
+        operations: { insert: 100, query: 0 },
+        bytesInPerSecond: 1000,
+        bytesOutPerSecond: 2000,
+        requestsPerSecond: 100,
+        cpuUserPercent: 50,
+        cpuSystemPercent: 0,
+        cpuPercent: 50
+      });
+      expect(restarted.rates).toEqual(expect.objectContaining({ seconds: 10, reset: true, opsPerSecond: 20, bytesInPerSecond: 500, cpuPercent: 20 }));
+
+      expect(monitoringService.summarizeRates([second, restarted]).rates).toEqual({
+        opsPerSecond: { current: 20, peak: 100, average: 60 },
+        bytesInPerSecond: { current: 500, peak: 1000, average: 750 },
+        bytesOutPerSecond: { current: 1000, peak: 2000, average: 1500 },
+        cpuPercent: { current: 20, peak: 50, average: 35 }
+      });
+    });
+
+    test('should reset rates when another server answers and leave out unknown CPU times', async () => {
+      const sample = (host, primary, uptime, inserts, cpuSeconds) => ({
+        server: {
+          host,
+          uptime,
+          connections: { current: 1, available: 99 },
+          cpu: cpuSeconds === undefined ? undefined : { user: cpuSeconds * 1e6, system: 0 }
+        },
+        operations: { insert: inserts },
+        replication: { primary }
+      });
+      mockClusterManager.listClusters.mockReturnValue([{ name: 'failover', status: 'healthy' }]);
+      const getClusterMetrics = jest.spyOn(monitoringService, 'getClusterMetrics');
+      const collectAt = async (seconds, metrics) => {
+        jest.setSystemTime(seconds * 1000);
+        getClusterMetrics.mockResolvedValueOnce(metrics);
+        await monitoringService.collectMetrics();
+      };
+
+      await collectAt(1000, sample('a:27017', 'a:27017', 5000, 100000, 1000));
+      // Failed over to a member that has been up for 1000 seconds
+      await collectAt(1030, sample('b:27017', 'b:27017', 1000, 20000, 100));
+      await collectAt(1060, sample('b:27017', 'b:27017', 1030, 20300, 103));
+      // The same member, now reporting another primary
+      await collectAt(1090, sample('b:27017', 'c:27017', 1060, 20600, 106));
+      await collectAt(1120, sample('c:27017', 'c:27017', undefined, 900, 1));
+      // Without CPU times, as on macOS and Windows
+      await collectAt(1150, sample('c:27017', 'c:27017', 40, 1200));
+      await collectAt(1180, sample('c:27017', 'c:27017', 70, 1500));
+
+      const [, failover, steady, newPrimary, noUptime, , withoutCpu] = monitoringService.metrics.get('failover');
+      expect(failover.rates).toEqual(expect.objectContaining({ seconds: 1000, reset: true, opsPerSecond: 20, cpuPercent: 10 }));
+      expect(steady.rates).toEqual(expect.objectContaining({ seconds: 30, reset: false, opsPerSecond: 10, cpuPercent: 10 }));
+      expect(newPrimary.rates).toEqual(expect.objectContaining({ seconds: 1060, reset: true }));
+      expect(noUptime.rates).toBeNull();
+      expect(withoutCpu.rates).toEqual(expect.objectContaining({ seconds: 30, reset: false, opsPerSecond: 10 }));
+      expect(withoutCpu.rates).not.toHaveProperty('cpuPercent');
+    });
+
+    test('should add rates to stored points that were recorded without them', async () => {
+      jest.useRealTimers();
+      const point = (minutesAgo, inserts) => ({
+        timestamp: new Date(Date.now() - minutesAgo * 60000),
+        server: { connections: { current: 1 }, memory: { resident: 1 } },
+        operations: { insert: inserts },
+        storage: {}
+      });
+      monitoringService.metricStore = {
+        chooseResolution: jest.fn(() => '1m'),
+        query: jest.fn().mockResolvedValue([point(2, 0), point(1, 600)])
+      };
+
+      const result = await monitoringService.getMetrics('test-cluster', '1h');
+
+      expect(result.metrics[0].rates).toBeUndefined();
+      expect(result.metrics[1].rates).toEqual(expect.objectContaining({ seconds: 60, opsPerSecond: 10 }));
+      expect(result.summary.rates.opsPerSecond).toEqual({ current: 10, peak: 10, average: 10 });
+    });
   });
 
   describe('Alert System', () => {
@@ -426,21 +717,24 @@ describe('MonitoringService', () => {
 
       const memoryAlert = monitoringService.alerts.find(a => a.type === 'HIGH_MEMORY_USAGE');
       expect(memoryAlert).toBeDefined();
-      expect(memoryAlert.data.memory).toBe(5120);
+      expect(memoryAlert.data.value).toBe(5120);
+      expect(memoryAlert.data.threshold).toBe(4096);
+      expect(memoryAlert.message).toBe('High memory usage: server.memory.resident is 5120 (> 4096)');
     });
 
     test('should not create duplicate alerts', async () => {
       await monitoringService.checkAlerts();
       await monitoringService.checkAlerts();
 
-      // Should still only have 2 alerts (connection + memory)
-      expect(monitoringService.alerts).toHaveLength(2);
+      // The memory alert stays open and is updated
+      expect(monitoringService.alerts).toHaveLength(1);
+      expect(monitoringService.alerts[0].occurrences).toBe(2);
     });
 
     test('should limit alerts to 100', async () => {
       // Create 150 alerts
       for (let i = 0; i < 150; i++) {
-        monitoringService.createAlert('TEST_ALERT', 'test-cluster', { count: i });
+        monitoringService.createAlert('TEST_ALERT', `cluster-${i}`, { count: i });
       }
 
       expect(monitoringService.alerts).toHaveLength(100);
@@ -463,6 +757,344 @@ describe('MonitoringService', () => {
     });
   });
 
+  describe('Alert Rules', () => {
+    let rules;
+    const sample = (minutesAgo, resident, connections = { current: 10, available: 90 }) => ({
+      timestamp: new Date(Date.now() - minutesAgo * 60 * 1000),
+      server: { connections, memory: { resident } }
+    });
+
+    beforeEach(() => {
+      jest.useRealTimers();
+      rules = {};
+      monitoringService.config = { getAlertRules: jest.fn(() => rules), getSetting: jest.fn() };
+      mockClusterManager.listClusters.mockReturnValue([
+        { name: 'prod', environment: 'production', status: 'healthy' },
+        { name: 'dev', environment: 'development', status: 'healthy' }
+      ]);
+    });
+
+    test('should use the SmartDefaults thresholds of each cluster environment', async () => {
+      monitoringService.metrics.set('prod', [sample(0, 5000, { current: 85, available: 15 })]);
+      monitoringService.metrics.set('dev', [sample(0, 5000, { current: 85, available: 15 })]);
+
+      await monitoringService.checkAlerts();
+
+      expect(monitoringService.alerts.map(alert => `${alert.cluster}:${alert.type}`).sort()).toEqual([
+        'prod:HIGH_CONNECTION_USAGE',
+        'prod:HIGH_MEMORY_USAGE'
+      ]);
+    });
+
+    test('should only fire once the condition has held for the whole window', async () => {
+      rules['memory-growth'] = {
+        metric: 'server.memory.resident',
+        comparator: '>=',
+        threshold: 1000,
+        for: '5m',
+        severity: 'critical',
+        scope: { clusters: ['prod'] }
+      };
+      monitoringService.metrics.set('prod', [sample(8, 500), sample(4, 1500), sample(0, 1600)]);
+      monitoringService.metrics.set('dev', [sample(10, 1500), sample(0, 1600)]);
+
+      await monitoringService.checkAlerts();
+      expect(monitoringService.alerts).toHaveLength(0);
+
+      monitoringService.metrics.get('prod').push(sample(-2, 1700));
+      await monitoringService.checkAlerts();
+
+      expect(monitoringService.alerts).toEqual([expect.objectContaining({
+        type: 'memory-growth',
+        cluster: 'prod',
+        severity: 'critical',
+        data: expect.objectContaining({ value: 1700, threshold: 1000, for: '5m' })
+      })]);
+    });
+
+    test('should let configured rules replace or disable built-in ones', async () => {
+      rules.HIGH_MEMORY_USAGE = { metric: 'server.memory.resident', threshold: 100, enabled: false };
+      rules.broken = { metric: 'server.memory.resident', comparator: '~', threshold: 1 };
+      monitoringService.metrics.set('prod', [sample(0, 9000)]);
+
+      await monitoringService.checkAlerts();
+
+      expect(monitoringService.alerts).toHaveLength(0);
+      expect(mockLogger.warn).toHaveBeenCalledWith('Ignoring invalid alert rule broken:', expect.stringContaining('Unknown alert rule comparator'));
+      expect(monitoringService.loadAlertRules('production').map(rule => rule.name))
+        .toEqual(['HIGH_CONNECTION_USAGE', 'REPLICATION_LAG', 'MEMBER_DOWN', 'HIGH_MEMORY_USAGE']);
+    });
+
+    test('should keep a built-in rule when its configured replacement is invalid', async () => {
+      rules.HIGH_MEMORY_USAGE = { metric: 'server.memory.resident', threshold: 100, for: '1h' };
+
+      const loaded = monitoringService.loadAlertRules('production');
+
+      expect(mockLogger.warn).toHaveBeenCalledWith('Ignoring invalid alert rule HIGH_MEMORY_USAGE:', expect.stringContaining('could never fire'));
+      expect(loaded.find(rule => rule.name === 'HIGH_MEMORY_USAGE')).toEqual(expect.objectContaining({ builtIn: true }));
+      expect(loaded.map(rule => rule.name)).toEqual(['HIGH_CONNECTION_USAGE', 'HIGH_MEMORY_USAGE', 'REPLICATION_LAG', 'MEMBER_DOWN']);
+    });
+
+    test('should reject rules whose window is longer than the samples kept in memory', async () => {
+      const definition = { metric: 'server.memory.resident', threshold: 1000, scope: { clusters: ['prod'] } };
+      // 100 samples 30 seconds apart span 2970 seconds
+      rules.longest = { ...definition, for: 2970 };
+      rules['too-long'] = { ...definition, for: 2971 };
+      monitoringService.metrics.set('prod', Array.from({ length: 100 }, (_, index) => sample((99 - index) / 2, 5000)));
+
+      await monitoringService.checkAlerts();
+
+      expect(monitoringService.alerts.map(alert => alert.type)).toContain('longest');
+      expect(monitoringService.alerts.map(alert => alert.type)).not.toContain('too-long');
+      expect(mockLogger.warn).toHaveBeenCalledWith('Ignoring invalid alert rule too-long:',
+        'The for window of 2971 is longer than the 2970s of samples kept (100 samples 30s apart), so it could never fire');
+      await expect(monitoringService.testAlertRule('too-long', 'prod')).rejects.toThrow('could never fire');
+
+      monitoringService.intervalMs = 60000;
+      expect(monitoringService.loadAlertRules('production').map(rule => rule.name)).toContain('too-long');
+    });
+
+    test('should alert on lagging and unreachable replica set members, naming them', async () => {
+      const member = (name, health, lagSeconds) => ({ name, health, lagSeconds });
+      monitoringService.metrics.set('prod', [{
+        ...sample(0, 100),
+        replication: {
+          setName: 'rs0',
+          members: [member('a:27017', 1, 0), member('b:27017', 1, 45), member('c:27017', 0, null)],
+          membersDown: 1,
+          maxLagSeconds: 45
+        }
+      }]);
+
+      await monitoringService.checkAlerts();
+
+      expect(monitoringService.alerts).toEqual(expect.arrayContaining([
+        expect.objectContaining({
+          type: 'REPLICATION_LAG',
+          severity: 'error',
+          message: 'Replication lag: replication.maxLagSeconds is 45 (> 10) on b:27017',
+          data: expect.objectContaining({ members: ['b:27017'] })
+        }),
+        expect.objectContaining({
+          type: 'MEMBER_DOWN',
+          severity: 'critical',
+          message: 'Replica set member down: replication.membersDown is 1 (> 0) on c:27017',
+          data: expect.objectContaining({ members: ['c:27017'] })
+        })
+      ]));
+      expect(monitoringService.alerts).toHaveLength(2);
+    });
+
+    test('should test rules without raising alerts, sampling clusters that have no history', async () => {
+      monitoringService.metrics.set('prod', [sample(0, 5000)]);
+      jest.spyOn(monitoringService, 'getClusterMetrics').mockResolvedValue(sample(0, 9000));
+
+      const results = await monitoringService.testAlertRule('HIGH_MEMORY_USAGE');
+
+      expect(results).toEqual([
+        expect.objectContaining({ cluster: 'prod', applies: true, firing: true, value: 5000, samples: 1 }),
+        expect.objectContaining({ cluster: 'dev', applies: true, firing: true, value: 9000 })
+      ]);
+      expect(monitoringService.getClusterMetrics).toHaveBeenCalledWith('dev');
+      expect(monitoringService.alerts).toHaveLength(0);
+
+      const scoped = await monitoringService.testAlertRule({
+        metric: 'derived.connectionUsage',
+        threshold: 0.5,
+        scope: { environments: ['staging'] }
+      }, 'prod');
+      expect(scoped).toEqual([expect.objectContaining({ cluster: 'prod', applies: false })]);
+
+      await expect(monitoringService.testAlertRule('missing')).rejects.toThrow('Unknown alert rule: missing');
+    });
+  });
+
+  describe('Alert Lifecycle', () => {
+    let resident;
+
+    beforeEach(() => {
+      jest.useRealTimers();
+      resident = 5120;
+      mockClusterManager.listClusters.mockReturnValue([
+        { name: 'test-cluster', environment: 'production', status: 'healthy' }
+      ]);
+      monitoringService.metrics.set('test-cluster', []);
+    });
+
+    const check = async () => {
+      monitoringService.metrics.get('test-cluster').push({
+        timestamp: new Date(),
+        server: { connections: { current: 10, available: 90 }, memory: { resident } }
+      });
+      await monitoringService.checkAlerts();
+    };
+
+    test('should keep one alert per fingerprint until the metric recovers', async () => {
+      const announced = jest.fn();
+      const resolved = jest.fn();
+      monitoringService.on('alert', announced);
+      monitoringService.on('alertResolved', resolved);
+
+      await check();
+      const [alert] = monitoringService.alerts;
+      expect(alert).toEqual(expect.objectContaining({
+        fingerprint: 'HIGH_MEMORY_USAGE:test-cluster:HIGH_MEMORY_USAGE',
+        status: 'firing',
+        occurrences: 1
+      }));
+
+      expect(monitoringService.acknowledgeAlert(alert.id)).toBe(true);
+      resident = 6000;
+      await check();
+      expect(monitoringService.alerts).toHaveLength(1);
+      expect(alert).toEqual(expect.objectContaining({ status: 'acknowledged', occurrences: 2, data: expect.objectContaining({ value: 6000 }) }));
+
+      resident = 1000;
+      await check();
+      expect(alert).toEqual(expect.objectContaining({ status: 'resolved', resolution: 'recovered', resolvedAt: expect.any(Date) }));
+      expect(monitoringService.acknowledgeAlert(alert.id)).toBe(false);
+      expect(resolved).toHaveBeenCalledWith(alert);
+
+      resident = 5120;
+      await check();
+      expect(monitoringService.alerts).toHaveLength(2);
+      expect(monitoringService.getAlerts(null, null, 'open')).toEqual([expect.objectContaining({ status: 'firing' })]);
+      expect(monitoringService.getAlerts(null, null, 'resolved')).toEqual([alert]);
+      expect(announced).toHaveBeenCalledTimes(2);
+    });
+
+    test('should resolve alerts of rules that no longer apply', async () => {
+      await check();
+      monitoringService.config = {
+        getAlertRules: () => ({ HIGH_MEMORY_USAGE: { metric: 'server.memory.resident', threshold: 1, enabled: false } }),
+        getSetting: jest.fn()
+      };
+
+      await check();
+
+      expect(monitoringService.alerts[0].status).toBe('resolved');
+    });
+
+    test('should not announce snoozed alerts until the snooze runs out', async () => {
+      const announced = jest.fn();
+      monitoringService.on('alert', announced);
+      await check();
+      const [alert] = monitoringService.alerts;
+
+      expect(monitoringService.snoozeAlert(alert.id, '1h')).toBe(alert);
+      expect(alert.snoozedUntil).toBeInstanceOf(Date);
+
+      resident = 1000;
+      await check();
+      resident = 5120;
+      await check();
+
+      const [reopened] = monitoringService.getAlerts(null, null, 'firing');
+      expect(reopened.id).not.toBe(alert.id);
+      expect(reopened.snoozedUntil).toEqual(alert.snoozedUntil);
+      expect(announced).toHaveBeenCalledTimes(1);
+
+      reopened.snoozedUntil = new Date(Date.now() - 1000);
+      await check();
+      expect(reopened.snoozedUntil).toBeNull();
+      expect(announced).toHaveBeenLastCalledWith(reopened);
+
+      expect(monitoringService.snoozeAlert('missing', '1h')).toBeNull();
+      expect(() => monitoringService.snoozeAlert(alert.id, 0)).toThrow('needs a duration');
+    });
+
+    test('should notify channels when alerts fire, are acknowledged and resolve', async () => {
+      monitoringService.config = { getAlertRules: () => ({}), getSetting: jest.fn() };
+      monitoringService.notifier = { notify: jest.fn().mockResolvedValue([]) };
+
+      await check();
+      const [alert] = monitoringService.alerts;
+      await check();
+      monitoringService.acknowledgeAlert(alert.id);
+      resident = 1000;
+      await check();
+
+      const { notify } = monitoringService.notifier;
+      expect(notify.mock.calls.map(([notification]) => notification.event)).toEqual([
+        'alert.firing',
+        'alert.acknowledged',
+        'alert.resolved'
+      ]);
+      expect(notify).toHaveBeenCalledWith(expect.objectContaining({
+        severity: 'warning',
+        title: 'Alert on test-cluster: High memory usage: server.memory.resident is 5120 (> 4096)',
+        cluster: 'test-cluster',
+        key: alert.fingerprint,
+        details: expect.objectContaining({ alert: alert.id, rule: 'HIGH_MEMORY_USAGE', value: 5120, threshold: 4096 })
+      }));
+    });
+
+    test('should not notify about silenced alerts that were never announced', async () => {
+      monitoringService.config = { getAlertRules: () => ({}), getSetting: jest.fn() };
+      monitoringService.notifier = { notify: jest.fn().mockResolvedValue([]) };
+
+      await check();
+      const [alert] = monitoringService.alerts;
+      monitoringService.snoozeAlert(alert.id, '1h');
+      resident = 1000;
+      await check();
+      resident = 5120;
+      await check();
+      const [silenced] = monitoringService.getAlerts(null, null, 'firing');
+      monitoringService.acknowledgeAlert(silenced.id);
+      resident = 1000;
+      await check();
+
+      const { notify } = monitoringService.notifier;
+      expect(silenced.status).toBe('resolved');
+      expect(silenced.announced).toBe(false);
+      expect(notify.mock.calls.map(([notification]) => [notification.event, notification.details.alert])).toEqual([
+        ['alert.firing', alert.id],
+        ['alert.resolved', alert.id]
+      ]);
+    });
+
+    test('should log notification failures without failing alerting', async () => {
+      monitoringService.config = { getAlertRules: () => ({}), getSetting: jest.fn() };
+      monitoringService.notifier = { notify: jest.fn().mockRejectedValue(new Error('boom')) };
+
+      await check();
+
+      expect(await monitoringService.notifyAlert(monitoringService.alerts[0])).toEqual([]);
+      expect(mockLogger.error).toHaveBeenCalledWith(expect.stringContaining('Failed to send notifications for alert'), expect.any(Error));
+    });
+
+    test('should emit alertCreated for every new alert, snoozed or not', async () => {
+      const created = jest.fn();
+      monitoringService.on('alertCreated', created);
+
+      await check();
+      await check();
+      const [alert] = monitoringService.alerts;
+      monitoringService.snoozeAlert(alert.id, '1h');
+      resident = 1000;
+      await check();
+      resident = 5120;
+      await check();
+
+      expect(created).toHaveBeenCalledTimes(2);
+      expect(created).toHaveBeenCalledWith(alert);
+    });
+
+    test('should make room by dropping resolved alerts first', () => {
+      const resolved = monitoringService.createAlert('TEST_ALERT', 'cluster-x', {});
+      monitoringService.resolveAlert(resolved.id);
+      const oldest = monitoringService.createAlert('TEST_ALERT', 'cluster-0', {});
+      for (let i = 1; i < 100; i++) {
+        monitoringService.createAlert('TEST_ALERT', `cluster-${i}`, {});
+      }
+
+      expect(monitoringService.alerts).toHaveLength(100);
+      expect(monitoringService.alerts).not.toContain(resolved);
+      expect(monitoringService.alerts).toContain(oldest);
+    });
+  });
+
   describe('Alert Management', () => {
     beforeEach(() => {
       // Create some test alerts
@@ -527,12 +1159,17 @@ describe('MonitoringService', () => {
       expect(result).toBe(false);
     });
 
-    test('should clear acknowledged alerts', () => {
-      const clearedCount = monitoringService.clearAcknowledgedAlerts();
+    test('should clear resolved alerts but keep open ones', () => {
+      monitoringService.alerts.push(
+        { id: 'alert4', cluster: 'cluster1', severity: 'error', acknowledged: true, status: 'resolved', timestamp: new Date() },
+        { id: 'alert5', cluster: 'cluster2', severity: 'warning', acknowledged: false, status: 'resolved', timestamp: new Date() }
+      );
 
-      expect(clearedCount).toBe(1); // Only alert2 was acknowledged
-      expect(monitoringService.alerts).toHaveLength(2);
-      expect(monitoringService.alerts.every(a => !a.acknowledged)).toBe(true);
+      const clearedCount = monitoringService.clearResolvedAlerts();
+
+      expect(clearedCount).toBe(2);
+      // alert2 is acknowledged but still open
+      expect(monitoringService.alerts.map(a => a.id)).toEqual(['alert1', 'alert2', 'alert3']);
     });
   });
 
@@ -0,0 +1,91 @@
+const RetentionPolicy = require('../lib/retention-policy');
+
+const backup = (name, created, extra = {}) => ({ name, created: new Date(created), ...extra });
+const names = backups => backups.map(entry => (entry.backup || entry).name);
+
+describe('RetentionPolicy', () => {
+  describe('resolve', () => {
+    const policies = {
+      default: { daily: 7 },
+      production: { daily: 14 },
+      'production/myapp': { daily: 30 }
+    };
+
+    test('should prefer the most specific policy', () => {
+      expect(RetentionPolicy.resolve(policies, 'production', 'myapp').counts.daily).toBe(30);
+      expect(RetentionPolicy.resolve(policies, 'production', 'analytics').counts.daily).toBe(14);
+      expect(RetentionPolicy.resolve(policies, 'staging', 'myapp').counts.daily).toBe(7);
+    });
+
+    test('should return null without a matching policy', () => {
+      expect(RetentionPolicy.resolve(undefined, 'production', 'myapp')).toBeNull();
+      expect(RetentionPolicy.resolve({ staging: { daily: 1 } }, 'production', 'myapp')).toBeNull();
+    });
+
+    test('should reject invalid counts', () => {
+      expect(() => new RetentionPolicy({ daily: -1 })).toThrow('Invalid daily retention count: -1');
+    });
+  });
+
+  describe('apply', () => {
+    test('should keep the newest backup of each recent day', () => {
+      const policy = new RetentionPolicy({ daily: 2 });
+
+      const { keep, prune } = policy.apply([
+        backup('d3-late', '2024-03-03T20:00:00Z'),
+        backup('d3-early', '2024-03-03T02:00:00Z'),
+        backup('d2', '2024-03-02T02:00:00Z'),
+        backup('d1', '2024-03-01T02:00:00Z')
+      ]);
+
+      expect(names(keep)).toEqual(['d3-late', 'd2']);
+      expect(names(prune)).toEqual(['d3-early', 'd1']);
+    });
+
+    test('should combine daily, weekly and monthly slots', () => {
+      const policy = new RetentionPolicy({ daily: 1, weekly: 2, monthly: 3 });
+      const backups = [
+        backup('mar-04', '2024-03-04T00:00:00Z'), // Monday, week 10
+        backup('mar-03', '2024-03-03T00:00:00Z'), // Sunday, week 9
+        backup('mar-01', '2024-03-01T00:00:00Z'),
+        backup('feb-15', '2024-02-15T00:00:00Z'),
+        backup('jan-20', '2024-01-20T00:00:00Z'),
+        backup('dec-31', '2023-12-31T00:00:00Z')
+      ];
+
+      const { keep, prune } = policy.apply(backups);
+
+      expect(keep.map(({ backup: kept, reasons }) => [kept.name, reasons])).toEqual([
+        ['mar-04', ['daily', 'weekly', 'monthly', 'latest']],
+        ['mar-03', ['weekly']],
+        ['feb-15', ['monthly']],
+        ['jan-20', ['monthly']]
+      ]);
+      expect(names(prune)).toEqual(['mar-01', 'dec-31']);
+    });
+
+    test('should keep the backups an incremental chain depends on', () => {
+      const policy = new RetentionPolicy({ hourly: 1 });
+
+      const { keep, prune } = policy.apply([
+        backup('inc-2', '2024-03-03T12:00:00Z', { type: 'incremental', parent: 'inc-1' }),
+        backup('inc-1', '2024-03-03T11:00:00Z', { type: 'incremental', parent: 'full' }),
+        backup('full', '2024-03-03T10:00:00Z', { type: 'full' }),
+        backup('old-full', '2024-03-02T10:00:00Z', { type: 'full' })
+      ]);
+
+      expect(keep.map(({ backup: kept, reasons }) => [kept.name, reasons])).toEqual([
+        ['inc-2', ['hourly', 'latest']],
+        ['inc-1', ['chain']],
+        ['full', ['chain']]
+      ]);
+      expect(names(prune)).toEqual(['old-full']);
+    });
+
+    test('should always keep the latest backup', () => {
+      const { keep } = new RetentionPolicy({}).apply([backup('only', '2024-03-03T00:00:00Z')]);
+
+      expect(keep).toEqual([{ backup: expect.objectContaining({ name: 'only' }), reasons: ['latest'] }]);
+    });
+  });
+});
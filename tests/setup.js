@@ -3,6 +3,8 @@ const { MongoClient } = require('mongodb');
 
 // Mock MongoDB client globally
 jest.mock('mongodb', () => ({
+  BSON: jest.requireActual('mongodb').BSON,
+  Timestamp: jest.requireActual('mongodb').Timestamp,
   MongoClient: jest.fn(),
   ObjectId: jest.fn().mockImplementation((id) => ({ 
     toString: () => id || '507f1f77bcf86cd799439011' 
@@ -19,6 +21,8 @@ jest.mock('fs', () => ({
     readdir: jest.fn(),
     stat: jest.fn(),
     unlink: jest.fn(),
+    link: jest.fn(),
+    rename: jest.fn(),
     rmdir: jest.fn(),
     copyFile: jest.fn()
   }
@@ -42,6 +42,9 @@ class WebServer {
       // Start monitoring
       await this.manager.getMonitoring().startMonitoring();
 
+      // Start scheduled backups; with backupLocks set, instances share them
+      await this.manager.getBackupManager().initialize();
+
       // Listen for monitoring events
       this.manager.getMonitoring().on('metricsCollected', (data) => {
         this.io.emit('metrics', data);
@@ -51,6 +54,14 @@ class WebServer {
         this.io.emit('alert', alert);
       });
 
+      this.manager.getMonitoring().on('alertResolved', (alert) => {
+        this.io.emit('alert-resolved', alert);
+      });
+
+      this.manager.getMonitoring().on('election', (election) => {
+        this.io.emit('replica-set-election', election);
+      });
+
       console.log('Web server initialized successfully');
     } catch (error) {
       console.error('Failed to initialize web server:', error);
@@ -161,34 +172,174 @@ class WebServer {
     // Monitoring
     apiRouter.get('/clusters/:cluster/metrics', async (req, res) => {
       try {
-        const timeRange = req.query.timeRange || '1h';
-        const metrics = await this.manager.getMonitoring().getMetrics(req.params.cluster, timeRange);
+        const { timeRange = '1h', from, to, resolution } = req.query;
+        const metrics = await this.manager.getMonitoring().getMetrics(req.params.cluster, timeRange, { from, to, resolution });
         res.json(metrics);
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
     });
 
+    apiRouter.get('/clusters/:cluster/topology', async (req, res) => {
+      try {
+        const topology = await this.manager.getClusterManager().getTopology(req.params.cluster);
+        res.json(topology);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    apiRouter.get('/clusters/:cluster/replica-set', async (req, res) => {
+      try {
+        const { replication } = await this.manager.getClusterManager().getClusterInfo(req.params.cluster);
+        if (!replication) {
+          return res.status(404).json({ error: `Cluster ${req.params.cluster} is not a replica set` });
+        }
+        res.json({ ...replication, elections: this.manager.getMonitoring().getElections(req.params.cluster) });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
     apiRouter.get('/alerts', async (req, res) => {
       try {
-        const { cluster, severity } = req.query;
-        const alerts = this.manager.getMonitoring().getAlerts(cluster, severity);
+        const { cluster, severity, status } = req.query;
+        const alerts = this.manager.getMonitoring().getAlerts(cluster, severity, status);
         res.json(alerts);
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
     });
 
+    apiRouter.post('/alerts/:id/acknowledge', async (req, res) => {
+      try {
+        const monitoring = this.manager.getMonitoring();
+        if (!monitoring.acknowledgeAlert(req.params.id)) {
+          return res.status(404).json({ error: `No open alert ${req.params.id}` });
+        }
+        res.json(monitoring.alerts.find(alert => alert.id === req.params.id));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Body: { duration } in seconds or e.g. "30m"
+    apiRouter.post('/alerts/:id/snooze', async (req, res) => {
+      try {
+        const alert = this.manager.getMonitoring().snoozeAlert(req.params.id, req.body.duration);
+        if (!alert) {
+          return res.status(404).json({ error: `Unknown alert ${req.params.id}` });
+        }
+        res.json(alert);
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    apiRouter.get('/alerts/rules', async (req, res) => {
+      try {
+        res.json(this.manager.getMonitoring().loadAlertRules(req.query.environment));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    apiRouter.put('/alerts/rules/:name', async (req, res) => {
+      try {
+        const config = this.manager.getConfigManager();
+        config.setAlertRule(req.params.name, req.body, { intervalMs: this.manager.getMonitoring().intervalMs });
+        await config.save();
+        res.json(config.getAlertRules()[req.params.name]);
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    apiRouter.delete('/alerts/rules/:name', async (req, res) => {
+      try {
+        const config = this.manager.getConfigManager();
+        if (!config.removeAlertRule(req.params.name)) {
+          return res.status(404).json({ error: `Unknown alert rule: ${req.params.name}` });
+        }
+        await config.save();
+        res.json({ removed: req.params.name });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Body: { rule: <name or definition>, cluster }
+    apiRouter.post('/alerts/rules/test', async (req, res) => {
+      try {
+        const { rule, cluster } = req.body;
+        if (!rule) {
+          return res.status(400).json({ error: 'rule is required' });
+        }
+        res.json(await this.manager.getMonitoring().testAlertRule(rule, cluster));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
     // Backups
     apiRouter.get('/backups', async (req, res) => {
       try {
-        const backups = await this.manager.getBackupManager().listBackups();
+        const { cluster, database, type, tags, retentionClass, since, until, location, sort, order, limit } = req.query;
+        const backups = await this.manager.getBackupManager().listBackups({
+          cluster,
+          database,
+          type,
+          tags,
+          retentionClass,
+          since,
+          until,
+          location,
+          sort,
+          order,
+          limit: limit ? parseInt(limit, 10) : undefined
+        });
         res.json(backups);
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
     });
 
+    apiRouter.post('/backups/catalog/rebuild', async (req, res) => {
+      try {
+        const backups = await this.manager.getBackupManager().rebuildCatalog();
+        res.json({ backups: backups.length });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    apiRouter.get('/backups/history', async (req, res) => {
+      try {
+        const { jobId, cluster, database, status, since, limit } = req.query;
+        const runs = await this.manager.getBackupManager().listJobRuns({
+          jobId,
+          cluster,
+          database,
+          status,
+          since,
+          limit: limit ? parseInt(limit, 10) : 100
+        });
+        res.json(runs);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    apiRouter.get('/backups/schedules', async (req, res) => {
+      try {
+        const backupManager = this.manager.getBackupManager();
+        await backupManager.refreshScheduleLocks();
+        res.json(backupManager.listScheduledBackups());
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
     apiRouter.post('/backups', async (req, res) => {
       try {
         const { cluster, database, options } = req.body;
@@ -199,6 +350,39 @@ class WebServer {
       }
     });
 
+    apiRouter.post('/backups/restore', async (req, res) => {
+      try {
+        const { backupPath, source, targetCluster, targetDatabase, options = {} } = req.body;
+        if (!targetCluster || !targetDatabase || (!backupPath && !source)) {
+          return res.status(400).json({ error: 'backupPath or source, targetCluster and targetDatabase are required' });
+        }
+
+        const backupManager = this.manager.getBackupManager();
+        let result;
+
+        if (source) {
+          if (!options.toTime) {
+            return res.status(400).json({ error: 'options.toTime is required when restoring from a source database' });
+          }
+          const { toTime, ...restoreOptions } = options;
+          result = await backupManager.restoreToPointInTime(
+            source.cluster,
+            source.database,
+            toTime,
+            targetCluster,
+            targetDatabase,
+            restoreOptions
+          );
+        } else {
+          result = await backupManager.restoreBackup(backupPath, targetCluster, targetDatabase, options);
+        }
+
+        res.json(result);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
     this.app.use('/api', apiRouter);
 
     // Serve dashboard
@@ -215,6 +399,9 @@ class WebServer {
       });
     });
 
+    // Prometheus / OpenMetrics scrape endpoint
+    this.app.get('/metrics', (req, res) => this.manager.getMetricsExporter().handle(req, res));
+
     // 404 handler
     this.app.use('*', (req, res) => {
       res.status(404).json({ error: 'Endpoint not found' });
@@ -241,7 +428,8 @@ class WebServer {
         try {
           const metrics = await this.manager.getMonitoring().getMetrics(
             data.cluster, 
-            data.timeRange || '1h'
+            data.timeRange || '1h',
+            { from: data.from, to: data.to, resolution: data.resolution }
           );
           socket.emit('metrics-response', metrics);
         } catch (error) {
@@ -279,6 +467,9 @@ class WebServer {
   }
 
   async stop() {
+    // Hand job leases to other instances before going away
+    await this.manager.getBackupManager().shutdown();
+
     return new Promise((resolve) => {
       this.server.close(() => {
         console.log('Web server stopped');